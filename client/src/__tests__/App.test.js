@@ -0,0 +1,273 @@
+// client/src/__tests__/App.test.js
+// The chat app against a fake Socket.io connection (see fakeSocket.js): signing in, the timeline,
+// sending, threads, rooms, typing and direct messages. Runs offline; the tests play the server.
+
+import React from 'react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { act, cleanup, fireEvent, render, screen, within } from '@testing-library/react';
+import App from '../socket/socket';
+import { lastSocket } from './fakeSocket';
+
+vi.mock('socket.io-client', () => import('./fakeSocket'));
+
+const ALICE = { id: 'u-alice', username: 'alice' };
+const BOB = { id: 'u-bob', username: 'bob' };
+const SESSION = { token: 'alice-token', user: ALICE };
+
+const ROOMS = [
+    { id: 'general', visibility: 'public', joined: true, canJoin: true, role: 'member' },
+    { id: 'random', visibility: 'public', joined: true, canJoin: true, role: 'member' },
+    { id: 'release', visibility: 'public', joined: false, canJoin: true }
+];
+
+let nextId = 1;
+const message = (fields) => ({
+    id: `m-${nextId++}`,
+    room: 'general',
+    senderId: BOB.id,
+    sender: BOB.username,
+    timestamp: new Date().toISOString(),
+    deliveredCount: 0,
+    readCount: 0,
+    ...fields
+});
+
+// Deliver server events to the app and let React render them
+const serverEmit = (event, payload) => act(() => lastSocket().serverEmit(event, payload));
+
+// What the server sends once we joined the chat
+const joinChat = ({ history = [] } = {}) => {
+    serverEmit('session', { sessionId: 'session-1', rooms: ['general', 'random'] });
+    serverEmit('online_users', [
+        { userId: ALICE.id, username: ALICE.username, status: 'online' },
+        { userId: BOB.id, username: BOB.username, status: 'online' }
+    ]);
+    serverEmit('available_rooms', ROOMS);
+    serverEmit('room_history', { room: 'general', messages: history, hasMore: false });
+};
+
+// Render the app signed in as alice, in #general
+const renderSignedIn = async (options) => {
+    localStorage.setItem('chat_session', JSON.stringify(SESSION));
+    render(<App />);
+    await screen.findByText('Room: #general');
+    joinChat(options);
+};
+
+// The open room's or conversation's messages; toasts about other rooms show message text too
+const timeline = () => within(screen.getByRole('log', { name: 'Messages' }));
+
+const composer = () => screen.getByPlaceholderText(/^Message /);
+
+const send = (text) => {
+    fireEvent.change(composer(), { target: { value: text } });
+    fireEvent.click(screen.getByRole('button', { name: 'Send' }));
+};
+
+beforeEach(() => {
+    localStorage.clear();
+    sessionStorage.clear();
+    Element.prototype.scrollIntoView = vi.fn(); // Not implemented by jsdom
+});
+
+afterEach(() => {
+    cleanup();
+    vi.unstubAllGlobals();
+});
+
+describe('signing in', () => {
+    it('connects with the issued token and joins the chat', async () => {
+        const fetchMock = vi.fn(async () => ({ ok: true, json: async () => SESSION }));
+        vi.stubGlobal('fetch', fetchMock);
+        render(<App />);
+
+        fireEvent.change(screen.getByPlaceholderText('Username'), { target: { value: 'alice' } });
+        fireEvent.change(screen.getByPlaceholderText('Password'), { target: { value: 'secret1' } });
+        fireEvent.click(screen.getByRole('button', { name: 'Sign In' }));
+
+        await screen.findByText('Room: #general');
+        expect(fetchMock).toHaveBeenCalledWith(expect.stringMatching(/\/api\/auth\/login$/), expect.anything());
+        expect(lastSocket().auth).toEqual({ token: 'alice-token' });
+        expect(lastSocket().sent('join_chat')).toHaveLength(1);
+        expect(JSON.parse(localStorage.getItem('chat_session'))).toEqual(SESSION);
+    });
+
+    it('resumes a saved session without asking again', async () => {
+        await renderSignedIn({ history: [message({ message: 'Welcome back' })] });
+
+        expect(lastSocket().auth).toEqual({ token: 'alice-token' });
+        expect(timeline().getByText('Welcome back')).toBeTruthy();
+    });
+
+    it('goes back to the sign-in form when the server rejects the token', async () => {
+        await renderSignedIn();
+
+        lastSocket().active = false; // Socket.io gives up after an authentication error
+        serverEmit('connect_error', new Error('Authentication failed: token expired'));
+
+        expect(screen.getByRole('button', { name: 'Sign In' })).toBeTruthy();
+        expect(screen.getByText('Authentication failed: token expired')).toBeTruthy();
+        expect(localStorage.getItem('chat_session')).toBeNull();
+    });
+});
+
+describe('messages', () => {
+    it('shows a sent message as pending until the server acknowledges it', async () => {
+        await renderSignedIn();
+        let acknowledge;
+        lastSocket().respondTo('send_message', (payload) => new Promise((resolve) => {
+            acknowledge = () => resolve({ ok: true, message: message({ ...payload, senderId: ALICE.id, sender: ALICE.username }) });
+        }));
+
+        send('Hello, everyone');
+
+        expect(timeline().getByText('Hello, everyone')).toBeTruthy();
+        expect(screen.getByTitle('Sending...')).toBeTruthy();
+        const [payload] = lastSocket().sent('send_message');
+        expect(payload).toMatchObject({ room: 'general', message: 'Hello, everyone' });
+        expect(payload.id).toBeTruthy();
+
+        await act(async () => acknowledge());
+
+        expect(screen.queryByTitle('Sending...')).toBeNull();
+        expect(screen.getByTitle('Sent')).toBeTruthy();
+        expect(composer().value).toBe('');
+    });
+
+    it('shows incoming messages for the open room only', async () => {
+        await renderSignedIn();
+
+        serverEmit('receive_message', message({ message: 'In general' }));
+        serverEmit('receive_message', message({ room: 'random', message: 'In random' }));
+
+        expect(timeline().getByText('In general')).toBeTruthy();
+        expect(timeline().queryByText('In random')).toBeNull();
+    });
+
+    it('applies edits to messages already shown', async () => {
+        const original = message({ message: 'Teh release is out' });
+        await renderSignedIn({ history: [original] });
+
+        serverEmit('message_updated', { ...original, message: 'The release is out', editedAt: new Date().toISOString() });
+
+        expect(timeline().queryByText('Teh release is out')).toBeNull();
+        expect(timeline().getByText('The release is out')).toBeTruthy();
+    });
+});
+
+describe('threads', () => {
+    it('opens a thread with its replies and keeps it up to date', async () => {
+        const parent = message({ message: 'Release notes?', replyCount: 1 });
+        await renderSignedIn({ history: [parent] });
+        lastSocket().respondTo('load_thread', {
+            ok: true,
+            parent,
+            replies: [message({ replyTo: parent.id, message: 'On the wiki' })]
+        });
+
+        await act(async () => fireEvent.click(timeline().getByText('💬 1 reply')));
+        const panel = within(screen.getByText('Thread').parentElement.parentElement);
+        serverEmit('receive_message', message({ replyTo: parent.id, message: 'Thanks!' }));
+
+        expect(lastSocket().sent('load_thread')).toEqual([{ id: parent.id }]);
+        expect(panel.getByText('On the wiki')).toBeTruthy();
+        expect(panel.getByText('Thanks!')).toBeTruthy();
+        expect(timeline().queryByText('Thanks!')).toBeNull();
+    });
+
+    it('says why a thread could not be loaded', async () => {
+        const parent = message({ message: 'Release notes?', replyCount: 1 });
+        await renderSignedIn({ history: [parent] });
+        lastSocket().respondTo('load_thread', { ok: false, code: 'NOT_FOUND', error: 'That message no longer exists.' });
+
+        fireEvent.click(timeline().getByText('💬 1 reply'));
+
+        expect(await screen.findByText('That message no longer exists.')).toBeTruthy();
+    });
+});
+
+describe('rooms', () => {
+    it('switches to a room we are in and loads its history', async () => {
+        await renderSignedIn({ history: [message({ message: 'In general' })] });
+
+        fireEvent.click(screen.getByText('# random'));
+        serverEmit('room_history', { room: 'random', messages: [message({ room: 'random', message: 'In random' })], hasMore: false });
+
+        expect(screen.getByText('Room: #random')).toBeTruthy();
+        expect(lastSocket().sent('load_history')).toContainEqual({ room: 'random' });
+        expect(timeline().getByText('In random')).toBeTruthy();
+        expect(timeline().queryByText('In general')).toBeNull();
+        send('Hi random');
+        expect(lastSocket().sent('send_message').at(-1)).toMatchObject({ room: 'random', message: 'Hi random' });
+    });
+
+    it('joins a room before opening it', async () => {
+        await renderSignedIn();
+
+        fireEvent.click(screen.getByText('# release'));
+
+        await screen.findByText('Room: #release');
+        expect(lastSocket().sent('join_room')).toEqual(['release']);
+    });
+
+    it('stays in the room when joining it fails', async () => {
+        await renderSignedIn();
+        lastSocket().respondTo('join_room', { ok: false, code: 'FORBIDDEN', error: 'You were banned from #release.' });
+
+        fireEvent.click(screen.getByText('# release'));
+
+        await screen.findByText('You were banned from #release.');
+        expect(screen.getByText('Room: #general')).toBeTruthy();
+    });
+});
+
+describe('typing indicators', () => {
+    it('shows who is typing in the open room', async () => {
+        await renderSignedIn();
+
+        serverEmit('typing_status', { room: 'general', username: 'bob', isTyping: true });
+        expect(screen.getByText('bob is typing...')).toBeTruthy();
+
+        serverEmit('typing_status', { room: 'general', username: 'bob', isTyping: false });
+        expect(screen.queryByText('bob is typing...')).toBeNull();
+    });
+
+    it('tells the room when we start typing', async () => {
+        await renderSignedIn();
+
+        fireEvent.change(composer(), { target: { value: 'Hel' } });
+
+        expect(lastSocket().sent('typing_start')).toEqual(['general']);
+    });
+});
+
+describe('direct messages', () => {
+    const conversation = {
+        id: `dm:${ALICE.id}:${BOB.id}`,
+        participants: [{ userId: ALICE.id, username: 'alice' }, { userId: BOB.id, username: 'bob' }],
+        lastMessage: null
+    };
+
+    it('opens a conversation and sends to it', async () => {
+        await renderSignedIn();
+        serverEmit('conversations', [conversation]);
+
+        fireEvent.click(within(screen.getByText('Direct Messages').parentElement.nextElementSibling).getByText('bob'));
+        serverEmit('room_history', { room: conversation.id, messages: [message({ room: conversation.id, isPrivate: true, message: 'Got a minute?' })], hasMore: false });
+
+        expect(lastSocket().sent('load_history')).toContainEqual({ room: conversation.id });
+        expect(timeline().getByText('Got a minute?')).toBeTruthy();
+        send('Sure');
+        expect(lastSocket().sent('send_private_message').at(-1)).toMatchObject({ conversationId: conversation.id, message: 'Sure' });
+    });
+
+    it('keeps direct messages out of the room timeline', async () => {
+        await renderSignedIn();
+        serverEmit('conversations', [conversation]);
+
+        serverEmit('receive_message', message({ room: conversation.id, isPrivate: true, message: 'Just between us' }));
+
+        expect(screen.getByText('Room: #general')).toBeTruthy();
+        expect(timeline().queryByText('Just between us')).toBeNull();
+    });
+});
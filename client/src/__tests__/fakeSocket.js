@@ -0,0 +1,97 @@
+// client/src/__tests__/fakeSocket.js
+// A stand-in for socket.io-client, so components can be tested without a server. Tests play the server:
+// they push events with `serverEmit`, answer requests with `respondTo`, and check what the app sent in
+// `emitted`. Use it with `vi.mock('socket.io-client', () => import('./fakeSocket'))`.
+
+const sockets = [];
+
+class FakeSocket {
+    constructor(url, options) {
+        this.url = url;
+        this.options = options;
+        this.auth = {};
+        this.connected = false;
+        this.active = false;
+        this.handlers = new Map(); // { [event]: Set of handlers }
+        this.responders = new Map(); // { [event]: (payload) => acknowledgement }
+        this.emitted = []; // [event, payload] for everything the app sent
+    }
+
+    on(event, handler) {
+        if (!this.handlers.has(event)) this.handlers.set(event, new Set());
+        this.handlers.get(event).add(handler);
+        return this;
+    }
+
+    off(event, handler) {
+        this.handlers.get(event)?.delete(handler);
+        return this;
+    }
+
+    emit(event, payload) {
+        this.emitted.push([event, payload]);
+        return this;
+    }
+
+    // Acknowledged events: answered by the responder for the event, or with { ok: true }
+    timeout() {
+        return {
+            emitWithAck: async (event, payload) => {
+                this.emitted.push([event, payload]);
+                const respond = this.responders.get(event);
+                return respond ? respond(payload) : { ok: true };
+            },
+            emit: (event, callback) => {
+                this.emitted.push([event, undefined]);
+                Promise.resolve().then(() => callback(null));
+            }
+        };
+    }
+
+    // Connects on a later tick, like the real thing
+    connect() {
+        this.active = true;
+        setTimeout(() => {
+            this.connected = true;
+            this.serverEmit('connect');
+        });
+        return this;
+    }
+
+    disconnect() {
+        const wasConnected = this.connected;
+        this.connected = false;
+        this.active = false;
+        if (wasConnected) this.serverEmit('disconnect', 'io client disconnect');
+        return this;
+    }
+
+    // --- Test controls ---
+
+    // Deliver an event from the server (or Socket.io itself, e.g. 'connect_error') to the app
+    serverEmit(event, ...args) {
+        [...(this.handlers.get(event) || [])].forEach((handler) => handler(...args));
+    }
+
+    // Answer the app's `event` requests with `respond(payload)`, or a fixed acknowledgement
+    respondTo(event, respond) {
+        this.responders.set(event, typeof respond === 'function' ? respond : () => respond);
+    }
+
+    // Payloads the app sent for `event`, oldest first
+    sent(event) {
+        return this.emitted.filter(([name]) => name === event).map(([, payload]) => payload);
+    }
+}
+
+const io = (url, options) => {
+    const socket = new FakeSocket(url, options);
+    sockets.push(socket);
+    return socket;
+};
+
+// The socket created most recently
+export const lastSocket = () => sockets[sockets.length - 1];
+
+export { io };
+export default io;
@@ -0,0 +1,48 @@
+// client/src/components/AttachmentList.js
+// Attachments of a message: inline previews for images, download links for everything else.
+
+import React from 'react';
+import { formatFileSize } from '../../../shared/protocol';
+
+function AttachmentList({ attachments, serverUrl }) {
+    if (!attachments?.length) return null;
+
+    return (
+        <div className="mt-2 space-y-2">
+            {attachments.map((attachment) => (
+                attachment.thumbnailUrl ? (
+                    <a
+                        key={attachment.id}
+                        href={`${serverUrl}${attachment.url}`}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="block"
+                        title={attachment.name}
+                    >
+                        <img
+                            src={`${serverUrl}${attachment.thumbnailUrl}`}
+                            alt={attachment.name}
+                            width={attachment.width}
+                            height={attachment.height}
+                            loading="lazy"
+                            className="rounded-md max-h-60 w-auto h-auto bg-white"
+                        />
+                    </a>
+                ) : (
+                    <a
+                        key={attachment.id}
+                        href={`${serverUrl}${attachment.url}`}
+                        download={attachment.name}
+                        className="flex items-center p-2 rounded-md bg-white bg-opacity-20 hover:bg-opacity-30 text-sm"
+                    >
+                        <span className="mr-2">📎</span>
+                        <span className="truncate underline">{attachment.name}</span>
+                        <span className="ml-2 text-xs opacity-70 whitespace-nowrap">{formatFileSize(attachment.size)}</span>
+                    </a>
+                )
+            ))}
+        </div>
+    );
+}
+
+export default AttachmentList;
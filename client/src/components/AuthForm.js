@@ -0,0 +1,93 @@
+// client/src/components/AuthForm.js
+// Sign-in / sign-up form. Posts the credentials to the server's /api/auth routes and
+// hands the issued session ({ token, user }) back to the parent.
+
+import React, { useState } from 'react';
+
+function AuthForm({ serverUrl, onAuthenticated, error: externalError }) {
+    const [mode, setMode] = useState('login'); // 'login' | 'register'
+    const [username, setUsername] = useState('');
+    const [password, setPassword] = useState('');
+    const [error, setError] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    const isRegister = mode === 'register';
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!username.trim() || !password) {
+            setError('Please enter a username and password.');
+            return;
+        }
+
+        setIsSubmitting(true);
+        setError('');
+        try {
+            const response = await fetch(`${serverUrl}/api/auth/${mode}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ username: username.trim(), password })
+            });
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                setError(data.error || 'Something went wrong. Please try again.');
+                return;
+            }
+            setPassword('');
+            onAuthenticated(data);
+        } catch (err) {
+            setError('Could not reach the server. Please try again.');
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    const toggleMode = () => {
+        setMode(isRegister ? 'login' : 'register');
+        setError('');
+    };
+
+    const shownError = error || externalError;
+
+    return (
+        <form onSubmit={handleSubmit} className="bg-white p-8 rounded-lg shadow-lg w-full max-w-md">
+            <h1 className="text-3xl font-bold text-center text-gray-800 mb-6">
+                {isRegister ? 'Create Account' : 'Sign In'}
+            </h1>
+            {shownError && (
+                <p className="mb-4 p-3 rounded-md bg-red-100 text-red-700 text-sm">{shownError}</p>
+            )}
+            <input
+                type="text"
+                placeholder="Username"
+                autoComplete="username"
+                className="w-full p-3 mb-4 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                value={username}
+                onChange={(e) => setUsername(e.target.value)}
+            />
+            <input
+                type="password"
+                placeholder="Password"
+                autoComplete={isRegister ? 'new-password' : 'current-password'}
+                className="w-full p-3 mb-4 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+            />
+            <button
+                type="submit"
+                disabled={isSubmitting}
+                className="w-full bg-blue-600 text-white p-3 rounded-md hover:bg-blue-700 transition duration-300 ease-in-out shadow-md disabled:opacity-60"
+            >
+                {isSubmitting ? 'Please wait...' : isRegister ? 'Sign Up' : 'Sign In'}
+            </button>
+            <p className="mt-4 text-center text-sm text-gray-600">
+                {isRegister ? 'Already have an account?' : "Don't have an account?"}{' '}
+                <button type="button" onClick={toggleMode} className="text-blue-600 hover:underline">
+                    {isRegister ? 'Sign in' : 'Sign up'}
+                </button>
+            </p>
+        </form>
+    );
+}
+
+export default AuthForm;
@@ -0,0 +1,66 @@
+// client/src/components/ConversationList.js
+// "Direct Messages" section of the sidebar: one entry per conversation with its latest message,
+// unread count and whether it's muted, most recently active first.
+
+import React from 'react';
+
+// Name a conversation after the other people in it
+export const conversationTitle = (conversation, currentUserId) =>
+    conversation.participants
+        .filter((participant) => participant.userId !== currentUserId)
+        .map((participant) => participant.username)
+        .join(', ') || 'Just you';
+
+const previewText = (msg, currentUserId) => {
+    if (!msg) return 'No messages yet';
+    const text = msg.deleted ? 'Message deleted' : (msg.encrypted ? '🔒 Encrypted message' : msg.message);
+    return msg.senderId === currentUserId ? `You: ${text}` : `${msg.sender}: ${text}`;
+};
+
+function ConversationList({ conversations, unreadCounts, notificationLevels, activeConversationId, currentUserId, onOpen, onNew }) {
+    return (
+        <>
+            <div className="flex justify-between items-center mb-2">
+                <h2 className="text-xl font-semibold text-gray-800">Direct Messages</h2>
+                <button onClick={onNew} className="text-sm text-blue-600 hover:underline" title="Start a conversation">
+                    + New
+                </button>
+            </div>
+            <ul className="overflow-y-auto mb-4 max-h-60">
+                {conversations.length === 0 && (
+                    <li className="p-2 text-sm text-gray-500">Click someone online to message them.</li>
+                )}
+                {conversations.map((conversation) => {
+                    const isActive = conversation.id === activeConversationId;
+                    const unread = !isActive && unreadCounts.get(conversation.id)?.unread;
+                    const isGroup = conversation.participants.length > 2;
+                    return (
+                        <li
+                            key={conversation.id}
+                            className={`p-2 rounded-md mb-1 cursor-pointer ${isActive ? 'bg-blue-500 text-white' : 'hover:bg-gray-200'}`}
+                            onClick={() => onOpen(conversation.id)}
+                        >
+                            <div className="flex items-center">
+                                <span className={`truncate ${unread ? 'font-semibold' : 'font-medium'}`}>
+                                    {isGroup && <span className="mr-1" title="Group conversation">👥</span>}
+                                    {conversationTitle(conversation, currentUserId)}
+                                </span>
+                                {notificationLevels.get(conversation.id) === 'muted' && <span className="ml-1 text-xs" title="Muted">🔕</span>}
+                                {unread > 0 && (
+                                    <span className="ml-auto px-2 rounded-full bg-red-500 text-white text-xs" title="Unread messages">
+                                        {unread}
+                                    </span>
+                                )}
+                            </div>
+                            <p className={`text-xs truncate ${isActive ? 'text-blue-100' : 'text-gray-500'}`}>
+                                {previewText(conversation.lastMessage, currentUserId)}
+                            </p>
+                        </li>
+                    );
+                })}
+            </ul>
+        </>
+    );
+}
+
+export default ConversationList;
@@ -0,0 +1,94 @@
+// client/src/components/CreateRoomDialog.js
+// Modal for creating a room with a name, optional topic and visibility.
+
+import React, { useState } from 'react';
+
+export const VISIBILITY_OPTIONS = [
+    { value: 'public', label: 'Public', description: 'Anyone can find and join it.' },
+    { value: 'invite-only', label: 'Invite-only', description: 'Anyone can find it, but joining needs an invite.' },
+    { value: 'private', label: 'Private', description: 'Only invited members can see it.' }
+];
+
+function CreateRoomDialog({ request, onCreated, onClose }) {
+    const [name, setName] = useState('');
+    const [topic, setTopic] = useState('');
+    const [visibility, setVisibility] = useState('public');
+    const [error, setError] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setIsSubmitting(true);
+        setError('');
+        try {
+            const { room } = await request('create_room', { name: name.trim(), topic: topic.trim(), visibility });
+            onCreated(room);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 z-20 bg-black bg-opacity-40 flex items-center justify-center p-4">
+            <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-lg w-full max-w-md p-6">
+                <h2 className="text-xl font-semibold text-gray-800 mb-4">Create a Room</h2>
+                {error && <p className="mb-4 p-3 rounded-md bg-red-100 text-red-700 text-sm">{error}</p>}
+
+                <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+                <input
+                    autoFocus
+                    type="text"
+                    placeholder="e.g. release-planning"
+                    className="w-full p-2 mb-4 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    value={name}
+                    onChange={(e) => setName(e.target.value.toLowerCase().replace(/\s+/g, '-'))}
+                />
+
+                <label className="block text-sm font-medium text-gray-700 mb-1">Topic (optional)</label>
+                <input
+                    type="text"
+                    className="w-full p-2 mb-4 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    value={topic}
+                    onChange={(e) => setTopic(e.target.value)}
+                />
+
+                <fieldset className="mb-6">
+                    <legend className="block text-sm font-medium text-gray-700 mb-1">Visibility</legend>
+                    {VISIBILITY_OPTIONS.map((option) => (
+                        <label key={option.value} className="flex items-start mb-2 cursor-pointer">
+                            <input
+                                type="radio"
+                                name="visibility"
+                                value={option.value}
+                                checked={visibility === option.value}
+                                onChange={() => setVisibility(option.value)}
+                                className="mt-1 mr-2"
+                            />
+                            <span>
+                                <span className="font-medium">{option.label}</span>
+                                <span className="block text-xs text-gray-500">{option.description}</span>
+                            </span>
+                        </label>
+                    ))}
+                </fieldset>
+
+                <div className="flex justify-end space-x-2">
+                    <button type="button" onClick={onClose} className="px-4 py-2 rounded-md text-gray-600 hover:bg-gray-100">
+                        Cancel
+                    </button>
+                    <button
+                        type="submit"
+                        disabled={isSubmitting || !name.trim()}
+                        className="px-4 py-2 rounded-md bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-60"
+                    >
+                        Create
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+}
+
+export default CreateRoomDialog;
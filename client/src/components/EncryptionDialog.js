@@ -0,0 +1,74 @@
+// client/src/components/EncryptionDialog.js
+// Modal for a direct-message conversation's end-to-end encryption: turn it on or off for what we send, and
+// compare key fingerprints. Each device someone signed in from has its own key; checking the fingerprints
+// with the other people (in person, or over another channel) shows nobody's key was swapped on the way.
+
+import React, { useEffect, useState } from 'react';
+import { formatFingerprint } from '../socket/encryption';
+
+function EncryptionDialog({ conversation, currentUserId, encryption, onClose }) {
+    const [keys, setKeys] = useState(null); // { [userId]: [{ id, publicKey, createdAt }] }
+    const [error, setError] = useState('');
+    const isEncrypted = encryption.isEncrypted(conversation.id);
+
+    useEffect(() => {
+        encryption.getKeys(conversation.participants.map((person) => person.userId))
+            .then(setKeys)
+            .catch((err) => setError(err.message));
+    }, [conversation.id]);
+
+    return (
+        <div className="fixed inset-0 z-20 bg-black bg-opacity-40 flex items-center justify-center p-4">
+            <div className="bg-white rounded-lg shadow-lg w-full max-w-md p-6">
+                <h2 className="text-xl font-semibold text-gray-800 mb-1">🔒 Encryption</h2>
+                <p className="text-sm text-gray-500 mb-4">
+                    Encrypted messages can only be read on the devices listed here. The server only stores them scrambled.
+                </p>
+                {!encryption.supported && (
+                    <p className="mb-4 p-3 rounded-md bg-yellow-100 text-yellow-800 text-sm">This browser can't encrypt messages.</p>
+                )}
+                {(error || encryption.error) && (
+                    <p className="mb-4 p-3 rounded-md bg-red-100 text-red-700 text-sm">{error || encryption.error}</p>
+                )}
+
+                <label className="flex items-center mb-4 text-gray-800">
+                    <input
+                        type="checkbox"
+                        className="mr-2"
+                        checked={isEncrypted}
+                        disabled={!encryption.ready}
+                        onChange={(e) => encryption.setEncrypted(conversation.id, e.target.checked)}
+                    />
+                    Encrypt the messages I send here
+                </label>
+
+                <ul className="max-h-72 overflow-y-auto mb-6 space-y-3">
+                    {conversation.participants.map((person) => (
+                        <li key={person.userId}>
+                            <p className="font-medium text-gray-800">
+                                {person.userId === currentUserId ? 'You' : person.username}
+                            </p>
+                            {keys && !keys[person.userId]?.length && (
+                                <p className="text-sm text-gray-500">No devices set up for encryption yet.</p>
+                            )}
+                            {keys?.[person.userId]?.map((key) => (
+                                <p key={key.id} className="font-mono text-xs text-gray-600 break-words">
+                                    {formatFingerprint(key.id)}
+                                    {key.id === encryption.keyId && <span className="ml-2 font-sans text-blue-600">(this device)</span>}
+                                </p>
+                            ))}
+                        </li>
+                    ))}
+                </ul>
+
+                <div className="flex justify-end">
+                    <button type="button" onClick={onClose} className="px-4 py-2 rounded-md text-gray-600 hover:bg-gray-100">
+                        Close
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default EncryptionDialog;
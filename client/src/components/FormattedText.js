@@ -0,0 +1,84 @@
+// client/src/components/FormattedText.js
+// Renders the `blocks` the server parsed out of a message (see server/utils/messageFormat.js): paragraphs,
+// quotes, code blocks and inline formatting, @mentions and #room links. Everything is rendered as React
+// elements, never as HTML, so message text can't inject markup.
+
+import React from 'react';
+
+// Only web links are clickable, whatever the parser let through
+const isSafeUrl = (url) => /^https?:\/\//i.test(url);
+
+function renderInline(nodes, options) {
+    const { currentUsername, roomIds, onOpenRoom } = options;
+    return nodes.map((node, index) => {
+        switch (node.type) {
+            case 'text':
+                return <React.Fragment key={index}>{node.text}</React.Fragment>;
+            case 'break':
+                return <br key={index} />;
+            case 'strong':
+                return <strong key={index}>{renderInline(node.children, options)}</strong>;
+            case 'em':
+                return <em key={index}>{renderInline(node.children, options)}</em>;
+            case 'strike':
+                return <s key={index}>{renderInline(node.children, options)}</s>;
+            case 'code':
+                return <code key={index} className="px-1 rounded bg-black/10 font-mono text-sm">{node.text}</code>;
+            case 'link':
+                return isSafeUrl(node.url) ? (
+                    <a key={index} href={node.url} target="_blank" rel="noopener noreferrer" className="underline break-all">
+                        {node.url}
+                    </a>
+                ) : (
+                    <React.Fragment key={index}>{node.url}</React.Fragment>
+                );
+            case 'mention': {
+                const isMe = node.username.toLowerCase() === currentUsername?.toLowerCase();
+                return (
+                    <span key={index} className={`font-semibold rounded px-0.5 ${isMe ? 'bg-yellow-200 text-gray-900' : ''}`}>
+                        @{node.username}
+                    </span>
+                );
+            }
+            case 'room':
+                // Rooms we can't see stay plain text
+                return roomIds?.includes(node.room) && onOpenRoom ? (
+                    <button key={index} onClick={() => onOpenRoom(node.room)} className="font-semibold underline">
+                        #{node.room}
+                    </button>
+                ) : (
+                    <React.Fragment key={index}>#{node.room}</React.Fragment>
+                );
+            default:
+                return null;
+        }
+    });
+}
+
+function FormattedText({ blocks, currentUsername, roomIds, onOpenRoom }) {
+    const options = { currentUsername, roomIds, onOpenRoom };
+    return (
+        <div className="text-base break-words space-y-1">
+            {blocks.map((block, index) => {
+                switch (block.type) {
+                    case 'code_block':
+                        return (
+                            <pre key={index} className="p-2 rounded bg-gray-800 text-gray-100 text-sm overflow-x-auto">
+                                <code>{block.text}</code>
+                            </pre>
+                        );
+                    case 'quote':
+                        return (
+                            <blockquote key={index} className="border-l-4 border-current pl-2 opacity-80">
+                                {renderInline(block.children, options)}
+                            </blockquote>
+                        );
+                    default:
+                        return <p key={index}>{renderInline(block.children, options)}</p>;
+                }
+            })}
+        </div>
+    );
+}
+
+export default FormattedText;
@@ -0,0 +1,127 @@
+// client/src/components/MessageBubble.js
+// A single chat message: sender, formatted text, attachments, time, delivery status and reactions, plus the
+// actions that apply to it (reply, edit and delete for your own messages, retry/discard when sending failed).
+// End-to-end encrypted messages show their text once it's decrypted, and can't be edited.
+
+import React, { useState } from 'react';
+import MessageStatus from './MessageStatus';
+import ReactionBar from './ReactionBar';
+import AttachmentList from './AttachmentList';
+import FormattedText from './FormattedText';
+
+function MessageBubble({
+    msg, isOwn, isHighlighted, currentUserId, currentUsername, roomIds, serverUrl,
+    onReply, onOpenThread, onOpenRoom, onEdit, onDelete, onToggleReaction, onRetry, onDiscard
+}) {
+    const [isEditing, setIsEditing] = useState(false);
+    const [draft, setDraft] = useState('');
+
+    // Only messages the server has accepted can be replied to or changed
+    const isStored = Boolean(msg.senderId) && msg.status !== 'pending' && msg.status !== 'failed';
+    const canChange = isOwn && isStored && !msg.deleted;
+    const canEdit = canChange && !msg.encrypted;
+    const mentionsMe = !isOwn && Boolean(msg.mentions?.includes(currentUserId));
+
+    const startEditing = () => {
+        setDraft(msg.message);
+        setIsEditing(true);
+    };
+
+    const saveEdit = (e) => {
+        e.preventDefault();
+        if (draft.trim() && draft.trim() !== msg.message) {
+            onEdit(msg.id, draft.trim());
+        }
+        setIsEditing(false);
+    };
+
+    const handleDelete = () => {
+        if (window.confirm('Delete this message?')) {
+            onDelete(msg.id);
+        }
+    };
+
+    return (
+        <div
+            data-message-id={msg.id}
+            className={`group mb-3 p-3 rounded-lg max-w-[80%] ${isOwn ? 'bg-blue-500 text-white ml-auto' : 'bg-gray-200 text-gray-800 mr-auto'} ${mentionsMe ? 'border-l-4 border-yellow-400' : ''} ${isHighlighted ? 'ring-4 ring-yellow-300' : ''}`}
+        >
+            <div className="font-semibold text-sm mb-1">
+                {isOwn ? 'You' : msg.sender}
+                {msg.imported && (
+                    <span className="ml-2 text-xs font-normal opacity-80" title="Added from a transcript, which anyone could have written">
+                        (imported)
+                    </span>
+                )}
+            </div>
+
+            {msg.deleted ? (
+                <p className="text-base italic opacity-70">This message was deleted.</p>
+            ) : isEditing ? (
+                <form onSubmit={saveEdit} className="flex">
+                    <input
+                        autoFocus
+                        className="flex-1 p-1 rounded text-gray-800"
+                        value={draft}
+                        onChange={(e) => setDraft(e.target.value)}
+                        onKeyDown={(e) => e.key === 'Escape' && setIsEditing(false)}
+                    />
+                    <button type="submit" className="ml-2 text-xs underline">Save</button>
+                    <button type="button" onClick={() => setIsEditing(false)} className="ml-2 text-xs underline">Cancel</button>
+                </form>
+            ) : msg.encrypted && !msg.decrypted ? (
+                <p className="text-base italic opacity-70">{msg.decryptError ? `🔒 ${msg.decryptError}` : '🔒 Decrypting...'}</p>
+            ) : msg.action ? (
+                <p className="text-base italic break-words">* {msg.sender} {msg.message}</p>
+            ) : msg.blocks ? (
+                // Parsed by the server; messages still waiting to be sent show their text as typed
+                <FormattedText blocks={msg.blocks} currentUsername={currentUsername} roomIds={roomIds} onOpenRoom={onOpenRoom} />
+            ) : (
+                msg.message && <p className="text-base break-words whitespace-pre-line">{msg.message}</p>
+            )}
+
+            {!msg.deleted && <AttachmentList attachments={msg.attachments} serverUrl={serverUrl} />}
+
+            <div className="text-right text-xs opacity-70 mt-1">
+                {msg.encrypted && !msg.deleted && <span className="mr-2" title="End-to-end encrypted">🔒</span>}
+                {msg.editedAt && !msg.deleted && <span className="mr-2">(edited)</span>}
+                {new Date(msg.timestamp).toLocaleTimeString()}
+                {isOwn && (
+                    <span className="ml-2"><MessageStatus msg={msg} /></span>
+                )}
+            </div>
+
+            {msg.status === 'failed' && (
+                <div className="text-right text-xs mt-1">
+                    <span className="opacity-80">{msg.error || 'Not sent.'}</span>
+                    <button onClick={() => onRetry(msg.id)} className="ml-2 underline">Retry</button>
+                    <button onClick={() => onDiscard(msg.id)} className="ml-2 underline">Discard</button>
+                </div>
+            )}
+
+            {isStored && !msg.deleted && onToggleReaction && (
+                <ReactionBar
+                    reactions={msg.reactions}
+                    currentUserId={currentUserId}
+                    onToggle={(emoji, reacted) => onToggleReaction(msg.id, emoji, reacted)}
+                />
+            )}
+
+            {onOpenThread && msg.replyCount > 0 && (
+                <button onClick={() => onOpenThread(msg.id)} className="mt-1 text-xs font-semibold underline">
+                    💬 {msg.replyCount} {msg.replyCount === 1 ? 'reply' : 'replies'}
+                </button>
+            )}
+
+            {isStored && !isEditing && (
+                <div className="hidden group-hover:flex justify-end space-x-2 text-xs mt-1 opacity-80">
+                    {onReply && <button onClick={() => onReply(msg.id)} className="hover:underline">Reply</button>}
+                    {canEdit && <button onClick={startEditing} className="hover:underline">Edit</button>}
+                    {canChange && <button onClick={handleDelete} className="hover:underline">Delete</button>}
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default MessageBubble;
@@ -0,0 +1,32 @@
+// client/src/components/MessageStatus.js
+// Delivery ticks shown on the user's own messages: pending, sent, delivered and read.
+// Private messages carry per-recipient lists, room messages carry counts.
+
+import React from 'react';
+
+function MessageStatus({ msg }) {
+    if (msg.status === 'pending') {
+        return <span title="Sending...">🕓</span>;
+    }
+    if (msg.status === 'failed') {
+        return <span title="Not sent" className="text-red-200 font-bold">!</span>;
+    }
+
+    const delivered = msg.isPrivate ? msg.deliveredTo?.length > 0 : msg.deliveredCount > 0;
+    const read = msg.isPrivate ? msg.readBy?.length > 0 : msg.readCount > 0;
+
+    let title = 'Sent';
+    if (read) {
+        title = msg.isPrivate ? 'Read' : `Read by ${msg.readCount}`;
+    } else if (delivered) {
+        title = msg.isPrivate ? 'Delivered' : `Delivered to ${msg.deliveredCount}`;
+    }
+
+    return (
+        <span title={title} className={read ? 'text-sky-200 font-bold' : ''}>
+            {delivered || read ? '✓✓' : '✓'}
+        </span>
+    );
+}
+
+export default MessageStatus;
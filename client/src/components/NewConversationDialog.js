@@ -0,0 +1,69 @@
+// client/src/components/NewConversationDialog.js
+// Modal for starting a direct-message conversation with one or more people.
+
+import React, { useState } from 'react';
+
+const MAX_RECIPIENTS = 8; // The server allows 9 participants, including us
+
+function NewConversationDialog({ people, request, onStarted, onClose }) {
+    const [selectedIds, setSelectedIds] = useState([]);
+    const [error, setError] = useState('');
+
+    const toggle = (id) => {
+        setSelectedIds((prev) => (prev.includes(id) ? prev.filter((other) => other !== id) : [...prev, id]));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        try {
+            const { conversation } = await request('start_conversation', { userIds: selectedIds });
+            onStarted(conversation);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 z-20 bg-black bg-opacity-40 flex items-center justify-center p-4">
+            <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-lg w-full max-w-sm p-6">
+                <h2 className="text-xl font-semibold text-gray-800 mb-1">New Message</h2>
+                <p className="text-sm text-gray-500 mb-4">Pick one person, or several for a group conversation.</p>
+                {error && <p className="mb-4 p-3 rounded-md bg-red-100 text-red-700 text-sm">{error}</p>}
+
+                <ul className="max-h-64 overflow-y-auto mb-6">
+                    {people.length === 0 && <li className="text-sm text-gray-500">Nobody else is around yet.</li>}
+                    {people.map((person) => (
+                        <li key={person.userId}>
+                            <label className="flex items-center p-2 rounded-md hover:bg-gray-100 cursor-pointer">
+                                <input
+                                    type="checkbox"
+                                    className="mr-2"
+                                    checked={selectedIds.includes(person.userId)}
+                                    disabled={!selectedIds.includes(person.userId) && selectedIds.length >= MAX_RECIPIENTS}
+                                    onChange={() => toggle(person.userId)}
+                                />
+                                {person.username}
+                            </label>
+                        </li>
+                    ))}
+                </ul>
+
+                <div className="flex justify-end space-x-2">
+                    <button type="button" onClick={onClose} className="px-4 py-2 rounded-md text-gray-600 hover:bg-gray-100">
+                        Cancel
+                    </button>
+                    <button
+                        type="submit"
+                        disabled={selectedIds.length === 0}
+                        className="px-4 py-2 rounded-md bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-60"
+                    >
+                        Start
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+}
+
+export default NewConversationDialog;
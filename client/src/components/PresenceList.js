@@ -0,0 +1,114 @@
+// client/src/components/PresenceList.js
+// "Online Users" section of the sidebar: ourselves with a status picker and status message, everyone else
+// who is online with theirs, and the people we talked to who are offline with when they were last seen.
+
+import React, { useEffect, useState } from 'react';
+import { USER_STATUSES, MAX_STATUS_TEXT_LENGTH } from '../../../shared/protocol';
+
+const STATUS_LABELS = {
+    online: 'Online',
+    away: 'Away',
+    busy: 'Busy',
+    invisible: 'Invisible',
+    reconnecting: 'Reconnecting...',
+    offline: 'Offline'
+};
+
+const STATUS_DOTS = {
+    online: 'bg-green-500',
+    away: 'bg-yellow-400',
+    busy: 'bg-red-500',
+    invisible: 'border border-gray-400',
+    reconnecting: 'bg-gray-400 animate-pulse',
+    offline: 'bg-gray-300'
+};
+
+const StatusDot = ({ status }) => (
+    <span className={`w-2 h-2 rounded-full mr-2 flex-shrink-0 ${STATUS_DOTS[status]}`} title={STATUS_LABELS[status]}></span>
+);
+
+// "last seen 5m ago", or a date once it's been a week
+export const formatLastSeen = (timestamp, now = Date.now()) => {
+    if (!timestamp) return 'offline';
+    const minutes = Math.floor((now - new Date(timestamp).getTime()) / 60000);
+    if (minutes < 1) return 'last seen just now';
+    if (minutes < 60) return `last seen ${minutes}m ago`;
+    if (minutes < 24 * 60) return `last seen ${Math.floor(minutes / 60)}h ago`;
+    if (minutes < 7 * 24 * 60) return `last seen ${Math.floor(minutes / (24 * 60))}d ago`;
+    return `last seen ${new Date(timestamp).toLocaleDateString()}`;
+};
+
+function PresenceList({ currentUser, ownStatus, onSetStatus, onlineUsers, offlinePeople, onSelect }) {
+    const [draft, setDraft] = useState(ownStatus.statusText);
+
+    // Follow changes made in another tab or with /status
+    useEffect(() => setDraft(ownStatus.statusText), [ownStatus.statusText]);
+
+    const saveStatusText = () => {
+        if (draft.trim() !== ownStatus.statusText) onSetStatus({ statusText: draft.trim() });
+    };
+
+    // Others see us as away while all our tabs are idle, unless we picked busy or invisible
+    const ownDot = ownStatus.status === 'online' && ownStatus.isIdle ? 'away' : ownStatus.status;
+    const others = onlineUsers.filter((user) => user.userId !== currentUser.userId);
+
+    return (
+        <ul className="flex-grow overflow-y-auto mb-4">
+            <li className="p-2 rounded-md mb-2 bg-blue-100 text-blue-800">
+                <div className="flex items-center">
+                    <StatusDot status={ownDot} />
+                    <span className="font-medium truncate">{currentUser.username}</span>
+                    <select
+                        value={ownStatus.status}
+                        onChange={(e) => onSetStatus({ status: e.target.value })}
+                        className="ml-auto text-sm bg-transparent text-blue-600 focus:outline-none"
+                        title="Your status"
+                    >
+                        {USER_STATUSES.map((status) => (
+                            <option key={status} value={status}>{STATUS_LABELS[status]}</option>
+                        ))}
+                    </select>
+                </div>
+                <input
+                    type="text"
+                    value={draft}
+                    maxLength={MAX_STATUS_TEXT_LENGTH}
+                    placeholder="What's your status?"
+                    onChange={(e) => setDraft(e.target.value)}
+                    onBlur={saveStatusText}
+                    onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+                    className="w-full mt-1 px-1 text-xs bg-transparent placeholder-blue-400 focus:outline-none focus:bg-white rounded"
+                />
+            </li>
+
+            {others.map((user) => (
+                <li
+                    key={user.userId}
+                    className="flex items-center p-2 rounded-md mb-2 cursor-pointer hover:bg-gray-200"
+                    onClick={() => onSelect(user.userId)}
+                    title={STATUS_LABELS[user.status]}
+                >
+                    <StatusDot status={user.status} />
+                    <div className="min-w-0">
+                        <span className="font-medium">{user.username}</span>
+                        {user.statusText && <p className="text-xs text-gray-500 truncate">{user.statusText}</p>}
+                    </div>
+                </li>
+            ))}
+
+            {offlinePeople.map((person) => (
+                <li
+                    key={person.userId}
+                    className="flex items-center p-2 rounded-md mb-2 cursor-pointer text-gray-500 hover:bg-gray-200"
+                    onClick={() => onSelect(person.userId)}
+                >
+                    <StatusDot status="offline" />
+                    <span className="truncate">{person.username}</span>
+                    <span className="ml-auto pl-2 text-xs whitespace-nowrap">{formatLastSeen(person.lastSeen)}</span>
+                </li>
+            ))}
+        </ul>
+    );
+}
+
+export default PresenceList;
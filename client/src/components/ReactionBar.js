@@ -0,0 +1,59 @@
+// client/src/components/ReactionBar.js
+// Emoji reactions under a message: one chip per emoji with its count, highlighted when the
+// current user reacted, plus a small picker for adding a new one.
+
+import React, { useState } from 'react';
+
+const PICKER_EMOJI = ['👍', '❤️', '😂', '🎉', '😮', '😢', '🙏', '👀'];
+
+function ReactionBar({ reactions = [], currentUserId, onToggle }) {
+    const [isPickerOpen, setIsPickerOpen] = useState(false);
+
+    const hasReacted = (emoji) =>
+        reactions.some((reaction) => reaction.emoji === emoji && reaction.userIds.includes(currentUserId));
+
+    const pick = (emoji) => {
+        onToggle(emoji, hasReacted(emoji));
+        setIsPickerOpen(false);
+    };
+
+    return (
+        <div className="relative flex flex-wrap items-center gap-1 mt-1">
+            {reactions.map((reaction) => {
+                const mine = reaction.userIds.includes(currentUserId);
+                return (
+                    <button
+                        key={reaction.emoji}
+                        onClick={() => onToggle(reaction.emoji, mine)}
+                        title={reaction.users.join(', ')}
+                        className={`px-2 py-0.5 rounded-full text-xs border ${mine ? 'bg-blue-100 border-blue-400 text-blue-800' : 'bg-white border-gray-300 text-gray-700'}`}
+                    >
+                        {reaction.emoji} {reaction.count}
+                    </button>
+                );
+            })}
+            <button
+                onClick={() => setIsPickerOpen(!isPickerOpen)}
+                title="Add reaction"
+                className="px-2 py-0.5 rounded-full text-xs border border-transparent opacity-60 hover:opacity-100 hover:bg-white hover:text-gray-700"
+            >
+                ☺+
+            </button>
+            {isPickerOpen && (
+                <div className="absolute z-10 bottom-full mb-1 flex bg-white border border-gray-200 rounded-md shadow-md p-1">
+                    {PICKER_EMOJI.map((emoji) => (
+                        <button
+                            key={emoji}
+                            onClick={() => pick(emoji)}
+                            className={`p-1 rounded hover:bg-gray-100 ${hasReacted(emoji) ? 'bg-blue-50' : ''}`}
+                        >
+                            {emoji}
+                        </button>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default ReactionBar;
@@ -0,0 +1,235 @@
+// client/src/components/RoomSettings.js
+// Settings dialog for a room: topic and visibility, members with their roles, invites,
+// and moderation (kick, ban, mute). What is shown depends on the current user's role.
+
+import React, { useEffect, useState } from 'react';
+import { VISIBILITY_OPTIONS } from './CreateRoomDialog';
+
+const DEFAULT_ROOM = 'general';
+const MUTE_OPTIONS = [
+    { minutes: 10, label: '10 min' },
+    { minutes: 60, label: '1 hour' },
+    { minutes: 24 * 60, label: '1 day' }
+];
+
+function RoomSettings({ roomId, request, onlineUsers, currentUserId, onClose }) {
+    const [details, setDetails] = useState(null); // { room, members, bans }
+    const [topic, setTopic] = useState('');
+    const [inviteeId, setInviteeId] = useState('');
+    const [error, setError] = useState('');
+
+    const loadDetails = async () => {
+        try {
+            const response = await request('get_room_details', { room: roomId });
+            setDetails(response);
+            setTopic(response.room.topic);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    useEffect(() => {
+        loadDetails();
+    }, [roomId]);
+
+    // Run a room action, then reload the details so the dialog reflects it
+    const runAction = async (event, payload = {}) => {
+        setError('');
+        try {
+            await request(event, { room: roomId, ...payload });
+            if (event === 'delete_room') {
+                onClose();
+            } else {
+                await loadDetails();
+            }
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    if (!details) {
+        return (
+            <div className="fixed inset-0 z-20 bg-black bg-opacity-40 flex items-center justify-center p-4">
+                <div className="bg-white rounded-lg shadow-lg p-6">
+                    {error || 'Loading...'}
+                    <button onClick={onClose} className="ml-4 text-sm text-gray-500 hover:underline">Close</button>
+                </div>
+            </div>
+        );
+    }
+
+    const { room, members, bans } = details;
+    const isOwner = room.role === 'owner';
+    const isModerator = isOwner || room.role === 'moderator';
+    const memberIds = new Set(members.filter((member) => member.invited).map((member) => member.userId));
+    const invitees = onlineUsers.filter((user) => user.userId !== currentUserId && !memberIds.has(user.userId));
+    const canModerate = (member) => member.userId !== currentUserId &&
+        member.role !== 'owner' && (isOwner || member.role === 'member');
+
+    return (
+        <div className="fixed inset-0 z-20 bg-black bg-opacity-40 flex items-center justify-center p-4">
+            <div className="bg-white rounded-lg shadow-lg w-full max-w-lg max-h-[85vh] overflow-y-auto p-6">
+                <div className="flex justify-between items-center mb-4">
+                    <h2 className="text-xl font-semibold text-gray-800">#{room.id} settings</h2>
+                    <button onClick={onClose} className="text-gray-500 hover:text-gray-800" aria-label="Close">✕</button>
+                </div>
+                {error && <p className="mb-4 p-3 rounded-md bg-red-100 text-red-700 text-sm">{error}</p>}
+
+                {/* Topic: moderators can change it */}
+                <label className="block text-sm font-medium text-gray-700 mb-1">Topic</label>
+                {isModerator ? (
+                    <form
+                        className="flex mb-4"
+                        onSubmit={(e) => {
+                            e.preventDefault();
+                            runAction('update_room', { topic });
+                        }}
+                    >
+                        <input
+                            type="text"
+                            className="flex-1 p-2 border border-gray-300 rounded-l-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            value={topic}
+                            onChange={(e) => setTopic(e.target.value)}
+                        />
+                        <button
+                            type="submit"
+                            disabled={topic === room.topic}
+                            className="px-3 rounded-r-md bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-60"
+                        >
+                            Save
+                        </button>
+                    </form>
+                ) : (
+                    <p className="mb-4 text-gray-700">{room.topic || 'No topic set.'}</p>
+                )}
+
+                {/* Visibility: only the owner can change it, and the default room stays public */}
+                <label className="block text-sm font-medium text-gray-700 mb-1">Visibility</label>
+                {isOwner && room.id !== DEFAULT_ROOM ? (
+                    <select
+                        className="w-full p-2 mb-4 border border-gray-300 rounded-md"
+                        value={room.visibility}
+                        onChange={(e) => runAction('update_room', { visibility: e.target.value })}
+                    >
+                        {VISIBILITY_OPTIONS.map((option) => (
+                            <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                    </select>
+                ) : (
+                    <p className="mb-4 text-gray-700">
+                        {VISIBILITY_OPTIONS.find((option) => option.value === room.visibility)?.label}
+                    </p>
+                )}
+
+                {/* Invites */}
+                {isModerator && room.visibility !== 'public' && (
+                    <div className="flex mb-4">
+                        <select
+                            className="flex-1 p-2 border border-gray-300 rounded-l-md"
+                            value={inviteeId}
+                            onChange={(e) => setInviteeId(e.target.value)}
+                        >
+                            <option value="">Invite an online user...</option>
+                            {invitees.map((user) => (
+                                <option key={user.userId} value={user.userId}>{user.username}</option>
+                            ))}
+                        </select>
+                        <button
+                            disabled={!inviteeId}
+                            onClick={() => {
+                                runAction('invite_to_room', { userId: inviteeId });
+                                setInviteeId('');
+                            }}
+                            className="px-3 rounded-r-md bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-60"
+                        >
+                            Invite
+                        </button>
+                    </div>
+                )}
+
+                {/* Members */}
+                <h3 className="text-sm font-medium text-gray-700 mb-2">Members</h3>
+                <ul className="mb-4">
+                    {members.map((member) => (
+                        <li key={member.userId} className="flex flex-wrap items-center py-1 border-b border-gray-100 text-sm">
+                            <span className={`w-2 h-2 rounded-full mr-2 ${member.online ? 'bg-green-500' : 'bg-gray-300'}`}></span>
+                            <span className="font-medium">{member.username}</span>
+                            {member.role !== 'member' && (
+                                <span className="ml-2 text-xs px-1 rounded bg-gray-200 text-gray-700">{member.role}</span>
+                            )}
+                            {member.mutedUntil && (
+                                <span className="ml-2 text-xs text-orange-600">
+                                    muted until {new Date(member.mutedUntil).toLocaleTimeString()}
+                                </span>
+                            )}
+                            {isModerator && canModerate(member) && (
+                                <span className="ml-auto space-x-2 text-xs">
+                                    {isOwner && (
+                                        <button
+                                            onClick={() => runAction('set_room_role', {
+                                                userId: member.userId,
+                                                role: member.role === 'moderator' ? 'member' : 'moderator'
+                                            })}
+                                            className="text-blue-600 hover:underline"
+                                        >
+                                            {member.role === 'moderator' ? 'Demote' : 'Make moderator'}
+                                        </button>
+                                    )}
+                                    {member.mutedUntil ? (
+                                        <button onClick={() => runAction('unmute_user', { userId: member.userId })} className="text-blue-600 hover:underline">
+                                            Unmute
+                                        </button>
+                                    ) : (
+                                        MUTE_OPTIONS.map((option) => (
+                                            <button
+                                                key={option.minutes}
+                                                onClick={() => runAction('mute_user', { userId: member.userId, minutes: option.minutes })}
+                                                className="text-orange-600 hover:underline"
+                                            >
+                                                Mute {option.label}
+                                            </button>
+                                        ))
+                                    )}
+                                    <button onClick={() => runAction('kick_user', { userId: member.userId })} className="text-red-600 hover:underline">
+                                        Kick
+                                    </button>
+                                    <button onClick={() => runAction('ban_user', { userId: member.userId })} className="text-red-600 hover:underline">
+                                        Ban
+                                    </button>
+                                </span>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+
+                {/* Bans (only sent to moderators) */}
+                {bans.length > 0 && (
+                    <>
+                        <h3 className="text-sm font-medium text-gray-700 mb-2">Banned</h3>
+                        <ul className="mb-4">
+                            {bans.map((ban) => (
+                                <li key={ban.userId} className="flex items-center py-1 text-sm">
+                                    <span>{ban.username}</span>
+                                    <button onClick={() => runAction('unban_user', { userId: ban.userId })} className="ml-auto text-xs text-blue-600 hover:underline">
+                                        Unban
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                    </>
+                )}
+
+                {isModerator && room.id !== DEFAULT_ROOM && (
+                    <button
+                        onClick={() => window.confirm(`Delete #${room.id}? This can't be undone.`) && runAction('delete_room')}
+                        className="w-full py-2 rounded-md bg-red-500 text-white hover:bg-red-600"
+                    >
+                        Delete room
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default RoomSettings;
@@ -0,0 +1,101 @@
+// client/src/components/SearchPanel.js
+// Side panel for searching messages in every room and conversation we can read.
+// Clicking a result jumps to the message in its room or conversation.
+
+import React, { useState } from 'react';
+
+const SEARCH_HELP = 'Filters: from:alice  in:#general  in:@bob  after:2024-05-01  before:2024-06-01  on:2024-05-15';
+
+// Wrap the search terms in <mark> so matches stand out
+const highlight = (text, terms) => {
+    if (!text || terms.length === 0) return text;
+    const pattern = new RegExp(`(${terms.map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`, 'giu');
+    return text.split(pattern).map((part, i) => (i % 2 === 1 ? <mark key={i}>{part}</mark> : part));
+};
+
+function SearchPanel({ request, describeLocation, onJump, onClose }) {
+    const [query, setQuery] = useState('');
+    const [results, setResults] = useState(null); // { results, total, terms } once searched
+    const [error, setError] = useState('');
+    const [isSearching, setIsSearching] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!query.trim()) return;
+        setIsSearching(true);
+        setError('');
+        try {
+            setResults(await request('search_messages', { query: query.trim(), limit: 50 }));
+        } catch (err) {
+            setError(err.message);
+            setResults(null);
+        } finally {
+            setIsSearching(false);
+        }
+    };
+
+    return (
+        <div className="w-full md:w-1/3 border-l border-gray-200 bg-white p-4 flex flex-col">
+            <div className="flex justify-between items-center mb-4 pb-2 border-b border-gray-200">
+                <h3 className="text-lg font-semibold text-gray-800">Search</h3>
+                <button onClick={onClose} className="text-gray-500 hover:text-gray-800" aria-label="Close search">✕</button>
+            </div>
+
+            <form onSubmit={handleSubmit} className="flex mb-1">
+                <input
+                    autoFocus
+                    type="search"
+                    placeholder="Search messages..."
+                    className="flex-1 p-2 border border-gray-300 rounded-l-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    value={query}
+                    onChange={(e) => setQuery(e.target.value)}
+                />
+                <button
+                    type="submit"
+                    disabled={isSearching}
+                    className="bg-blue-600 text-white px-3 rounded-r-md hover:bg-blue-700 disabled:opacity-60"
+                >
+                    Search
+                </button>
+            </form>
+            <p className="text-xs text-gray-500 mb-4">{SEARCH_HELP}</p>
+            {error && <p className="mb-4 p-3 rounded-md bg-red-100 text-red-700 text-sm">{error}</p>}
+
+            <div className="flex-1 overflow-y-auto">
+                {results && (
+                    <p className="text-xs text-gray-500 mb-2">
+                        {results.total === 0
+                            ? 'No messages found.'
+                            : `${results.total} ${results.total === 1 ? 'result' : 'results'}${results.total > results.results.length ? `, showing the newest ${results.results.length}` : ''}`}
+                    </p>
+                )}
+                <ul>
+                    {results?.results.map((msg) => (
+                        <li key={msg.id}>
+                            <button
+                                onClick={() => onJump(msg)}
+                                className="w-full text-left p-2 mb-2 rounded-md border border-gray-100 hover:bg-gray-100"
+                            >
+                                <div className="flex text-xs text-gray-500 mb-1">
+                                    <span className="font-semibold text-gray-700 mr-2">{msg.sender}</span>
+                                    <span className="truncate">{describeLocation(msg.room)}</span>
+                                    <span className="ml-auto whitespace-nowrap">{new Date(msg.timestamp).toLocaleString()}</span>
+                                </div>
+                                <p className="text-sm break-words line-clamp-3">
+                                    {highlight(msg.message, results.terms)}
+                                    {msg.attachments?.map((attachment) => (
+                                        <span key={attachment.id} className="block text-xs text-gray-600">
+                                            📎 {highlight(attachment.name, results.terms)}
+                                        </span>
+                                    ))}
+                                </p>
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            </div>
+        </div>
+    );
+}
+
+export default SearchPanel;
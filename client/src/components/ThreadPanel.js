@@ -0,0 +1,61 @@
+// client/src/components/ThreadPanel.js
+// Side panel showing a message and the replies grouped under it, with its own composer.
+
+import React, { useState } from 'react';
+import MessageBubble from './MessageBubble';
+
+function ThreadPanel({ parent, replies, onSendReply, onClose, bubbleActions }) {
+    const [reply, setReply] = useState('');
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (reply.trim()) {
+            onSendReply(parent.id, reply.trim());
+            setReply('');
+        }
+    };
+
+    return (
+        <div className="w-full md:w-1/3 border-l border-gray-200 bg-white p-4 flex flex-col">
+            <div className="flex justify-between items-center mb-4 pb-2 border-b border-gray-200">
+                <h3 className="text-lg font-semibold text-gray-800">Thread</h3>
+                <button onClick={onClose} className="text-gray-500 hover:text-gray-800" aria-label="Close thread">✕</button>
+            </div>
+
+            <div className="flex-1 overflow-y-auto">
+                {parent ? (
+                    <>
+                        <MessageBubble msg={parent} isOwn={parent.senderId === bubbleActions.currentUserId} {...bubbleActions} />
+                        <p className="text-xs text-gray-500 mb-3 border-b border-gray-100 pb-1">
+                            {replies.length} {replies.length === 1 ? 'reply' : 'replies'}
+                        </p>
+                        {replies.map((msg) => (
+                            <MessageBubble key={msg.id} msg={msg} isOwn={msg.senderId === bubbleActions.currentUserId} {...bubbleActions} />
+                        ))}
+                    </>
+                ) : (
+                    <p className="text-sm text-gray-500">Loading...</p>
+                )}
+            </div>
+
+            <form onSubmit={handleSubmit} className="flex mt-4">
+                <input
+                    type="text"
+                    placeholder="Reply..."
+                    className="flex-1 p-2 border border-gray-300 rounded-l-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    value={reply}
+                    onChange={(e) => setReply(e.target.value)}
+                    disabled={!parent || parent.deleted}
+                />
+                <button
+                    type="submit"
+                    className="bg-blue-600 text-white px-3 rounded-r-md hover:bg-blue-700 transition duration-300"
+                >
+                    Reply
+                </button>
+            </form>
+        </div>
+    );
+}
+
+export default ThreadPanel;
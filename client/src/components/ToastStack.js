@@ -0,0 +1,43 @@
+// client/src/components/ToastStack.js
+// Short-lived, non-blocking notices in the corner of the screen: errors, invitations and new messages
+// in rooms we aren't looking at. Toasts about a message offer to jump to it.
+
+import React from 'react';
+
+const TOAST_STYLES = {
+    error: 'bg-red-600 text-white',
+    info: 'bg-gray-800 text-white',
+    message: 'bg-white text-gray-800 border border-gray-200'
+};
+
+// Each toast is { id, type: 'error' | 'info' | 'message', title?, text, message? }
+function ToastStack({ toasts, onDismiss, onView }) {
+    if (toasts.length === 0) return null;
+
+    return (
+        <div className="fixed bottom-4 right-4 z-50 w-80 space-y-2" role="status" aria-live="polite">
+            {toasts.map((toast) => (
+                <div key={toast.id} className={`p-3 rounded-lg shadow-lg text-sm flex items-start ${TOAST_STYLES[toast.type]}`}>
+                    <div className="flex-1 min-w-0">
+                        {toast.title && <p className="font-semibold truncate">{toast.title}</p>}
+                        <p className="break-words line-clamp-3">{toast.text}</p>
+                        {toast.message && (
+                            <button
+                                onClick={() => {
+                                    onView(toast.message);
+                                    onDismiss(toast.id);
+                                }}
+                                className="mt-1 text-blue-600 hover:underline"
+                            >
+                                View
+                            </button>
+                        )}
+                    </div>
+                    <button onClick={() => onDismiss(toast.id)} className="ml-2 opacity-70 hover:opacity-100" aria-label="Dismiss">✕</button>
+                </div>
+            ))}
+        </div>
+    );
+}
+
+export default ToastStack;
@@ -0,0 +1,122 @@
+// client/src/components/TranscriptDialog.js
+// Modal for exporting a room's or conversation's history as a transcript, optionally for a range of days,
+// and for a room's moderators, importing a JSON transcript into it.
+
+import React, { useRef, useState } from 'react';
+import { TRANSCRIPT_FORMATS, downloadTranscript, importTranscript } from '../socket/transcripts';
+
+function TranscriptDialog({ serverUrl, token, roomId, title, canImport, onClose }) {
+    const [format, setFormat] = useState('html');
+    const [from, setFrom] = useState('');
+    const [to, setTo] = useState('');
+    const [error, setError] = useState('');
+    const [notice, setNotice] = useState('');
+    const [isBusy, setIsBusy] = useState(false);
+    const fileInputRef = useRef(null);
+
+    const run = async (action) => {
+        setIsBusy(true);
+        setError('');
+        setNotice('');
+        try {
+            await action();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setIsBusy(false);
+        }
+    };
+
+    const handleExport = (e) => {
+        e.preventDefault();
+        run(() => downloadTranscript(serverUrl, token, roomId, { format, from, to }));
+    };
+
+    const handleImport = (e) => {
+        const file = e.target.files[0];
+        e.target.value = ''; // So choosing the same file again still imports it
+        if (!file) return;
+        run(async () => {
+            const { imported, skipped } = await importTranscript(serverUrl, token, roomId, file);
+            setNotice(`Imported ${imported} message${imported === 1 ? '' : 's'}${skipped > 0 ? `, skipped ${skipped} already here or empty` : ''}.`);
+        });
+    };
+
+    return (
+        <div className="fixed inset-0 z-20 bg-black bg-opacity-40 flex items-center justify-center p-4">
+            <form onSubmit={handleExport} className="bg-white rounded-lg shadow-lg w-full max-w-md p-6">
+                <h2 className="text-xl font-semibold text-gray-800 mb-1">Export History</h2>
+                <p className="text-sm text-gray-500 mb-4 truncate">{title}</p>
+                {error && <p className="mb-4 p-3 rounded-md bg-red-100 text-red-700 text-sm">{error}</p>}
+                {notice && <p className="mb-4 p-3 rounded-md bg-green-100 text-green-800 text-sm">{notice}</p>}
+
+                <label className="block text-sm font-medium text-gray-700 mb-1">Format</label>
+                <select
+                    className="w-full p-2 mb-4 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    value={format}
+                    onChange={(e) => setFormat(e.target.value)}
+                >
+                    {TRANSCRIPT_FORMATS.map((option) => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                </select>
+
+                <div className="flex space-x-2 mb-1">
+                    <label className="flex-1 text-sm font-medium text-gray-700">
+                        From
+                        <input
+                            type="date"
+                            className="w-full p-2 mt-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            value={from}
+                            max={to || undefined}
+                            onChange={(e) => setFrom(e.target.value)}
+                        />
+                    </label>
+                    <label className="flex-1 text-sm font-medium text-gray-700">
+                        To
+                        <input
+                            type="date"
+                            className="w-full p-2 mt-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            value={to}
+                            min={from || undefined}
+                            onChange={(e) => setTo(e.target.value)}
+                        />
+                    </label>
+                </div>
+                <p className="text-xs text-gray-500 mb-6">Leave the dates empty for the whole history. Days are in UTC.</p>
+
+                {canImport && (
+                    <div className="mb-6 pt-4 border-t border-gray-200">
+                        <p className="text-sm text-gray-700 mb-2">
+                            Import a JSON transcript to add its messages to this room&apos;s history.
+                        </p>
+                        <input ref={fileInputRef} type="file" accept=".json,application/json" className="hidden" onChange={handleImport} />
+                        <button
+                            type="button"
+                            disabled={isBusy}
+                            onClick={() => fileInputRef.current?.click()}
+                            className="px-4 py-2 rounded-md border border-gray-300 text-gray-700 hover:bg-gray-100 disabled:opacity-60"
+                        >
+                            Import...
+                        </button>
+                    </div>
+                )}
+
+                <div className="flex justify-end space-x-2">
+                    <button type="button" onClick={onClose} className="px-4 py-2 rounded-md text-gray-600 hover:bg-gray-100">
+                        Close
+                    </button>
+                    <button
+                        type="submit"
+                        disabled={isBusy}
+                        className="px-4 py-2 rounded-md bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-60"
+                    >
+                        Export
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+}
+
+export default TranscriptDialog;
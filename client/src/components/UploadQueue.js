@@ -0,0 +1,44 @@
+// client/src/components/UploadQueue.js
+// Files being attached to the next message, shown above the composer with their upload progress.
+
+import React from 'react';
+import { formatFileSize } from '../../../shared/protocol';
+
+// Each upload is { id, name, size, progress, attachment?, error? }
+function UploadQueue({ uploads, onRemove }) {
+    if (uploads.length === 0) return null;
+
+    return (
+        <ul className="flex flex-wrap gap-2 mb-2">
+            {uploads.map((upload) => (
+                <li
+                    key={upload.id}
+                    className={`relative w-48 p-2 rounded-md border text-sm ${upload.error ? 'border-red-300 bg-red-50' : 'border-gray-200 bg-gray-50'}`}
+                >
+                    <div className="flex items-center">
+                        <span className="truncate flex-1" title={upload.name}>{upload.name}</span>
+                        <button
+                            type="button"
+                            onClick={() => onRemove(upload.id)}
+                            className="ml-1 text-gray-500 hover:text-gray-800"
+                            aria-label={`Remove ${upload.name}`}
+                        >
+                            ✕
+                        </button>
+                    </div>
+                    {upload.error ? (
+                        <p className="text-xs text-red-600">{upload.error}</p>
+                    ) : upload.attachment ? (
+                        <p className="text-xs text-gray-500">{formatFileSize(upload.size)}</p>
+                    ) : (
+                        <div className="mt-1 h-1 rounded bg-gray-200 overflow-hidden">
+                            <div className="h-1 bg-blue-500" style={{ width: `${Math.round(upload.progress * 100)}%` }} />
+                        </div>
+                    )}
+                </li>
+            ))}
+        </ul>
+    );
+}
+
+export default UploadQueue;
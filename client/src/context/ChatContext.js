@@ -0,0 +1,17 @@
+// client/src/context/ChatContext.js
+// Makes a chat client (see socket/chatClient.js) available to the hooks in ../hooks.
+
+import React, { createContext, useContext } from 'react';
+
+const ChatContext = createContext(null);
+
+export function ChatProvider({ client, children }) {
+    return <ChatContext.Provider value={client}>{children}</ChatContext.Provider>;
+}
+
+// The chat client of the nearest ChatProvider
+export const useChatClient = () => {
+    const client = useContext(ChatContext);
+    if (!client) throw new Error('useChatClient must be used inside a ChatProvider');
+    return client;
+};
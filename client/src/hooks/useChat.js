@@ -0,0 +1,43 @@
+// client/src/hooks/useChat.js
+// The connection to the chat server: whether we are connected and in the chat, signing in and out,
+// and sending events. Must be used inside a ChatProvider.
+
+import { useState } from 'react';
+import { useChatClient } from '../context/ChatContext';
+import useChatEvent from './useChatEvent';
+
+export default function useChat() {
+    const client = useChatClient();
+    const [isConnected, setIsConnected] = useState(client.connected);
+    const [session, setSession] = useState(client.session); // { sessionId, rooms } once we are in the chat
+    const [error, setError] = useState(''); // Why the server turned the connection down
+
+    useChatEvent('connect', () => {
+        setIsConnected(true);
+        setError('');
+    });
+
+    // Lost the connection; Socket.io reconnects on its own and the server holds our session meanwhile
+    useChatEvent('disconnect', () => {
+        setIsConnected(false);
+        setSession(null);
+    });
+
+    useChatEvent('session', setSession);
+
+    // The server rejected the token (expired, or the account no longer exists)
+    useChatEvent('connect_error', (err) => {
+        if (!client.active) setError(err.message);
+    });
+
+    return {
+        client,
+        isConnected,
+        session,
+        error,
+        connect: client.connect,
+        signOut: client.signOut,
+        emit: client.emit,
+        request: client.request
+    };
+}
@@ -0,0 +1,15 @@
+// client/src/hooks/useChatEvent.js
+// Listen for a server event for as long as the component is mounted.
+
+import { useEffect, useRef } from 'react';
+import { useChatClient } from '../context/ChatContext';
+
+// The listener is registered once, and always calls the latest `handler`, so handlers can use the
+// component's current state without re-subscribing on every render
+export default function useChatEvent(event, handler) {
+    const client = useChatClient();
+    const handlerRef = useRef(handler);
+    handlerRef.current = handler;
+
+    useEffect(() => client.on(event, (...args) => handlerRef.current(...args)), [client, event]);
+}
@@ -0,0 +1,55 @@
+// client/src/hooks/useEncryption.js
+// End-to-end encrypted direct messages (see socket/encryption.js): sets up and publishes this browser's
+// key whenever we enter the chat, and remembers which conversations we turned encryption on for.
+
+import { useMemo, useState } from 'react';
+import { useChatClient } from '../context/ChatContext';
+import useChatEvent from './useChatEvent';
+import { createEncryption, isEncryptionSupported } from '../socket/encryption';
+
+const ENCRYPTED_CONVERSATIONS_KEY = 'chat_encrypted_conversations'; // Conversation ids, in localStorage
+
+const loadEnabled = () => {
+    try {
+        return JSON.parse(localStorage.getItem(ENCRYPTED_CONVERSATIONS_KEY)) || [];
+    } catch (err) {
+        return [];
+    }
+};
+
+export default function useEncryption() {
+    const client = useChatClient();
+    const encryption = useMemo(() => createEncryption({ client }), [client]);
+    const [keyId, setKeyId] = useState(null); // Ours, once published
+    const [error, setError] = useState('');
+    const [enabled, setEnabled] = useState(loadEnabled);
+    const supported = isEncryptionSupported();
+
+    // Publish again on every session: the account may have changed, or the server lost our key
+    useChatEvent('session', () => {
+        if (!supported) return;
+        encryption.setup(client.userId).then((id) => {
+            setKeyId(id);
+            setError('');
+        }).catch((err) => setError(err.message));
+    });
+
+    // Turn encryption on or off for the messages we send in a conversation
+    const setEncrypted = (conversationId, on) => setEnabled((prev) => {
+        const next = on ? Array.from(new Set([...prev, conversationId])) : prev.filter((id) => id !== conversationId);
+        localStorage.setItem(ENCRYPTED_CONVERSATIONS_KEY, JSON.stringify(next));
+        return next;
+    });
+
+    return {
+        supported,
+        ready: Boolean(keyId),
+        keyId,
+        error,
+        isEncrypted: (conversationId) => enabled.includes(conversationId),
+        setEncrypted,
+        encrypt: encryption.encrypt,
+        decrypt: encryption.decrypt,
+        getKeys: encryption.getKeys
+    };
+}
@@ -0,0 +1,37 @@
+// client/src/hooks/usePresence.js
+// Who is online: { userId, username, status, statusText } for each user, kept up to date from the
+// server's presence deltas. A user with several tabs is listed once, and invisible users not at all.
+// Also remembers when users we saw leave were last seen: { [userId]: ISO timestamp }.
+
+import { useState } from 'react';
+import useChatEvent from './useChatEvent';
+
+export default function usePresence() {
+    const [onlineUsers, setOnlineUsers] = useState([]);
+    const [lastSeen, setLastSeen] = useState({});
+
+    // Everyone online, sent when we join the chat
+    useChatEvent('online_users', setOnlineUsers);
+
+    useChatEvent('user_joined', (user) => {
+        setOnlineUsers((prev) => [...prev.filter((other) => other.userId !== user.userId), user]);
+    });
+
+    // Only the fields that changed, e.g. the status once all of a user's tabs are idle or reconnecting
+    useChatEvent('presence_update', (changes) => {
+        setOnlineUsers((prev) => prev.map((other) => (other.userId === changes.userId ? { ...other, ...changes } : other)));
+    });
+
+    // A user went offline (all their sessions ended) or invisible
+    useChatEvent('user_disconnected', ({ userId, lastSeen: seenAt }) => {
+        setOnlineUsers((prev) => prev.filter((user) => user.userId !== userId));
+        setLastSeen((prev) => ({ ...prev, [userId]: seenAt }));
+    });
+
+    // We signed out. After other disconnects the list is kept until we are back.
+    useChatEvent('disconnect', (reason) => {
+        if (reason === 'io client disconnect') setOnlineUsers([]);
+    });
+
+    return { onlineUsers, lastSeen };
+}
@@ -0,0 +1,131 @@
+// client/src/hooks/useRoom.js
+// One room or conversation: its timeline (oldest first, without thread replies), who is in it, paging back
+// through its history and sending to it. The latest history is loaded whenever we (re)enter the chat or
+// switch rooms; with `around` (a message id, e.g. a search result) the page around that message is loaded
+// instead, until `around` is cleared again.
+
+import { useEffect, useState } from 'react';
+import { useChatClient } from '../context/ChatContext';
+import { isConversationId, mergeMessage, upsertMessage } from '../socket/chatClient';
+import useChat from './useChat';
+import useChatEvent from './useChatEvent';
+
+export default function useRoom(roomId, { around = null } = {}) {
+    const client = useChatClient();
+    const { session } = useChat();
+    const [messages, setMessages] = useState([]);
+    const [hasMore, setHasMore] = useState(false);
+    const [hasNewer, setHasNewer] = useState(false); // Only while showing the page around an older message
+    const [isLoading, setIsLoading] = useState(false);
+    const [error, setError] = useState(''); // Why the page around `around` couldn't be loaded
+    const [users, setUsers] = useState([]); // Usernames of the members who are online (rooms only)
+
+    const isInTimeline = (msg) => msg.room === roomId && !msg.replyTo;
+
+    useEffect(() => {
+        setMessages([]);
+        setHasMore(false);
+        setHasNewer(false);
+        setError('');
+        setUsers([]);
+        if (!session || !roomId) return;
+        setIsLoading(true);
+        if (!around) {
+            client.emit('load_history', { room: roomId });
+            return;
+        }
+
+        let isCurrent = true;
+        client.request('load_message_context', { id: around }).then((page) => {
+            if (!isCurrent || page.room !== roomId) return;
+            setMessages(page.messages.filter(isInTimeline));
+            setHasMore(page.hasMore);
+            setHasNewer(page.hasNewer);
+            setIsLoading(false);
+        }, (err) => {
+            if (!isCurrent) return;
+            setError(err.message);
+            setIsLoading(false);
+        });
+        return () => {
+            isCurrent = false;
+        };
+    }, [client, roomId, session, around]);
+
+    // Add messages we don't have yet, before or after the ones we do
+    const addMessages = (incoming, { prepend = false } = {}) => {
+        setMessages((prev) => {
+            const knownIds = new Set(prev.map((msg) => msg.id));
+            const added = incoming.filter((msg) => isInTimeline(msg) && !knownIds.has(msg.id));
+            return prepend ? [...added, ...prev] : [...prev, ...added];
+        });
+    };
+
+    const updateMessages = (update) => setMessages((prev) => prev.map((msg) => ({ ...msg, ...update(msg) })));
+
+    // The latest page; ignored while we look at the page around an older message
+    useChatEvent('room_history', (page) => {
+        if (page.room !== roomId || around) return;
+        setMessages(page.messages.filter(isInTimeline));
+        setHasMore(page.hasMore);
+        setIsLoading(false);
+    });
+
+    useChatEvent('older_messages', (page) => {
+        if (page.room !== roomId) return;
+        addMessages(page.messages, { prepend: true });
+        setHasMore(page.hasMore);
+        setIsLoading(false);
+    });
+
+    // New messages only fit after the latest page, not after an older one
+    useChatEvent('missed_messages', (page) => {
+        if (page.room === roomId && !hasNewer) addMessages(page.messages);
+    });
+
+    useChatEvent('receive_message', (msg) => {
+        if (!isInTimeline(msg)) return;
+        setMessages((prev) => (hasNewer && !prev.some((other) => other.id === msg.id) ? prev : upsertMessage(prev, msg)));
+    });
+
+    // Edits, deletions, new thread replies, reactions and receipts
+    useChatEvent('message_updated', (updated) => updateMessages((msg) => (msg.id === updated.id ? mergeMessage(msg, updated) : {})));
+    useChatEvent('message_reactions', ({ id, reactions }) => updateMessages((msg) => (msg.id === id ? { reactions } : {})));
+    useChatEvent('message_status', ({ updates }) => {
+        const updatesById = new Map(updates.map((update) => [update.id, update]));
+        updateMessages((msg) => updatesById.get(msg.id) || {});
+    });
+
+    useChatEvent('room_users_update', ({ room, users: present }) => {
+        if (room === roomId) setUsers(present);
+    });
+
+    // Ask for the page of messages before the oldest one we have; it arrives as 'older_messages'
+    const loadOlder = () => {
+        if (!hasMore || isLoading) return;
+        setIsLoading(true);
+        client.emit('load_older_messages', { room: roomId, before: messages.find((msg) => msg.id)?.id });
+    };
+
+    // Send a message (plus any of `replyTo`, `attachments` or `action`). Resolves with the stored message
+    // and rejects with the server's error.
+    const sendMessage = async (text, extra = {}) => {
+        const payload = { ...extra, message: text };
+        const response = isConversationId(roomId)
+            ? await client.request('send_private_message', { ...payload, conversationId: roomId })
+            : await client.request('send_message', { ...payload, room: roomId });
+        return response.message;
+    };
+
+    // Show a message we sent some other way (e.g. from an outbox) without waiting for the server to echo it
+    const applyMessage = (msg) => {
+        if (isInTimeline(msg)) setMessages((prev) => upsertMessage(prev, msg));
+    };
+
+    // Show a note from the app that only we can see, e.g. who just came online
+    const addNotice = (text, timestamp = new Date().toISOString()) => {
+        setMessages((prev) => [...prev, { sender: 'System', message: text, timestamp, room: roomId }]);
+    };
+
+    return { messages, hasMore, hasNewer, isLoading, error, users, loadOlder, sendMessage, applyMessage, addNotice };
+}
@@ -0,0 +1,65 @@
+// client/src/hooks/useStatus.js
+// Our own status: the one we picked (online, away, busy or invisible) and a custom status message, shared
+// by all our tabs. While it's set up, this tab also tells the server when we stop using it (no mouse,
+// keyboard or touch input for `idleAfterMs`), so we show as away once all our tabs are idle.
+
+import { useEffect, useRef, useState } from 'react';
+import { useChatClient } from '../context/ChatContext';
+import useChatEvent from './useChatEvent';
+
+const DEFAULT_IDLE_AFTER_MS = 5 * 60 * 1000;
+const IDLE_CHECK_INTERVAL_MS = 15000;
+const ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'touchstart', 'wheel'];
+
+export default function useStatus({ idleAfterMs = DEFAULT_IDLE_AFTER_MS } = {}) {
+    const client = useChatClient();
+    const [settings, setSettings] = useState({ status: 'online', statusText: '' });
+    const [isIdle, setIsIdle] = useState(false);
+    const isIdleRef = useRef(false);
+
+    // Set from any of our tabs, or by the server when we join
+    useChatEvent('status_settings', setSettings);
+
+    // A new or resumed session starts out active on the server; tell it if we were idle all along
+    useChatEvent('session', () => {
+        if (isIdleRef.current) client.emit('set_idle', { idle: true });
+    });
+
+    useEffect(() => {
+        let lastActivity = Date.now();
+
+        const update = (idle) => {
+            if (isIdleRef.current === idle) return;
+            isIdleRef.current = idle;
+            setIsIdle(idle);
+            if (client.session) client.emit('set_idle', { idle });
+        };
+
+        const onActivity = () => {
+            lastActivity = Date.now();
+            update(false);
+        };
+        const onVisibilityChange = () => {
+            if (document.visibilityState === 'visible') onActivity();
+        };
+        const timer = setInterval(() => {
+            if (Date.now() - lastActivity >= idleAfterMs) update(true);
+        }, Math.min(IDLE_CHECK_INTERVAL_MS, idleAfterMs));
+
+        ACTIVITY_EVENTS.forEach((event) => window.addEventListener(event, onActivity, { passive: true }));
+        document.addEventListener('visibilitychange', onVisibilityChange);
+        return () => {
+            clearInterval(timer);
+            ACTIVITY_EVENTS.forEach((event) => window.removeEventListener(event, onActivity));
+            document.removeEventListener('visibilitychange', onVisibilityChange);
+        };
+    }, [client, idleAfterMs]);
+
+    // Change the status and/or the status message; resolves with the saved settings
+    const setStatus = (changes) => client.request('set_status', changes).then(({ status, statusText }) => {
+        setSettings({ status, statusText });
+        return { status, statusText };
+    });
+
+    return { ...settings, isIdle, setStatus };
+}
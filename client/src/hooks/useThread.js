@@ -0,0 +1,57 @@
+// client/src/hooks/useThread.js
+// The thread of one message: the message itself and its replies (oldest first), loaded whenever another
+// thread is opened and kept up to date as replies, edits, reactions and receipts come in.
+
+import { useEffect, useState } from 'react';
+import { useChatClient } from '../context/ChatContext';
+import { mergeMessage, upsertMessage } from '../socket/chatClient';
+import useChatEvent from './useChatEvent';
+
+const byTimestamp = (a, b) => new Date(a.timestamp) - new Date(b.timestamp);
+
+export default function useThread(parentId) {
+    const client = useChatClient();
+    const [parent, setParent] = useState(null);
+    const [replies, setReplies] = useState([]);
+    const [error, setError] = useState(''); // Why the thread couldn't be loaded
+
+    useEffect(() => {
+        setParent(null);
+        setReplies([]);
+        setError('');
+        if (!parentId) return;
+
+        let isCurrent = true;
+        client.request('load_thread', { id: parentId }).then((response) => {
+            if (!isCurrent) return;
+            setParent(response.parent);
+            setReplies(response.replies);
+        }, (err) => {
+            if (isCurrent) setError(err.message);
+        });
+        return () => {
+            isCurrent = false;
+        };
+    }, [client, parentId]);
+
+    // Apply a change to the parent or whichever reply it is for
+    const updateMessage = (id, update) => {
+        setParent((prev) => (prev?.id === id ? update(prev) : prev));
+        setReplies((prev) => prev.map((msg) => (msg.id === id ? update(msg) : msg)));
+    };
+
+    // Add a reply, or update the copy we have of a message in the thread
+    const applyMessage = (msg) => {
+        if (msg.replyTo === parentId) setReplies((prev) => upsertMessage(prev, msg).sort(byTimestamp));
+        else if (msg.id === parentId) updateMessage(msg.id, (prev) => mergeMessage(prev, msg));
+    };
+
+    useChatEvent('receive_message', applyMessage);
+    useChatEvent('message_updated', (updated) => updateMessage(updated.id, (msg) => mergeMessage(msg, updated)));
+    useChatEvent('message_reactions', ({ id, reactions }) => updateMessage(id, (msg) => ({ ...msg, reactions })));
+    useChatEvent('message_status', ({ updates }) => updates.forEach((update) => {
+        updateMessage(update.id, (msg) => ({ ...msg, ...update }));
+    }));
+
+    return { parent, replies, error, applyMessage };
+}
@@ -0,0 +1,39 @@
+// client/src/hooks/useTyping.js
+// Typing indicators for one room: who else is typing there, and `setTyping` to tell the room whether we
+// are. Pass a null `room` where indicators aren't shown, e.g. in direct messages.
+
+import { useEffect, useRef, useState } from 'react';
+import { useChatClient } from '../context/ChatContext';
+import useChatEvent from './useChatEvent';
+
+export default function useTyping(room, ownUsername) {
+    const client = useChatClient();
+    const [typingByRoom, setTypingByRoom] = useState({}); // { [room]: { [username]: true/false } }
+    const typingInRef = useRef(null); // The room we told that we are typing
+
+    useChatEvent('typing_status', ({ room: typingRoom, username, isTyping }) => {
+        setTypingByRoom((prev) => ({ ...prev, [typingRoom]: { ...prev[typingRoom], [username]: isTyping } }));
+    });
+
+    // Only changes are sent: starting to type, and stopping
+    const setTyping = (isTyping) => {
+        const target = isTyping ? room : null;
+        if (typingInRef.current === target) return;
+        if (typingInRef.current) client.emit('typing_stop', typingInRef.current);
+        if (target) client.emit('typing_start', target);
+        typingInRef.current = target;
+    };
+
+    // Stop typing in a room once we switch away from it
+    useEffect(() => () => {
+        if (!typingInRef.current) return;
+        client.emit('typing_stop', typingInRef.current);
+        typingInRef.current = null;
+    }, [client, room]);
+
+    const typingUsers = Object.entries((room && typingByRoom[room]) || {})
+        .filter(([username, isTyping]) => isTyping && username !== ownUsername)
+        .map(([username]) => username);
+
+    return { typingUsers, setTyping };
+}
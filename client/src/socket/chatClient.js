@@ -0,0 +1,185 @@
+// client/src/socket/chatClient.js
+// A client for the chat server's socket protocol (see shared/protocol.js) that works with or without React.
+// It owns the Socket.io connection to a configurable server: signing in with a token, resuming this
+// tab's chat session after a reconnect (asking only for the messages we missed), confirming delivery of
+// incoming messages and turning acknowledgements into promises. The hooks in ../hooks build on it.
+
+import io from 'socket.io-client';
+import { ERROR_CODES } from '../../../shared/protocol';
+
+/** @typedef {import('../../../shared/protocol').ClientEvents} ClientEvents */
+/** @typedef {import('../../../shared/protocol').ServerEvents} ServerEvents */
+
+const CHAT_SESSION_ID_KEY = 'chat_session_id'; // Storage key for this tab's resumable chat session
+const DEFAULT_ACK_TIMEOUT_MS = 10000;
+const SIGN_OUT_TIMEOUT_MS = 2000;
+
+// Direct-message conversations have ids like "dm:<userId>:<userId>"; anything else is a room
+export const isConversationId = (id) => id.startsWith('dm:');
+
+// Update a message with a newer copy of it. Encrypted messages come without their text (see
+// encryption.js), so text we already decrypted is kept.
+export const mergeMessage = (existing, incoming) => ({
+    ...existing,
+    ...incoming,
+    ...(existing.decrypted && incoming.encrypted && { message: existing.message })
+});
+
+// Add a message to a list, or update the copy already in it (e.g. our own optimistic message echoed back)
+export const upsertMessage = (messages, incoming) => {
+    const index = incoming.id ? messages.findIndex((msg) => msg.id === incoming.id) : -1;
+    if (index === -1) return [...messages, incoming];
+    const next = [...messages];
+    next[index] = mergeMessage(next[index], incoming);
+    return next;
+};
+
+// An Error for a failed request, with the server's error code (ERROR_CODES) when it gave one
+const requestError = (message, code) => Object.assign(new Error(message), { code });
+
+/**
+ * @param {Object} options
+ * @param {string} options.url The chat server, e.g. 'http://localhost:3000'
+ * @param {number} [options.ackTimeoutMs] How long to wait for acknowledgements
+ * @param {Storage} [options.storage] Where to keep the session id; per tab by default
+ */
+export function createChatClient({ url, ackTimeoutMs = DEFAULT_ACK_TIMEOUT_MS, storage = window.sessionStorage }) {
+    const socket = io(url, { autoConnect: false });
+    let userId = null;
+    let session = null; // The last 'session' event while we are in the chat: { sessionId, rooms }
+    const newestMessageIds = {}; // { [room]: id of the newest message we received in it }
+
+    // Remember the newest message of each room, so a reconnect can ask for only what came after it
+    const trackNewest = (messages) => messages.forEach((msg) => {
+        if (msg.id && msg.room && !msg.isPrivate) newestMessageIds[msg.room] = msg.id;
+    });
+
+    // Tell the server which messages from other people reached us
+    const confirmDelivery = (messages) => {
+        const ids = messages.filter((msg) => msg.id && msg.senderId && msg.senderId !== userId).map((msg) => msg.id);
+        if (ids.length > 0) socket.emit('messages_delivered', { ids });
+    };
+
+    // (Re)connected: enter the chat as the signed-in account, resuming this tab's session if we had one
+    socket.on('connect', () => {
+        socket.emit('join_chat', {
+            sessionId: storage.getItem(CHAT_SESSION_ID_KEY) || undefined,
+            lastMessageIds: { ...newestMessageIds }
+        });
+    });
+    socket.on('disconnect', () => {
+        session = null;
+    });
+    socket.on('session', (started) => {
+        session = started;
+        storage.setItem(CHAT_SESSION_ID_KEY, started.sessionId);
+    });
+
+    socket.on('receive_message', (msg) => {
+        trackNewest([msg]);
+        confirmDelivery([msg]);
+    });
+    ['room_history', 'missed_messages'].forEach((event) => socket.on(event, ({ messages }) => {
+        trackNewest(messages);
+        confirmDelivery(messages);
+    }));
+
+    /**
+     * Listen for a server event. Returns a function that stops listening.
+     * @template {keyof ServerEvents} E
+     * @param {E | 'connect' | 'disconnect' | 'connect_error'} event
+     * @param {(payload: ServerEvents[E]) => void} handler
+     */
+    const on = (event, handler) => {
+        socket.on(event, handler);
+        return () => socket.off(event, handler);
+    };
+
+    /**
+     * Send an event that isn't acknowledged
+     * @template {keyof ClientEvents} E
+     * @param {E} event
+     * @param {ClientEvents[E][0]} payload
+     */
+    const emit = (event, payload) => {
+        socket.emit(event, payload);
+    };
+
+    /**
+     * Send an event and wait for its acknowledgement, successful or not. Rejects if the server doesn't answer in time.
+     * @template {keyof ClientEvents} E
+     * @param {E} event
+     * @param {ClientEvents[E][0]} payload
+     * @returns {Promise<ClientEvents[E][1] | import('../../../shared/protocol').Failure>}
+     */
+    const emitWithAck = (event, payload) => socket.timeout(ackTimeoutMs).emitWithAck(event, payload);
+
+    /**
+     * Like emitWithAck, but rejects with the server's error (and its `code`) unless the request succeeded
+     * @template {keyof ClientEvents} E
+     * @param {E} event
+     * @param {ClientEvents[E][0]} payload
+     * @returns {Promise<ClientEvents[E][1]>}
+     */
+    const request = async (event, payload) => {
+        let response;
+        try {
+            response = await emitWithAck(event, payload);
+        } catch (err) {
+            throw requestError('The server did not respond. Please try again.');
+        }
+        if (!response.ok) throw requestError(response.error, response.code);
+        return response;
+    };
+
+    // Connect as a signed-in account: { token, user } from the server's /api/auth routes
+    const connect = ({ token, user }) => {
+        userId = user.id;
+        socket.auth = { token };
+        socket.connect();
+    };
+
+    // End the chat session right away instead of waiting for its grace period, then disconnect
+    const signOut = () => new Promise((resolve) => {
+        const disconnect = () => {
+            socket.disconnect();
+            resolve();
+        };
+        storage.removeItem(CHAT_SESSION_ID_KEY);
+        Object.keys(newestMessageIds).forEach((room) => delete newestMessageIds[room]);
+        userId = null;
+        session = null;
+        if (!socket.connected) {
+            disconnect();
+            return;
+        }
+        // Wait for the server to end the session before disconnecting, but not forever
+        socket.timeout(SIGN_OUT_TIMEOUT_MS).emit('leave_chat', disconnect);
+    });
+
+    return {
+        socket,
+        on,
+        emit,
+        emitWithAck,
+        request,
+        connect,
+        signOut,
+        disconnect: () => socket.disconnect(),
+        get connected() {
+            return socket.connected;
+        },
+        // False once the connection gave up; until then Socket.io keeps reconnecting by itself
+        get active() {
+            return socket.active;
+        },
+        get session() {
+            return session;
+        },
+        get userId() {
+            return userId;
+        }
+    };
+}
+
+export { ERROR_CODES };
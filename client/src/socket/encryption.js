@@ -0,0 +1,184 @@
+// client/src/socket/encryption.js
+// End-to-end encryption for direct messages, with WebCrypto. Each browser has its own ECDH P-256 key pair
+// per account: the private key is created non-extractable and kept in IndexedDB, and the public key is
+// published through the server ('publish_key'). To send, a message is encrypted with a fresh AES-GCM key,
+// and that key is wrapped for every published key of every participant (our own devices too) with a key
+// agreed by ECDH. The server only ever sees the envelope (EncryptedPayload in shared/protocol.js).
+// Keys are identified by their JWK thumbprint, which users compare as fingerprints to verify each other.
+
+import { keyThumbprintInput } from '../../../shared/protocol';
+
+const DB_NAME = 'chat-e2e';
+const DB_STORE = 'keyPairs'; // { [userId]: { privateKey, publicKey } }
+const ECDH = { name: 'ECDH', namedCurve: 'P-256' };
+const AES_GCM = { name: 'AES-GCM', length: 256 };
+const IV_BYTES = 12;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+export const isEncryptionSupported = () =>
+    typeof window !== 'undefined' && Boolean(window.crypto?.subtle && window.indexedDB);
+
+const toBase64 = (buffer) => btoa(String.fromCharCode(...new Uint8Array(buffer)));
+const fromBase64 = (text) => Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+const toBase64Url = (buffer) => toBase64(buffer).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+const fromBase64Url = (text) => fromBase64(text.replace(/-/g, '+').replace(/_/g, '/'));
+
+// A public key's id: the base64url SHA-256 of its JWK thumbprint input, as the server computes it
+export const thumbprint = async (publicKey) =>
+    toBase64Url(await crypto.subtle.digest('SHA-256', encoder.encode(keyThumbprintInput(publicKey))));
+
+// A key id as groups of hex digits for people to compare, e.g. "3f2a 91c0 ..."
+export const formatFingerprint = (keyId) => Array.from(fromBase64Url(keyId))
+    .map((byte) => byte.toString(16).padStart(2, '0'))
+    .join('')
+    .match(/.{4}/g)
+    .join(' ');
+
+// --- Key storage ---
+
+const openDatabase = () => new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(DB_STORE);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+const withStore = async (mode, run) => {
+    const db = await openDatabase();
+    try {
+        return await new Promise((resolve, reject) => {
+            const request = run(db.transaction(DB_STORE, mode).objectStore(DB_STORE));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    } finally {
+        db.close();
+    }
+};
+
+// This browser's key pair for an account, created the first time
+const loadKeyPair = async (userId) => {
+    const saved = await withStore('readonly', (store) => store.get(userId));
+    if (saved) return saved;
+
+    const { privateKey, publicKey: cryptoKey } = await crypto.subtle.generateKey(ECDH, false, ['deriveKey']);
+    const { kty, crv, x, y } = await crypto.subtle.exportKey('jwk', cryptoKey);
+    const keyPair = { privateKey, publicKey: { kty, crv, x, y } };
+    await withStore('readwrite', (store) => store.put(keyPair, userId));
+    return keyPair;
+};
+
+// --- Encryption ---
+
+const importPublicKey = (publicKey) => crypto.subtle.importKey('jwk', publicKey, ECDH, false, []);
+
+const aesGcm = (iv, additionalData) => ({ name: 'AES-GCM', iv, additionalData });
+
+/**
+ * @param {Object} options
+ * @param {ReturnType<import('./chatClient').createChatClient>} options.client
+ */
+export function createEncryption({ client }) {
+    let own = null; // { userId, keyId, privateKey, publicKey } once set up
+    let settingUp = Promise.resolve(); // The latest setup, which encrypting and decrypting wait for
+    const sharedKeys = new Map(); // Map<key id of the other side, Promise<CryptoKey>>
+
+    // The AES key we share with the holder of `publicKey`, for wrapping content keys
+    const sharedKey = (keyId, publicKey) => {
+        if (!sharedKeys.has(keyId)) {
+            sharedKeys.set(keyId, importPublicKey(publicKey).then((key) => crypto.subtle.deriveKey(
+                { name: 'ECDH', public: key }, own.privateKey, AES_GCM, false, ['encrypt', 'decrypt']
+            )));
+        }
+        return sharedKeys.get(keyId);
+    };
+
+    // Load or create this browser's keys for the signed-in account and publish the public one.
+    // Resolves with our key id.
+    const setup = (userId) => {
+        settingUp = (async () => {
+            if (own?.userId !== userId) {
+                own = null;
+                sharedKeys.clear();
+                const { privateKey, publicKey } = await loadKeyPair(userId);
+                own = { userId, keyId: await thumbprint(publicKey), privateKey, publicKey };
+            }
+            await client.request('publish_key', { publicKey: own.publicKey });
+            return own.keyId;
+        })();
+        return settingUp;
+    };
+
+    const ownKeys = async () => {
+        await settingUp.catch(() => {});
+        if (!own) throw new Error('Encryption is not set up yet.');
+        return own;
+    };
+
+    // The published keys of some users: { [userId]: [{ id, publicKey, createdAt }] }
+    const getKeys = async (userIds) => (await client.request('get_keys', { userIds })).keys;
+
+    /**
+     * Encrypt a message's text for everyone in a conversation. Rejects if someone hasn't published a key yet.
+     * @returns {Promise<import('../../../shared/protocol').EncryptedPayload>}
+     */
+    const encrypt = async (conversationId, participantIds, text) => {
+        const { publicKey: senderKey } = await ownKeys();
+        const keys = await getKeys(participantIds);
+        if (participantIds.some((id) => !keys[id]?.length)) {
+            throw new Error('Everyone in this conversation needs to sign in once before you can send them encrypted messages.');
+        }
+
+        // The conversation id is authenticated too, so the server can't move a message to another conversation
+        const additionalData = encoder.encode(conversationId);
+        const contentKey = await crypto.subtle.generateKey(AES_GCM, true, ['encrypt']);
+        const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+        const ciphertext = await crypto.subtle.encrypt(aesGcm(iv, additionalData), contentKey, encoder.encode(text));
+        const rawKey = await crypto.subtle.exportKey('raw', contentKey);
+
+        const wrapped = await Promise.all(Object.values(keys).flat().map(async ({ id, publicKey }) => {
+            const wrapIv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+            const wrappedKey = await crypto.subtle.encrypt(aesGcm(wrapIv, additionalData), await sharedKey(id, publicKey), rawKey);
+            return [id, { iv: toBase64(wrapIv), wrappedKey: toBase64(wrappedKey) }];
+        }));
+
+        return {
+            v: 1,
+            senderKey,
+            iv: toBase64(iv),
+            ciphertext: toBase64(ciphertext),
+            keys: Object.fromEntries(wrapped)
+        };
+    };
+
+    // The text of an encrypted message. Rejects if it wasn't encrypted for this browser's key or was tampered with.
+    const decrypt = async ({ room, encrypted }) => {
+        const { keyId } = await ownKeys();
+        const entry = encrypted.keys[keyId];
+        if (!entry) throw new Error('This message was not encrypted for this device.');
+
+        const additionalData = encoder.encode(room);
+        try {
+            const wrappingKey = await sharedKey(await thumbprint(encrypted.senderKey), encrypted.senderKey);
+            const rawKey = await crypto.subtle.decrypt(aesGcm(fromBase64(entry.iv), additionalData), wrappingKey, fromBase64(entry.wrappedKey));
+            const contentKey = await crypto.subtle.importKey('raw', rawKey, AES_GCM, false, ['decrypt']);
+            const text = await crypto.subtle.decrypt(aesGcm(fromBase64(encrypted.iv), additionalData), contentKey, fromBase64(encrypted.ciphertext));
+            return decoder.decode(text);
+        } catch (err) {
+            // WebCrypto doesn't say why; a wrong key and a tampered message look the same
+            throw new Error('This message could not be decrypted.');
+        }
+    };
+
+    return {
+        setup,
+        getKeys,
+        encrypt,
+        decrypt,
+        get keyId() {
+            return own?.keyId || null;
+        }
+    };
+}
@@ -0,0 +1,51 @@
+// client/src/socket/notifications.js
+// Desktop notifications (the browser's Notification API) and a notification sound, for messages that
+// arrive while the tab is hidden.
+
+const isSupported = () => typeof window !== 'undefined' && 'Notification' in window;
+
+// 'granted', 'denied', 'default' (not asked yet) or 'unsupported'
+export const getNotificationPermission = () => (isSupported() ? Notification.permission : 'unsupported');
+
+// Ask for permission to show desktop notifications. Browsers only allow this from a click or key press.
+export const requestNotificationPermission = async () => {
+    if (!isSupported()) return 'unsupported';
+    return Notification.requestPermission();
+};
+
+// Show a desktop notification if we're allowed to. Notifications with the same `tag` replace each other,
+// so a busy room doesn't pile them up.
+export const showDesktopNotification = ({ title, body, tag, onClick }) => {
+    if (getNotificationPermission() !== 'granted') return;
+    const notification = new Notification(title, { body, tag });
+    notification.onclick = () => {
+        window.focus();
+        notification.close();
+        if (onClick) onClick();
+    };
+};
+
+let audioContext = null;
+
+// Play a short two-note chime. It's synthesized with the Web Audio API, so there is no sound file to serve.
+export const playNotificationSound = () => {
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContext) return;
+    try {
+        audioContext = audioContext || new AudioContext();
+        const start = audioContext.currentTime;
+        [880, 1320].forEach((frequency, index) => {
+            const oscillator = audioContext.createOscillator();
+            const gain = audioContext.createGain();
+            const noteStart = start + index * 0.12;
+            oscillator.frequency.value = frequency;
+            gain.gain.setValueAtTime(0.15, noteStart);
+            gain.gain.exponentialRampToValueAtTime(0.001, noteStart + 0.3);
+            oscillator.connect(gain).connect(audioContext.destination);
+            oscillator.start(noteStart);
+            oscillator.stop(noteStart + 0.3);
+        });
+    } catch (err) {
+        // Browsers may refuse to play audio before the user has interacted with the page
+    }
+};
@@ -0,0 +1,22 @@
+// client/src/socket/outbox.js
+// Outgoing messages waiting for the server's acknowledgement. The outbox is kept in
+// localStorage (per account) so messages written while offline survive a reload.
+
+const storageKey = (userId) => `chat_outbox_${userId}`;
+
+// Entries are { id, event, payload, message, attempts, failed }, oldest first
+export const loadOutbox = (userId) => {
+    try {
+        return JSON.parse(localStorage.getItem(storageKey(userId))) || [];
+    } catch (err) {
+        return [];
+    }
+};
+
+export const saveOutbox = (userId, entries) => {
+    if (entries.length > 0) {
+        localStorage.setItem(storageKey(userId), JSON.stringify(entries));
+    } else {
+        localStorage.removeItem(storageKey(userId));
+    }
+};
@@ -1,325 +1,1243 @@
 // client/src/App.js
 // This React application serves as the client-side interface for the real-time chat.
-// It uses Socket.io to communicate with the Node.js server.
+// It talks to the Node.js server through the chat client (./chatClient.js) and the hooks in ../hooks.
 
-import React, { useEffect, useState, useRef } from 'react';
-import io from 'socket.io-client';
+import React, { useEffect, useLayoutEffect, useState, useRef } from 'react';
+import AuthForm from '../components/AuthForm';
+import MessageBubble from '../components/MessageBubble';
+import ThreadPanel from '../components/ThreadPanel';
+import CreateRoomDialog from '../components/CreateRoomDialog';
+import RoomSettings from '../components/RoomSettings';
+import ConversationList, { conversationTitle } from '../components/ConversationList';
+import PresenceList from '../components/PresenceList';
+import NewConversationDialog from '../components/NewConversationDialog';
+import EncryptionDialog from '../components/EncryptionDialog';
+import TranscriptDialog from '../components/TranscriptDialog';
+import UploadQueue from '../components/UploadQueue';
+import SearchPanel from '../components/SearchPanel';
+import ToastStack from '../components/ToastStack';
+import { ChatProvider } from '../context/ChatContext';
+import useChat from '../hooks/useChat';
+import useChatEvent from '../hooks/useChatEvent';
+import usePresence from '../hooks/usePresence';
+import useStatus from '../hooks/useStatus';
+import useEncryption from '../hooks/useEncryption';
+import useTyping from '../hooks/useTyping';
+import useRoom from '../hooks/useRoom';
+import useThread from '../hooks/useThread';
+import { MAX_MESSAGE_LENGTH } from '../../../shared/protocol';
+import { createChatClient, isConversationId, mergeMessage, ERROR_CODES } from './chatClient';
+import { loadOutbox, saveOutbox } from './outbox';
+import { uploadFile, nameClipboardFile } from './uploads';
+import {
+    getNotificationPermission,
+    requestNotificationPermission,
+    showDesktopNotification,
+    playNotificationSound
+} from './notifications';
 
-// Establish Socket.io connection to the server
-const socket = io('http://localhost:3000'); // Ensure this matches your server's address and port
+// The chat server; set REACT_APP_SERVER_URL to use another one
+const SERVER_URL = process.env.REACT_APP_SERVER_URL || 'http://localhost:3000';
+const SESSION_STORAGE_KEY = 'chat_session'; // localStorage key for { token, user }
 
-function App() {
+const MAX_SEND_ATTEMPTS = 3; // Unacknowledged sends before a queued message is marked as failed
+
+// Messages get their id on the client, so retries can be recognised and acks matched up
+const createMessageId = () =>
+    window.crypto?.randomUUID?.() || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+
+// Icons for rooms that aren't open to everyone
+const VISIBILITY_ICONS = { 'invite-only': '✉️', private: '🔒' };
+
+// How much to hear about a room or conversation; the server keeps our choice for each one
+const NOTIFICATION_OPTIONS = [
+    { value: 'all', label: '🔔 All messages' },
+    { value: 'mentions', label: '@ Mentions only' },
+    { value: 'muted', label: '🔕 Muted' }
+];
+const TOAST_DURATION_MS = 6000;
+
+// One line describing a message, for notifications. Encrypted messages aren't decrypted yet when they arrive.
+const messagePreview = (msg) => {
+    if (msg.encrypted) return '🔒 Encrypted message';
+    if (msg.action) return `* ${msg.sender} ${msg.message}`;
+    if (msg.message) return msg.message;
+    const count = msg.attachments?.length || 0;
+    return `Sent ${count === 1 ? 'an attachment' : `${count} attachments`}`;
+};
+
+// Read a saved session from a previous visit, if any
+const loadSession = () => {
+    try {
+        return JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY));
+    } catch (err) {
+        return null;
+    }
+};
+
+function ChatApp() {
+    const { client, isConnected, connect, signOut, request } = useChat();
+    const { onlineUsers, lastSeen } = usePresence();
+    const ownStatus = useStatus();
+    const encryption = useEncryption(); // Before our 'session' handler, so the outbox waits for our key
     const [username, setUsername] = useState('');
+    const [userId, setUserId] = useState(null);
     const [isLoggedIn, setIsLoggedIn] = useState(false);
+    const [authError, setAuthError] = useState('');
     const [message, setMessage] = useState('');
-    const [messages, setMessages] = useState([]);
-    const [onlineUsers, setOnlineUsers] = useState([]);
-    const [currentRoom, setCurrentRoom] = useState('general');
-    const [availableRooms, setAvailableRooms] = useState(['general']);
-    const [typingUsers, setTypingUsers] = useState({}); // { username: true/false }
-    const [privateChatTarget, setPrivateChatTarget] = useState(null); // { socketId, username }
+    const [currentRoom, setCurrentRoom] = useState('general'); // The room shown in the main view (we can be in several)
+    const [availableRooms, setAvailableRooms] = useState([]); // Rooms we can see: { id, topic, visibility, role, canJoin, joined, ... }
+    // Maps rather than objects, so room names like "constructor" can't hit Object.prototype
+    const [unreadCounts, setUnreadCounts] = useState(new Map()); // Map<room, { unread, mentions }>
+    const [conversations, setConversations] = useState([]); // Direct-message conversations, most recently active first
+    const [activeConversationId, setActiveConversationId] = useState(null); // Conversation shown instead of a room
+    const [highlightedMessageId, setHighlightedMessageId] = useState(null); // Message we jumped to, shown in context
+    const [threadParentId, setThreadParentId] = useState(null); // Message whose thread is open in the side panel
+    // The room or conversation shown in the main view; unread counts and notification levels are keyed by it
+    const activeView = activeConversationId || currentRoom;
+    const timeline = useRoom(activeView, { around: highlightedMessageId });
+    const thread = useThread(threadParentId);
+    // Typing indicators are only shown in rooms
+    const { typingUsers: roomTypingUsers, setTyping } = useTyping(activeConversationId ? null : currentRoom, username);
+    const [outbox, setOutbox] = useState([]); // Messages waiting for the server's acknowledgement, oldest first
+    const [decrypted, setDecrypted] = useState({}); // { [messageId]: { message, decrypted: true } or { decryptError } }
+    const [uploads, setUploads] = useState([]); // Files attached to the next message: { id, name, size, progress, attachment?, error? }
+    const [isDraggingFile, setIsDraggingFile] = useState(false);
+    const [isSearchOpen, setIsSearchOpen] = useState(false);
+    const [toasts, setToasts] = useState([]); // { id, type, title?, text, message? }
+    const [notificationLevels, setNotificationLevels] = useState(new Map()); // Map<room, 'mentions' | 'muted'>, others are 'all'
+    const [notificationPermission, setNotificationPermission] = useState(getNotificationPermission);
+    const [roomDialog, setRoomDialog] = useState(null); // 'create', 'settings', 'conversation', 'encryption' or 'transcript' while a dialog is open
     const messagesEndRef = useRef(null); // Ref for auto-scrolling to the latest message
+    const messagesContainerRef = useRef(null); // Ref for the scrollable messages container
+    const prependScrollRef = useRef(null); // Scroll height saved before older messages are prepended
+    const fileInputRef = useRef(null);
+    const jumpTargetRef = useRef(null); // Message to scroll to once its context has rendered
+    // Latest values for code that runs outside of rendering, like flushOutbox
+    const currentRoomRef = useRef(currentRoom);
+    const userIdRef = useRef(userId);
+    const openViewsRef = useRef(null); // The open room's timeline and thread
+    currentRoomRef.current = currentRoom;
+    userIdRef.current = userId;
+    openViewsRef.current = { timeline, thread };
+    const reportedReadRef = useRef(new Set()); // Ids of messages we already reported as read
+    const outboxRef = useRef(outbox); // Always up to date, unlike `outbox` while flushOutbox runs
+    const isFlushingRef = useRef(false);
+    const decryptingRef = useRef(new Set()); // Ids of encrypted messages being decrypted
 
-    // Effect to scroll to the bottom of the messages container
-    useEffect(() => {
+    // --- Toasts ---
+
+    const dismissToast = (id) => {
+        setToasts((prev) => prev.filter((toast) => toast.id !== id));
+    };
+
+    // Show a non-blocking notice that goes away by itself
+    const showToast = ({ type = 'info', title, text, message: msg }) => {
+        const id = createMessageId();
+        setToasts((prev) => [...prev, { id, type, title, text, message: msg }]);
+        setTimeout(() => dismissToast(id), TOAST_DURATION_MS);
+    };
+
+    // Effect to keep the scroll position when older messages are prepended, to scroll to a message
+    // we jumped to, and otherwise to scroll to the bottom of the messages container
+    useLayoutEffect(() => {
+        const container = messagesContainerRef.current;
+        if (jumpTargetRef.current && container) {
+            const target = container.querySelector(`[data-message-id="${jumpTargetRef.current}"]`);
+            if (target) {
+                target.scrollIntoView({ block: 'center' });
+                jumpTargetRef.current = null;
+                return;
+            }
+        }
+        if (prependScrollRef.current !== null && container) {
+            container.scrollTop = container.scrollHeight - prependScrollRef.current;
+            prependScrollRef.current = null;
+            return;
+        }
         messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
-    }, [messages]);
+    }, [timeline.messages, outbox]);
 
-    // Socket.io event listeners
+    // Connect with the signed token; the server's handshake middleware checks it
+    const connectWithSession = (session) => {
+        setUsername(session.user.username);
+        setUserId(session.user.id);
+        connect(session);
+    };
+
+    // Restore a saved session from a previous visit
     useEffect(() => {
-        // Event: Receive a message (public or private)
-        socket.on('receive_message', (data) => {
-            setMessages((prevMessages) => [...prevMessages, data]);
-            // Play a sound notification for new messages (optional)
-            // const audio = new Audio('/path/to/notification.mp3');
-            // audio.play().catch(e => console.error("Error playing sound:", e));
-        });
+        const savedSession = loadSession();
+        if (savedSession?.token) {
+            connectWithSession(savedSession);
+        }
+    }, []);
 
-        // Event: Update list of online users
-        socket.on('online_users', (users) => {
-            setOnlineUsers(users);
-        });
+    // (Re)connected. The chat client enters the chat by itself, resuming this tab's session if we had one.
+    useChatEvent('connect', () => {
+        setIsLoggedIn(true);
+        setAuthError('');
+    });
+
+    // Event: The server started or resumed our chat session, with the rooms we are in
+    useChatEvent('session', ({ rooms }) => {
+        if (!rooms.includes(currentRoomRef.current)) {
+            setCurrentRoom('general');
+        }
+        flushOutbox(); // Resend whatever was queued while we were offline, now that the server knows us
+    });
+
+    // The server rejected the token (expired, or the account no longer exists)
+    useChatEvent('connect_error', (err) => {
+        if (!client.active) {
+            localStorage.removeItem(SESSION_STORAGE_KEY);
+            setIsLoggedIn(false);
+            setAuthError(err.message);
+        }
+    });
+
+    // --- Socket.io event listeners ---
+    // The open room's timeline (useRoom), the open thread (useThread), who is online (usePresence) and who
+    // is typing (useTyping) keep themselves up to date; these handlers are for everything else.
+
+    // Event: Receive a message (public or private)
+    useChatEvent('receive_message', (data) => {
+        notifyAboutMessage(data, false);
+    });
+
+    // Event: A user has joined the chat
+    useChatEvent('user_joined', (user) => {
+        timeline.addNotice(`${user.username} has joined the chat.`);
+    });
+
+    // Event: A user has left (all their sessions ended) or went invisible
+    useChatEvent('user_disconnected', ({ userId: disconnectedUserId }) => {
+        const disconnectedUser = onlineUsers.find(u => u.userId === disconnectedUserId);
+        if (disconnectedUser) {
+            timeline.addNotice(`${disconnectedUser.username} has disconnected.`);
+        }
+    });
+
+    // Event: Update available rooms list
+    useChatEvent('available_rooms', (rooms) => {
+        setAvailableRooms(rooms);
+    });
+
+    // Event: Unread and mention counts for all our rooms, sent when joining the chat
+    useChatEvent('unread_counts', (counts) => {
+        setUnreadCounts(new Map(Object.entries(counts)));
+    });
 
-        // Event: A user has joined the chat
-        socket.on('user_joined', (user) => {
-            setOnlineUsers((prevUsers) => {
-                // Prevent duplicates if user already in list
-                if (!prevUsers.some(u => u.socketId === user.socketId)) {
-                    return [...prevUsers, user];
+    // Event: The counts for one room changed (a new message, or it was read in another tab)
+    useChatEvent('unread_update', ({ room, unread, mentions }) => {
+        setUnreadCounts((prev) => new Map(prev).set(room, { unread, mentions }));
+    });
+
+    // Event: Our direct-message conversations, sent when joining the chat
+    useChatEvent('conversations', (list) => {
+        setConversations(list);
+    });
+
+    // Event: A conversation was started or got a new message; move it to the top of the inbox
+    useChatEvent('conversation_updated', (conversation) => {
+        setConversations((prev) => [conversation, ...prev.filter((other) => other.id !== conversation.id)]);
+    });
+
+    // Event: We left a room (possibly in another tab)
+    useChatEvent('room_left', ({ room }) => {
+        leaveRoomView(room);
+    });
+
+    // Event: A page of older messages requested with 'load_older_messages'. useRoom prepends it; the
+    // scroll position is kept so the messages we were reading don't move.
+    useChatEvent('older_messages', ({ room, messages: olderMessages }) => {
+        const container = messagesContainerRef.current;
+        if (room === activeView && container && olderMessages.length > 0) {
+            prependScrollRef.current = container.scrollHeight - container.scrollTop;
+        }
+    });
+
+    // Event: We were kicked or banned from a room, or it was deleted. The server already moved us out of it.
+    useChatEvent('removed_from_room', ({ room, reason }) => {
+        leaveRoomView(room);
+        setRoomDialog(null);
+        showToast({ text: reason === 'deleted' ? `#${room} was deleted.` : `You were ${reason} from #${room}.` });
+    });
+
+    // Event: Someone invited us to a private or invite-only room
+    useChatEvent('room_invitation', ({ room, invitedBy }) => {
+        showToast({ text: `${invitedBy} invited you to #${room}.` });
+    });
+
+    // Event: Someone @mentioned us, maybe in a room we're not looking at (or never joined)
+    useChatEvent('mentioned', ({ message: msg }) => {
+        notifyAboutMessage(msg, true);
+    });
+
+    // Event: Our notification settings, sent when joining the chat
+    useChatEvent('notification_levels', (levels) => {
+        setNotificationLevels(new Map(Object.entries(levels)));
+    });
+
+    // Event: We changed the notification setting of a room or conversation (maybe on another device)
+    useChatEvent('notification_level', ({ room, level }) => {
+        setNotificationLevels((prev) => new Map(prev).set(room, level));
+    });
+
+    // Event: Our account changed, e.g. we were renamed with /nick in this or another tab
+    useChatEvent('account_updated', (account) => {
+        setUsername(account.username);
+        const session = loadSession();
+        if (session) localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify({ ...session, user: account }));
+    });
+
+    // Event: The server refused something we sent without an acknowledgement: { code, message, event? }
+    useChatEvent('error_message', ({ message: text }) => {
+        showToast({ type: 'error', text });
+    });
+
+    // Event: An admin's announcement to everyone online
+    useChatEvent('announcement', ({ message: text, timestamp }) => {
+        showToast({ title: 'Announcement', text });
+        timeline.addNotice(`📢 ${text}`, timestamp);
+    });
+
+    // The server disconnected us (e.g. an admin did). Socket.io doesn't reconnect by itself after that.
+    useChatEvent('disconnect', (reason) => {
+        if (reason === 'io server disconnect') {
+            showToast({ type: 'error', text: 'You were disconnected by the server. Reload the page to reconnect.' });
+        }
+    });
+
+    // Handle a successful sign-in or sign-up
+    const handleAuthenticated = (session) => {
+        localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+        connectWithSession(session);
+    };
+
+    // Sign out: end the chat session right away, forget the token and drop the connection
+    const handleLogout = () => {
+        signOut();
+        localStorage.removeItem(SESSION_STORAGE_KEY);
+        setIsLoggedIn(false);
+        updateOutbox([], { save: false }); // Kept for when we sign in again
+        setDecrypted({});
+        setAvailableRooms([]);
+        setUnreadCounts(new Map());
+        setConversations([]);
+        setActiveConversationId(null);
+        setUploads([]);
+        setToasts([]);
+        setNotificationLevels(new Map());
+        setCurrentRoom('general');
+        setHighlightedMessageId(null);
+        setThreadParentId(null);
+    };
+
+    // --- Outbox ---
+
+    const updateOutbox = (entries, { save = true } = {}) => {
+        outboxRef.current = entries;
+        setOutbox(entries);
+        if (save) saveOutbox(userIdRef.current, entries);
+    };
+
+    const changeOutboxEntry = (id, changes) => {
+        updateOutbox(outboxRef.current.map((item) => (item.id === id ? { ...item, ...changes } : item)));
+    };
+
+    // Send queued messages one at a time, in order, while connected. The server dedupes by id,
+    // so resending a message whose acknowledgement got lost is harmless.
+    const flushOutbox = async () => {
+        if (isFlushingRef.current) return;
+        isFlushingRef.current = true;
+        try {
+            let entry;
+            while (client.connected && (entry = outboxRef.current.find((item) => !item.failed))) {
+                const { id } = entry;
+                let { payload } = entry;
+                if (entry.encryptFor) {
+                    // Encrypted as late as possible, for the keys the participants have published by now
+                    try {
+                        const { message: text, ...rest } = payload;
+                        payload = { ...rest, encrypted: await encryption.encrypt(rest.conversationId, entry.encryptFor, text) };
+                    } catch (err) {
+                        changeOutboxEntry(id, { failed: true, error: err.message });
+                        continue;
+                    }
                 }
-                return prevUsers;
-            });
-            setMessages((prevMessages) => [...prevMessages, {
-                sender: 'System',
-                message: `${user.username} has joined the chat.`,
-                timestamp: new Date().toISOString(),
-                room: user.currentRoom
-            }]);
-        });
 
-        // Event: A user has disconnected
-        socket.on('user_disconnected', (socketId) => {
-            setOnlineUsers((prevUsers) => prevUsers.filter(user => user.socketId !== socketId));
-            const disconnectedUser = onlineUsers.find(u => u.socketId === socketId);
-            if (disconnectedUser) {
-                setMessages((prevMessages) => [...prevMessages, {
-                    sender: 'System',
-                    message: `${disconnectedUser.username} has disconnected.`,
-                    timestamp: new Date().toISOString(),
-                    room: disconnectedUser.currentRoom // Or just general if not tracking per-room
-                }]);
+                let response;
+                try {
+                    response = await client.emitWithAck(entry.event, payload);
+                } catch (err) {
+                    // No acknowledgement in time: try again, up to MAX_SEND_ATTEMPTS
+                    const attempts = entry.attempts + 1;
+                    changeOutboxEntry(id, { attempts, failed: attempts >= MAX_SEND_ATTEMPTS });
+                    continue;
+                }
+
+                if (response?.ok) {
+                    // Shown as sent right away, in case the server's echo of it is still on its way
+                    const sent = mergeMessage(entry.message, response.message);
+                    updateOutbox(outboxRef.current.filter((item) => item.id !== id));
+                    openViewsRef.current.timeline.applyMessage(sent);
+                    openViewsRef.current.thread.applyMessage(sent);
+                } else if (response?.code === ERROR_CODES.RATE_LIMITED) {
+                    // Sending too fast: wait until the server takes messages again, then carry on
+                    await new Promise((resolve) => setTimeout(resolve, response.retryAfterMs));
+                } else {
+                    // The server refused the message; retrying as-is won't help
+                    changeOutboxEntry(id, { failed: true, error: response?.error });
+                }
             }
-        });
+        } finally {
+            isFlushingRef.current = false;
+        }
+    };
 
-        // Event: Typing status update
-        socket.on('typing_status', (data) => {
-            setTypingUsers((prev) => ({
-                ...prev,
-                [data.username]: data.isTyping
-            }));
-        });
+    // Restore messages that were still queued when the page was closed
+    useEffect(() => {
+        if (!userId) return;
+        updateOutbox(loadOutbox(userId), { save: false });
+        flushOutbox();
+    }, [userId]);
 
-        // Event: Update available rooms list
-        socket.on('available_rooms', (rooms) => {
-            setAvailableRooms(rooms);
-        });
+    // Queued messages of the open room or conversation (or thread replies), shown after what the server has
+    const queuedMessages = (isShown) => outbox
+        .filter((entry) => isShown(entry.message))
+        .map((entry) => ({ ...entry.message, status: entry.failed ? 'failed' : 'pending', error: entry.error }));
 
-        // Event: Room changed confirmation from server
-        socket.on('room_changed', (newRoom) => {
-            setCurrentRoom(newRoom);
-            setMessages([]); // Clear messages when changing rooms
-            setTypingUsers({}); // Clear typing indicators
-            setPrivateChatTarget(null); // Exit private chat when changing rooms
-        });
+    // Decrypt encrypted direct messages as they come in, once our key is set up
+    useEffect(() => {
+        if (!encryption.ready) return;
+        [...timeline.messages, thread.parent, ...thread.replies]
+            .filter((msg) => msg?.encrypted && !msg.decrypted && !msg.deleted && !decrypted[msg.id] && !decryptingRef.current.has(msg.id))
+            .forEach((msg) => {
+                decryptingRef.current.add(msg.id);
+                encryption.decrypt(msg)
+                    .then((text) => ({ message: text, decrypted: true }), (err) => ({ decryptError: err.message }))
+                    .then((result) => setDecrypted((prev) => ({ ...prev, [msg.id]: result })))
+                    .finally(() => decryptingRef.current.delete(msg.id));
+            });
+    }, [timeline.messages, thread.parent, thread.replies, encryption.ready]);
 
-        // Event: Error messages from the server
-        socket.on('error_message', (msg) => {
-            alert(`Error: ${msg}`); // Use a custom modal in a real app
-        });
+    // A message as we show it: with its text if it's encrypted and we decrypted it
+    const withDecryptedText = (msg) => (msg.encrypted && !msg.decrypted && decrypted[msg.id] ? { ...msg, ...decrypted[msg.id] } : msg);
 
-        // Event: Room users update (for displaying users in current room)
-        socket.on('room_users_update', (data) => {
-            // This event is useful if you want to show users *within* the current active room
-            // For simplicity, we are using the general 'online_users' for now.
-            // If you implement a dedicated room users list, update state here.
-            console.log(`Users in room ${data.room}: ${data.users.join(', ')}`);
-        });
+    // Queue a failed message again
+    const retryMessage = (id) => {
+        changeOutboxEntry(id, { attempts: 0, failed: false, error: undefined });
+        flushOutbox();
+    };
+
+    // Give up on a failed message
+    const discardMessage = (id) => {
+        updateOutbox(outboxRef.current.filter((item) => item.id !== id));
+    };
 
-        // Clean up socket listeners on component unmount
-        return () => {
-            socket.off('receive_message');
-            socket.off('online_users');
-            socket.off('user_joined');
-            socket.off('user_disconnected');
-            socket.off('typing_status');
-            socket.off('available_rooms');
-            socket.off('room_changed');
-            socket.off('error_message');
-            socket.off('room_users_update');
+    // Send a message to the open room or conversation (optionally as a reply in a thread, or with
+    // uploaded attachments). It goes into the outbox and shows up right away as pending;
+    // the server's acknowledgement marks it sent.
+    const queueMessage = (text, replyTo, attachments = []) => {
+        const id = createMessageId();
+        const encryptFor = activeConversationId && encryption.isEncrypted(activeConversationId)
+            ? activeConversation.participants.map((person) => person.userId)
+            : null;
+        const payload = {
+            id,
+            ...(activeConversationId ? { conversationId: activeConversationId } : { room: currentRoom }),
+            message: text,
+            ...(replyTo && { replyTo }),
+            ...(attachments.length > 0 && { attachments: attachments.map((attachment) => attachment.id) })
+        };
+        const localMessage = {
+            ...payload,
+            attachments,
+            room: activeConversationId || currentRoom,
+            senderId: userId,
+            sender: username,
+            timestamp: new Date().toISOString(),
+            ...(activeConversationId
+                ? { isPrivate: true, deliveredTo: [], readBy: [] }
+                : { deliveredCount: 0, readCount: 0 }),
+            ...(encryptFor && { encrypted: true, decrypted: true })
         };
-    }, [onlineUsers]); // Added onlineUsers to dependency array to ensure disconnectedUser lookup works
 
-    // Handle user joining the chat
-    const handleJoinChat = () => {
-        if (username.trim()) {
-            socket.emit('join_chat', username.trim());
-            setIsLoggedIn(true);
-        } else {
-            alert('Please enter a username.');
+        updateOutbox([...outboxRef.current, {
+            id,
+            event: activeConversationId ? 'send_private_message' : 'send_message',
+            payload,
+            message: localMessage,
+            ...(encryptFor && { encryptFor }),
+            attempts: 0,
+            failed: false
+        }]);
+        flushOutbox();
+    };
+
+    // Run a slash command on the server, e.g. "/join random". Its response may open a room or carry a notice for us.
+    const runCommand = async (text) => {
+        try {
+            const response = await request('run_command', { text, room: activeView });
+            if (response.open) showRoom(response.open);
+            if (response.notice) timeline.addNotice(response.notice);
+        } catch (err) {
+            showToast({ type: 'error', text: err.message });
         }
     };
 
-    // Handle sending a message (public or private)
+    // Handle sending a message from the main composer, with whatever finished uploading.
+    // Text starting with a slash is a command; start it with two slashes to send it as a message.
     const handleSendMessage = (e) => {
         e.preventDefault();
-        if (message.trim()) {
-            if (privateChatTarget) {
-                socket.emit('send_private_message', {
-                    receiverSocketId: privateChatTarget.socketId,
-                    message: message.trim()
-                });
-            } else {
-                socket.emit('send_message', { message: message.trim() });
-            }
-            setMessage('');
-            socket.emit('typing_stop', currentRoom); // Stop typing after sending
+        const attachments = uploads.filter((upload) => upload.attachment).map((upload) => upload.attachment);
+        const text = message.trim();
+        if (isUploading || (!text && attachments.length === 0)) return;
+        if (attachments.length > 0 && activeConversationId && encryption.isEncrypted(activeConversationId)) {
+            showToast({ type: 'error', text: 'Attachments cannot be encrypted yet. Turn off encryption to send them.' });
+            return;
+        }
+
+        if (/^\/[a-z]/i.test(text) && attachments.length === 0) {
+            runCommand(text);
+        } else {
+            queueMessage(text.startsWith('//') ? text.slice(1) : text, undefined, attachments);
+            setUploads([]);
+        }
+        setMessage('');
+        setTyping(false); // Stop typing after sending
+    };
+
+    // --- Attachments ---
+
+    const updateUpload = (id, changes) => {
+        setUploads((prev) => prev.map((upload) => (upload.id === id ? { ...upload, ...changes } : upload)));
+    };
+
+    // Start uploading files picked, dropped or pasted into the composer
+    const attachFiles = (files) => {
+        const token = loadSession()?.token;
+        Array.from(files).forEach((file) => {
+            const id = createMessageId();
+            setUploads((prev) => [...prev, { id, name: file.name, size: file.size, progress: 0 }]);
+            uploadFile(SERVER_URL, token, file, (progress) => updateUpload(id, { progress }))
+                .then((attachment) => updateUpload(id, { attachment, progress: 1 }))
+                .catch((err) => updateUpload(id, { error: err.message }));
+        });
+    };
+
+    const removeUpload = (id) => {
+        setUploads((prev) => prev.filter((upload) => upload.id !== id));
+    };
+
+    const isUploading = uploads.some((upload) => !upload.attachment && !upload.error);
+
+    const handleDragOver = (e) => {
+        if (!Array.from(e.dataTransfer.types).includes('Files')) return;
+        e.preventDefault();
+        setIsDraggingFile(true);
+    };
+
+    const handleDrop = (e) => {
+        e.preventDefault();
+        setIsDraggingFile(false);
+        if (e.dataTransfer.files.length > 0) attachFiles(e.dataTransfer.files);
+    };
+
+    // Pasting a screenshot (or a copied file) attaches it; pasting text works as usual
+    const handlePaste = (e) => {
+        const files = Array.from(e.clipboardData.files);
+        if (files.length === 0) return;
+        e.preventDefault();
+        attachFiles(files.map(nameClipboardFile));
+    };
+
+    // --- Editing, deleting and threads ---
+
+    // Edit or delete a message, or report why it was refused. The change reaches us like everyone else,
+    // as 'message_updated'.
+    const changeMessage = async (event, payload) => {
+        try {
+            await request(event, payload);
+        } catch (err) {
+            showToast({ type: 'error', text: err.message });
         }
     };
 
-    // Handle typing status
+    const editMessage = (id, text) => changeMessage('edit_message', { id, message: text });
+
+    const deleteMessage = (id) => changeMessage('delete_message', { id });
+
+    // Add a reaction, or take it back if we already reacted with that emoji. The new reactions reach us
+    // as 'message_reactions'; if the server doesn't answer, they stay as they were.
+    const toggleReaction = (id, emoji, alreadyReacted) => {
+        client.emitWithAck(alreadyReacted ? 'remove_reaction' : 'add_reaction', { id, emoji }).then((response) => {
+            if (!response.ok) showToast({ type: 'error', text: response.error });
+        }, () => {});
+    };
+
+    // Open a thread in the side panel; useThread loads all of its replies
+    const openThread = (id) => {
+        setIsSearchOpen(false);
+        setThreadParentId(id);
+    };
+
+    // Handle typing status: we are typing while the composer isn't empty
     const handleTyping = (e) => {
         setMessage(e.target.value);
-        if (e.target.value.length > 0) {
-            socket.emit('typing_start', currentRoom);
-        } else {
-            socket.emit('typing_stop', currentRoom);
+        setTyping(e.target.value.length > 0);
+    };
+
+    // --- Rooms ---
+
+    // Show another room we are in; useRoom loads its latest messages
+    const showRoom = (roomId) => {
+        setCurrentRoom(roomId);
+        setActiveConversationId(null); // Leave the open conversation when changing rooms
+        setHighlightedMessageId(null);
+        setThreadParentId(null);
+    };
+
+    // Stop showing a room we are no longer in
+    const leaveRoomView = (roomId) => {
+        if (currentRoomRef.current === roomId) {
+            setCurrentRoom('general');
+            setHighlightedMessageId(null);
+            setThreadParentId(null);
+        }
+        setUnreadCounts((prev) => {
+            const next = new Map(prev);
+            next.delete(roomId);
+            return next;
+        });
+    };
+
+    // Open a room from the sidebar, joining it first if we aren't in it yet
+    const handleJoinRoom = async (room) => {
+        if (room.joined) {
+            showRoom(room.id);
+            return;
+        }
+        if (!room.canJoin) {
+            showToast({ text: `#${room.id} is invite-only. Ask a moderator for an invite.` });
+            return;
+        }
+        try {
+            await request('join_room', room.id);
+            showRoom(room.id);
+        } catch (err) {
+            showToast({ type: 'error', text: err.message });
+        }
+    };
+
+    // Open a #room link from a message
+    const openRoomLink = (roomId) => {
+        const room = availableRooms.find((other) => other.id === roomId);
+        if (room) handleJoinRoom(room);
+    };
+
+    const handleLeaveRoom = async () => {
+        try {
+            await request('leave_room', { room: currentRoom });
+        } catch (err) {
+            showToast({ type: 'error', text: err.message });
+        }
+    };
+
+    const currentRoomInfo = availableRooms.find((room) => room.id === currentRoom);
+    const activeConversation = conversations.find((conversation) => conversation.id === activeConversationId);
+
+    // Infinite scroll: load earlier messages when the user scrolls near the top
+    const handleMessagesScroll = (e) => {
+        if (e.target.scrollTop < 50) {
+            timeline.loadOlder();
         }
     };
 
-    // Handle joining a different room
-    const handleJoinRoom = (roomName) => {
-        if (roomName !== currentRoom) {
-            socket.emit('join_room', roomName);
+    // --- Direct Messages ---
+
+    // Show a conversation; useRoom loads its latest messages
+    const openConversation = (id) => {
+        setActiveConversationId(id);
+        setHighlightedMessageId(null);
+        setThreadParentId(null);
+    };
+
+    // Start (or reopen) a conversation with these users
+    const startConversation = async (userIds) => {
+        try {
+            const { conversation } = await request('start_conversation', { userIds });
+            handleConversationStarted(conversation);
+        } catch (err) {
+            showToast({ type: 'error', text: err.message });
         }
     };
 
-    // Start a private chat
-    const startPrivateChat = (user) => {
-        setPrivateChatTarget(user);
-        setMessages([]); // Clear messages for new private chat view
-        alert(`Starting private chat with ${user.username}`);
+    const handleConversationStarted = (conversation) => {
+        setRoomDialog(null);
+        setConversations((prev) =>
+            prev.some((other) => other.id === conversation.id) ? prev : [conversation, ...prev]
+        );
+        openConversation(conversation.id);
+    };
+
+    // Go back to the current room
+    const closeConversation = () => {
+        setActiveConversationId(null);
+        setHighlightedMessageId(null);
+        setThreadParentId(null);
+    };
+
+    // People we can start a conversation with: whoever is online, plus anyone we talked to before
+    const knownPeople = [
+        ...onlineUsers,
+        ...conversations.flatMap((conversation) => conversation.participants)
+    ].filter((person, index, list) =>
+        person.userId !== userId && list.findIndex((other) => other.userId === person.userId) === index
+    );
+
+    // People we talked to who aren't online, most recently seen first
+    const offlinePeople = conversations
+        .flatMap((conversation) => conversation.participants)
+        .filter((person, index, list) =>
+            person.userId !== userId &&
+            !onlineUsers.some((user) => user.userId === person.userId) &&
+            list.findIndex((other) => other.userId === person.userId) === index
+        )
+        .map((person) => ({ ...person, lastSeen: lastSeen[person.userId] || person.lastSeen }))
+        .sort((a, b) => (b.lastSeen || '').localeCompare(a.lastSeen || ''));
+
+    const changeStatus = (changes) => {
+        ownStatus.setStatus(changes).catch((err) => showToast({ type: 'error', text: err.message }));
+    };
+
+    // --- Search ---
+
+    // Where a search result lives, e.g. "#general" or "alice, bob"
+    const describeLocation = (roomKey) => {
+        const conversation = conversations.find((other) => other.id === roomKey);
+        if (conversation) return conversationTitle(conversation, userId);
+        return isConversationId(roomKey) ? 'Direct message' : `#${roomKey}`;
     };
 
-    // Exit private chat
-    const exitPrivateChat = () => {
-        setPrivateChatTarget(null);
-        setMessages([]); // Clear private messages
-        alert(`Exited private chat. Back to ${currentRoom} room.`);
+    const toggleSearch = () => {
+        setThreadParentId(null);
+        setIsSearchOpen((open) => !open);
     };
 
-    // Filter messages based on current room or private chat target
-    const getFilteredMessages = () => {
-        if (privateChatTarget) {
-            return messages.filter(
-                (msg) =>
-                    msg.isPrivate &&
-                    ((msg.sender === username && msg.receiver === privateChatTarget.username) ||
-                     (msg.sender === privateChatTarget.username && msg.receiver === username))
-            );
+    // Show a message from the search results in context: switch to its room or conversation, where
+    // useRoom loads the page around it, and scroll to it. Replies are shown in their thread.
+    const jumpToMessage = async (result) => {
+        const isConversation = isConversationId(result.room);
+        const room = availableRooms.find((other) => other.id === result.room);
+        if (!isConversation && room && !room.joined) {
+            try {
+                await request('join_room', room.id);
+            } catch (err) {
+                showToast({ type: 'error', text: err.message });
+                return;
+            }
+        }
+
+        const targetId = result.replyTo || result.id;
+        if (isConversation) {
+            setActiveConversationId(result.room);
         } else {
-            return messages.filter((msg) => msg.room === currentRoom && !msg.isPrivate);
+            setCurrentRoom(result.room);
+            setActiveConversationId(null);
+        }
+        jumpTargetRef.current = targetId;
+        setHighlightedMessageId(targetId);
+        if (result.replyTo) {
+            openThread(result.replyTo);
         }
     };
 
+    // The message we jumped to is gone, or we can't see it anymore
+    useEffect(() => {
+        if (!timeline.error) return;
+        showToast({ type: 'error', text: timeline.error });
+        setHighlightedMessageId(null);
+    }, [timeline.error]);
+
+    // The thread's parent is gone, we can't see it anymore, or the server didn't answer
+    useEffect(() => {
+        if (thread.error) showToast({ type: 'error', text: thread.error });
+    }, [thread.error]);
+
+    // --- Notifications ---
+
+    // Tell the user about a new message as their setting for its room or conversation allows: with a desktop
+    // notification and a sound while the tab is hidden, or a toast when it's somewhere they aren't looking.
+    // Mentions arrive separately (see 'mentioned'), so they are only handled when `isMention` is set.
+    const notifyAboutMessage = (msg, isMention) => {
+        if (!msg.senderId || msg.senderId === userId) return;
+        if (!isMention && (msg.mentions?.includes(userId) || msg.replyTo)) return;
+
+        const level = notificationLevels.get(msg.room) || 'all';
+        if (level === 'muted' || (level === 'mentions' && !isMention)) return;
+
+        const title = `${msg.sender} ${isMention ? 'mentioned you in' : 'in'} ${describeLocation(msg.room)}`;
+        if (document.visibilityState === 'hidden') {
+            showDesktopNotification({ title, body: messagePreview(msg), tag: msg.room, onClick: () => jumpToMessage(msg) });
+            playNotificationSound();
+        } else if (msg.room !== activeView) {
+            showToast({ type: 'message', title, text: messagePreview(msg), message: msg });
+        }
+    };
+
+    const enableDesktopNotifications = async () => {
+        setNotificationPermission(await requestNotificationPermission());
+    };
+
+    const changeNotificationLevel = async (level) => {
+        try {
+            await request('set_notification_level', { room: activeView, level });
+        } catch (err) {
+            showToast({ type: 'error', text: err.message });
+        }
+    };
+
+    // After jumping to an older message, go back to the newest page (useRoom loads it)
+    const jumpToLatest = () => {
+        setHighlightedMessageId(null);
+    };
+
+    // Messages of the open room or conversation, then those still in the outbox.
+    // Replies are shown in the thread panel rather than the main timeline.
+    const timelineMessages = [
+        ...timeline.messages,
+        ...queuedMessages((msg) => msg.room === activeView && !msg.replyTo)
+    ].map(withDecryptedText);
+
+    // Until the thread is loaded, its parent is the copy in the timeline
+    const threadParent = threadParentId && (thread.parent || timeline.messages.find((msg) => msg.id === threadParentId));
+    const threadReplies = [
+        ...thread.replies,
+        ...queuedMessages((msg) => msg.replyTo === threadParentId)
+    ].map(withDecryptedText);
+
+    // Actions available on every message bubble
+    const bubbleActions = {
+        currentUserId: userId,
+        currentUsername: username,
+        roomIds: availableRooms.map((room) => room.id),
+        onOpenRoom: openRoomLink,
+        onReply: openThread,
+        onEdit: editMessage,
+        onDelete: deleteMessage,
+        onToggleReaction: toggleReaction,
+        onRetry: retryMessage,
+        onDiscard: discardMessage,
+        serverUrl: SERVER_URL
+    };
+
+    // Report messages from others in the open conversation as read, while the tab is visible
+    useEffect(() => {
+        const reportRead = () => {
+            if (document.visibilityState !== 'visible' || !client.connected) return;
+            const ids = [...timelineMessages, ...threadReplies]
+                .filter((msg) => msg.id && msg.senderId && msg.senderId !== userId && !reportedReadRef.current.has(msg.id))
+                .map((msg) => msg.id);
+            if (ids.length > 0) {
+                ids.forEach((id) => reportedReadRef.current.add(id));
+                client.emit('messages_read', { ids });
+            }
+        };
+
+        reportRead();
+        document.addEventListener('visibilitychange', reportRead);
+        return () => document.removeEventListener('visibilitychange', reportRead);
+    }, [timeline.messages, thread.replies, activeView, userId, isConnected]);
+
+    // Clear the unread counter of the room or conversation we are looking at, while the tab is visible
+    useEffect(() => {
+        const markRoomRead = () => {
+            if (document.visibilityState !== 'visible' || !client.connected) return;
+            const counts = unreadCounts.get(activeView);
+            if (counts?.unread || counts?.mentions) {
+                setUnreadCounts((prev) => new Map(prev).set(activeView, { unread: 0, mentions: 0 }));
+                client.emit('mark_room_read', { room: activeView });
+            }
+        };
+
+        markRoomRead();
+        document.addEventListener('visibilitychange', markRoomRead);
+        return () => document.removeEventListener('visibilitychange', markRoomRead);
+    }, [unreadCounts, activeView, isConnected]);
+
+    const joinedRooms = availableRooms.filter((room) => room.joined);
+    const otherRooms = availableRooms.filter((room) => !room.joined);
+
     return (
         <div className="min-h-screen bg-gray-100 flex flex-col items-center justify-center p-4 font-inter">
             {!isLoggedIn ? (
                 // Login Screen
-                <div className="bg-white p-8 rounded-lg shadow-lg w-full max-w-md">
-                    <h1 className="text-3xl font-bold text-center text-gray-800 mb-6">Join Chat</h1>
-                    <input
-                        type="text"
-                        placeholder="Enter your username"
-                        className="w-full p-3 mb-4 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                        value={username}
-                        onChange={(e) => setUsername(e.target.value)}
-                        onKeyPress={(e) => e.key === 'Enter' && handleJoinChat()}
-                    />
-                    <button
-                        onClick={handleJoinChat}
-                        className="w-full bg-blue-600 text-white p-3 rounded-md hover:bg-blue-700 transition duration-300 ease-in-out shadow-md"
-                    >
-                        Join Chat
-                    </button>
-                </div>
+                <AuthForm serverUrl={SERVER_URL} onAuthenticated={handleAuthenticated} error={authError} />
             ) : (
                 // Chat Application
                 <div className="flex flex-col md:flex-row bg-white rounded-lg shadow-lg w-full max-w-6xl h-[90vh] overflow-hidden">
                     {/* Sidebar for Online Users and Rooms */}
                     <div className="w-full md:w-1/4 bg-gray-50 border-r border-gray-200 p-4 flex flex-col">
-                        <h2 className="text-xl font-semibold text-gray-800 mb-4">Online Users</h2>
-                        <ul className="flex-grow overflow-y-auto mb-4">
-                            {onlineUsers.map((user) => (
-                                <li
-                                    key={user.socketId}
-                                    className={`flex items-center p-2 rounded-md mb-2 cursor-pointer ${user.socketId === socket.id ? 'bg-blue-100 text-blue-800' : 'hover:bg-gray-200'}`}
-                                    onClick={() => user.socketId !== socket.id && startPrivateChat(user)}
-                                >
-                                    <span className={`w-2 h-2 rounded-full mr-2 ${user.socketId === socket.id ? 'bg-blue-500' : 'bg-green-500'}`}></span>
-                                    <span className="font-medium">{user.username}</span>
-                                    {user.socketId === socket.id && <span className="ml-auto text-sm text-blue-600">(You)</span>}
-                                </li>
-                            ))}
-                        </ul>
+                        <div className="flex justify-between items-center mb-4">
+                            <h2 className="text-xl font-semibold text-gray-800">Online Users</h2>
+                            <button onClick={handleLogout} className="text-sm text-gray-500 hover:text-red-600">
+                                Sign out
+                            </button>
+                        </div>
+                        <PresenceList
+                            currentUser={{ userId, username }}
+                            ownStatus={ownStatus}
+                            onSetStatus={changeStatus}
+                            onlineUsers={onlineUsers}
+                            offlinePeople={offlinePeople}
+                            onSelect={(id) => startConversation([id])}
+                        />
+
+                        {notificationPermission === 'default' && (
+                            <button
+                                onClick={enableDesktopNotifications}
+                                className="mb-4 p-2 text-sm text-left text-blue-600 bg-blue-50 rounded-md hover:bg-blue-100"
+                            >
+                                🔔 Turn on desktop notifications
+                            </button>
+                        )}
+
+                        <ConversationList
+                            conversations={conversations}
+                            unreadCounts={unreadCounts}
+                            notificationLevels={notificationLevels}
+                            activeConversationId={activeConversationId}
+                            currentUserId={userId}
+                            onOpen={openConversation}
+                            onNew={() => setRoomDialog('conversation')}
+                        />
 
-                        <h2 className="text-xl font-semibold text-gray-800 mb-4 mt-auto">Rooms</h2>
+                        <div className="flex justify-between items-center mb-4 mt-auto">
+                            <h2 className="text-xl font-semibold text-gray-800">Rooms</h2>
+                            <button
+                                onClick={() => setRoomDialog('create')}
+                                className="text-sm text-blue-600 hover:underline"
+                                title="Create a room"
+                            >
+                                + New
+                            </button>
+                        </div>
                         <ul className="overflow-y-auto">
-                            {availableRooms.map((room) => (
-                                <li
-                                    key={room}
-                                    className={`p-2 rounded-md mb-2 cursor-pointer ${currentRoom === room ? 'bg-blue-500 text-white' : 'hover:bg-gray-200'}`}
-                                    onClick={() => handleJoinRoom(room)}
-                                >
-                                    # {room}
-                                </li>
-                            ))}
+                            {joinedRooms.map((room) => {
+                                const counts = unreadCounts.get(room.id);
+                                const isActive = currentRoom === room.id && !activeConversationId;
+                                return (
+                                    <li
+                                        key={room.id}
+                                        className={`flex items-center p-2 rounded-md mb-2 cursor-pointer ${isActive ? 'bg-blue-500 text-white' : 'hover:bg-gray-200'}`}
+                                        onClick={() => handleJoinRoom(room)}
+                                        title={room.topic || undefined}
+                                    >
+                                        <span className={counts?.unread && !isActive ? 'font-semibold' : undefined}># {room.id}</span>
+                                        {VISIBILITY_ICONS[room.visibility] && (
+                                            <span className="ml-1 text-xs" title={room.visibility}>{VISIBILITY_ICONS[room.visibility]}</span>
+                                        )}
+                                        {notificationLevels.get(room.id) === 'muted' && <span className="ml-1 text-xs" title="Muted">🔕</span>}
+                                        {!isActive && counts?.mentions > 0 && (
+                                            <span className="ml-auto px-2 rounded-full bg-red-500 text-white text-xs" title="Mentions">
+                                                @{counts.mentions}
+                                            </span>
+                                        )}
+                                        {!isActive && counts?.unread > 0 && (
+                                            <span className={`${counts.mentions > 0 ? 'ml-1' : 'ml-auto'} px-2 rounded-full bg-gray-300 text-gray-800 text-xs`} title="Unread messages">
+                                                {counts.unread}
+                                            </span>
+                                        )}
+                                    </li>
+                                );
+                            })}
                         </ul>
+                        {otherRooms.length > 0 && (
+                            <>
+                                <h3 className="text-sm font-medium text-gray-500 mb-2">Other rooms</h3>
+                                <ul className="overflow-y-auto">
+                                    {otherRooms.map((room) => (
+                                        <li
+                                            key={room.id}
+                                            className={`flex items-center p-2 rounded-md mb-2 cursor-pointer ${room.canJoin ? 'text-gray-600 hover:bg-gray-200' : 'text-gray-400 hover:bg-gray-100'}`}
+                                            onClick={() => handleJoinRoom(room)}
+                                            title={room.topic || undefined}
+                                        >
+                                            <span># {room.id}</span>
+                                            {VISIBILITY_ICONS[room.visibility] && (
+                                                <span className="ml-1 text-xs" title={room.visibility}>{VISIBILITY_ICONS[room.visibility]}</span>
+                                            )}
+                                            {room.canJoin && <span className="ml-auto text-xs text-blue-600">Join</span>}
+                                        </li>
+                                    ))}
+                                </ul>
+                            </>
+                        )}
                     </div>
 
-                    {/* Main Chat Area */}
-                    <div className="flex-1 flex flex-col p-4">
+                    {/* Main Chat Area (files can be dropped anywhere on it) */}
+                    <div
+                        className={`relative flex-1 flex flex-col p-4 ${isDraggingFile ? 'ring-4 ring-inset ring-blue-300' : ''}`}
+                        onDragOver={handleDragOver}
+                        onDragLeave={(e) => !e.currentTarget.contains(e.relatedTarget) && setIsDraggingFile(false)}
+                        onDrop={handleDrop}
+                    >
+                        {isDraggingFile && (
+                            <div className="absolute inset-0 z-10 flex items-center justify-center bg-blue-50 bg-opacity-80 text-blue-700 font-semibold pointer-events-none">
+                                Drop files to attach them
+                            </div>
+                        )}
                         <div className="flex justify-between items-center mb-4 pb-2 border-b border-gray-200">
-                            <h2 className="text-2xl font-bold text-gray-800">
-                                {privateChatTarget ? `Private Chat with ${privateChatTarget.username}` : `Room: #${currentRoom}`}
-                            </h2>
-                            {privateChatTarget && (
+                            <div className="min-w-0">
+                                <h2 className="text-2xl font-bold text-gray-800">
+                                    {activeConversation ? conversationTitle(activeConversation, userId) : `Room: #${currentRoom}`}
+                                </h2>
+                                {activeConversation?.participants.length > 2 && (
+                                    <p className="text-sm text-gray-500">Group conversation with {activeConversation.participants.length} people</p>
+                                )}
+                                {!activeConversationId && currentRoomInfo?.topic && (
+                                    <p className="text-sm text-gray-500 truncate">{currentRoomInfo.topic}</p>
+                                )}
+                            </div>
+                            <select
+                                value={notificationLevels.get(activeView) || 'all'}
+                                onChange={(e) => changeNotificationLevel(e.target.value)}
+                                className="ml-auto mr-2 p-1 text-sm text-gray-600 border border-gray-300 rounded-md"
+                                title="Notifications"
+                            >
+                                {NOTIFICATION_OPTIONS.map((option) => (
+                                    <option key={option.value} value={option.value}>{option.label}</option>
+                                ))}
+                            </select>
+                            <button
+                                onClick={toggleSearch}
+                                className={`mr-2 ${isSearchOpen ? 'text-blue-600' : 'text-gray-500 hover:text-gray-800'}`}
+                                title="Search messages"
+                            >
+                                🔍
+                            </button>
+                            {!activeConversationId && currentRoom !== 'general' && (
+                                <button
+                                    onClick={handleLeaveRoom}
+                                    className="mr-2 text-sm text-gray-500 hover:text-red-600"
+                                >
+                                    Leave
+                                </button>
+                            )}
+                            {!activeConversationId && (
+                                <button
+                                    onClick={() => setRoomDialog('settings')}
+                                    className="mr-2 text-gray-500 hover:text-gray-800"
+                                    title="Room settings"
+                                >
+                                    ⚙️
+                                </button>
+                            )}
+                            <button
+                                onClick={() => setRoomDialog('transcript')}
+                                className="mr-2 text-gray-500 hover:text-gray-800"
+                                title="Export history"
+                            >
+                                📄
+                            </button>
+                            {activeConversationId && (
+                                <button
+                                    onClick={() => setRoomDialog('encryption')}
+                                    className={`mr-2 ${encryption.isEncrypted(activeConversationId) ? 'text-blue-600' : 'text-gray-500 hover:text-gray-800 opacity-60'}`}
+                                    title={encryption.isEncrypted(activeConversationId) ? 'Messages you send are encrypted' : 'Encryption'}
+                                >
+                                    🔒
+                                </button>
+                            )}
+                            {!isConnected && (
+                                <span className="text-sm text-yellow-600">Reconnecting...</span>
+                            )}
+                            {activeConversationId && (
                                 <button
-                                    onClick={exitPrivateChat}
+                                    onClick={closeConversation}
                                     className="bg-red-500 text-white px-3 py-1 rounded-md text-sm hover:bg-red-600 transition duration-300"
                                 >
-                                    Exit Private Chat
+                                    Back to #{currentRoom}
                                 </button>
                             )}
                         </div>
 
                         {/* Messages Display */}
-                        <div className="flex-1 overflow-y-auto p-2 mb-4 bg-gray-50 rounded-md border border-gray-200">
-                            {getFilteredMessages().map((msg, index) => (
-                                <div
-                                    key={index}
-                                    className={`mb-3 p-3 rounded-lg max-w-[80%] ${msg.sender === username ? 'bg-blue-500 text-white ml-auto' : 'bg-gray-200 text-gray-800 mr-auto'}`}
+                        <div
+                            ref={messagesContainerRef}
+                            onScroll={handleMessagesScroll}
+                            role="log"
+                            aria-label="Messages"
+                            className="flex-1 overflow-y-auto p-2 mb-4 bg-gray-50 rounded-md border border-gray-200"
+                        >
+                            {timeline.hasMore && (
+                                <button
+                                    onClick={timeline.loadOlder}
+                                    disabled={timeline.isLoading}
+                                    className="block mx-auto mb-3 text-sm text-blue-600 hover:underline disabled:text-gray-400"
                                 >
-                                    <div className="font-semibold text-sm mb-1">
-                                        {msg.sender === username ? 'You' : msg.sender}
-                                        {msg.isPrivate && msg.receiver && (
-                                            <span className="ml-2 text-xs opacity-80">
-                                                {msg.sender === username ? `to ${msg.receiver}` : `(private)`}
-                                            </span>
-                                        )}
-                                    </div>
-                                    <p className="text-base break-words">{msg.message}</p>
-                                    <div className="text-right text-xs opacity-70 mt-1">
-                                        {new Date(msg.timestamp).toLocaleTimeString()}
-                                    </div>
-                                </div>
+                                    {timeline.isLoading ? 'Loading...' : 'Load earlier messages'}
+                                </button>
+                            )}
+                            {timelineMessages.map((msg, index) => (
+                                <MessageBubble
+                                    key={msg.id || index}
+                                    msg={msg}
+                                    isOwn={msg.senderId === userId}
+                                    isHighlighted={msg.id === highlightedMessageId}
+                                    onOpenThread={openThread}
+                                    {...bubbleActions}
+                                />
                             ))}
                             <div ref={messagesEndRef} /> {/* Scroll target */}
                         </div>
+                        {timeline.hasNewer && (
+                            <button
+                                onClick={jumpToLatest}
+                                className="-mt-2 mb-2 text-sm text-blue-600 hover:underline self-center"
+                            >
+                                You are viewing older messages. Jump to latest ↓
+                            </button>
+                        )}
 
                         {/* Typing Indicator */}
                         <div className="h-6 text-sm text-gray-600 mb-2">
-                            {Object.entries(typingUsers).some(([user, isTyping]) => isTyping && user !== username) && (
+                            {!activeConversationId && roomTypingUsers.length > 0 && (
                                 <p>
-                                    {Object.entries(typingUsers)
-                                        .filter(([user, isTyping]) => isTyping && user !== username)
-                                        .map(([user]) => user)
-                                        .join(', ')}{' '}
-                                    {Object.entries(typingUsers).filter(([user, isTyping]) => isTyping && user !== username).length > 1 ? 'are' : 'is'} typing...
+                                    {roomTypingUsers.join(', ')} {roomTypingUsers.length > 1 ? 'are' : 'is'} typing...
                                 </p>
                             )}
                         </div>
 
                         {/* Message Input */}
+                        <UploadQueue uploads={uploads} onRemove={removeUpload} />
                         <form onSubmit={handleSendMessage} className="flex mt-auto">
+                            <input
+                                ref={fileInputRef}
+                                type="file"
+                                multiple
+                                className="hidden"
+                                onChange={(e) => {
+                                    attachFiles(e.target.files);
+                                    e.target.value = ''; // Allow picking the same file again
+                                }}
+                            />
+                            <button
+                                type="button"
+                                onClick={() => fileInputRef.current.click()}
+                                className="px-3 border border-r-0 border-gray-300 rounded-l-md text-gray-600 hover:bg-gray-100"
+                                title="Attach files (or drop / paste them)"
+                            >
+                                📎
+                            </button>
                             <input
                                 type="text"
-                                placeholder={privateChatTarget ? `Message ${privateChatTarget.username}...` : `Message #${currentRoom}...`}
-                                className="flex-1 p-3 border border-gray-300 rounded-l-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                placeholder={activeConversation ? `Message ${conversationTitle(activeConversation, userId)}...` : `Message #${currentRoom}...`}
+                                className="flex-1 p-3 border border-gray-300 focus:outline-none focus:ring-2 focus:ring-blue-500"
                                 value={message}
+                                maxLength={MAX_MESSAGE_LENGTH}
                                 onChange={handleTyping}
+                                onPaste={handlePaste}
                             />
                             <button
                                 type="submit"
-                                className="bg-blue-600 text-white p-3 rounded-r-md hover:bg-blue-700 transition duration-300 ease-in-out shadow-md"
+                                disabled={isUploading}
+                                className="bg-blue-600 text-white p-3 rounded-r-md hover:bg-blue-700 transition duration-300 ease-in-out shadow-md disabled:opacity-60"
+                                title={isUploading ? 'Waiting for uploads to finish' : undefined}
                             >
                                 Send
                             </button>
                         </form>
                     </div>
+
+                    {/* Thread Side Panel */}
+                    {threadParentId && (
+                        <ThreadPanel
+                            parent={threadParent && withDecryptedText(threadParent)}
+                            replies={threadReplies}
+                            onSendReply={(parentId, text) => queueMessage(text, parentId)}
+                            onClose={() => setThreadParentId(null)}
+                            bubbleActions={bubbleActions}
+                        />
+                    )}
+
+                    {/* Search Side Panel */}
+                    {isSearchOpen && (
+                        <SearchPanel
+                            request={request}
+                            describeLocation={describeLocation}
+                            onJump={jumpToMessage}
+                            onClose={() => setIsSearchOpen(false)}
+                        />
+                    )}
+
+                    {/* Room Dialogs */}
+                    {roomDialog === 'create' && (
+                        <CreateRoomDialog
+                            request={request}
+                            onCreated={(room) => {
+                                setRoomDialog(null);
+                                showRoom(room.id);
+                            }}
+                            onClose={() => setRoomDialog(null)}
+                        />
+                    )}
+                    {roomDialog === 'conversation' && (
+                        <NewConversationDialog
+                            people={knownPeople}
+                            request={request}
+                            onStarted={handleConversationStarted}
+                            onClose={() => setRoomDialog(null)}
+                        />
+                    )}
+                    {roomDialog === 'encryption' && activeConversation && (
+                        <EncryptionDialog
+                            conversation={activeConversation}
+                            currentUserId={userId}
+                            encryption={encryption}
+                            onClose={() => setRoomDialog(null)}
+                        />
+                    )}
+                    {roomDialog === 'transcript' && (
+                        <TranscriptDialog
+                            serverUrl={SERVER_URL}
+                            token={loadSession()?.token}
+                            roomId={activeView}
+                            title={activeConversation ? conversationTitle(activeConversation, userId) : `#${currentRoom}`}
+                            canImport={!activeConversationId && ['moderator', 'owner'].includes(currentRoomInfo?.role)}
+                            onClose={() => setRoomDialog(null)}
+                        />
+                    )}
+                    {roomDialog === 'settings' && (
+                        <RoomSettings
+                            roomId={currentRoom}
+                            request={request}
+                            onlineUsers={onlineUsers}
+                            currentUserId={userId}
+                            onClose={() => setRoomDialog(null)}
+                        />
+                    )}
                 </div>
             )}
+
+            <ToastStack toasts={toasts} onDismiss={dismissToast} onView={jumpToMessage} />
         </div>
     );
 }
 
+// The chat client lives as long as the app, and connects once we have a token from signing in
+function App() {
+    const [client] = useState(() => createChatClient({ url: SERVER_URL }));
+
+    useEffect(() => () => client.disconnect(), [client]);
+
+    return (
+        <ChatProvider client={client}>
+            <ChatApp />
+        </ChatProvider>
+    );
+}
+
 export default App;
@@ -0,0 +1,71 @@
+// client/src/socket/transcripts.js
+// Exporting and importing history with the server's /api/transcripts endpoints (see server/routes/transcripts.js).
+
+export const TRANSCRIPT_FORMATS = [
+    { value: 'html', label: 'Web page (HTML)' },
+    { value: 'markdown', label: 'Markdown' },
+    { value: 'json', label: 'JSON (can be imported again)' }
+];
+
+// The message from an error response, which the server sends as JSON
+const errorOf = async (response) => {
+    try {
+        return (await response.json()).error || `Request failed (${response.status}).`;
+    } catch (err) {
+        return `Request failed (${response.status}).`; // Not JSON, e.g. a proxy error page
+    }
+};
+
+// The file name from a Content-Disposition header like `attachment; filename="general-2024-05-31.md"`
+const fileNameOf = (response) =>
+    response.headers.get('Content-Disposition')?.match(/filename="([^"]+)"/)?.[1] || 'transcript';
+
+// Download a room's or conversation's transcript as a file. `from` and `to` are optional YYYY-MM-DD days.
+export const downloadTranscript = async (serverUrl, token, roomId, { format, from, to }) => {
+    const params = new URLSearchParams({ format });
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+
+    let response;
+    try {
+        response = await fetch(`${serverUrl}/api/transcripts/${encodeURIComponent(roomId)}?${params}`, {
+            headers: { Authorization: `Bearer ${token}` }
+        });
+    } catch (err) {
+        throw new Error('Export failed. Check your connection.');
+    }
+    if (!response.ok) throw new Error(await errorOf(response));
+
+    // Save it through a temporary link, since the request needs our token
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileNameOf(response);
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+};
+
+// Import a JSON transcript (as downloaded above) into a room. Resolves with { imported, skipped }.
+export const importTranscript = async (serverUrl, token, roomId, file) => {
+    let transcript;
+    try {
+        transcript = JSON.parse(await file.text());
+    } catch (err) {
+        throw new Error('That file is not a JSON transcript.');
+    }
+
+    let response;
+    try {
+        response = await fetch(`${serverUrl}/api/transcripts/${encodeURIComponent(roomId)}/import`, {
+            method: 'POST',
+            headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+            body: JSON.stringify(transcript)
+        });
+    } catch (err) {
+        throw new Error('Import failed. Check your connection.');
+    }
+    if (!response.ok) throw new Error(await errorOf(response));
+    return response.json();
+};
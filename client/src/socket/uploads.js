@@ -0,0 +1,38 @@
+// client/src/socket/uploads.js
+// Uploading attachments to the server's /api/uploads endpoint.
+
+// Upload one file and resolve with its attachment metadata. Uses XMLHttpRequest rather than fetch
+// because fetch can't report upload progress; `onProgress` gets a number between 0 and 1.
+export const uploadFile = (serverUrl, token, file, onProgress) => new Promise((resolve, reject) => {
+    const body = new FormData();
+    body.append('file', file, file.name);
+
+    const request = new XMLHttpRequest();
+    request.open('POST', `${serverUrl}/api/uploads`);
+    request.setRequestHeader('Authorization', `Bearer ${token}`);
+    request.upload.onprogress = (e) => {
+        if (e.lengthComputable) onProgress(e.loaded / e.total);
+    };
+    request.onload = () => {
+        let response = null;
+        try {
+            response = JSON.parse(request.responseText);
+        } catch (err) {
+            // Not JSON, e.g. a proxy error page
+        }
+        if (request.status === 201 && response?.attachment) {
+            resolve(response.attachment);
+        } else {
+            reject(new Error(response?.error || `Upload failed (${request.status}).`));
+        }
+    };
+    request.onerror = () => reject(new Error('Upload failed. Check your connection.'));
+    request.send(body);
+});
+
+// Pasted screenshots arrive as "image.png"; give them a more useful name
+export const nameClipboardFile = (file) => {
+    if (file.name && file.name !== 'image.png') return file;
+    const extension = file.type.split('/')[1] || 'png';
+    return new File([file], `pasted-${new Date().toISOString().replace(/[:.]/g, '-')}.${extension}`, { type: file.type });
+};
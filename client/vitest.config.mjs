@@ -0,0 +1,15 @@
+// client/vitest.config.mjs
+// Component tests run in jsdom. The source files are .js but contain JSX, so esbuild is told to expect it.
+
+import { defineConfig } from 'vitest/config';
+
+export default defineConfig({
+    esbuild: {
+        loader: 'jsx',
+        include: /src\/.*\.js$/,
+        exclude: []
+    },
+    test: {
+        environment: 'jsdom'
+    }
+});
@@ -0,0 +1,15 @@
+// server/middleware/requireAdmin.js
+// Express middleware for the admin API: like requireAuth, but the signed-in account must also be one of
+// `adminIds` (set with ADMIN_USER_IDS). Other accounts get 403.
+
+function createRequireAdmin({ requireAuth, adminIds }) {
+    return (req, res, next) => requireAuth(req, res, (err) => {
+        if (err) return next(err);
+        if (!adminIds.includes(req.account.id)) {
+            return res.status(403).json({ error: 'Only admins can do that.' });
+        }
+        next();
+    });
+}
+
+module.exports = { createRequireAdmin };
@@ -0,0 +1,25 @@
+// server/middleware/requireAuth.js
+// Express middleware for routes that need a signed-in user. Expects the token issued by
+// /api/auth in an "Authorization: Bearer <token>" header and sets `req.account`.
+
+const { verifyToken } = require('../utils/auth');
+
+function createRequireAuth({ userStore, tokenSecret }) {
+    return async (req, res, next) => {
+        const [scheme, token] = (req.get('Authorization') || '').split(' ');
+        const payload = scheme === 'Bearer' ? verifyToken(token, tokenSecret) : null;
+        let account;
+        try {
+            account = payload && await userStore.findById(payload.sub);
+        } catch (err) {
+            return next(err);
+        }
+        if (!account) {
+            return res.status(401).json({ error: 'Authentication failed. Please sign in again.' });
+        }
+        req.account = { id: account.id, username: account.username };
+        next();
+    };
+}
+
+module.exports = { createRequireAuth };
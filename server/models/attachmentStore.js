@@ -0,0 +1,56 @@
+// server/models/attachmentStore.js
+// Metadata for uploaded files. The files themselves live in the upload directory (see routes/uploads.js),
+// which instances sharing Redis must also share; messages carry the client-facing metadata of their attachments.
+// Both stores have the same async interface, like the presence store: the in-memory one saves to a JSON file;
+// the Redis one is shared by every instance.
+
+const { readJsonFile, writeJsonFile } = require('../utils/jsonFile');
+
+function createMemoryAttachmentStore(filePath) {
+    const attachments = new Map(); // Map<attachmentId, attachment>
+
+    const saved = readJsonFile(filePath, {});
+    (saved.attachments || []).forEach(attachment => attachments.set(attachment.id, attachment));
+
+    const save = () => writeJsonFile(filePath, { attachments: Array.from(attachments.values()) });
+
+    const addAttachment = async (attachment) => {
+        attachments.set(attachment.id, attachment);
+        save();
+        return attachment;
+    };
+
+    const findAttachment = async (id) => attachments.get(id) || null;
+
+    return { addAttachment, findAttachment };
+}
+
+// Keys, under `prefix`:
+//   attachment:<id>     JSON of the attachment's metadata
+function createRedisAttachmentStore(redis, { prefix = 'chat:' } = {}) {
+    const attachmentKey = (id) => `${prefix}attachment:${id}`;
+
+    const addAttachment = async (attachment) => {
+        await redis.set(attachmentKey(attachment.id), JSON.stringify(attachment));
+        return attachment;
+    };
+
+    const findAttachment = async (id) => {
+        const json = await redis.get(attachmentKey(id));
+        return json ? JSON.parse(json) : null;
+    };
+
+    return { addAttachment, findAttachment };
+}
+
+// Metadata safe to send to clients: no file system paths. URLs are relative to the server.
+const toClientAttachment = ({ id, name, size, mimeType, width, height, thumbnailFileName }) => ({
+    id,
+    name,
+    size,
+    mimeType,
+    url: `/api/uploads/${id}`,
+    ...(thumbnailFileName && { thumbnailUrl: `/api/uploads/${id}/thumbnail`, width, height })
+});
+
+module.exports = { createMemoryAttachmentStore, createRedisAttachmentStore, toClientAttachment };
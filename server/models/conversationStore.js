@@ -0,0 +1,78 @@
+// server/models/conversationStore.js
+// Direct-message conversations between two or more users. A conversation's id is made from its
+// participants' ids, so the same group of people always shares one conversation. Its messages live in
+// the message store under that id, like a room's. Both stores have the same async interface, like the
+// presence store: the in-memory one saves to a JSON file; the Redis one is shared by every instance.
+
+const { readJsonFile, writeJsonFile } = require('../utils/jsonFile');
+
+// Conversation ids look like "dm:<userId>:<userId>[:<userId>...]", with the ids sorted
+const conversationId = (participantIds) => `dm:${Array.from(new Set(participantIds)).sort().join(':')}`;
+
+const isConversationId = (id) => typeof id === 'string' && id.startsWith('dm:');
+
+const participantsOf = (id) => (isConversationId(id) ? id.slice(3).split(':') : []);
+
+const newConversation = (id, createdBy) => ({ id, participantIds: participantsOf(id), createdBy, createdAt: new Date().toISOString() });
+
+function createMemoryConversationStore(filePath) {
+    const conversations = new Map(); // Map<conversationId, conversation>
+
+    const saved = readJsonFile(filePath, {});
+    (saved.conversations || []).forEach(conversation => conversations.set(conversation.id, conversation));
+
+    const save = () => writeJsonFile(filePath, { conversations: Array.from(conversations.values()) });
+
+    const getConversation = async (id) => conversations.get(id) || null;
+
+    // Return the conversation between exactly these users, creating it if needed
+    const findOrCreate = async (participantIds, createdBy) => {
+        const id = conversationId(participantIds);
+        if (!conversations.has(id)) {
+            conversations.set(id, newConversation(id, createdBy));
+            save();
+        }
+        return conversations.get(id);
+    };
+
+    const listForUser = async (userId) =>
+        Array.from(conversations.values()).filter(conversation => conversation.participantIds.includes(userId));
+
+    return { getConversation, findOrCreate, listForUser };
+}
+
+// Keys, under `prefix`:
+//   conversation:<id>           JSON of the conversation
+//   conversations:<userId>      set of the ids of a user's conversations
+function createRedisConversationStore(redis, { prefix = 'chat:' } = {}) {
+    const conversationKey = (id) => `${prefix}conversation:${id}`;
+    const userConversationsKey = (userId) => `${prefix}conversations:${userId}`;
+
+    const getConversation = async (id) => {
+        const json = await redis.get(conversationKey(id));
+        return json ? JSON.parse(json) : null;
+    };
+
+    // Whichever instance creates it first wins; the others return that one
+    const findOrCreate = async (participantIds, createdBy) => {
+        const id = conversationId(participantIds);
+        const conversation = newConversation(id, createdBy);
+        const transaction = redis.multi().set(conversationKey(id), JSON.stringify(conversation), 'NX');
+        conversation.participantIds.forEach(userId => transaction.sadd(userConversationsKey(userId), id));
+        await transaction.exec();
+        return getConversation(id);
+    };
+
+    const listForUser = async (userId) =>
+        (await Promise.all((await redis.smembers(userConversationsKey(userId))).map(getConversation))).filter(Boolean);
+
+    return { getConversation, findOrCreate, listForUser };
+}
+
+module.exports = {
+    createMemoryConversationStore,
+    createRedisConversationStore,
+    conversationId,
+    isConversationId,
+    participantsOf
+};
@@ -0,0 +1,75 @@
+// server/models/keyStore.js
+// Directory of the public keys clients publish for end-to-end encrypted direct messages.
+// Every browser a user signs in from has its own key pair; only the public half ever reaches the server.
+// A key's id is its JWK thumbprint (RFC 7638), which clients also show as the key's fingerprint.
+// Both stores have the same async interface, like the presence store: the in-memory one saves to a JSON file;
+// the Redis one is shared by every instance.
+
+const crypto = require('crypto');
+const { readJsonFile, writeJsonFile } = require('../utils/jsonFile');
+const { MAX_KEYS_PER_USER, keyThumbprintInput } = require('../../shared/protocol');
+
+// base64url SHA-256 of the key's required members, as clients compute it with WebCrypto
+const keyIdOf = (publicKey) => crypto.createHash('sha256').update(keyThumbprintInput(publicKey)).digest('base64url');
+
+const newKey = ({ kty, crv, x, y }) => {
+    const publicKey = { kty, crv, x, y };
+    return { id: keyIdOf(publicKey), publicKey, createdAt: new Date().toISOString() };
+};
+
+function createMemoryKeyStore(filePath) {
+    const keys = new Map(); // Map<userId, Array<{ id, publicKey, createdAt }>> (oldest first)
+
+    const saved = readJsonFile(filePath, {});
+    Object.entries(saved.keys || {}).forEach(([userId, userKeys]) => keys.set(userId, userKeys));
+
+    const save = () => writeJsonFile(filePath, { keys: Object.fromEntries(keys) });
+
+    // A user's published keys, oldest first
+    const getKeys = async (userId) => keys.get(userId) || [];
+
+    const findKey = async (userId, id) => (await getKeys(userId)).find(key => key.id === id) || null;
+
+    // Add a device's public key (an EC P-256 JWK). Publishing the same key again changes nothing.
+    // Past MAX_KEYS_PER_USER the oldest key is dropped, and messages encrypted only for it can't be read any more.
+    const publishKey = async (userId, publicKey) => {
+        const key = newKey(publicKey);
+        const existing = await findKey(userId, key.id);
+        if (existing) return existing;
+
+        keys.set(userId, [...(await getKeys(userId)), key].slice(-MAX_KEYS_PER_USER));
+        save();
+        return key;
+    };
+
+    return { getKeys, findKey, publishKey };
+}
+
+// Keys, under `prefix`:
+//   keys:<userId>       hash { key id: JSON of the key }
+function createRedisKeyStore(redis, { prefix = 'chat:' } = {}) {
+    const userKeysKey = (userId) => `${prefix}keys:${userId}`;
+
+    const getKeys = async (userId) => Object.values(await redis.hgetall(userKeysKey(userId)))
+        .map(json => JSON.parse(json))
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    const findKey = async (userId, id) => {
+        const json = await redis.hget(userKeysKey(userId), id);
+        return json ? JSON.parse(json) : null;
+    };
+
+    // As in the in-memory store. Whichever instance adds a key first wins; the others return that one.
+    const publishKey = async (userId, publicKey) => {
+        const key = newKey(publicKey);
+        if (!(await redis.hsetnx(userKeysKey(userId), key.id, JSON.stringify(key)))) return findKey(userId, key.id);
+
+        const surplus = (await getKeys(userId)).slice(0, -MAX_KEYS_PER_USER);
+        if (surplus.length > 0) await redis.hdel(userKeysKey(userId), ...surplus.map(oldKey => oldKey.id));
+        return key;
+    };
+
+    return { getKeys, findKey, publishKey };
+}
+
+module.exports = { createMemoryKeyStore, createRedisKeyStore, keyIdOf };
@@ -0,0 +1,491 @@
+// server/models/messageStore.js
+// Message history, grouped by room (or private conversation), with a full-text index for search.
+// Both stores have the same async interface, like the presence store. The in-memory one flushes to a JSON
+// file on disk so history survives restarts without an outside database, and is for a single server
+// process; the Redis one is shared by every instance.
+//
+// A message is { id, room, senderId, sender, message, timestamp, deliveredTo, readBy, reactions?, ... }, with
+// reactions as { [emoji]: [userId] }. The stores return copies, so use what an update returns.
+
+const crypto = require('crypto');
+const { readJsonFile, writeJsonFile } = require('../utils/jsonFile');
+const { logger } = require('../utils/logger');
+const { toHashFields, fromHash, updateHash } = require('../utils/redisHash');
+const { createSearchIndex, tokenize } = require('./searchIndex');
+
+const DEFAULT_PAGE_SIZE = 50;
+const DEFAULT_SEARCH_LIMIT = 20;
+const SAVE_DELAY_MS = 500; // Batch bursts of messages into a single disk write
+
+// Text and attachment names are searchable; deleted messages are not
+const searchableText = (msg) => (msg.deleted ? '' : [msg.message, ...(msg.attachments || []).map(attachment => attachment.name)].join(' '));
+
+// Finish a search: keep the `candidates` that are in rooms the user can read (`canRead(room)`, which may
+// be async) and pass the other filters, newest first
+const filterMatches = async (candidates, { canRead, rooms: onlyRooms, senderIds, after, before, limit }) => {
+    const matches = candidates.filter(msg => {
+        if (msg.deleted) return false;
+        if (onlyRooms && !onlyRooms.includes(msg.room)) return false;
+        if (senderIds && !senderIds.includes(msg.senderId)) return false;
+        const time = new Date(msg.timestamp);
+        return !(after && time < after) && !(before && time >= before);
+    });
+    const rooms = Array.from(new Set(matches.map(msg => msg.room)));
+    const readable = new Set((await Promise.all(rooms.map(async room => (await canRead(room)) && room))).filter(Boolean));
+    const results = matches.filter(msg => readable.has(msg.room));
+    results.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+    return { results: results.slice(0, limit), total: results.length };
+};
+
+function createMemoryMessageStore(filePath) {
+    const rooms = new Map(); // Map<roomId, Array<message>> (oldest first)
+    const messagesById = new Map(); // Map<messageId, message>
+    const searchIndex = createSearchIndex();
+    let saveTimer = null;
+
+    const indexMessage = (msg) => searchIndex.index(msg.id, searchableText(msg));
+
+    const copy = (msg) => (msg ? structuredClone(msg) : null);
+
+    // Load any previously saved history
+    const saved = readJsonFile(filePath, {});
+    Object.entries(saved.rooms || {}).forEach(([room, messages]) => {
+        rooms.set(room, messages);
+        messages.forEach(msg => {
+            msg.deliveredTo = msg.deliveredTo || [];
+            msg.readBy = msg.readBy || [];
+            messagesById.set(msg.id, msg);
+            indexMessage(msg);
+        });
+    });
+
+    const flush = () => {
+        if (saveTimer) {
+            clearTimeout(saveTimer);
+            saveTimer = null;
+        }
+        writeJsonFile(filePath, { rooms: Object.fromEntries(rooms) });
+    };
+
+    const scheduleSave = () => {
+        if (saveTimer) return;
+        saveTimer = setTimeout(() => {
+            saveTimer = null;
+            try {
+                flush();
+            } catch (err) {
+                logger.error('Failed to save message history', { error: err });
+            }
+        }, SAVE_DELAY_MS);
+    };
+
+    // Store a message and return it. Clients normally supply the id; otherwise one is assigned.
+    const addMessage = async (room, message) => {
+        const stored = { ...message, id: message.id || crypto.randomUUID(), room, deliveredTo: [], readBy: [] };
+        if (!rooms.has(room)) rooms.set(room, []);
+        rooms.get(room).push(stored);
+        messagesById.set(stored.id, stored);
+        indexMessage(stored);
+        scheduleSave();
+        return copy(stored);
+    };
+
+    // Add messages from elsewhere (an imported transcript) with their own ids and timestamps, keeping the
+    // room's history in timestamp order. Returns the stored messages.
+    const importMessages = async (room, messages) => {
+        const stored = messages.map(message => ({ ...message, room, deliveredTo: [], readBy: [] }));
+        const history = [...(rooms.get(room) || []), ...stored];
+        history.sort((a, b) => a.timestamp.localeCompare(b.timestamp)); // Stable, so ties keep their order
+        rooms.set(room, history);
+        stored.forEach(msg => {
+            messagesById.set(msg.id, msg);
+            indexMessage(msg);
+        });
+        scheduleSave();
+        return stored.map(copy);
+    };
+
+    const findMessage = async (id) => copy(messagesById.get(id));
+
+    // Apply changes to a stored message (edits, tombstones, reply counts) and return it
+    const updateMessage = async (id, changes) => {
+        const msg = messagesById.get(id);
+        if (!msg) return null;
+        Object.assign(msg, changes);
+        indexMessage(msg);
+        scheduleSave();
+        return copy(msg);
+    };
+
+    // Add or remove a user's emoji reaction. Each user counts once per emoji.
+    // Returns the message if anything changed, otherwise null.
+    const setReaction = async (id, emoji, userId, reacted) => {
+        const msg = messagesById.get(id);
+        if (!msg) return null;
+
+        const reactions = msg.reactions || {};
+        const reactedBy = reactions[emoji] || [];
+        if (reactedBy.includes(userId) === reacted) return null;
+
+        reactions[emoji] = reacted ? [...reactedBy, userId] : reactedBy.filter(user => user !== userId);
+        if (reactions[emoji].length === 0) delete reactions[emoji];
+        msg.reactions = reactions;
+        scheduleSave();
+        return copy(msg);
+    };
+
+    // All replies to a message, oldest first
+    const getReplies = async (parentId) => {
+        const parent = messagesById.get(parentId);
+        if (!parent) return [];
+        return (rooms.get(parent.room) || []).filter(msg => msg.replyTo === parentId).map(copy);
+    };
+
+    // Record that a user received ('delivered') or saw ('read') a message. Reading implies delivery.
+    // Returns the message if anything changed, otherwise null.
+    const addReceipt = async (id, kind, userId) => {
+        const msg = messagesById.get(id);
+        if (!msg) return null;
+
+        const lists = kind === 'read' ? [msg.deliveredTo, msg.readBy] : [msg.deliveredTo];
+        let changed = false;
+        lists.forEach(list => {
+            if (!list.includes(userId)) {
+                list.push(userId);
+                changed = true;
+            }
+        });
+        if (changed) scheduleSave();
+        return changed ? copy(msg) : null;
+    };
+
+    // Forget a room's whole history, e.g. when the room is deleted, so a new room with the same id starts empty
+    const deleteRoom = async (room) => {
+        (rooms.get(room) || []).forEach(msg => {
+            messagesById.delete(msg.id);
+            searchIndex.remove(msg.id);
+        });
+        if (rooms.delete(room)) scheduleSave();
+    };
+
+    // Return a page of messages older than the `before` cursor (a message id), oldest first.
+    // Without a cursor the most recent page is returned.
+    const getMessages = async (room, { before, limit = DEFAULT_PAGE_SIZE } = {}) => {
+        const history = rooms.get(room) || [];
+        let end = history.length;
+        if (before) {
+            const index = history.findIndex(msg => msg.id === before);
+            end = index === -1 ? 0 : index;
+        }
+        const start = Math.max(0, end - limit);
+        return {
+            room,
+            messages: history.slice(start, end).map(copy),
+            hasMore: start > 0
+        };
+    };
+
+    // A room's messages sent at or after `after` and before `before` (Dates, both optional), oldest first
+    const getMessagesBetween = async (room, { after, before } = {}) => (rooms.get(room) || []).filter(msg => {
+        const time = new Date(msg.timestamp);
+        return !(after && time < after) && !(before && time >= before);
+    }).map(copy);
+
+    // How many messages a room's history holds
+    const countMessages = async (room) => (rooms.get(room) || []).length;
+
+    // Return the messages newer than the `after` cursor, for a client catching up after a reconnect.
+    // Returns null if the cursor is unknown or more than `limit` messages were missed.
+    const getMessagesAfter = async (room, after, limit = DEFAULT_PAGE_SIZE) => {
+        const history = rooms.get(room) || [];
+        const index = history.findIndex(msg => msg.id === after);
+        if (index === -1 || history.length - (index + 1) > limit) return null;
+        return { room, messages: history.slice(index + 1).map(copy) };
+    };
+
+    // Return up to `limit` messages around `id` in its room (about as many before as after), oldest first,
+    // for jumping to a message from search results
+    const getMessagesAround = async (id, limit = DEFAULT_PAGE_SIZE) => {
+        const msg = messagesById.get(id);
+        if (!msg) return null;
+        const history = rooms.get(msg.room);
+        const index = history.indexOf(msg);
+        const start = Math.max(0, index - Math.floor(limit / 2));
+        const end = Math.min(history.length, start + limit);
+        return {
+            room: msg.room,
+            messages: history.slice(start, end).map(copy),
+            hasMore: start > 0,
+            hasNewer: end < history.length
+        };
+    };
+
+    // Full-text search, newest matches first. Every term must match. Only messages in rooms
+    // (or conversations) for which `canRead(room)` is true are returned; the other filters are optional:
+    // `rooms` and `senderIds` limit where and by whom, `after`/`before` are Dates bounding the timestamp.
+    const searchMessages = async ({ terms = [], limit = DEFAULT_SEARCH_LIMIT, ...filters }) => {
+        const candidates = terms.length > 0
+            ? Array.from(searchIndex.search(terms), id => messagesById.get(id))
+            : Array.from(messagesById.values());
+        const { results, total } = await filterMatches(candidates, { ...filters, limit });
+        return { results: results.map(copy), total };
+    };
+
+    return {
+        addMessage,
+        importMessages,
+        findMessage,
+        updateMessage,
+        setReaction,
+        getReplies,
+        addReceipt,
+        deleteRoom,
+        getMessages,
+        getMessagesBetween,
+        countMessages,
+        getMessagesAfter,
+        getMessagesAround,
+        searchMessages,
+        flush
+    };
+}
+
+// Merge imported messages into a room's history list in timestamp order, in one step so messages
+// sent meanwhile aren't lost. KEYS[1] is the list; ARGV[1] is the message key prefix, followed by the
+// imported ids and (JSON) timestamps in pairs, oldest first. Ties keep the messages already there first.
+const MERGE_HISTORY_SCRIPT = `
+local existing = redis.call('lrange', KEYS[1], 0, -1)
+local merged = {}
+local pos = 2
+for _, id in ipairs(existing) do
+    local timestamp = redis.call('hget', ARGV[1] .. id, 'timestamp')
+    while timestamp and pos < #ARGV and ARGV[pos + 1] < timestamp do
+        table.insert(merged, ARGV[pos])
+        pos = pos + 2
+    end
+    table.insert(merged, id)
+end
+while pos < #ARGV do
+    table.insert(merged, ARGV[pos])
+    pos = pos + 2
+end
+redis.call('del', KEYS[1])
+for i = 1, #merged, 1000 do
+    redis.call('rpush', KEYS[1], unpack(merged, i, math.min(i + 999, #merged)))
+end
+return #merged`;
+
+// Keys, under `prefix`:
+//   message:<id>             hash of the message's fields (see utils/redisHash.js) apart from receipts and reactions
+//   message:<id>:delivered   set of the user ids it was delivered to
+//   message:<id>:read        set of the user ids who read it
+//   message:<id>:reactions   sorted set of "<emoji> <userId>", scored by when the reaction was added
+//   message:<id>:replies     list of the ids of its replies
+//   room:<room>:messages     list of the room's message ids, oldest first
+//   message-rooms            set of the rooms with any history
+//   search:<word>            set of the ids of the messages containing the word
+//   search-words             sorted set of every indexed word (all scored 0), for prefix matches.
+//                            Words stay listed after their last message goes; they then simply match nothing.
+function createRedisMessageStore(redis, { prefix = 'chat:' } = {}) {
+    const messageKey = (id) => `${prefix}message:${id}`;
+    const deliveredKey = (id) => `${prefix}message:${id}:delivered`;
+    const readKey = (id) => `${prefix}message:${id}:read`;
+    const reactionsKey = (id) => `${prefix}message:${id}:reactions`;
+    const repliesKey = (id) => `${prefix}message:${id}:replies`;
+    const historyKey = (room) => `${prefix}room:${room}:messages`;
+    const roomsKey = `${prefix}message-rooms`;
+    const wordKey = (word) => `${prefix}search:${word}`;
+    const wordsKey = `${prefix}search-words`;
+
+    // { [emoji]: [userId] } from the reactions sorted set, in the order they were added
+    const toReactions = (members) => members.reduce((reactions, member) => {
+        const [emoji, userId] = member.split(' ');
+        reactions[emoji] = [...(reactions[emoji] || []), userId];
+        return reactions;
+    }, {});
+
+    const findMessage = async (id) => {
+        const [[, fields], [, deliveredTo], [, readBy], [, reactions]] = await redis.multi()
+            .hgetall(messageKey(id))
+            .smembers(deliveredKey(id))
+            .smembers(readKey(id))
+            .zrange(reactionsKey(id), 0, -1)
+            .exec();
+        const msg = fromHash(fields);
+        if (!msg) return null;
+        return { ...msg, deliveredTo, readBy, ...(reactions.length > 0 && { reactions: toReactions(reactions) }) };
+    };
+
+    // The messages with these ids, in the same order, skipping any that are gone
+    const findMessages = async (ids) => (await Promise.all(ids.map(findMessage))).filter(Boolean);
+
+    // Move a message's entries in the search index from its `previous` text to its current one
+    const reindex = async (id, previous, msg) => {
+        const before = new Set(previous ? tokenize(searchableText(previous)) : []);
+        const after = new Set(msg ? tokenize(searchableText(msg)) : []);
+        const removed = Array.from(before).filter(word => !after.has(word));
+        const added = Array.from(after).filter(word => !before.has(word));
+        if (removed.length === 0 && added.length === 0) return;
+
+        const transaction = redis.multi();
+        removed.forEach(word => transaction.srem(wordKey(word), id));
+        added.forEach(word => transaction.sadd(wordKey(word), id).zadd(wordsKey, 0, word));
+        await transaction.exec();
+    };
+
+    const addMessage = async (room, message) => {
+        const stored = { ...message, id: message.id || crypto.randomUUID(), room };
+        const transaction = redis.multi()
+            .hset(messageKey(stored.id), toHashFields(stored))
+            .rpush(historyKey(room), stored.id)
+            .sadd(roomsKey, room);
+        if (stored.replyTo) transaction.rpush(repliesKey(stored.replyTo), stored.id);
+        await transaction.exec();
+        await reindex(stored.id, null, stored);
+        return { ...stored, deliveredTo: [], readBy: [] };
+    };
+
+    const importMessages = async (room, messages) => {
+        const stored = messages
+            .map(message => ({ ...message, room }))
+            .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+        if (stored.length === 0) return [];
+
+        const transaction = redis.multi().sadd(roomsKey, room);
+        stored.forEach(msg => {
+            transaction.hset(messageKey(msg.id), toHashFields(msg));
+            if (msg.replyTo) transaction.rpush(repliesKey(msg.replyTo), msg.id);
+        });
+        await transaction.exec();
+        await redis.eval(MERGE_HISTORY_SCRIPT, 1, historyKey(room), messageKey(''),
+            ...stored.flatMap(msg => [msg.id, JSON.stringify(msg.timestamp)]));
+        for (const msg of stored) await reindex(msg.id, null, msg);
+        return stored.map(msg => ({ ...msg, deliveredTo: [], readBy: [] }));
+    };
+
+    const updateMessage = async (id, changes) => {
+        const previous = await findMessage(id);
+        if (!previous || !(await updateHash(redis, messageKey(id), changes))) return null;
+        const msg = { ...previous, ...changes };
+        await reindex(id, previous, msg);
+        return msg;
+    };
+
+    const setReaction = async (id, emoji, userId, reacted) => {
+        if (!(await redis.exists(messageKey(id)))) return null;
+        const member = `${emoji} ${userId}`;
+        const changed = reacted
+            ? await redis.zadd(reactionsKey(id), 'NX', Date.now(), member)
+            : await redis.zrem(reactionsKey(id), member);
+        return changed ? findMessage(id) : null;
+    };
+
+    const getReplies = async (parentId) => {
+        const replies = await findMessages(await redis.lrange(repliesKey(parentId), 0, -1));
+        return replies.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    };
+
+    const addReceipt = async (id, kind, userId) => {
+        if (!(await redis.exists(messageKey(id)))) return null;
+        const transaction = redis.multi().sadd(deliveredKey(id), userId);
+        if (kind === 'read') transaction.sadd(readKey(id), userId);
+        const added = await transaction.exec();
+        return added.some(([, count]) => count > 0) ? findMessage(id) : null;
+    };
+
+    const deleteRoom = async (room) => {
+        const messages = await findMessages(await redis.lrange(historyKey(room), 0, -1));
+        for (const msg of messages) await reindex(msg.id, msg, null);
+        const keys = messages.flatMap(msg => [messageKey(msg.id), deliveredKey(msg.id), readKey(msg.id), reactionsKey(msg.id), repliesKey(msg.id)]);
+        const transaction = redis.multi().del(historyKey(room)).srem(roomsKey, room);
+        for (let i = 0; i < keys.length; i += 1000) transaction.del(...keys.slice(i, i + 1000));
+        await transaction.exec();
+    };
+
+    const getMessages = async (room, { before, limit = DEFAULT_PAGE_SIZE } = {}) => {
+        const key = historyKey(room);
+        const end = before ? ((await redis.lpos(key, before)) ?? 0) : await redis.llen(key);
+        const start = Math.max(0, end - limit);
+        const ids = end > start ? await redis.lrange(key, start, end - 1) : [];
+        return { room, messages: await findMessages(ids), hasMore: start > 0 };
+    };
+
+    const getMessagesBetween = async (room, { after, before } = {}) => {
+        const messages = await findMessages(await redis.lrange(historyKey(room), 0, -1));
+        return messages.filter(msg => {
+            const time = new Date(msg.timestamp);
+            return !(after && time < after) && !(before && time >= before);
+        });
+    };
+
+    const countMessages = async (room) => redis.llen(historyKey(room));
+
+    const getMessagesAfter = async (room, after, limit = DEFAULT_PAGE_SIZE) => {
+        const key = historyKey(room);
+        const [index, length] = await Promise.all([redis.lpos(key, after), redis.llen(key)]);
+        if (index === null || length - (index + 1) > limit) return null;
+        return { room, messages: await findMessages(await redis.lrange(key, index + 1, -1)) };
+    };
+
+    const getMessagesAround = async (id, limit = DEFAULT_PAGE_SIZE) => {
+        const room = await redis.hget(messageKey(id), 'room');
+        if (!room) return null;
+        const key = historyKey(JSON.parse(room));
+        const [index, length] = await Promise.all([redis.lpos(key, id), redis.llen(key)]);
+        const start = Math.max(0, (index ?? 0) - Math.floor(limit / 2));
+        const end = Math.min(length, start + limit);
+        return {
+            room: JSON.parse(room),
+            messages: end > start ? await findMessages(await redis.lrange(key, start, end - 1)) : [],
+            hasMore: start > 0,
+            hasNewer: end < length
+        };
+    };
+
+    // Ids of the messages containing every term; the last term also matches as a prefix (see searchIndex.js)
+    const searchIds = async (terms) => {
+        const matches = await Promise.all(terms.map(async (term, i) => {
+            const words = i === terms.length - 1
+                ? [term, ...await redis.zrangebylex(wordsKey, `[${term}`, `[${term}\u{10FFFF}`)]
+                : [term];
+            return new Set(await redis.sunion(...words.map(wordKey)));
+        }));
+        return Array.from(matches.reduce((result, ids) => new Set(Array.from(result).filter(id => ids.has(id)))));
+    };
+
+    const searchMessages = async ({ terms = [], canRead, rooms: onlyRooms, limit = DEFAULT_SEARCH_LIMIT, ...filters }) => {
+        let ids;
+        if (terms.length > 0) {
+            ids = await searchIds(terms);
+        } else {
+            // Only load the history of rooms the user may read
+            const rooms = onlyRooms || await redis.smembers(roomsKey);
+            const readable = (await Promise.all(rooms.map(async room => (await canRead(room)) && room))).filter(Boolean);
+            ids = (await Promise.all(readable.map(room => redis.lrange(historyKey(room), 0, -1)))).flat();
+        }
+        return filterMatches(await findMessages(ids), { ...filters, canRead, rooms: onlyRooms, limit });
+    };
+
+    // Nothing to write out; Redis has it all already
+    const flush = async () => {};
+
+    return {
+        addMessage,
+        importMessages,
+        findMessage,
+        updateMessage,
+        setReaction,
+        getReplies,
+        addReceipt,
+        deleteRoom,
+        getMessages,
+        getMessagesBetween,
+        countMessages,
+        getMessagesAfter,
+        getMessagesAround,
+        searchMessages,
+        flush
+    };
+}
+
+module.exports = { createMemoryMessageStore, createRedisMessageStore, DEFAULT_PAGE_SIZE };
@@ -0,0 +1,83 @@
+// server/models/notificationStore.js
+// Notification preferences: for each user, how much they want to hear about each room or conversation.
+// Kept on the server so the settings follow the user to every device.
+// Both stores have the same async interface, like the presence store: the in-memory one saves to a JSON file;
+// the Redis one is shared by every instance.
+
+const { readJsonFile, writeJsonFile } = require('../utils/jsonFile');
+
+// all: every new message, mentions: only messages that @mention the user, muted: nothing
+const NOTIFICATION_LEVELS = ['all', 'mentions', 'muted'];
+const DEFAULT_LEVEL = 'all';
+
+function createMemoryNotificationStore(filePath) {
+    // Maps rather than objects, so room ids like "constructor" can't hit Object.prototype
+    const levels = new Map(); // Map<userId, Map<roomId, level>> (rooms left at the default aren't stored)
+
+    const saved = readJsonFile(filePath, {});
+    Object.entries(saved.levels || {}).forEach(([userId, rooms]) => levels.set(userId, new Map(Object.entries(rooms))));
+
+    const save = () => writeJsonFile(filePath, {
+        levels: Object.fromEntries(Array.from(levels, ([userId, rooms]) => [userId, Object.fromEntries(rooms)]))
+    });
+
+    // A user's settings that differ from the default, keyed by room
+    const getLevels = async (userId) => Object.fromEntries(levels.get(userId) || []);
+
+    const getLevel = async (userId, roomId) => levels.get(userId)?.get(roomId) || DEFAULT_LEVEL;
+
+    const setLevel = async (userId, roomId, level) => {
+        const userLevels = levels.get(userId) || new Map();
+        if (level === DEFAULT_LEVEL) {
+            userLevels.delete(roomId);
+        } else {
+            userLevels.set(roomId, level);
+        }
+        levels.set(userId, userLevels);
+        save();
+        return level;
+    };
+
+    // Forget every user's setting for a deleted room
+    const removeRoom = async (roomId) => {
+        let changed = false;
+        levels.forEach(userLevels => {
+            if (userLevels.delete(roomId)) changed = true;
+        });
+        if (changed) save();
+    };
+
+    return { getLevels, getLevel, setLevel, removeRoom };
+}
+
+// Keys, under `prefix`:
+//   notifications:<userId>          hash { room id: level } of the settings that differ from the default
+//   notification-users:<roomId>     set of the users with such a setting for the room, for removeRoom
+function createRedisNotificationStore(redis, { prefix = 'chat:' } = {}) {
+    const levelsKey = (userId) => `${prefix}notifications:${userId}`;
+    const roomUsersKey = (roomId) => `${prefix}notification-users:${roomId}`;
+
+    const getLevels = async (userId) => redis.hgetall(levelsKey(userId));
+
+    const getLevel = async (userId, roomId) => (await redis.hget(levelsKey(userId), roomId)) || DEFAULT_LEVEL;
+
+    const setLevel = async (userId, roomId, level) => {
+        if (level === DEFAULT_LEVEL) {
+            await redis.multi().hdel(levelsKey(userId), roomId).srem(roomUsersKey(roomId), userId).exec();
+        } else {
+            await redis.multi().hset(levelsKey(userId), roomId, level).sadd(roomUsersKey(roomId), userId).exec();
+        }
+        return level;
+    };
+
+    const removeRoom = async (roomId) => {
+        const userIds = await redis.smembers(roomUsersKey(roomId));
+        const transaction = redis.multi().del(roomUsersKey(roomId));
+        userIds.forEach(userId => transaction.hdel(levelsKey(userId), roomId));
+        await transaction.exec();
+    };
+
+    return { getLevels, getLevel, setLevel, removeRoom };
+}
+
+module.exports = { createMemoryNotificationStore, createRedisNotificationStore, NOTIFICATION_LEVELS, DEFAULT_LEVEL };
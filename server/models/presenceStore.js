@@ -0,0 +1,327 @@
+// server/models/presenceStore.js
+// Who is online: each user's sessions (one per tab) and which room members are present right now.
+// Both stores have the same async interface. The in-memory one is for a single server process; the Redis
+// one is shared by every instance behind a load balancer. It works with any Redis-compatible server
+// and takes an ioredis-style client, so it can be pointed at a local stand-in.
+//
+// A user is { userId, username, status, statusText, sessions: [session] } and a session is
+// { id, userId, socketId, idle }. `status` is the one the user picked (see USER_STATUSES in shared/protocol.js)
+// and `idle` whether that tab reported its user as inactive. `socketId` is null while the session is in its
+// grace period after a disconnect.
+//
+// Each user also keeps what was last broadcast about them (`shown`, see swapShown), so an instance can tell
+// others only what changed, whichever instance sent the previous update.
+//
+// Sessions belong to the instance their socket last connected to. An instance ends its own sessions when it
+// closes (listOwnSessionIds) and keeps a heartbeat going while it runs; the sessions of an instance whose
+// heartbeat stopped, e.g. because it crashed, are ended by whichever instance notices first (claimDeadSessions).
+
+function createMemoryPresenceStore() {
+    const users = new Map(); // Map<userId, { username, status, statusText, shown, sessions: Set<sessionId> }>
+    const sessions = new Map(); // Map<sessionId, { userId, socketId, idle }>
+    const rooms = new Map(); // Map<roomId, Set<userId>>
+
+    const toSession = (id) => sessions.has(id) ? { id, ...sessions.get(id) } : null;
+
+    const toUser = (userId) => {
+        const user = users.get(userId);
+        if (!user) return null;
+        const { username, status, statusText } = user;
+        return { userId, username, status, statusText, sessions: Array.from(user.sessions).map(toSession) };
+    };
+
+    const getSession = async (sessionId) => toSession(sessionId);
+
+    // Attach a session to a socket, creating it if needed. Returns true if the user just came online.
+    const addSession = async (sessionId, { userId, username, status, statusText, socketId }) => {
+        sessions.set(sessionId, { userId, socketId, idle: false });
+        const isNewUser = !users.has(userId);
+        if (isNewUser) users.set(userId, { username, shown: null, sessions: new Set() });
+        Object.assign(users.get(userId), { status, statusText });
+        users.get(userId).sessions.add(sessionId);
+        return isNewUser;
+    };
+
+    const setIdle = async (sessionId, idle) => {
+        const session = sessions.get(sessionId);
+        if (session) session.idle = idle;
+    };
+
+    // Mark a session as disconnected, unless another socket took it over in the meantime
+    const clearSocket = async (sessionId, socketId) => {
+        const session = sessions.get(sessionId);
+        if (session && session.socketId === socketId) session.socketId = null;
+    };
+
+    // Drop a session, and its user with it once they have none left.
+    // Returns { userId, username, remaining, shown } or null if there was no such session.
+    const removeSession = async (sessionId) => {
+        const session = sessions.get(sessionId);
+        if (!session) return null;
+        sessions.delete(sessionId);
+
+        const user = users.get(session.userId);
+        user.sessions.delete(sessionId);
+        if (user.sessions.size === 0) users.delete(session.userId);
+        return { userId: session.userId, username: user.username, remaining: user.sessions.size, shown: user.shown };
+    };
+
+    const getUser = async (userId) => toUser(userId);
+    const listUsers = async () => Array.from(users.keys()).map(toUser);
+    const listUserIds = async () => Array.from(users.keys());
+
+    const setUsername = async (userId, username) => {
+        const user = users.get(userId);
+        if (user) user.username = username;
+    };
+
+    const setStatus = async (userId, { status, statusText }) => {
+        const user = users.get(userId);
+        if (user) Object.assign(user, { status, statusText });
+    };
+
+    // Record what was just broadcast about an online user (null while they are hidden). Returns
+    // { previous }, what was broadcast before, or null if the user isn't online.
+    const swapShown = async (userId, shown) => {
+        const user = users.get(userId);
+        if (!user) return null;
+        const previous = user.shown;
+        user.shown = shown;
+        return { previous };
+    };
+
+    // Add or remove a present room member. Both return whether anything changed.
+    const addToRoom = async (roomId, userId) => {
+        if (!rooms.has(roomId)) rooms.set(roomId, new Set());
+        const members = rooms.get(roomId);
+        if (members.has(userId)) return false;
+        members.add(userId);
+        return true;
+    };
+    const removeFromRoom = async (roomId, userId) => Boolean(rooms.get(roomId)?.delete(userId));
+
+    const getRoomUserIds = async (roomId) => Array.from(rooms.get(roomId) || []);
+    const deleteRoom = async (roomId) => {
+        rooms.delete(roomId);
+    };
+
+    // With a single process every session is its own, and no other instance can die with sessions left behind
+    const heartbeat = async () => {};
+    const listOwnSessionIds = async () => Array.from(sessions.keys());
+    const claimDeadSessions = async () => [];
+    const leave = async () => {};
+
+    return {
+        getSession,
+        addSession,
+        setIdle,
+        clearSocket,
+        removeSession,
+        getUser,
+        listUsers,
+        listUserIds,
+        setUsername,
+        setStatus,
+        swapShown,
+        addToRoom,
+        removeFromRoom,
+        getRoomUserIds,
+        deleteRoom,
+        heartbeat,
+        listOwnSessionIds,
+        claimDeadSessions,
+        leave
+    };
+}
+
+// Clear a session's socket only if it is still the one that disconnected
+const CLEAR_SOCKET_SCRIPT = `
+if redis.call('hget', KEYS[1], 'socketId') == ARGV[1] then
+    redis.call('hset', KEYS[1], 'socketId', '')
+end
+return 0`;
+
+// Update a session's idle flag, without bringing back a session that was removed meanwhile
+const SET_IDLE_SCRIPT = `
+if redis.call('exists', KEYS[1]) == 1 then
+    redis.call('hset', KEYS[1], 'idle', ARGV[1])
+end
+return 0`;
+
+// Remove a session and, if it was the user's last, the user. Done in one script so a session that is
+// added at the same moment on another instance can't be lost. Returns { userId, username, remaining, shown }.
+const REMOVE_SESSION_SCRIPT = `
+local userId = redis.call('hget', KEYS[1], 'userId')
+if not userId then return nil end
+local userKey = ARGV[1] .. 'user:' .. userId
+local instanceId = redis.call('hget', KEYS[1], 'instanceId')
+redis.call('del', KEYS[1])
+if instanceId then redis.call('srem', ARGV[1] .. 'instance:' .. instanceId .. ':sessions', ARGV[2]) end
+redis.call('srem', userKey .. ':sessions', ARGV[2])
+local remaining = redis.call('scard', userKey .. ':sessions')
+local username = redis.call('hget', userKey, 'username')
+local shown = redis.call('hget', userKey, 'shown') or ''
+if remaining == 0 then
+    redis.call('del', userKey)
+    redis.call('srem', ARGV[1] .. 'users', userId)
+end
+return { userId, username, remaining, shown }`;
+
+// Replace what was last broadcast about a user, if they are still online. Returns the previous value.
+const SWAP_SHOWN_SCRIPT = `
+if redis.call('exists', KEYS[1]) == 0 then return false end
+local previous = redis.call('hget', KEYS[1], 'shown') or ''
+redis.call('hset', KEYS[1], 'shown', ARGV[1])
+return previous`;
+
+// What was broadcast about a user is kept as JSON; an empty string means nothing (they were hidden)
+const parseShown = (value) => (value ? JSON.parse(value) : null);
+
+// Keys, under `prefix`:
+//   session:<id>              hash { userId, socketId, idle, instanceId }
+//   user:<id>                 hash { username, status, statusText, shown }
+//   user:<id>:sessions        set of session ids
+//   users                     set of online user ids
+//   room:<id>:users           set of present member ids
+//   instances                 set of the ids of the instances that have sessions
+//   instance:<id>             heartbeat of a running instance, which expires if it stops
+//   instance:<id>:sessions    set of the ids of the instance's sessions (some may have moved on to another)
+// `instanceId` identifies the instance using the store; each one needs its own.
+function createRedisPresenceStore(redis, { prefix = 'chat:', instanceId } = {}) {
+    const sessionKey = (sessionId) => `${prefix}session:${sessionId}`;
+    const userKey = (userId) => `${prefix}user:${userId}`;
+    const userSessionsKey = (userId) => `${prefix}user:${userId}:sessions`;
+    const usersKey = `${prefix}users`;
+    const roomKey = (roomId) => `${prefix}room:${roomId}:users`;
+    const instancesKey = `${prefix}instances`;
+    const instanceKey = (id) => `${prefix}instance:${id}`;
+    const instanceSessionsKey = (id) => `${prefix}instance:${id}:sessions`;
+
+    const getSession = async (sessionId) => {
+        const session = await redis.hgetall(sessionKey(sessionId));
+        if (!session.userId) return null;
+        return { id: sessionId, userId: session.userId, socketId: session.socketId || null, idle: session.idle === '1' };
+    };
+
+    // The sessions in an instance's set that still belong to it
+    const sessionsOf = async (id) => {
+        const sessionIds = await redis.smembers(instanceSessionsKey(id));
+        const owners = await Promise.all(sessionIds.map(sessionId => redis.hget(sessionKey(sessionId), 'instanceId')));
+        return sessionIds.filter((sessionId, i) => owners[i] === id);
+    };
+
+    const getUser = async (userId) => {
+        const [user, sessionIds] = await Promise.all([
+            redis.hgetall(userKey(userId)),
+            redis.smembers(userSessionsKey(userId))
+        ]);
+        if (user.username === undefined) return null;
+        const sessions = await Promise.all(sessionIds.map(getSession));
+        const { username, status, statusText } = user;
+        return { userId, username, status, statusText, sessions: sessions.filter(Boolean) };
+    };
+
+    const addSession = async (sessionId, { userId, username, status, statusText, socketId }) => {
+        const results = await redis.multi()
+            .hset(sessionKey(sessionId), { userId, socketId, idle: '0', instanceId })
+            .hset(userKey(userId), { username, status, statusText })
+            .sadd(userSessionsKey(userId), sessionId)
+            .sadd(usersKey, userId)
+            .sadd(instanceSessionsKey(instanceId), sessionId)
+            .exec();
+        return results[3][1] === 1;
+    };
+
+    const setIdle = async (sessionId, idle) => {
+        await redis.eval(SET_IDLE_SCRIPT, 1, sessionKey(sessionId), idle ? '1' : '0');
+    };
+
+    const clearSocket = async (sessionId, socketId) => {
+        await redis.eval(CLEAR_SOCKET_SCRIPT, 1, sessionKey(sessionId), socketId);
+    };
+
+    const removeSession = async (sessionId) => {
+        const removed = await redis.eval(REMOVE_SESSION_SCRIPT, 1, sessionKey(sessionId), prefix, sessionId);
+        if (!removed) return null;
+        const [userId, username, remaining, shown] = removed;
+        return { userId, username, remaining: Number(remaining), shown: parseShown(shown) };
+    };
+
+    const listUserIds = () => redis.smembers(usersKey);
+    const listUsers = async () => (await Promise.all((await listUserIds()).map(getUser))).filter(Boolean);
+
+    // Only rename users who are online, so a late update doesn't leave a stray key behind
+    const setUsername = async (userId, username) => {
+        if (await redis.sismember(usersKey, userId)) await redis.hset(userKey(userId), { username });
+    };
+
+    const setStatus = async (userId, { status, statusText }) => {
+        if (await redis.sismember(usersKey, userId)) await redis.hset(userKey(userId), { status, statusText });
+    };
+
+    const swapShown = async (userId, shown) => {
+        const previous = await redis.eval(SWAP_SHOWN_SCRIPT, 1, userKey(userId), shown ? JSON.stringify(shown) : '');
+        return previous === null ? null : { previous: parseShown(previous) };
+    };
+
+    const addToRoom = async (roomId, userId) => (await redis.sadd(roomKey(roomId), userId)) === 1;
+    const removeFromRoom = async (roomId, userId) => (await redis.srem(roomKey(roomId), userId)) === 1;
+
+    const getRoomUserIds = (roomId) => redis.smembers(roomKey(roomId));
+    const deleteRoom = async (roomId) => {
+        await redis.del(roomKey(roomId));
+    };
+
+    // Tell the other instances this one is still running, for `ttlMs` from now
+    const heartbeat = async (ttlMs) => {
+        await redis.multi().set(instanceKey(instanceId), Date.now(), 'PX', ttlMs).sadd(instancesKey, instanceId).exec();
+    };
+
+    const listOwnSessionIds = () => sessionsOf(instanceId);
+
+    // The sessions left behind by instances whose heartbeat stopped, for the caller to end. Each dead
+    // instance is claimed by removing it from the set, so only one of the instances that notice gets its sessions.
+    const claimDeadSessions = async () => {
+        const others = (await redis.smembers(instancesKey)).filter(id => id !== instanceId);
+        const alive = await Promise.all(others.map(id => redis.exists(instanceKey(id))));
+        const claimed = [];
+        for (const id of others.filter((id, i) => !alive[i])) {
+            if (!(await redis.srem(instancesKey, id))) continue;
+            claimed.push(...(await sessionsOf(id)));
+            await redis.del(instanceSessionsKey(id));
+        }
+        return claimed;
+    };
+
+    // Stop the heartbeat of this instance, once it ended its sessions
+    const leave = async () => {
+        await redis.multi()
+            .srem(instancesKey, instanceId)
+            .del(instanceKey(instanceId), instanceSessionsKey(instanceId))
+            .exec();
+    };
+
+    return {
+        getSession,
+        addSession,
+        setIdle,
+        clearSocket,
+        removeSession,
+        getUser,
+        listUsers,
+        listUserIds,
+        setUsername,
+        setStatus,
+        swapShown,
+        addToRoom,
+        removeFromRoom,
+        getRoomUserIds,
+        deleteRoom,
+        heartbeat,
+        listOwnSessionIds,
+        claimDeadSessions,
+        leave
+    };
+}
+
+module.exports = { createMemoryPresenceStore, createRedisPresenceStore };
@@ -0,0 +1,189 @@
+// server/models/roomStore.js
+// Room settings: owner, visibility, topic, per-room roles, moderation (bans and mutes) and which users
+// joined the room. Who is online is tracked by the presence store. Both stores have the same async
+// interface, like the presence store: the in-memory one saves to a JSON file and is for a single server
+// process; the Redis one is shared by every instance.
+//
+// A room is { id, name, topic, visibility, ownerId, moderators, members, bans, mutes, joined, createdAt }.
+// The stores return copies, so use what updateRoom returns rather than changing a room in place.
+
+const { readJsonFile, writeJsonFile } = require('../utils/jsonFile');
+const { toHashFields, fromHash, updateHash } = require('../utils/redisHash');
+
+// public: listed for everyone, anyone can join
+// invite-only: listed for everyone, joining needs an invite
+// private: only listed for (and joinable by) invited members
+const VISIBILITIES = ['public', 'invite-only', 'private'];
+const ROLE_RANK = { member: 1, moderator: 2, owner: 3 };
+
+const newRoom = ({ id, name, topic = '', visibility = 'public', ownerId = null }) => ({
+    id,
+    name: name || id,
+    topic,
+    visibility,
+    ownerId,
+    moderators: [],
+    members: ownerId ? [ownerId] : [], // Users invited to (or owning) the room
+    bans: [],
+    mutes: {}, // { [userId]: ISO timestamp the mute ends }
+    joined: ownerId ? [ownerId] : [], // Users subscribed to the room's messages
+    createdAt: new Date().toISOString()
+});
+
+function createMemoryRoomStore(filePath) {
+    const rooms = new Map(); // Map<roomId, room>
+
+    const saved = readJsonFile(filePath, {});
+    (saved.rooms || []).forEach(room => rooms.set(room.id, { joined: [], ...room }));
+
+    const save = () => writeJsonFile(filePath, { rooms: Array.from(rooms.values()) });
+
+    const copy = (room) => room && structuredClone(room);
+
+    const getRoom = async (id) => copy(rooms.get(id)) || null;
+
+    // Oldest first
+    const listRooms = async () => Array.from(rooms.values(), copy);
+
+    // Create a room. Returns null if there already is one with that id.
+    const createRoom = async (settings) => {
+        if (rooms.has(settings.id)) return null;
+        const room = newRoom(settings);
+        rooms.set(room.id, room);
+        save();
+        return copy(room);
+    };
+
+    // Apply changes to a room's settings and return it. Who joined changes through addJoined and removeJoined.
+    const updateRoom = async (id, changes) => {
+        const room = rooms.get(id);
+        if (!room) return null;
+        Object.assign(room, structuredClone(changes));
+        save();
+        return copy(room);
+    };
+
+    // Subscribe a user to a room's messages, or unsubscribe them. Both return the room.
+    const addJoined = async (id, userId) => {
+        const room = rooms.get(id);
+        if (room && !room.joined.includes(userId)) {
+            room.joined.push(userId);
+            save();
+        }
+        return copy(room) || null;
+    };
+    const removeJoined = async (id, userId) => {
+        const room = rooms.get(id);
+        if (room && room.joined.includes(userId)) {
+            room.joined = room.joined.filter(joinedId => joinedId !== userId);
+            save();
+        }
+        return copy(room) || null;
+    };
+
+    const deleteRoom = async (id) => {
+        const deleted = rooms.delete(id);
+        if (deleted) save();
+        return deleted;
+    };
+
+    return { getRoom, listRooms, createRoom, updateRoom, addJoined, removeJoined, deleteRoom };
+}
+
+// Keys, under `prefix`:
+//   rooms                 set of room ids
+//   room:<id>:settings    hash of the room's fields except `joined` (see utils/redisHash.js)
+//   room:<id>:joined      set of the ids of the users who joined the room
+function createRedisRoomStore(redis, { prefix = 'chat:' } = {}) {
+    const roomsKey = `${prefix}rooms`;
+    const settingsKey = (id) => `${prefix}room:${id}:settings`;
+    const joinedKey = (id) => `${prefix}room:${id}:joined`;
+
+    const getRoom = async (id) => {
+        const [[, settings], [, joined]] = await redis.multi().hgetall(settingsKey(id)).smembers(joinedKey(id)).exec();
+        const room = fromHash(settings);
+        return room && { ...room, joined };
+    };
+
+    const listRooms = async () => {
+        const rooms = (await Promise.all((await redis.smembers(roomsKey)).map(getRoom))).filter(Boolean);
+        return rooms.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    };
+
+    const createRoom = async (settings) => {
+        if (!(await redis.sadd(roomsKey, settings.id))) return null;
+        const { joined, ...room } = newRoom(settings);
+        const transaction = redis.multi().hset(settingsKey(room.id), toHashFields(room));
+        if (joined.length > 0) transaction.sadd(joinedKey(room.id), ...joined);
+        await transaction.exec();
+        return { ...room, joined };
+    };
+
+    const updateRoom = async (id, changes) => ((await updateHash(redis, settingsKey(id), changes)) ? getRoom(id) : null);
+
+    // Only rooms that exist, so a late join can't leave a stray key behind
+    const addJoined = async (id, userId) => {
+        if (!(await redis.sismember(roomsKey, id))) return null;
+        await redis.sadd(joinedKey(id), userId);
+        return getRoom(id);
+    };
+    const removeJoined = async (id, userId) => {
+        await redis.srem(joinedKey(id), userId);
+        return getRoom(id);
+    };
+
+    const deleteRoom = async (id) => {
+        const deleted = (await redis.srem(roomsKey, id)) === 1;
+        if (deleted) await redis.del(settingsKey(id), joinedKey(id));
+        return deleted;
+    };
+
+    return { getRoom, listRooms, createRoom, updateRoom, addJoined, removeJoined, deleteRoom };
+}
+
+// --- Permissions ---
+
+const getRole = (room, userId) => {
+    if (room.ownerId === userId) return 'owner';
+    if (room.moderators.includes(userId)) return 'moderator';
+    return 'member';
+};
+
+// Whether `userId`'s role in the room is at least `role`
+const hasRole = (room, userId, role) => ROLE_RANK[getRole(room, userId)] >= ROLE_RANK[role];
+
+// Whether `actorId` outranks `targetId`, so moderators can't act on each other or on the owner
+const outranks = (room, actorId, targetId) => ROLE_RANK[getRole(room, actorId)] > ROLE_RANK[getRole(room, targetId)];
+
+const isInvited = (room, userId) =>
+    room.ownerId === userId || room.moderators.includes(userId) || room.members.includes(userId);
+
+const isBanned = (room, userId) => room.bans.includes(userId);
+
+const isJoined = (room, userId) => room.joined.includes(userId);
+
+const canSeeRoom = (room, userId) => room.visibility !== 'private' || isInvited(room, userId);
+
+const canJoinRoom = (room, userId) =>
+    !isBanned(room, userId) && (room.visibility === 'public' || isInvited(room, userId));
+
+// The time a user's mute ends, or null if they aren't muted
+const getMutedUntil = (room, userId) => {
+    const until = room.mutes[userId];
+    return until && new Date(until) > new Date() ? until : null;
+};
+
+module.exports = {
+    createMemoryRoomStore,
+    createRedisRoomStore,
+    VISIBILITIES,
+    getRole,
+    hasRole,
+    outranks,
+    isInvited,
+    isBanned,
+    isJoined,
+    canSeeRoom,
+    canJoinRoom,
+    getMutedUntil
+};
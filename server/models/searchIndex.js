@@ -0,0 +1,53 @@
+// server/models/searchIndex.js
+// In-memory inverted index for full-text message search: maps each word to the ids of the
+// messages containing it. The message store keeps it up to date and rebuilds it on startup.
+
+// Lowercased words (letters and digits in any script)
+const tokenize = (text) => (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+
+function createSearchIndex() {
+    const postings = new Map(); // Map<word, Set<messageId>>
+    const wordsById = new Map(); // Map<messageId, Set<word>>
+
+    const remove = (id) => {
+        (wordsById.get(id) || []).forEach(word => {
+            const ids = postings.get(word);
+            ids.delete(id);
+            if (ids.size === 0) postings.delete(word);
+        });
+        wordsById.delete(id);
+    };
+
+    // (Re)index a message's searchable text
+    const index = (id, text) => {
+        remove(id);
+        const words = new Set(tokenize(text));
+        if (words.size === 0) return;
+        wordsById.set(id, words);
+        words.forEach(word => {
+            if (!postings.has(word)) postings.set(word, new Set());
+            postings.get(word).add(id);
+        });
+    };
+
+    // Ids of the messages containing every term. The last term also matches as a prefix,
+    // so "deplo" finds "deploy" while the user is still typing.
+    const search = (terms) => {
+        let result = null;
+        terms.forEach((term, i) => {
+            let ids = postings.get(term) || new Set();
+            if (i === terms.length - 1) {
+                ids = new Set(ids);
+                postings.forEach((wordIds, word) => {
+                    if (word.startsWith(term)) wordIds.forEach(id => ids.add(id));
+                });
+            }
+            result = result ? new Set(Array.from(result).filter(id => ids.has(id))) : ids;
+        });
+        return result || new Set();
+    };
+
+    return { index, remove, search };
+}
+
+module.exports = { createSearchIndex, tokenize };
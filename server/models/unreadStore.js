@@ -0,0 +1,116 @@
+// server/models/unreadStore.js
+// Unread and mention counters for each user in each room they joined.
+// Counts go up as messages arrive and reset when the user reads the room.
+// Both stores have the same async interface, like the presence store: the in-memory one flushes to a JSON
+// file; the Redis one is shared by every instance.
+
+const { readJsonFile, writeJsonFile } = require('../utils/jsonFile');
+const { logger } = require('../utils/logger');
+
+const SAVE_DELAY_MS = 500; // Batch bursts of messages into a single disk write
+
+const EMPTY = { unread: 0, mentions: 0 };
+
+function createMemoryUnreadStore(filePath) {
+    // Maps rather than objects, so room ids like "constructor" can't hit Object.prototype
+    const counts = new Map(); // Map<userId, Map<roomId, { unread, mentions }>>
+    let saveTimer = null;
+
+    const saved = readJsonFile(filePath, {});
+    Object.entries(saved.counts || {}).forEach(([userId, rooms]) => counts.set(userId, new Map(Object.entries(rooms))));
+
+    const flush = async () => {
+        if (saveTimer) {
+            clearTimeout(saveTimer);
+            saveTimer = null;
+        }
+        const serialized = Array.from(counts, ([userId, rooms]) => [userId, Object.fromEntries(rooms)]);
+        writeJsonFile(filePath, { counts: Object.fromEntries(serialized) });
+    };
+
+    const scheduleSave = () => {
+        if (saveTimer) return;
+        saveTimer = setTimeout(() => {
+            saveTimer = null;
+            flush().catch(err => logger.error('Failed to save unread counts', { error: err }));
+        }, SAVE_DELAY_MS);
+    };
+
+    // All of a user's non-zero counters, keyed by room
+    const getCounts = async (userId) => Object.fromEntries(counts.get(userId) || []);
+
+    // Add to a user's counters for a room and return the new counts
+    const increment = async (userId, roomId, { unread = 0, mentions = 0 }) => {
+        const userCounts = counts.get(userId) || new Map();
+        const current = userCounts.get(roomId) || EMPTY;
+        const updated = { unread: current.unread + unread, mentions: current.mentions + mentions };
+        userCounts.set(roomId, updated);
+        counts.set(userId, userCounts);
+        scheduleSave();
+        return updated;
+    };
+
+    // Reset a user's counters for a room, e.g. after they read it or left it
+    const clear = async (userId, roomId) => {
+        if (counts.get(userId)?.delete(roomId)) scheduleSave();
+        return EMPTY;
+    };
+
+    // Drop every user's counters for a deleted room
+    const removeRoom = async (roomId) => {
+        await Promise.all(Array.from(counts.keys(), userId => clear(userId, roomId)));
+    };
+
+    return { getCounts, increment, clear, removeRoom, flush };
+}
+
+// Keys, under `prefix`:
+//   unread:<userId>          hash { room id: unread count }
+//   mentions:<userId>        hash { room id: mention count }
+//   unread-users:<roomId>    set of the users with counters for the room, for removeRoom
+// Counters are changed with HINCRBY, so messages counted on different instances at once all add up.
+function createRedisUnreadStore(redis, { prefix = 'chat:' } = {}) {
+    const unreadKey = (userId) => `${prefix}unread:${userId}`;
+    const mentionsKey = (userId) => `${prefix}mentions:${userId}`;
+    const roomUsersKey = (roomId) => `${prefix}unread-users:${roomId}`;
+
+    const getCounts = async (userId) => {
+        const [unread, mentions] = await Promise.all([redis.hgetall(unreadKey(userId)), redis.hgetall(mentionsKey(userId))]);
+        return Object.fromEntries(Object.keys(unread).map(roomId => [
+            roomId,
+            { unread: Number(unread[roomId]), mentions: Number(mentions[roomId] || 0) }
+        ]));
+    };
+
+    const increment = async (userId, roomId, { unread = 0, mentions = 0 }) => {
+        const [[, unreadCount], [, mentionCount]] = await redis.multi()
+            .hincrby(unreadKey(userId), roomId, unread)
+            .hincrby(mentionsKey(userId), roomId, mentions)
+            .sadd(roomUsersKey(roomId), userId)
+            .exec();
+        return { unread: Number(unreadCount), mentions: Number(mentionCount) };
+    };
+
+    const clear = async (userId, roomId) => {
+        await redis.multi()
+            .hdel(unreadKey(userId), roomId)
+            .hdel(mentionsKey(userId), roomId)
+            .srem(roomUsersKey(roomId), userId)
+            .exec();
+        return EMPTY;
+    };
+
+    const removeRoom = async (roomId) => {
+        const userIds = await redis.smembers(roomUsersKey(roomId));
+        const transaction = redis.multi().del(roomUsersKey(roomId));
+        userIds.forEach(userId => transaction.hdel(unreadKey(userId), roomId).hdel(mentionsKey(userId), roomId));
+        await transaction.exec();
+    };
+
+    // Nothing to write out; Redis has it all already
+    const flush = async () => {};
+
+    return { getCounts, increment, clear, removeRoom, flush };
+}
+
+module.exports = { createMemoryUnreadStore, createRedisUnreadStore };
@@ -0,0 +1,125 @@
+// server/models/userStore.js
+// Account store. Accounts are looked up by id or (case-insensitively) by username.
+// Both stores have the same async interface, like the presence store: the in-memory one saves to a JSON file
+// and is for a single server process; the Redis one is shared by every instance.
+
+const crypto = require('crypto');
+const { readJsonFile, writeJsonFile } = require('../utils/jsonFile');
+const { hashPassword, verifyPassword } = require('../utils/auth');
+const { toHashFields, fromHash, updateHash } = require('../utils/redisHash');
+
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{3,20}$/;
+
+// An account is { id, username, passwordHash, createdAt, status?, statusText?, lastSeen? }
+const newAccount = (username, passwordHash) => ({ id: crypto.randomUUID(), username, passwordHash, createdAt: new Date().toISOString() });
+
+function createMemoryUserStore(filePath) {
+    const accounts = new Map(); // Map<accountId, account>
+
+    const saved = readJsonFile(filePath, {});
+    (saved.accounts || []).forEach(account => accounts.set(account.id, account));
+
+    const save = () => writeJsonFile(filePath, { accounts: Array.from(accounts.values()) });
+
+    const lookUp = (username) => {
+        const wanted = String(username).toLowerCase();
+        return Array.from(accounts.values()).find(account => account.username.toLowerCase() === wanted) || null;
+    };
+
+    const findById = async (id) => accounts.get(id) || null;
+
+    const findByUsername = async (username) => lookUp(username);
+
+    // Create an account. Returns null if the username is already registered.
+    const createAccount = async (username, password) => {
+        if (lookUp(username)) return null;
+        const passwordHash = await hashPassword(password);
+        // Re-check after hashing in case a concurrent request registered the same name meanwhile
+        if (lookUp(username)) return null;
+
+        const account = newAccount(username, passwordHash);
+        accounts.set(account.id, account);
+        save();
+        return account;
+    };
+
+    // Return the account if the username and password match, otherwise null
+    const authenticate = async (username, password) => {
+        const account = lookUp(username);
+        if (!account) return null;
+        return (await verifyPassword(password, account.passwordHash)) ? account : null;
+    };
+
+    // Change an account's username. Returns null if another account already uses the name.
+    const renameAccount = async (id, username) => {
+        const account = accounts.get(id);
+        const existing = lookUp(username);
+        if (!account || (existing && existing.id !== id)) return null;
+        account.username = username;
+        save();
+        return account;
+    };
+
+    // Save the status an account picked ({ status, statusText }) or when others last saw it online ({ lastSeen })
+    const updatePresence = async (id, changes) => {
+        const account = accounts.get(id);
+        if (!account) return null;
+        Object.assign(account, changes);
+        save();
+        return account;
+    };
+
+    return { findById, findByUsername, createAccount, authenticate, renameAccount, updatePresence };
+}
+
+// Keys, under `prefix`:
+//   account:<id>      hash of the account's fields (see utils/redisHash.js)
+//   usernames         hash { lowercased username: account id }, which makes names unique across instances
+function createRedisUserStore(redis, { prefix = 'chat:' } = {}) {
+    const accountKey = (id) => `${prefix}account:${id}`;
+    const usernamesKey = `${prefix}usernames`;
+
+    const findById = async (id) => fromHash(await redis.hgetall(accountKey(id)));
+
+    const findByUsername = async (username) => {
+        const id = await redis.hget(usernamesKey, String(username).toLowerCase());
+        return id ? findById(id) : null;
+    };
+
+    const createAccount = async (username, password) => {
+        if (await redis.hexists(usernamesKey, username.toLowerCase())) return null;
+        const account = newAccount(username, await hashPassword(password));
+        // Claim the name; another instance may have registered it while we were hashing
+        if (!(await redis.hsetnx(usernamesKey, username.toLowerCase(), account.id))) return null;
+        await redis.hset(accountKey(account.id), toHashFields(account));
+        return account;
+    };
+
+    const authenticate = async (username, password) => {
+        const account = await findByUsername(username);
+        if (!account) return null;
+        return (await verifyPassword(password, account.passwordHash)) ? account : null;
+    };
+
+    const renameAccount = async (id, username) => {
+        const account = await findById(id);
+        if (!account) return null;
+        const previous = account.username.toLowerCase();
+        const wanted = username.toLowerCase();
+        // Only a change of case keeps the claim on the name
+        if (wanted !== previous && !(await redis.hsetnx(usernamesKey, wanted, id))) return null;
+
+        await updateHash(redis, accountKey(id), { username });
+        if (wanted !== previous) await redis.hdel(usernamesKey, previous);
+        return { ...account, username };
+    };
+
+    const updatePresence = async (id, changes) => (await updateHash(redis, accountKey(id), changes) ? findById(id) : null);
+
+    return { findById, findByUsername, createAccount, authenticate, renameAccount, updatePresence };
+}
+
+// Strip private fields before sending an account to a client
+const toPublicAccount = (account) => ({ id: account.id, username: account.username });
+
+module.exports = { createMemoryUserStore, createRedisUserStore, toPublicAccount, USERNAME_PATTERN };
@@ -0,0 +1,62 @@
+// server/routes/admin.js
+// Express routes for running the chat server, for admins only (see middleware/requireAdmin.js):
+//   GET  /api/admin/users                      Who is online, with each of their sessions and sockets
+//   GET  /api/admin/rooms                      Every room with its member, present-member and message counts
+//   POST /api/admin/sockets/:socketId/disconnect   Disconnect a socket and end its session
+//   POST /api/admin/announcements              { message, room? } A system announcement to everyone, or to a room
+//   POST /api/admin/rooms/:roomId/close        Close a room; everyone is taken out of it like after 'delete_room'
+// The operations themselves are the server's, since it owns the sockets and stores. They return the same
+// results as socket events ({ ok: true, ... } or a failure from utils/errors.js), sent here as JSON.
+
+const express = require('express');
+const { ERROR_CODES, fail, httpStatusOf } = require('../utils/errors');
+const { MAX_MESSAGE_LENGTH } = require('../../shared/protocol');
+
+function createAdminRouter({ requireAdmin, operations, logger }) {
+    const router = express.Router();
+    router.use(requireAdmin);
+
+    // Run an operation and answer with its result, or its failure and a matching status
+    const handle = (run) => async (req, res, next) => {
+        try {
+            const { ok, code, error, ...result } = await run(req);
+            if (!ok) return res.status(httpStatusOf(code)).json({ code, error });
+            res.json(result);
+        } catch (err) {
+            next(err);
+        }
+    };
+
+    router.get('/users', handle(() => operations.listUsers()));
+
+    router.get('/rooms', handle(() => operations.listRooms()));
+
+    router.post('/sockets/:socketId/disconnect', handle(async (req) => {
+        const response = await operations.disconnectSocket(req.params.socketId);
+        if (response.ok) logger.info('Admin disconnected a socket', { adminId: req.account.id, socketId: req.params.socketId });
+        return response;
+    }));
+
+    router.post('/announcements', handle(async (req) => {
+        const { message, room } = req.body || {};
+        if (typeof message !== 'string' || !message.trim() || message.length > MAX_MESSAGE_LENGTH) {
+            return fail(ERROR_CODES.INVALID_PAYLOAD, `message must be 1-${MAX_MESSAGE_LENGTH} characters.`);
+        }
+        if (room !== undefined && typeof room !== 'string') {
+            return fail(ERROR_CODES.INVALID_PAYLOAD, 'room must be a room id.');
+        }
+        const response = await operations.announce(message.trim(), room);
+        if (response.ok) logger.info('Admin sent an announcement', { adminId: req.account.id, room: room || null });
+        return response;
+    }));
+
+    router.post('/rooms/:roomId/close', handle(async (req) => {
+        const response = await operations.closeRoom(req.params.roomId);
+        if (response.ok) logger.info('Admin closed a room', { adminId: req.account.id, room: req.params.roomId });
+        return response;
+    }));
+
+    return router;
+}
+
+module.exports = { createAdminRouter };
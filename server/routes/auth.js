@@ -0,0 +1,61 @@
+// server/routes/auth.js
+// Express routes for creating an account and signing in. Both return a signed token
+// that the client passes in the Socket.io handshake (`auth.token`).
+
+const express = require('express');
+const { signToken } = require('../utils/auth');
+const { toPublicAccount, USERNAME_PATTERN } = require('../models/userStore');
+const { logger } = require('../utils/logger');
+
+const MIN_PASSWORD_LENGTH = 6;
+
+function createAuthRouter({ userStore, tokenSecret, tokenTtlSeconds }) {
+    const router = express.Router();
+
+    const issueToken = (account) => ({
+        token: signToken({ sub: account.id, username: account.username }, tokenSecret, tokenTtlSeconds),
+        user: toPublicAccount(account)
+    });
+
+    router.post('/register', async (req, res, next) => {
+        try {
+            const { username, password } = req.body || {};
+            if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+                return res.status(400).json({ error: 'Username must be 3-20 letters, numbers, dots, dashes or underscores.' });
+            }
+            if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+                return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters.` });
+            }
+
+            const account = await userStore.createAccount(username, password);
+            if (!account) {
+                return res.status(409).json({ error: 'Username already taken. Please choose another.' });
+            }
+            logger.info('Account registered', { userId: account.id, username: account.username });
+            res.status(201).json(issueToken(account));
+        } catch (err) {
+            next(err);
+        }
+    });
+
+    router.post('/login', async (req, res, next) => {
+        try {
+            const { username, password } = req.body || {};
+            if (typeof username !== 'string' || typeof password !== 'string') {
+                return res.status(400).json({ error: 'Username and password are required.' });
+            }
+
+            const account = await userStore.authenticate(username, password);
+            if (!account) {
+                return res.status(401).json({ error: 'Invalid username or password.' });
+            }
+            res.json(issueToken(account));
+        } catch (err) {
+            next(err);
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createAuthRouter };
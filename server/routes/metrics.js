@@ -0,0 +1,30 @@
+// server/routes/metrics.js
+// GET /metrics for Prometheus, in its text format (see utils/metrics.js). With a `token`, scrapers have to
+// send it in an "Authorization: Bearer <token>" header.
+
+const express = require('express');
+const crypto = require('crypto');
+const { CONTENT_TYPE } = require('../utils/metrics');
+
+// Compare secrets in constant time, whatever their lengths
+const digest = (value) => crypto.createHash('sha256').update(value).digest();
+const sameSecret = (a, b) => crypto.timingSafeEqual(digest(a), digest(b));
+
+function createMetricsRouter({ metrics, token }) {
+    const router = express.Router();
+
+    router.get('/', async (req, res, next) => {
+        if (token && !sameSecret(req.get('Authorization') || '', `Bearer ${token}`)) {
+            return res.status(401).json({ error: 'A valid metrics token is required.' });
+        }
+        try {
+            res.type(CONTENT_TYPE).send(await metrics.render());
+        } catch (err) {
+            next(err);
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createMetricsRouter };
@@ -0,0 +1,68 @@
+// server/routes/transcripts.js
+// Express routes for archiving history as transcripts (see utils/transcript.js), for signed-in users:
+//   GET  /api/transcripts/:roomId?format=json|markdown|html&from=YYYY-MM-DD&to=YYYY-MM-DD
+//        A room's or conversation's messages as a file to download, for whoever may read its history
+//   POST /api/transcripts/:roomId/import
+//        A JSON transcript whose messages are added to a room's history, for its moderators and admins
+// The permission checks and stores are the server's, which passes them in as `operations`, like the admin API.
+
+const express = require('express');
+const { ERROR_CODES, httpStatusOf } = require('../utils/errors');
+const { TRANSCRIPT_FORMATS, renderTranscript } = require('../utils/transcript');
+
+// A file name like "general-2024-05-31.md"
+const fileNameFor = (transcript, extension) => {
+    const name = transcript.room.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'transcript';
+    return `${name.slice(0, 60)}-${transcript.exportedAt.slice(0, 10)}.${extension}`;
+};
+
+function createTranscriptRouter({ requireAuth, operations, logger }) {
+    const router = express.Router();
+    router.use(requireAuth);
+
+    router.get('/:roomId', async (req, res, next) => {
+        const { format = 'json', from, to } = req.query;
+        if (!Object.prototype.hasOwnProperty.call(TRANSCRIPT_FORMATS, format)) {
+            return res.status(400).json({
+                code: ERROR_CODES.INVALID_PAYLOAD,
+                error: `format must be one of: ${Object.keys(TRANSCRIPT_FORMATS).join(', ')}`
+            });
+        }
+        if ([from, to].some(value => value !== undefined && typeof value !== 'string')) {
+            return res.status(400).json({ code: ERROR_CODES.INVALID_PAYLOAD, error: 'Dates look like 2024-05-31.' });
+        }
+
+        let exported;
+        try {
+            exported = await operations.exportTranscript(req.account, req.params.roomId, { from, to });
+        } catch (err) {
+            return next(err);
+        }
+        const { ok, code, error, transcript } = exported;
+        if (!ok) return res.status(httpStatusOf(code)).json({ code, error });
+
+        const { contentType, extension } = TRANSCRIPT_FORMATS[format];
+        logger.info('Transcript exported', { userId: req.account.id, room: req.params.roomId, format, messages: transcript.messages.length });
+        res.attachment(fileNameFor(transcript, extension)); // Also guesses a type, so it goes first
+        res.set({
+            'Content-Type': contentType,
+            'Access-Control-Expose-Headers': 'Content-Disposition' // So the client, on another origin, can name the file
+        });
+        res.send(renderTranscript(transcript, format));
+    });
+
+    router.post('/:roomId/import', async (req, res, next) => {
+        try {
+            const { ok, code, error, ...result } = await operations.importTranscript(req.account, req.params.roomId, req.body);
+            if (!ok) return res.status(httpStatusOf(code)).json({ code, error });
+            logger.info('Transcript imported', { userId: req.account.id, room: req.params.roomId, ...result });
+            res.json(result);
+        } catch (err) {
+            next(err);
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createTranscriptRouter };
@@ -0,0 +1,153 @@
+// server/routes/uploads.js
+// Express routes for file attachments. Uploads are stored on local disk under random ids and
+// images also get a small thumbnail. Messages refer to uploads by id (see 'send_message').
+
+const express = require('express');
+const multer = require('multer');
+const sharp = require('sharp');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { toClientAttachment } = require('../models/attachmentStore');
+const { logger } = require('../utils/logger');
+const { formatFileSize } = require('../../shared/protocol');
+
+// Allowed uploads by file extension. The stored type always comes from this list, never from the
+// client, and types a browser would run as a page (HTML, SVG) are left out.
+const FILE_TYPES = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.pdf': 'application/pdf',
+    '.txt': 'text/plain',
+    '.log': 'text/plain',
+    '.md': 'text/markdown',
+    '.csv': 'text/csv',
+    '.json': 'application/json',
+    '.zip': 'application/zip',
+    '.gz': 'application/gzip'
+};
+const THUMBNAIL_SIZE = 320; // Longest side of a thumbnail, in pixels
+const MAX_NAME_LENGTH = 200;
+
+const extensionOf = (fileName) => path.extname(fileName).toLowerCase();
+
+function createUploadRouter({ uploadDir, attachmentStore, requireAuth, maxFileBytes }) {
+    const router = express.Router();
+    fs.mkdirSync(uploadDir, { recursive: true });
+
+    const upload = multer({
+        storage: multer.diskStorage({
+            destination: uploadDir,
+            filename: (req, file, cb) => cb(null, `${crypto.randomUUID()}${extensionOf(file.originalname)}`)
+        }),
+        limits: { fileSize: maxFileBytes, files: 1 },
+        fileFilter: (req, file, cb) => cb(null, Boolean(FILE_TYPES[extensionOf(file.originalname)]))
+    }).single('file');
+
+    const removeFile = (fileName) => fs.promises.unlink(path.join(uploadDir, fileName)).catch(() => {});
+
+    // Resize an image into a thumbnail next to the original. Throws if the file isn't a readable image.
+    const createThumbnail = async (fileName, id) => {
+        const source = path.join(uploadDir, fileName);
+        const { width, height } = await sharp(source).metadata();
+        const thumbnailFileName = `${id}.thumb.webp`;
+        await sharp(source)
+            .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+            .webp()
+            .toFile(path.join(uploadDir, thumbnailFileName));
+        return { width, height, thumbnailFileName };
+    };
+
+    // POST /api/uploads with a multipart "file" field. Responds with the attachment's metadata.
+    router.post('/', requireAuth, (req, res, next) => {
+        upload(req, res, async (err) => {
+            if (err?.code === 'LIMIT_FILE_SIZE') {
+                return res.status(413).json({ error: `Files can be at most ${formatFileSize(maxFileBytes)}.` });
+            }
+            if (err) {
+                return res.status(400).json({ error: 'Upload failed. Send a single file in the "file" field.' });
+            }
+            if (!req.file) {
+                return res.status(415).json({ error: `Allowed file types: ${Object.keys(FILE_TYPES).join(', ')}.` });
+            }
+
+            try {
+                const { filename: fileName, originalname, size } = req.file;
+                const id = path.parse(fileName).name;
+                const mimeType = FILE_TYPES[extensionOf(fileName)];
+
+                let image = {};
+                if (mimeType.startsWith('image/')) {
+                    try {
+                        image = await createThumbnail(fileName, id);
+                    } catch (imageErr) {
+                        await removeFile(fileName);
+                        return res.status(415).json({ error: 'That file is not a valid image.' });
+                    }
+                }
+
+                const attachment = await attachmentStore.addAttachment({
+                    id,
+                    name: originalname.slice(-MAX_NAME_LENGTH),
+                    size,
+                    mimeType,
+                    fileName,
+                    ...image,
+                    uploaderId: req.account.id,
+                    createdAt: new Date().toISOString()
+                });
+                logger.info('File uploaded', { userId: req.account.id, attachmentId: attachment.id, size });
+                res.status(201).json({ attachment: toClientAttachment(attachment) });
+            } catch (uploadErr) {
+                next(uploadErr);
+            }
+        });
+    });
+
+    // Send a stored file. Ids are random UUIDs, so only people who were sent the link can fetch it.
+    const sendStoredFile = (res, fileName, headers) => {
+        res.sendFile(fileName, {
+            root: uploadDir,
+            headers: { 'X-Content-Type-Options': 'nosniff', ...headers }
+        });
+    };
+
+    // GET /api/uploads/:id: images are shown inline, everything else is downloaded
+    router.get('/:id', async (req, res, next) => {
+        let attachment;
+        try {
+            attachment = await attachmentStore.findAttachment(req.params.id);
+        } catch (err) {
+            return next(err);
+        }
+        if (!attachment) {
+            return res.status(404).json({ error: 'File not found.' });
+        }
+        const disposition = attachment.mimeType.startsWith('image/') ? 'inline' : 'attachment';
+        sendStoredFile(res, attachment.fileName, {
+            'Content-Type': attachment.mimeType,
+            'Content-Disposition': `${disposition}; filename*=UTF-8''${encodeURIComponent(attachment.name)}`
+        });
+    });
+
+    // GET /api/uploads/:id/thumbnail
+    router.get('/:id/thumbnail', async (req, res, next) => {
+        let attachment;
+        try {
+            attachment = await attachmentStore.findAttachment(req.params.id);
+        } catch (err) {
+            return next(err);
+        }
+        if (!attachment?.thumbnailFileName) {
+            return res.status(404).json({ error: 'Thumbnail not found.' });
+        }
+        sendStoredFile(res, attachment.thumbnailFileName, { 'Content-Type': 'image/webp' });
+    });
+
+    return router;
+}
+
+module.exports = { createUploadRouter };
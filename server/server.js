@@ -6,242 +6,2143 @@ const express = require('express');
 const http = require('http');
 const { Server } = require('socket.io');
 const cors = require('cors');
+const path = require('path');
+const crypto = require('crypto');
+const { createMemoryMessageStore, createRedisMessageStore } = require('./models/messageStore');
+const { createMemoryUserStore, createRedisUserStore, toPublicAccount, USERNAME_PATTERN } = require('./models/userStore');
+const { createMemoryUnreadStore, createRedisUnreadStore } = require('./models/unreadStore');
+const {
+    createMemoryNotificationStore,
+    createRedisNotificationStore,
+    NOTIFICATION_LEVELS
+} = require('./models/notificationStore');
+const {
+    createMemoryConversationStore,
+    createRedisConversationStore,
+    conversationId,
+    isConversationId,
+    participantsOf
+} = require('./models/conversationStore');
+const {
+    createMemoryRoomStore,
+    createRedisRoomStore,
+    VISIBILITIES,
+    getRole,
+    hasRole,
+    outranks,
+    isInvited,
+    isBanned,
+    isJoined,
+    canSeeRoom,
+    canJoinRoom,
+    getMutedUntil
+} = require('./models/roomStore');
+const { createMemoryAttachmentStore, createRedisAttachmentStore, toClientAttachment } = require('./models/attachmentStore');
+const { createMemoryPresenceStore, createRedisPresenceStore } = require('./models/presenceStore');
+const { createMemoryKeyStore, createRedisKeyStore, keyIdOf } = require('./models/keyStore');
+const { createAuthRouter } = require('./routes/auth');
+const { createUploadRouter } = require('./routes/uploads');
+const { createAdminRouter } = require('./routes/admin');
+const { createMetricsRouter } = require('./routes/metrics');
+const { createTranscriptRouter } = require('./routes/transcripts');
+const { createRequireAuth } = require('./middleware/requireAuth');
+const { createRequireAdmin } = require('./middleware/requireAdmin');
+const { verifyToken } = require('./utils/auth');
+const { parseSearchQuery } = require('./utils/searchQuery');
+const { parseDateRange, createTranscript, validateTranscript } = require('./utils/transcript');
+const { parseMessage, findMentions } = require('./utils/messageFormat');
+const { createCommandRegistry } = require('./utils/commands');
+const { ERROR_CODES, fail } = require('./utils/errors');
+const {
+    CLIENT_EVENTS,
+    MAX_MESSAGE_LENGTH,
+    MAX_ATTACHMENTS_PER_MESSAGE,
+    MAX_STATUS_TEXT_LENGTH,
+    USER_STATUSES,
+    MAX_KEYS_PER_USER,
+    MAX_ENCRYPTED_MESSAGE_LENGTH
+} = require('../shared/protocol');
+const { string, number, boolean, oneOf, arrayOf, recordOf, optional, nullable, object } = require('./utils/validate');
+const { createTokenBuckets, createFloodGuard } = require('./utils/rateLimit');
+const { createMetricsRegistry } = require('./utils/metrics');
+const { logger } = require('./utils/logger');
 
-const app = express();
-const server = http.createServer(app);
+// Create a chat server: the Express app with all its routes, and Socket.io on an HTTP server that isn't
+// listening yet, so it can be started on any port (0 for an ephemeral one) and closed again. Each option
+// defaults to an environment variable, as noted; the stores default to JSON files in `dataDir`, or to Redis
+// with `redisUrl`. Several servers can run in one process as long as they use different files (or share
+// Redis, like instances behind a load balancer).
+//   tokenSecret       TOKEN_SECRET        Secret for signing access tokens
+//   dataDir                               Where the stores and uploads live (default: server/data)
+//   ...StorePath      ..._STORE_PATH      One file per store, e.g. MESSAGE_STORE_PATH
+//   uploadDir         UPLOAD_DIR          Where uploaded files are kept
+//   maxUploadBytes    MAX_UPLOAD_BYTES    Largest upload (default: 10 MB)
+//   maxEventBytes     MAX_EVENT_BYTES     Largest socket event (default: 100 KB)
+//   redisUrl          REDIS_URL           Share the stores and broadcasts with other instances through Redis
+//                                         (uploadDir must then be shared storage too)
+//   redisPrefix       REDIS_PREFIX        Prefix of this deployment's Redis keys (default: 'chat:')
+//   createRedisClient                     Opens a Redis connection (default: ioredis on redisUrl)
+//   sessionGraceMs    SESSION_GRACE_MS    How long a disconnected session is kept before the user counts as gone
+//   floodMuteMs       FLOOD_MUTE_MS       How long users who keep hitting the rate limits are muted
+//   adminUserIds      ADMIN_USER_IDS      Accounts that may use the admin API (comma-separated in the variable)
+//   metricsToken      METRICS_TOKEN       Bearer token required for GET /metrics
+function createChatServer({
+    tokenSecret = process.env.TOKEN_SECRET,
+    dataDir = path.join(__dirname, 'data'),
+    userStorePath = process.env.USER_STORE_PATH || path.join(dataDir, 'users.json'),
+    roomStorePath = process.env.ROOM_STORE_PATH || path.join(dataDir, 'rooms.json'),
+    messageStorePath = process.env.MESSAGE_STORE_PATH || path.join(dataDir, 'messages.json'),
+    unreadStorePath = process.env.UNREAD_STORE_PATH || path.join(dataDir, 'unread.json'),
+    notificationStorePath = process.env.NOTIFICATION_STORE_PATH || path.join(dataDir, 'notifications.json'),
+    conversationStorePath = process.env.CONVERSATION_STORE_PATH || path.join(dataDir, 'conversations.json'),
+    attachmentStorePath = process.env.ATTACHMENT_STORE_PATH || path.join(dataDir, 'attachments.json'),
+    keyStorePath = process.env.KEY_STORE_PATH || path.join(dataDir, 'keys.json'),
+    uploadDir = process.env.UPLOAD_DIR || path.join(dataDir, 'uploads'),
+    maxUploadBytes = Number(process.env.MAX_UPLOAD_BYTES) || 10 * 1024 * 1024,
+    maxEventBytes = Number(process.env.MAX_EVENT_BYTES) || 100 * 1024,
+    redisUrl = process.env.REDIS_URL,
+    redisPrefix = process.env.REDIS_PREFIX || 'chat:',
+    createRedisClient = redisUrl && (() => new (require('ioredis'))(redisUrl)), // Only loaded when scaling out
+    sessionGraceMs = Number(process.env.SESSION_GRACE_MS) || 30000,
+    floodMuteMs = Number(process.env.FLOOD_MUTE_MS) || 60000,
+    adminUserIds = (process.env.ADMIN_USER_IDS || '').split(',').map(id => id.trim()).filter(Boolean),
+    metricsToken = process.env.METRICS_TOKEN
+} = {}) {
+    const app = express();
+    const server = http.createServer(app);
 
-// Configure CORS for Socket.io to allow connections from the React frontend.
-// The origin should be your React app's development server URL.
-const io = new Server(server, {
-    cors: {
-        origin: "*", // Adjust this if your React app runs on a different port
-        methods: ["GET", "POST"]
+    // Configure CORS for Socket.io to allow connections from the React frontend.
+    // The origin should be your React app's development server URL.
+    const io = new Server(server, {
+        cors: {
+            origin: "*", // Adjust this if your React app runs on a different port
+            methods: ["GET", "POST"]
+        },
+        // Largest event a client may send; bigger ones close the connection. Files go through /api/uploads instead.
+        maxHttpBufferSize: maxEventBytes
+    });
+
+    // Use Express middleware for CORS for HTTP requests (if any, though not strictly needed for this chat app's API).
+    app.use(cors());
+    app.use('/api/transcripts', express.json({ limit: '5mb' })); // Imported transcripts are bigger than other requests
+    app.use(express.json());
+
+    // Secret used to sign access tokens. Set TOKEN_SECRET in production; the random fallback
+    // means every token becomes invalid whenever the server restarts.
+    const TOKEN_SECRET = tokenSecret || crypto.randomBytes(32).toString('hex');
+    if (!tokenSecret) {
+        logger.warn('TOKEN_SECRET is not set; using a random secret for this process.');
     }
-});
+    const TOKEN_TTL_SECONDS = 7 * 24 * 60 * 60; // 7 days
+
+    // With a Redis connection, every store lives in Redis and broadcasts go through the Redis adapter, so
+    // several instances behind a load balancer share them and reach each other's sockets. Uploaded files stay
+    // in uploadDir, which the instances must share (e.g. a network volume). Without Redis, all of that stays
+    // in this process, saved to files on disk.
+    const redisClients = []; // Closed with the server
+    const connectRedis = () => {
+        const client = createRedisClient();
+        client.on('error', err => logger.error('Redis error', { error: err.message }));
+        redisClients.push(client);
+        return client;
+    };
+    const redis = createRedisClient ? connectRedis() : null;
+    if (redis) {
+        const { createAdapter } = require('@socket.io/redis-adapter');
+        io.adapter(createAdapter(redis, connectRedis(), { key: `${redisPrefix}socket.io` }));
+    }
+    const redisOptions = { prefix: redisPrefix };
+
+    // Registered accounts
+    const userStore = redis ? createRedisUserStore(redis, redisOptions) : createMemoryUserStore(userStorePath);
+
+    // Account routes: POST /api/auth/register and POST /api/auth/login
+    app.use('/api/auth', createAuthRouter({ userStore, tokenSecret: TOKEN_SECRET, tokenTtlSeconds: TOKEN_TTL_SECONDS }));
+
+    // Express middleware for routes that need a signed-in user
+    const requireAuth = createRequireAuth({ userStore, tokenSecret: TOKEN_SECRET });
+
+    // File attachments: metadata next to the other stores, the files themselves in UPLOAD_DIR
+    const attachmentStore = redis
+        ? createRedisAttachmentStore(redis, redisOptions)
+        : createMemoryAttachmentStore(attachmentStorePath);
+
+    // Upload routes: POST /api/uploads, GET /api/uploads/:id and GET /api/uploads/:id/thumbnail
+    app.use('/api/uploads', createUploadRouter({
+        uploadDir,
+        attachmentStore,
+        requireAuth,
+        maxFileBytes: maxUploadBytes
+    }));
+
+    // Presence. A user counts once however many tabs or devices they have open; each tab is a session
+    // that survives short disconnects. Which rooms a user joined is stored with the room (see roomStore),
+    // so every tab is subscribed to all of them.
+    const instanceId = crypto.randomUUID();
+    const presence = redis
+        ? createRedisPresenceStore(redis, { ...redisOptions, instanceId })
+        : createMemoryPresenceStore();
+
+    // While it runs, this instance renews its heartbeat in the presence store. Once another instance's
+    // heartbeat has run out, its sessions are ended here (see presenceStore.js).
+    const HEARTBEAT_INTERVAL_MS = 10000;
+    const HEARTBEAT_TTL_MS = 3 * HEARTBEAT_INTERVAL_MS;
+    let heartbeatTimer = null;
+
+    // Timers of this instance's sessions that are in their grace period (sessionGraceMs)
+    const graceTimers = new Map(); // Map<sessionId, Timeout>
 
-// Use Express middleware for CORS for HTTP requests (if any, though not strictly needed for this chat app's API).
-app.use(cors());
-app.use(express.json());
+    // Room settings (owner, visibility, topic, roles, bans and mutes) and who joined each room
+    const roomStore = redis ? createRedisRoomStore(redis, redisOptions) : createMemoryRoomStore(roomStorePath);
+
+    // Initialize a default public room. It has no owner and can't be deleted. Unless it already exists, it is
+    // created before the server starts listening.
+    const DEFAULT_ROOM = 'general';
+    const ready = roomStore.createRoom({ id: DEFAULT_ROOM, name: 'General Chat' });
+
+    // Room ids are short lowercase names, e.g. "release-planning"
+    const ROOM_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{1,31}$/;
+    const MAX_TOPIC_LENGTH = 200;
+
+    // Persistent message history, so it survives room switches, reloads and restarts
+    const messageStore = redis ? createRedisMessageStore(redis, redisOptions) : createMemoryMessageStore(messageStorePath);
+    const HISTORY_PAGE_SIZE = 50;
+    const MAX_SEARCH_RESULTS = 50;
+
+    // Unread and mention counts per user, for rooms and direct-message conversations
+    const unreadStore = redis ? createRedisUnreadStore(redis, redisOptions) : createMemoryUnreadStore(unreadStorePath);
+
+    // Notification preferences per user, for rooms and direct-message conversations
+    const notificationStore = redis
+        ? createRedisNotificationStore(redis, redisOptions)
+        : createMemoryNotificationStore(notificationStorePath);
+
+    // Direct-message conversations (one-to-one and group)
+    const conversationStore = redis
+        ? createRedisConversationStore(redis, redisOptions)
+        : createMemoryConversationStore(conversationStorePath);
+    const MAX_CONVERSATION_SIZE = 9; // Participants in a group conversation, including its creator
+
+    // Public keys for end-to-end encrypted direct messages, one per device a user signed in from
+    const keyStore = redis ? createRedisKeyStore(redis, redisOptions) : createMemoryKeyStore(keyStorePath);
+
+    // Every socket of a user also joins this room, so account-wide events reach all their tabs
+    const userChannel = (userId) => `user:${userId}`;
+
+    // Client-generated message ids: UUIDs or similar, no longer than 64 characters
+    const MESSAGE_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+    // A reaction is a single emoji (which may be several code points, e.g. with skin tones)
+    const REACTION_PATTERN = /^[\p{Extended_Pictographic}\p{Emoji_Component}\u200d\ufe0f]{1,16}$/u;
+    const MAX_REACTIONS_PER_MESSAGE = 20; // Distinct emoji per message
+
+    // Reactions are stored as { [emoji]: [userId] }; clients get counts and who reacted
+    const toClientReactions = (reactions = {}) => Promise.all(Object.entries(reactions).map(async ([emoji, userIds]) => ({
+        emoji,
+        count: userIds.length,
+        userIds,
+        users: (await Promise.all(userIds.map(userStore.findById))).filter(Boolean).map(account => account.username)
+    })));
+
+    // Shape a stored message for clients. Receipts are tracked per recipient; rooms only see counts.
+    // The text comes parsed into `blocks` (see utils/messageFormat.js) for clients to render.
+    const toClientMessage = async ({ deliveredTo = [], readBy = [], reactions, importedBy, ...msg }) => ({
+        ...msg,
+        ...(importedBy && { imported: true }),
+        ...(msg.message && { blocks: parseMessage(msg.message) }),
+        ...(msg.isPrivate
+            ? { deliveredTo, readBy }
+            : { deliveredCount: deliveredTo.length, readCount: readBy.length }),
+        reactions: await toClientReactions(reactions)
+    });
 
-// In-memory store for users and their associated socket IDs.
-// In a real application, you'd use a database (e.g., MongoDB, PostgreSQL) for persistence.
-const users = new Map(); // Map<socketId, { username, currentRoom }>
-const rooms = new Map(); // Map<roomId, { name, users: Set<socketId> }>
+    const toClientMessages = (messages) => Promise.all(messages.map(toClientMessage));
 
-// Initialize a default public room
-const DEFAULT_ROOM = 'general';
-rooms.set(DEFAULT_ROOM, { name: 'General Chat', users: new Set() });
+    const toClientPage = async (page) => page && { ...page, messages: await toClientMessages(page.messages) };
 
-// Socket.io event handling
-io.on('connection', (socket) => {
-    console.log(`User connected: ${socket.id}`);
+    // Who may see a stored message: whoever can see its room, or only the participants of a conversation
+    const canSeeMessage = async (msg, userId) => {
+        if (msg.isPrivate) return participantsOf(msg.room).includes(userId);
+        const room = await roomStore.getRoom(msg.room);
+        return Boolean(room) && canSeeRoom(room, userId);
+    };
 
-    // --- User Management ---
+    // Whether a user may page through (or export) a room's or conversation's history
+    const canUserReadHistory = async (key, userId) => {
+        if (isConversationId(key)) return Boolean((await conversationStore.getConversation(key))?.participantIds.includes(userId));
+        const room = await roomStore.getRoom(key);
+        return Boolean(room) && canJoinRoom(room, userId);
+    };
 
-    // Event for a user joining the chat (setting their username)
-    socket.on('join_chat', (username) => {
-        if (!username) {
-            socket.emit('error_message', 'Username cannot be empty.');
-            return;
+    // Send an event to everyone who can see a message: its room, or every tab of each conversation participant
+    const emitToAudience = (msg, event, payload) => {
+        const target = msg.isPrivate
+            ? io.to(participantsOf(msg.room).map(userChannel))
+            : io.to(msg.room);
+        target.emit(event, payload);
+    };
+
+    // A conversation as listed in a user's inbox: who is in it (and when they were last seen) and its latest message
+    const toClientConversation = async (conversation) => {
+        const [lastMessage] = (await messageStore.getMessages(conversation.id, { limit: 1 })).messages;
+        const participants = await Promise.all(conversation.participantIds.map(userStore.findById));
+        return {
+            id: conversation.id,
+            participants: conversation.participantIds.map((id, i) => ({
+                userId: id,
+                username: participants[i]?.username || 'Unknown user',
+                lastSeen: participants[i]?.lastSeen || null
+            })),
+            lastMessage: lastMessage ? await toClientMessage(lastMessage) : null,
+            createdAt: conversation.createdAt
+        };
+    };
+
+    // Most recently active first
+    const lastActivity = (conversation) => conversation.lastMessage?.timestamp || conversation.createdAt;
+    const sortConversations = (list) => list.sort((a, b) => lastActivity(b).localeCompare(lastActivity(a)));
+
+    // Tell every participant a conversation changed (it was started or got a new message)
+    const broadcastConversation = async (conversation) => {
+        io.to(conversation.participantIds.map(userChannel)).emit('conversation_updated', await toClientConversation(conversation));
+    };
+
+    // Report a failure (see utils/errors.js) to a client that didn't ask for an acknowledgement
+    const emitError = (socket, { code, error }, event) => {
+        socket.emit('error_message', { code, message: error, ...(event && { event }) });
+    };
+
+    // Answer an event's acknowledgement callback; clients that don't pass one get 'error_message' instead.
+    // `response` may be a promise.
+    const respond = async (socket, callback, pending) => {
+        const response = await pending;
+        if (typeof callback === 'function') {
+            callback(response);
+        } else if (!response.ok) {
+            emitError(socket, response);
         }
+    };
+
+    // Presence updates run outside the event that caused them. If the shared store is unreachable,
+    // log it rather than crash.
+    const inBackground = (promise) => promise.catch(err => logger.error('Presence update failed', { error: err }));
+
+    // Usernames of the users in a room, for 'room_users_update'
+    const getRoomUsernames = async (roomId) => {
+        const present = await Promise.all((await presence.getRoomUserIds(roomId)).map(presence.getUser));
+        return present.filter(Boolean).map(user => user.username);
+    };
+
+    // Tell a room who is in it
+    const sendRoomUsers = async (roomId) => {
+        io.to(roomId).emit('room_users_update', { room: roomId, users: await getRoomUsernames(roomId) });
+    };
+
+    // A room as listed for one user, including that user's role in it
+    const toClientRoom = (room, userId) => ({
+        id: room.id,
+        name: room.name,
+        topic: room.topic,
+        visibility: room.visibility,
+        ownerId: room.ownerId,
+        role: getRole(room, userId),
+        canJoin: canJoinRoom(room, userId),
+        joined: isJoined(room, userId)
+    });
+
+    // Send a user (all of their tabs) the rooms they are allowed to see
+    const sendAvailableRooms = async (userId) => {
+        const visibleRooms = (await roomStore.listRooms())
+            .filter(room => canSeeRoom(room, userId))
+            .map(room => toClientRoom(room, userId));
+        io.to(userChannel(userId)).emit('available_rooms', visibleRooms);
+    };
+
+    // Room settings changed in a way that may affect everyone's room list
+    const broadcastAvailableRooms = async () => Promise.all((await presence.listUserIds()).map(sendAvailableRooms));
 
-        // Check if username already exists (simple check for demonstration)
-        const existingUser = Array.from(users.values()).find(user => user.username === username);
-        if (existingUser) {
-            socket.emit('error_message', 'Username already taken. Please choose another.');
-            return;
+    // The status an account picked (see USER_STATUSES), as saved with it
+    const savedStatus = (account) => ({ status: account?.status || 'online', statusText: account?.statusText || '' });
+
+    // How others see a user (see presenceStore), or null while they are invisible. A user shows the status they
+    // picked, or away if every tab they have connected is idle, or reconnecting while all of their sessions are
+    // inside the grace period.
+    const toOnlineUser = (user) => {
+        if (user.status === 'invisible') return null;
+        const connected = user.sessions.filter(session => session.socketId);
+        let { status } = user;
+        if (connected.length === 0) {
+            status = 'reconnecting';
+        } else if (status === 'online' && connected.every(session => session.idle)) {
+            status = 'away';
         }
+        return { userId: user.userId, username: user.username, status, statusText: user.statusText || '' };
+    };
 
-        users.set(socket.id, { username, currentRoom: DEFAULT_ROOM });
-        socket.join(DEFAULT_ROOM); // Join the default room
+    // Others can't see a user any more because they went offline or invisible. That is when they were last seen.
+    const announceGone = async (userId) => {
+        const lastSeen = new Date().toISOString();
+        await userStore.updatePresence(userId, { lastSeen });
+        io.emit('user_disconnected', { userId, lastSeen });
+    };
 
-        // Notify all clients about the new user joining
-        io.emit('user_joined', { socketId: socket.id, username, currentRoom: DEFAULT_ROOM });
-        console.log(`${username} (${socket.id}) joined the chat.`);
+    // Tell everyone what changed about an online user since the last broadcast, whichever instance sent it:
+    // that they appeared or disappeared, or only the fields that are different
+    const refreshPresence = async (userId) => {
+        const user = await presence.getUser(userId);
+        const shown = user && toOnlineUser(user);
+        const swapped = user && await presence.swapShown(userId, shown);
+        if (!swapped) return; // Went offline in the meantime
 
-        // Send the current list of online users to the newly joined user
-        const onlineUsers = Array.from(users.entries()).map(([id, data]) => ({
-            socketId: id,
-            username: data.username,
-            currentRoom: data.currentRoom
-        }));
-        socket.emit('online_users', onlineUsers);
+        const { previous } = swapped;
+        if (!previous && shown) {
+            io.emit('user_joined', shown);
+        } else if (previous && !shown) {
+            await announceGone(userId);
+        } else if (previous && shown) {
+            const changed = Object.keys(shown).filter(key => shown[key] !== previous[key]);
+            if (changed.length > 0) {
+                io.emit('presence_update', { userId, ...Object.fromEntries(changed.map(key => [key, shown[key]])) });
+            }
+        }
+    };
+
+    // A room member counts as present while they are online and not invisible. Keeps the presence store in
+    // sync and tells the room who is there.
+    const syncRoomPresence = async (userId, roomId) => {
+        const room = await roomStore.getRoom(roomId);
+        const user = room && isJoined(room, userId) ? await presence.getUser(userId) : null;
+        const isPresent = Boolean(user) && user.status !== 'invisible';
+        const changed = isPresent
+            ? await presence.addToRoom(roomId, userId)
+            : await presence.removeFromRoom(roomId, userId);
+        if (changed) await sendRoomUsers(roomId);
+    };
 
-        // Send the list of available rooms to the newly joined user
-        const availableRooms = Array.from(rooms.keys());
-        socket.emit('available_rooms', availableRooms);
+    // Update a user's presence in every room after they came online or went away
+    const syncUserRooms = async (userId) => Promise.all((await roomStore.listRooms()).map(room => syncRoomPresence(userId, room.id)));
 
-        // Send a welcome message to the user
-        socket.emit('receive_message', {
+    // Post a system notice into a room
+    const announceInRoom = (roomId, message) => {
+        io.to(roomId).emit('receive_message', {
             sender: 'System',
-            message: `Welcome, ${username}! You are in the '${DEFAULT_ROOM}' room.`,
+            message,
             timestamp: new Date().toISOString(),
-            room: DEFAULT_ROOM
+            room: roomId
         });
+    };
+
+    // Subscribe a user (all of their tabs) to a room and send them its recent history
+    const addUserToRoom = async (userId, roomId) => {
+        await roomStore.addJoined(roomId, userId);
+        io.in(userChannel(userId)).socketsJoin(roomId);
+        io.to(userChannel(userId)).emit('room_history', await toClientPage(await messageStore.getMessages(roomId, { limit: HISTORY_PAGE_SIZE })));
+        await sendAvailableRooms(userId);
+        inBackground(syncRoomPresence(userId, roomId));
+    };
+
+    // Unsubscribe a user (all of their tabs) from a room
+    const removeUserFromRoom = async (userId, roomId) => {
+        await roomStore.removeJoined(roomId, userId);
+        io.in(userChannel(userId)).socketsLeave(roomId);
+        await unreadStore.clear(userId, roomId);
+        inBackground(syncRoomPresence(userId, roomId));
+    };
+
+    // Take a user out of a room they didn't choose to leave, e.g. after a kick or ban
+    const removeFromRoom = async (userId, roomId, reason) => {
+        await removeUserFromRoom(userId, roomId);
+        io.to(userChannel(userId)).emit('removed_from_room', { room: roomId, reason });
+    };
+
+    // Close a room for good: everyone who joined it is taken out of it and its message history is deleted,
+    // so a room created later with the same name doesn't inherit it.
+    const closeRoom = async (room) => {
+        await roomStore.deleteRoom(room.id);
+        await messageStore.deleteRoom(room.id);
+        await Promise.all(room.joined.map(id => removeFromRoom(id, room.id, 'deleted')));
+        await unreadStore.removeRoom(room.id);
+        await notificationStore.removeRoom(room.id);
+        inBackground(presence.deleteRoom(room.id).then(broadcastAvailableRooms));
+    };
+
+    // The ids of the accounts @mentioned in a message's text
+    const resolveMentions = async (text) => {
+        const accounts = await Promise.all(findMentions(parseMessage(text)).map(userStore.findByUsername));
+        return accounts.filter(Boolean).map(account => account.id);
+    };
+
+    // Bump the unread and mention counters of everyone else in the room or conversation.
+    // Thread replies only count when they mention the user, since they aren't shown in the timeline.
+    const countUnread = async (roomId, msg, memberIds) => {
+        await Promise.all(memberIds.filter(id => id !== msg.senderId).map(async id => {
+            const mentioned = (msg.mentions || []).includes(id);
+            if (msg.replyTo && !mentioned) return;
+            const counts = await unreadStore.increment(id, roomId, { unread: msg.replyTo ? 0 : 1, mentions: mentioned ? 1 : 0 });
+            io.to(userChannel(id)).emit('unread_update', { room: roomId, ...counts });
+        }));
+    };
 
-        // Add user to the default room's user set
-        rooms.get(DEFAULT_ROOM).users.add(socket.id);
-        io.to(DEFAULT_ROOM).emit('room_users_update', {
-            room: DEFAULT_ROOM,
-            users: Array.from(rooms.get(DEFAULT_ROOM).users).map(id => users.get(id)?.username).filter(Boolean)
+    // Tell everyone @mentioned in a new message about it, wherever they are and even if they never joined
+    // the room, as long as they could read it there
+    const notifyMentions = async (msg) => {
+        const room = !msg.isPrivate && await roomStore.getRoom(msg.room);
+        (msg.mentions || []).filter(id => id !== msg.senderId).forEach(id => {
+            const canRead = msg.isPrivate ? participantsOf(msg.room).includes(id) : Boolean(room) && canJoinRoom(room, id);
+            if (canRead) io.to(userChannel(id)).emit('mentioned', { message: msg });
         });
+    };
+
+    // Drop a session for good: after its grace period ran out, or when the user signs out
+    const endSession = async (sessionId) => {
+        clearTimeout(graceTimers.get(sessionId));
+        graceTimers.delete(sessionId);
+        const ended = await presence.removeSession(sessionId);
+        if (!ended) return;
+
+        if (ended.remaining === 0) {
+            await syncUserRooms(ended.userId);
+            if (ended.shown) await announceGone(ended.userId); // Notify all clients that the user left
+            logger.info('User left the chat', { userId: ended.userId, username: ended.username });
+        } else {
+            await refreshPresence(ended.userId);
+        }
+    };
+
+    // A session's grace period ran out. It may have been resumed on another instance in the meantime.
+    const expireSession = async (sessionId) => {
+        graceTimers.delete(sessionId);
+        const session = await presence.getSession(sessionId);
+        if (session && !session.socketId) await endSession(sessionId);
+    };
+
+    // Renew this instance's heartbeat and end the sessions of instances that stopped without closing
+    const beat = async () => {
+        await presence.heartbeat(HEARTBEAT_TTL_MS);
+        const orphaned = await presence.claimDeadSessions();
+        for (const sessionId of orphaned) await endSession(sessionId);
+        if (orphaned.length > 0) logger.info('Ended the sessions of a stopped instance', { sessions: orphaned.length });
+    };
+
+    // --- Event validation and rate limits ---
+
+    const MAX_ROOM_KEY_LENGTH = 400; // Room ids, or conversation ids made of up to MAX_CONVERSATION_SIZE user ids
+    const roomKey = string({ min: 1, max: MAX_ROOM_KEY_LENGTH });
+    const entityId = string({ min: 1, max: 64 }); // Ids of messages, users, attachments and sessions
+    const roomOnly = object({ room: roomKey });
+    const moderationTarget = object({ room: roomKey, userId: entityId });
+    const messageFields = {
+        id: optional(string({ pattern: MESSAGE_ID_PATTERN })),
+        message: optional(string({ max: MAX_MESSAGE_LENGTH })),
+        replyTo: optional(entityId),
+        attachments: optional(arrayOf(entityId, { max: MAX_ATTACHMENTS_PER_MESSAGE })),
+        action: optional(boolean())
+    };
+    const messageIds = object({ ids: arrayOf(entityId, { max: 500 }) });
+
+    // End-to-end encryption (see models/keyStore.js). Coordinates and key ids are 32 bytes of base64url.
+    const KEY_ID_PATTERN = /^[A-Za-z0-9_-]{43}$/;
+    const base64 = (max) => string({ min: 1, max, pattern: /^[A-Za-z0-9+/]+={0,2}$/ });
+    const publicKey = object({
+        kty: oneOf(['EC']),
+        crv: oneOf(['P-256']),
+        x: string({ pattern: KEY_ID_PATTERN }),
+        y: string({ pattern: KEY_ID_PATTERN })
+    });
+    // Each participant's keys are wrapped for them, so an envelope has at most one entry per published key
+    const MAX_WRAPPED_KEYS = MAX_CONVERSATION_SIZE * MAX_KEYS_PER_USER;
+    const encryptedPayload = object({
+        v: oneOf([1]),
+        senderKey: publicKey,
+        iv: base64(16),
+        ciphertext: base64(MAX_ENCRYPTED_MESSAGE_LENGTH),
+        keys: recordOf(object({ iv: base64(16), wrappedKey: base64(64) }), { max: MAX_WRAPPED_KEYS })
+    });
+
+    // What the data (first argument) of each event in the protocol must look like; null for events that
+    // take none. Events that aren't listed here are refused.
+    const EVENT_SCHEMAS = {
+        join_chat: object({ sessionId: nullable(entityId), lastMessageIds: optional(recordOf(entityId, { max: 1000 })) }),
+        leave_chat: null,
+        join_room: roomKey,
+        leave_room: roomOnly,
+        mark_room_read: roomOnly,
+        set_notification_level: object({ room: roomKey, level: oneOf(NOTIFICATION_LEVELS) }),
+        create_room: object({
+            name: string({ min: 1, max: 32 }),
+            topic: optional(string({ max: MAX_TOPIC_LENGTH })),
+            visibility: optional(oneOf(VISIBILITIES))
+        }),
+        get_room_details: roomOnly,
+        update_room: object({ room: roomKey, topic: optional(string({ max: MAX_TOPIC_LENGTH })), visibility: optional(oneOf(VISIBILITIES)) }),
+        delete_room: roomOnly,
+        invite_to_room: moderationTarget,
+        set_room_role: object({ room: roomKey, userId: entityId, role: oneOf(['member', 'moderator']) }),
+        kick_user: moderationTarget,
+        ban_user: moderationTarget,
+        unban_user: moderationTarget,
+        mute_user: object({ room: roomKey, userId: entityId, minutes: optional(number({ min: 1, max: 7 * 24 * 60 })) }),
+        unmute_user: moderationTarget,
+        send_message: object({ ...messageFields, room: roomKey }),
+        send_private_message: object({
+            ...messageFields,
+            conversationId: optional(roomKey),
+            receiverId: optional(entityId),
+            encrypted: optional(encryptedPayload)
+        }),
+        load_older_messages: object({ room: roomKey, before: optional(entityId) }),
+        load_history: roomOnly,
+        search_messages: object({ query: string({ max: 500 }), limit: optional(number({ min: 1, max: MAX_SEARCH_RESULTS, integer: true })) }),
+        load_message_context: object({ id: entityId }),
+        start_conversation: object({ userIds: arrayOf(entityId, { max: MAX_CONVERSATION_SIZE }) }),
+        run_command: object({ text: string({ min: 1, max: MAX_MESSAGE_LENGTH }), room: optional(roomKey) }),
+        edit_message: object({ id: entityId, message: string({ min: 1, max: MAX_MESSAGE_LENGTH }) }),
+        delete_message: object({ id: entityId }),
+        load_thread: object({ id: entityId }),
+        add_reaction: object({ id: entityId, emoji: string({ min: 1, max: 32 }) }),
+        remove_reaction: object({ id: entityId, emoji: string({ min: 1, max: 32 }) }),
+        messages_delivered: messageIds,
+        messages_read: messageIds,
+        typing_start: roomKey,
+        typing_stop: roomKey,
+        set_status: object({ status: optional(oneOf(USER_STATUSES)), statusText: optional(string({ max: MAX_STATUS_TEXT_LENGTH })) }),
+        set_idle: object({ idle: boolean() }),
+        publish_key: object({ publicKey }),
+        get_keys: object({ userIds: arrayOf(entityId, { max: MAX_CONVERSATION_SIZE }) })
+    };
+
+    // Keep the schemas and the protocol's list of client events in step
+    const unlistedEvents = Object.keys(EVENT_SCHEMAS).filter(event => !CLIENT_EVENTS.includes(event));
+    const unvalidatedEvents = CLIENT_EVENTS.filter(event => !(event in EVENT_SCHEMAS));
+    if (unlistedEvents.length > 0 || unvalidatedEvents.length > 0) {
+        throw new Error(`Event schemas don't match shared/protocol.js: ${[...unlistedEvents, ...unvalidatedEvents].join(', ')}`);
+    }
+
+    // Token buckets per socket and event: up to `burst` events at once, then `perSecond` on average.
+    // Events that go over a `quiet` limit are dropped without an error and don't count as flooding.
+    const RATE_LIMITS = {
+        send_message: { burst: 5, perSecond: 1 },
+        send_private_message: { burst: 5, perSecond: 1 },
+        run_command: { burst: 5, perSecond: 1 },
+        edit_message: { burst: 5, perSecond: 1 },
+        add_reaction: { burst: 10, perSecond: 2 },
+        remove_reaction: { burst: 10, perSecond: 2 },
+        create_room: { burst: 3, perSecond: 1 / 20 },
+        start_conversation: { burst: 5, perSecond: 1 / 5 },
+        search_messages: { burst: 5, perSecond: 1 / 2 },
+        typing_start: { burst: 5, perSecond: 1, quiet: true },
+        typing_stop: { burst: 5, perSecond: 1, quiet: true },
+        messages_delivered: { burst: 30, perSecond: 10, quiet: true },
+        messages_read: { burst: 30, perSecond: 10, quiet: true },
+        set_status: { burst: 5, perSecond: 1 / 2 },
+        set_idle: { burst: 5, perSecond: 1, quiet: true },
+        publish_key: { burst: 3, perSecond: 1 / 10 }
+    };
+    const DEFAULT_RATE_LIMIT = { burst: 20, perSecond: 5 };
+
+    // Users who hit the limits too often can't post anything for a while (they can still read)
+    const floodGuard = createFloodGuard({
+        strikes: 10,
+        windowMs: 10000,
+        muteMs: floodMuteMs
     });
+    const FLOOD_MUTED_EVENTS = new Set([
+        'send_message', 'send_private_message', 'run_command', 'edit_message', 'add_reaction', 'remove_reaction',
+        'create_room', 'start_conversation', 'typing_start'
+    ]);
 
-    // --- Room Management ---
+    // --- Metrics ---
 
-    // Event for a user joining a specific room
-    socket.on('join_room', (roomName) => {
-        const user = users.get(socket.id);
-        if (!user) {
-            socket.emit('error_message', 'Please set your username first.');
-            return;
+    // Served to Prometheus at GET /metrics. Counters and timings are this instance's; Prometheus adds them up
+    // across instances. Event rates come from the counters, e.g. rate(chat_socket_events_total[5m]).
+    const metrics = createMetricsRegistry();
+    metrics.gauge({
+        name: 'chat_connected_sockets',
+        help: 'Sockets connected to this instance',
+        collect: () => io.of('/').sockets.size
+    });
+    metrics.gauge({
+        name: 'chat_online_users',
+        help: 'Users with at least one session, on any instance',
+        collect: () => presence.listUserIds().then(ids => ids.length, () => NaN)
+    });
+    const messagesSent = metrics.counter({
+        name: 'chat_messages_total',
+        help: 'Messages sent, by room ("dm" for all direct messages)',
+        labelNames: ['room']
+    });
+    const socketEvents = metrics.counter({
+        name: 'chat_socket_events_total',
+        help: 'Socket events received, by event ("unknown" for events that are not in the protocol)',
+        labelNames: ['event']
+    });
+    const rejectedEvents = metrics.counter({
+        name: 'chat_socket_events_rejected_total',
+        help: 'Socket events refused before reaching their handler, by event and error code',
+        labelNames: ['event', 'code']
+    });
+    const handlerDuration = metrics.histogram({
+        name: 'chat_event_handler_duration_seconds',
+        help: 'Time each event handler took to finish, including the store calls it waited for',
+        labelNames: ['event']
+    });
+
+    // --- Slash commands ---
+
+    // Commands typed into the composer, dispatched by 'run_command'. Each one runs with the context of the
+    // socket that sent it: `userId`, `room` (the room or conversation the command was typed in) and `actions`,
+    // the same operations the matching socket events perform. Returning nothing shows the command's usage.
+    const commands = createCommandRegistry();
+
+    commands.register('join', {
+        usage: '/join #room',
+        description: 'Join a room and open it',
+        run: async ({ actions }, args) => {
+            const roomId = args.replace(/^#/, '').toLowerCase();
+            if (!roomId) return null;
+            const response = await actions.joinRoom(roomId);
+            return response.ok ? { ...response, open: roomId } : response;
         }
+    });
+
+    commands.register('msg', {
+        usage: '/msg @user message',
+        description: 'Send someone a direct message',
+        run: async ({ userId, actions }, args) => {
+            const [, name, text] = args.match(/^@?(\S+)\s+([\s\S]+)$/) || [];
+            if (!name) return null;
+            const receiver = await userStore.findByUsername(name);
+            if (!receiver || receiver.id === userId) return fail(ERROR_CODES.NOT_FOUND, `There is nobody else called ${name}.`);
+            return actions.sendPrivateMessage({ receiverId: receiver.id, message: text });
+        }
+    });
+
+    commands.register('me', {
+        usage: '/me does something',
+        description: 'Describe what you are doing, like "* alice waves"',
+        run: ({ room, actions }, args) => {
+            if (!args) return null;
+            return isConversationId(room)
+                ? actions.sendPrivateMessage({ conversationId: room, message: args, action: true })
+                : actions.sendRoomMessage({ room, message: args, action: true });
+        }
+    });
+
+    commands.register('topic', {
+        usage: '/topic new topic',
+        description: "Show the room's topic, or change it (moderators)",
+        run: async ({ userId, room: roomId, actions }, args) => {
+            const room = typeof roomId === 'string' && !isConversationId(roomId) ? await roomStore.getRoom(roomId) : null;
+            if (!room || !canSeeRoom(room, userId)) return fail(ERROR_CODES.INVALID_REQUEST, 'Topics can only be set in rooms.');
+            if (!args) return { ok: true, notice: room.topic ? `The topic of #${room.id} is: ${room.topic}` : `#${room.id} has no topic.` };
+            return actions.updateRoomSettings({ room: room.id, topic: args });
+        }
+    });
+
+    commands.register('nick', {
+        usage: '/nick newname',
+        description: 'Change your username',
+        run: ({ actions }, args) => (args ? actions.changeUsername(args) : null)
+    });
+
+    commands.register('status', {
+        usage: '/status online|away|busy|invisible [message]',
+        description: 'Set your status and, optionally, a status message (leave it out to clear it)',
+        run: async ({ actions }, args) => {
+            const [status, ...words] = args.split(/\s+/);
+            if (!USER_STATUSES.includes(status.toLowerCase())) return null;
+            const response = await actions.setStatus({ status: status.toLowerCase(), statusText: words.join(' ').slice(0, MAX_STATUS_TEXT_LENGTH) });
+            return response.ok ? { ...response, notice: `Your status is now ${response.status}.` } : response;
+        }
+    });
+
+    commands.register('help', {
+        description: 'List the commands',
+        run: () => ({ ok: true, notice: commands.list().map(command => `${command.usage} — ${command.description}`).join('\n') })
+    });
+
+    // Authenticate every Socket.io connection with the token issued by /api/auth.
+    // The verified account is available to the handlers as `socket.data.account`.
+    io.use(async (socket, next) => {
+        try {
+            const payload = verifyToken(socket.handshake.auth?.token, TOKEN_SECRET);
+            const account = payload && await userStore.findById(payload.sub);
+            if (!account) {
+                return next(new Error('Authentication failed. Please sign in again.'));
+            }
+            socket.data.account = { id: account.id, username: account.username };
+            next();
+        } catch (err) {
+            logger.error('Authentication failed', { error: err });
+            next(new Error('The chat is unavailable. Please try again later.'));
+        }
+    });
+
+    // Socket.io event handling
+    io.on('connection', (socket) => {
+        const { id: userId } = socket.data.account;
+        let { username } = socket.data.account;
+        logger.info('User connected', { userId, username, socketId: socket.id });
+
+        // Handlers read and write the stores, which may be shared over the network. If one fails, log it rather
+        // than crash; a client waiting for an acknowledgement gets none, as if the server were unreachable.
+        // Each handler is timed until it finishes, however long it waits for the stores.
+        const on = (event, handler) => socket.on(event, async (...args) => {
+            const stopTimer = handlerDuration.startTimer({ event });
+            try {
+                await handler(...args);
+            } catch (err) {
+                logger.error('Event handler failed', { event, userId, error: err });
+            } finally {
+                stopTimer();
+            }
+        });
+
+        // Check every event before its handler runs: it must be a known event within its rate limit, its data
+        // must have the right shape, and users muted for flooding can't post. Refused events are answered through
+        // their acknowledgement, or with 'error_message' if they have none.
+        const buckets = createTokenBuckets(RATE_LIMITS, DEFAULT_RATE_LIMIT);
+        socket.use(([event, ...args], next) => {
+            const callback = typeof args[args.length - 1] === 'function' ? args[args.length - 1] : undefined;
+            const eventLabel = Object.prototype.hasOwnProperty.call(EVENT_SCHEMAS, event) ? event : 'unknown';
+            socketEvents.inc({ event: eventLabel });
+            const refuse = (response) => {
+                rejectedEvents.inc({ event: eventLabel, code: response.code });
+                if (callback) callback(response);
+                else emitError(socket, response, event);
+            };
+            const flooding = (ms) =>
+                fail(ERROR_CODES.FLOODING, `You are sending too much. Try again in ${Math.ceil(ms / 1000)} seconds.`, { retryAfterMs: ms });
 
-        // Leave the current room first
-        if (user.currentRoom) {
-            socket.leave(user.currentRoom);
-            rooms.get(user.currentRoom)?.users.delete(socket.id);
-            // Notify old room about user leaving
-            io.to(user.currentRoom).emit('room_users_update', {
-                room: user.currentRoom,
-                users: Array.from(rooms.get(user.currentRoom)?.users || new Set()).map(id => users.get(id)?.username).filter(Boolean)
+            if (!Object.prototype.hasOwnProperty.call(EVENT_SCHEMAS, event)) {
+                refuse(fail(ERROR_CODES.INVALID_REQUEST, `Unknown event '${event}'.`));
+                return;
+            }
+            const mutedFor = FLOOD_MUTED_EVENTS.has(event) ? floodGuard.mutedFor(userId) : 0;
+            if (mutedFor) {
+                refuse(flooding(mutedFor));
+                return;
+            }
+
+            const retryAfterMs = buckets.take(event);
+            if (retryAfterMs) {
+                if ((RATE_LIMITS[event] || DEFAULT_RATE_LIMIT).quiet) {
+                    rejectedEvents.inc({ event, code: ERROR_CODES.RATE_LIMITED });
+                    return;
+                }
+                const muteMs = floodGuard.strike(userId);
+                if (muteMs) logger.warn('Muted user for flooding', { userId, username, muteMs });
+                refuse(muteMs
+                    ? flooding(muteMs)
+                    : fail(ERROR_CODES.RATE_LIMITED, 'You are doing that too fast. Please slow down.', { retryAfterMs }));
+                return;
+            }
+
+            const schema = EVENT_SCHEMAS[event];
+            const problem = schema && schema(args[0] === callback ? undefined : args[0]);
+            if (problem) {
+                refuse(fail(ERROR_CODES.INVALID_PAYLOAD, `Invalid ${event}: ${problem}.`));
+                return;
+            }
+            next();
+        });
+
+        // Pick up a new username before handling each event; '/nick' may have changed it in another tab
+        socket.use(async (packet, next) => {
+            username = (await userStore.findById(userId).catch(() => null))?.username || username;
+            next();
+        });
+
+        // The id of the session attached to this socket, or undefined until 'join_chat'
+        const getSession = () => socket.data.sessionId;
+
+        // --- User Management ---
+
+        // Event for a user joining the chat. The username comes from the authenticated account.
+        // A client that reconnects passes its previous `sessionId` to resume it, along with the id of
+        // the newest message it has in each room (`lastMessageIds`) so only the messages it missed are sent.
+        const joinChat = async ({ sessionId, lastMessageIds = {} } = {}) => {
+            if (getSession()) return; // Already joined on this socket
+
+            // Only resume a session of this account that no other socket is using (e.g. a duplicated tab).
+            // That socket may be connected to another instance, so ask the adapter rather than this server.
+            const session = sessionId && await presence.getSession(sessionId);
+            const resumed = Boolean(session) && session.userId === userId &&
+                !(session.socketId && (await io.in(session.socketId).fetchSockets()).length > 0);
+
+            if (resumed) {
+                clearTimeout(graceTimers.get(sessionId));
+                graceTimers.delete(sessionId);
+            } else {
+                sessionId = crypto.randomUUID();
+            }
+            socket.data.sessionId = sessionId;
+            const status = savedStatus(await userStore.findById(userId));
+            const isNewUser = await presence.addSession(sessionId, { userId, username, ...status, socketId: socket.id });
+
+            // Everyone is a member of the default room
+            const isFirstVisit = !isJoined(await roomStore.getRoom(DEFAULT_ROOM), userId);
+            if (isFirstVisit) await roomStore.addJoined(DEFAULT_ROOM, userId);
+            const joinedRooms = (await roomStore.listRooms()).filter(room => isJoined(room, userId)).map(room => room.id);
+
+            socket.join(userChannel(userId));
+            joinedRooms.forEach(room => socket.join(room));
+
+            // Tell the client which session (and rooms) it has, so it can resume it after a reconnect
+            socket.emit('session', { sessionId, rooms: joinedRooms });
+            socket.emit('status_settings', status);
+
+            // Notify all clients about the new user joining, or about their status changing
+            await refreshPresence(userId);
+            if (isNewUser) logger.info('User joined the chat', { userId, username });
+            logger.info(resumed ? 'Session resumed' : 'Session started', { userId, username, socketId: socket.id, sessionId });
+
+            // Send the current list of online users to the newly joined user
+            socket.emit('online_users', (await presence.listUsers()).map(toOnlineUser).filter(Boolean));
+
+            // Send the list of rooms this user may see, their conversations, and the unread counts and
+            // notification settings of both
+            await sendAvailableRooms(userId);
+            const conversations = await conversationStore.listForUser(userId);
+            socket.emit('conversations', sortConversations(await Promise.all(conversations.map(toClientConversation))));
+            socket.emit('unread_counts', await unreadStore.getCounts(userId));
+            socket.emit('notification_levels', await notificationStore.getLevels(userId));
+
+            // Deliver direct messages that arrived while the user was offline
+            for (const conversation of conversations) {
+                const undelivered = (await messageStore.getMessages(conversation.id, { limit: HISTORY_PAGE_SIZE })).messages
+                    .filter(msg => msg.senderId !== userId && !msg.deliveredTo.includes(userId));
+                if (undelivered.length > 0) {
+                    socket.emit('missed_messages', { room: conversation.id, messages: await toClientMessages(undelivered) });
+                }
+            }
+
+            // For each room, send only what a resumed session missed; otherwise (or if too much was missed)
+            // backfill recent history
+            for (const room of joinedRooms) {
+                const lastMessageId = lastMessageIds[room];
+                const missed = resumed && lastMessageId ? await messageStore.getMessagesAfter(room, lastMessageId) : null;
+                if (missed) {
+                    socket.emit('missed_messages', await toClientPage(missed));
+                } else {
+                    socket.emit('room_history', await toClientPage(await messageStore.getMessages(room, { limit: HISTORY_PAGE_SIZE })));
+                }
+            }
+
+            if (!resumed) {
+                // Send a welcome message to the user
+                socket.emit('receive_message', {
+                    sender: 'System',
+                    message: `Welcome, ${username}!`,
+                    timestamp: new Date().toISOString(),
+                    room: DEFAULT_ROOM
+                });
+            }
+
+            await syncUserRooms(userId);
+            if (isFirstVisit) {
+                announceInRoom(DEFAULT_ROOM, `${username} has joined the room.`);
+            }
+        };
+
+        // If joining fails part way, the session is dropped again so the client can retry with a new 'join_chat'
+        on('join_chat', async (data) => {
+            try {
+                await joinChat(data);
+            } catch (err) {
+                logger.error('Joining the chat failed', { userId, socketId: socket.id, error: err });
+                const sessionId = getSession();
+                socket.data.sessionId = undefined;
+                if (sessionId) await inBackground(endSession(sessionId));
+                emitError(socket, fail(ERROR_CODES.UNAVAILABLE, 'Could not join the chat. Please try again.'), 'join_chat');
+            }
+        });
+
+        // Event for signing out: end this session now instead of waiting for the grace period.
+        // The acknowledgement tells the client it is safe to drop the connection.
+        on('leave_chat', async (callback) => {
+            const sessionId = getSession();
+            if (sessionId) {
+                socket.data.sessionId = undefined;
+                await inBackground(endSession(sessionId));
+            }
+            if (typeof callback === 'function') callback();
+        });
+
+        // --- Room Management ---
+
+        // Join a room. The user stays in the rooms they joined before; which one the client shows
+        // is up to the client.
+        const joinRoom = async (roomName) => {
+            if (!getSession()) return fail(ERROR_CODES.NOT_IN_CHAT, 'Please set your username first.');
+
+            const room = await roomStore.getRoom(roomName);
+            if (!room || !canSeeRoom(room, userId)) return fail(ERROR_CODES.NOT_FOUND, `Room ${roomName} does not exist.`);
+            if (!canJoinRoom(room, userId)) {
+                const reason = isBanned(room, userId) ? `You are banned from #${room.id}.` : `#${room.id} is invite-only.`;
+                return fail(ERROR_CODES.FORBIDDEN, reason);
+            }
+
+            if (isJoined(room, userId)) return { ok: true, room: toClientRoom(room, userId) };
+
+            await addUserToRoom(userId, room.id);
+            announceInRoom(room.id, `${username} has joined the room.`);
+            logger.info('User joined a room', { userId, username, room: room.id });
+            return { ok: true, room: toClientRoom({ ...room, joined: [...room.joined, userId] }, userId) };
+        };
+
+        // Event for a user joining a room. Rooms are created with 'create_room'.
+        on('join_room', (roomName, callback) => respond(socket, callback, joinRoom(roomName)));
+
+        // Event for leaving a room: stop receiving its messages until joining it again
+        on('leave_room', async ({ room: roomId } = {}, callback) => {
+            if (!getSession()) {
+                respond(socket, callback, fail(ERROR_CODES.NOT_IN_CHAT, 'Please set your username first.'));
+                return;
+            }
+            const room = typeof roomId === 'string' ? await roomStore.getRoom(roomId) : null;
+            if (!room || !isJoined(room, userId)) {
+                respond(socket, callback, fail(ERROR_CODES.FORBIDDEN, `You are not in the '${roomId}' room.`));
+                return;
+            }
+            if (room.id === DEFAULT_ROOM) {
+                respond(socket, callback, fail(ERROR_CODES.FORBIDDEN, `Everyone stays in #${DEFAULT_ROOM}.`));
+                return;
+            }
+
+            await removeUserFromRoom(userId, room.id);
+            announceInRoom(room.id, `${username} has left the room.`);
+            io.to(userChannel(userId)).emit('room_left', { room: room.id });
+            await sendAvailableRooms(userId);
+            respond(socket, callback, { ok: true });
+            logger.info('User left a room', { userId, username, room: room.id });
+        });
+
+        // Event: the user has read everything in a room. Resets its unread and mention counts in all their tabs.
+        on('mark_room_read', async ({ room: roomId } = {}) => {
+            if (!getSession() || typeof roomId !== 'string') return;
+            const counts = await unreadStore.clear(userId, roomId);
+            io.to(userChannel(userId)).emit('unread_update', { room: roomId, ...counts });
+        });
+
+        // Event for choosing how to be notified about a room or conversation: 'all', 'mentions' or 'muted'.
+        // The setting is saved for the account, so every tab and device picks it up.
+        on('set_notification_level', async ({ room: roomId, level } = {}, callback) => {
+            if (!getSession()) {
+                respond(socket, callback, fail(ERROR_CODES.NOT_IN_CHAT, 'Please set your username first.'));
+                return;
+            }
+            if (typeof roomId !== 'string' || !(await canReadHistory(roomId))) {
+                respond(socket, callback, fail(ERROR_CODES.NOT_FOUND, 'Room not found.'));
+                return;
+            }
+            if (!NOTIFICATION_LEVELS.includes(level)) {
+                respond(socket, callback, fail(ERROR_CODES.INVALID_REQUEST, 'Invalid notification setting.'));
+                return;
+            }
+
+            await notificationStore.setLevel(userId, roomId, level);
+            io.to(userChannel(userId)).emit('notification_level', { room: roomId, level });
+            respond(socket, callback, { ok: true, room: roomId, level });
+        });
+
+        // Event for creating a room. The creator becomes its owner and joins it.
+        on('create_room', async ({ name, topic = '', visibility = 'public' } = {}, callback) => {
+            if (!getSession()) {
+                respond(socket, callback, fail(ERROR_CODES.NOT_IN_CHAT, 'Please set your username first.'));
+                return;
+            }
+
+            const id = typeof name === 'string' ? name.trim().toLowerCase() : '';
+            if (!ROOM_ID_PATTERN.test(id)) {
+                respond(socket, callback, fail(ERROR_CODES.INVALID_REQUEST, 'Room names must be 2-32 lowercase letters, numbers, dashes or underscores.'));
+                return;
+            }
+            if (!VISIBILITIES.includes(visibility)) {
+                respond(socket, callback, fail(ERROR_CODES.INVALID_REQUEST, 'Invalid room visibility.'));
+                return;
+            }
+            if (typeof topic !== 'string' || topic.length > MAX_TOPIC_LENGTH) {
+                respond(socket, callback, fail(ERROR_CODES.INVALID_REQUEST, `Topics can be at most ${MAX_TOPIC_LENGTH} characters.`));
+                return;
+            }
+
+            const room = await roomStore.createRoom({ id, topic: topic.trim(), visibility, ownerId: userId });
+            if (!room) {
+                respond(socket, callback, fail(ERROR_CODES.CONFLICT, `#${id} already exists.`));
+                return;
+            }
+            inBackground(broadcastAvailableRooms()); // Notify everyone who can see the new room
+            await addUserToRoom(userId, id);
+            respond(socket, callback, { ok: true, room: toClientRoom(room, userId) });
+            logger.info('Room created', { userId, username, room: id, visibility });
+        });
+
+        // --- Room Moderation ---
+
+        // Look up a room the current user has at least `role` in. Returns { room } or { error }.
+        const requireRoomRole = async (roomId, role) => {
+            if (!getSession()) return { error: fail(ERROR_CODES.NOT_IN_CHAT, 'Please set your username first.') };
+            const room = typeof roomId === 'string' ? await roomStore.getRoom(roomId) : null;
+            if (!room || !canSeeRoom(room, userId)) return { error: fail(ERROR_CODES.NOT_FOUND, 'Room not found.') };
+            if (!hasRole(room, userId, role)) return { error: fail(ERROR_CODES.FORBIDDEN, `Only the room ${role} can do that.`) };
+            return { room };
+        };
+
+        // Like requireRoomRole('moderator'), and also checks the target user is below the current user
+        const requireModerationTarget = async (roomId, targetId) => {
+            const { room, error } = await requireRoomRole(roomId, 'moderator');
+            if (error) return { error };
+            if (typeof targetId !== 'string' || !(await userStore.findById(targetId))) return { error: fail(ERROR_CODES.NOT_FOUND, 'User not found.') };
+            if (!outranks(room, userId, targetId)) return { error: fail(ERROR_CODES.FORBIDDEN, 'You can only moderate users below your role.') };
+            return { room };
+        };
+
+        const usernameOf = async (id) => (await userStore.findById(id))?.username || 'Someone';
+
+        // Event for the room details shown in the settings dialog: settings, members and their roles
+        on('get_room_details', async ({ room: roomId } = {}, callback) => {
+            if (!getSession()) {
+                respond(socket, callback, fail(ERROR_CODES.NOT_IN_CHAT, 'Please set your username first.'));
+                return;
+            }
+            const room = typeof roomId === 'string' ? await roomStore.getRoom(roomId) : null;
+            if (!room || !canSeeRoom(room, userId)) {
+                respond(socket, callback, fail(ERROR_CODES.NOT_FOUND, 'Room not found.'));
+                return;
+            }
+
+            // Everyone with a role, an invite or a mute, plus everyone who joined the room. If presence can't
+            // be read, they are all shown as offline.
+            const presentIds = new Set(await presence.getRoomUserIds(room.id).catch(() => []));
+            const memberIds = new Set([
+                ...(room.ownerId ? [room.ownerId] : []),
+                ...room.moderators,
+                ...room.members,
+                ...Object.keys(room.mutes),
+                ...room.joined
+            ]);
+            const accounts = await Promise.all(Array.from(memberIds).filter(id => !room.bans.includes(id)).map(userStore.findById));
+            const members = accounts.filter(Boolean).map(({ id, username: name }) => ({
+                userId: id,
+                username: name,
+                role: getRole(room, id),
+                invited: isInvited(room, id),
+                online: presentIds.has(id),
+                mutedUntil: getMutedUntil(room, id)
+            }));
+            const isModerator = hasRole(room, userId, 'moderator');
+
+            respond(socket, callback, {
+                ok: true,
+                room: toClientRoom(room, userId),
+                members,
+                // Only moderators need to see who is banned
+                bans: isModerator ? await Promise.all(room.bans.map(async id => ({ userId: id, username: await usernameOf(id) }))) : []
             });
-            io.to(user.currentRoom).emit('receive_message', {
-                sender: 'System',
-                message: `${user.username} has left the room.`,
+        });
+
+        // Change a room's topic (moderators) or visibility (owner)
+        const updateRoomSettings = async ({ room: roomId, topic, visibility } = {}) => {
+            const { room, error } = await requireRoomRole(roomId, visibility === undefined ? 'moderator' : 'owner');
+            if (error) return error;
+            if (topic !== undefined && (typeof topic !== 'string' || topic.length > MAX_TOPIC_LENGTH)) {
+                return fail(ERROR_CODES.INVALID_REQUEST, `Topics can be at most ${MAX_TOPIC_LENGTH} characters.`);
+            }
+            if (visibility !== undefined && !VISIBILITIES.includes(visibility)) {
+                return fail(ERROR_CODES.INVALID_REQUEST, 'Invalid room visibility.');
+            }
+            if (room.id === DEFAULT_ROOM && visibility !== undefined && visibility !== 'public') {
+                return fail(ERROR_CODES.FORBIDDEN, `#${DEFAULT_ROOM} must stay public.`);
+            }
+
+            const changes = {};
+            if (topic !== undefined) changes.topic = topic.trim();
+            if (visibility !== undefined) {
+                changes.visibility = visibility;
+                // Whoever joined the room when it stops being public keeps access
+                if (visibility !== 'public') {
+                    changes.members = Array.from(new Set([...room.members, ...room.joined]));
+                }
+            }
+            const updated = await roomStore.updateRoom(room.id, changes);
+            if (!updated) return fail(ERROR_CODES.NOT_FOUND, 'Room not found.');
+
+            if (changes.topic !== undefined) {
+                announceInRoom(room.id, `${username} set the topic to: ${changes.topic || '(none)'}`);
+            }
+            inBackground(broadcastAvailableRooms());
+            return { ok: true, room: toClientRoom(updated, userId) };
+        };
+
+        on('update_room', (data, callback) => respond(socket, callback, updateRoomSettings(data)));
+
+        // Event for deleting a room (see closeRoom)
+        on('delete_room', async ({ room: roomId } = {}, callback) => {
+            const { room, error } = await requireRoomRole(roomId, 'moderator');
+            if (error) {
+                respond(socket, callback, error);
+                return;
+            }
+            if (room.id === DEFAULT_ROOM) {
+                respond(socket, callback, fail(ERROR_CODES.FORBIDDEN, `#${DEFAULT_ROOM} can't be deleted.`));
+                return;
+            }
+
+            await closeRoom(room);
+            respond(socket, callback, { ok: true });
+            logger.info('Room deleted', { userId, username, room: room.id });
+        });
+
+        // Event for inviting a user to a private or invite-only room
+        on('invite_to_room', async ({ room: roomId, userId: targetId } = {}, callback) => {
+            const { room, error } = await requireRoomRole(roomId, 'moderator');
+            if (error) {
+                respond(socket, callback, error);
+                return;
+            }
+            if (typeof targetId !== 'string' || !(await userStore.findById(targetId))) {
+                respond(socket, callback, fail(ERROR_CODES.NOT_FOUND, 'User not found.'));
+                return;
+            }
+
+            await roomStore.updateRoom(room.id, {
+                members: Array.from(new Set([...room.members, targetId])),
+                bans: room.bans.filter(id => id !== targetId) // An invite lifts a ban
+            });
+            await sendAvailableRooms(targetId);
+            io.to(userChannel(targetId)).emit('room_invitation', { room: room.id, invitedBy: username });
+            respond(socket, callback, { ok: true });
+        });
+
+        // Event for the owner promoting a member to moderator, or demoting them again
+        on('set_room_role', async ({ room: roomId, userId: targetId, role } = {}, callback) => {
+            const { room, error } = await requireRoomRole(roomId, 'owner');
+            if (error) {
+                respond(socket, callback, error);
+                return;
+            }
+            if (!['moderator', 'member'].includes(role) || targetId === userId || !(await userStore.findById(targetId))) {
+                respond(socket, callback, fail(ERROR_CODES.INVALID_REQUEST, 'Invalid role change.'));
+                return;
+            }
+
+            const moderators = room.moderators.filter(id => id !== targetId);
+            if (role === 'moderator') moderators.push(targetId);
+            await roomStore.updateRoom(room.id, {
+                moderators,
+                members: Array.from(new Set([...room.members, targetId]))
+            });
+            await sendAvailableRooms(targetId);
+            announceInRoom(room.id, `${await usernameOf(targetId)} is now a ${role} of #${room.id}.`);
+            respond(socket, callback, { ok: true });
+        });
+
+        // Event for kicking a user out of a room. They can come back unless the room requires an invite.
+        on('kick_user', async ({ room: roomId, userId: targetId } = {}, callback) => {
+            const { room, error } = await requireModerationTarget(roomId, targetId);
+            if (error) {
+                respond(socket, callback, error);
+                return;
+            }
+
+            await roomStore.updateRoom(room.id, { members: room.members.filter(id => id !== targetId) });
+            await removeFromRoom(targetId, room.id, 'kicked');
+            await sendAvailableRooms(targetId);
+            announceInRoom(room.id, `${await usernameOf(targetId)} was kicked by ${username}.`);
+            respond(socket, callback, { ok: true });
+        });
+
+        // Event for banning a user from a room until they are unbanned (or invited again)
+        on('ban_user', async ({ room: roomId, userId: targetId } = {}, callback) => {
+            const { room, error } = await requireModerationTarget(roomId, targetId);
+            if (error) {
+                respond(socket, callback, error);
+                return;
+            }
+
+            await roomStore.updateRoom(room.id, {
+                bans: Array.from(new Set([...room.bans, targetId])),
+                members: room.members.filter(id => id !== targetId),
+                moderators: room.moderators.filter(id => id !== targetId)
+            });
+            await removeFromRoom(targetId, room.id, 'banned');
+            await sendAvailableRooms(targetId);
+            announceInRoom(room.id, `${await usernameOf(targetId)} was banned by ${username}.`);
+            respond(socket, callback, { ok: true });
+        });
+
+        on('unban_user', async ({ room: roomId, userId: targetId } = {}, callback) => {
+            const { room, error } = await requireRoomRole(roomId, 'moderator');
+            if (error) {
+                respond(socket, callback, error);
+                return;
+            }
+
+            await roomStore.updateRoom(room.id, { bans: room.bans.filter(id => id !== targetId) });
+            await sendAvailableRooms(targetId);
+            respond(socket, callback, { ok: true });
+        });
+
+        // Event for muting a user in a room for `minutes` (default 10): they can read but not post
+        on('mute_user', async ({ room: roomId, userId: targetId, minutes = 10 } = {}, callback) => {
+            const { room, error } = await requireModerationTarget(roomId, targetId);
+            if (error) {
+                respond(socket, callback, error);
+                return;
+            }
+            if (!Number.isFinite(minutes) || minutes <= 0 || minutes > 7 * 24 * 60) {
+                respond(socket, callback, fail(ERROR_CODES.INVALID_REQUEST, 'Mutes last between 1 minute and 7 days.'));
+                return;
+            }
+
+            const mutedUntil = new Date(Date.now() + minutes * 60 * 1000).toISOString();
+            await roomStore.updateRoom(room.id, { mutes: { ...room.mutes, [targetId]: mutedUntil } });
+            announceInRoom(room.id, `${await usernameOf(targetId)} was muted for ${minutes} minute(s) by ${username}.`);
+            respond(socket, callback, { ok: true, mutedUntil });
+        });
+
+        on('unmute_user', async ({ room: roomId, userId: targetId } = {}, callback) => {
+            const { room, error } = await requireRoomRole(roomId, 'moderator');
+            if (error) {
+                respond(socket, callback, error);
+                return;
+            }
+
+            const mutes = { ...room.mutes };
+            delete mutes[targetId];
+            await roomStore.updateRoom(room.id, { mutes });
+            respond(socket, callback, { ok: true });
+        });
+
+        // --- Messaging ---
+
+        // Check a client-supplied message id. Returns an error response, the already stored message
+        // when the id is a retry of one we accepted before, or nothing for a new message.
+        const checkMessageId = async (id) => {
+            if (id === undefined) return {};
+            if (typeof id !== 'string' || !MESSAGE_ID_PATTERN.test(id)) {
+                return { error: fail(ERROR_CODES.INVALID_PAYLOAD, 'Invalid message id.') };
+            }
+            const existing = await messageStore.findMessage(id);
+            if (!existing) return {};
+            if (existing.senderId !== userId) {
+                return { error: fail(ERROR_CODES.CONFLICT, 'Duplicate message id.') };
+            }
+            return { duplicate: existing };
+        };
+
+        // Resolve the message a reply points at. Threads are one level deep, so replying to a reply
+        // files the new message under the same top-level message. The parent must live in `key`
+        // (the room or private conversation the reply is sent to).
+        const resolveThreadParent = async (replyTo, key) => {
+            if (replyTo === undefined) return {};
+            const parent = typeof replyTo === 'string' ? await messageStore.findMessage(replyTo) : null;
+            if (!parent || parent.room !== key) {
+                return { error: fail(ERROR_CODES.NOT_FOUND, 'The message you are replying to does not exist.') };
+            }
+            return { parentId: parent.replyTo || parent.id };
+        };
+
+        // Check a message's text and resolve the attachment ids sent with it to their metadata, and the
+        // @mentions in it to accounts. A message needs text, attachments or both; only the uploader can
+        // attach a file. `action` marks a /me message.
+        const resolveContent = async ({ message, attachments: attachmentIds, action }) => {
+            const text = typeof message === 'string' ? message : '';
+            if (attachmentIds !== undefined &&
+                (!Array.isArray(attachmentIds) || attachmentIds.length > MAX_ATTACHMENTS_PER_MESSAGE)) {
+                return { error: fail(ERROR_CODES.INVALID_REQUEST, `Messages can have at most ${MAX_ATTACHMENTS_PER_MESSAGE} attachments.`) };
+            }
+            const attachments = await Promise.all((attachmentIds || []).map(id => (typeof id === 'string' ? attachmentStore.findAttachment(id) : null)));
+            if (attachments.some(attachment => !attachment || attachment.uploaderId !== userId)) {
+                return { error: fail(ERROR_CODES.NOT_FOUND, 'Attachment not found. Please upload it again.') };
+            }
+            if (!text.trim() && attachments.length === 0) {
+                return { error: fail(ERROR_CODES.INVALID_REQUEST, 'Messages cannot be empty.') };
+            }
+            const mentions = await resolveMentions(text);
+            return {
+                content: {
+                    message: text,
+                    ...(attachments.length > 0 && { attachments: attachments.map(toClientAttachment) }),
+                    ...(mentions.length > 0 && { mentions }),
+                    ...(action === true && { action: true })
+                }
+            };
+        };
+
+        // Check an end-to-end encrypted direct message. The server can't read it, so it only makes sure the
+        // envelope is well formed and was sealed with one of the sender's published keys, and keeps the known
+        // fields. Encrypted messages carry no plaintext, attachments or mentions.
+        const resolveEncrypted = async (data) => {
+            if ((typeof data.message === 'string' && data.message !== '') || data.attachments !== undefined || data.action !== undefined) {
+                return { error: fail(ERROR_CODES.INVALID_REQUEST, 'Encrypted messages can only have encrypted text.') };
+            }
+            const { v, senderKey, iv, ciphertext, keys } = data.encrypted;
+            if (!(await keyStore.findKey(userId, keyIdOf(senderKey)))) {
+                return { error: fail(ERROR_CODES.INVALID_REQUEST, 'Please publish your encryption key first.') };
+            }
+            const wrapped = Object.entries(keys);
+            if (wrapped.length === 0 || wrapped.some(([keyId]) => !KEY_ID_PATTERN.test(keyId))) {
+                return { error: fail(ERROR_CODES.INVALID_PAYLOAD, 'encrypted keys must be wrapped for published key ids.') };
+            }
+            return {
+                content: {
+                    message: '',
+                    encrypted: {
+                        v,
+                        senderKey: { kty: senderKey.kty, crv: senderKey.crv, x: senderKey.x, y: senderKey.y },
+                        iv,
+                        ciphertext,
+                        keys: Object.fromEntries(wrapped.map(([keyId, key]) => [keyId, { iv: key.iv, wrappedKey: key.wrappedKey }]))
+                    }
+                }
+            };
+        };
+
+        // Recount the replies on a thread's parent and let everyone who can see it know. Counting them (rather
+        // than adding one) keeps the count right when replies arrive on several instances at once.
+        const recordReply = async (parentId) => {
+            const replies = await messageStore.getReplies(parentId);
+            const updated = await messageStore.updateMessage(parentId, {
+                replyCount: replies.length,
+                lastReplyAt: new Date().toISOString()
+            });
+            if (updated) emitToAudience(updated, 'message_updated', await toClientMessage(updated));
+        };
+
+        // Send a public message to `data.room`, one of the rooms the user joined
+        const sendRoomMessage = async (data = {}) => {
+            if (!getSession()) return fail(ERROR_CODES.NOT_IN_CHAT, 'Please set your username first.');
+
+            const room = data.room;
+            const savedRoom = typeof room === 'string' ? await roomStore.getRoom(room) : null;
+            if (!savedRoom || !isJoined(savedRoom, userId)) {
+                return fail(ERROR_CODES.FORBIDDEN, `You are not in the '${room}' room.`);
+            }
+            const mutedUntil = getMutedUntil(savedRoom, userId);
+            if (mutedUntil) {
+                return fail(ERROR_CODES.FORBIDDEN, `You are muted in #${room} until ${new Date(mutedUntil).toLocaleTimeString()}.`);
+            }
+
+            const { error, duplicate } = await checkMessageId(data.id);
+            if (error) return error;
+            // A retry of a message we already have: confirm it again without broadcasting twice
+            if (duplicate) return { ok: true, message: await toClientMessage(duplicate) };
+
+            const thread = await resolveThreadParent(data.replyTo, room);
+            if (thread.error) return thread.error;
+            const { content, error: contentError } = await resolveContent(data);
+            if (contentError) return contentError;
+
+            // Store the message so it can be backfilled later
+            const messageData = await toClientMessage(await messageStore.addMessage(room, {
+                id: data.id,
+                senderId: userId,
+                sender: username,
+                ...content,
                 timestamp: new Date().toISOString(),
-                room: user.currentRoom
+                ...(thread.parentId && { replyTo: thread.parentId })
+            }));
+            // Emit message to all clients in the same room
+            io.to(room).emit('receive_message', messageData);
+            if (thread.parentId) await recordReply(thread.parentId);
+            await countUnread(room, messageData, savedRoom.joined);
+            await notifyMentions(messageData);
+            messagesSent.inc({ room });
+            logger.info('Message sent', { userId, room, id: messageData.id });
+            return { ok: true, message: messageData };
+        };
+
+        // Event for sending a message to a room. The acknowledgement confirms the server accepted (and stored) it.
+        on('send_message', (data, callback) => respond(socket, callback, sendRoomMessage(data)));
+
+        // Look up a conversation the current user is part of
+        const findConversation = async (id) => {
+            const conversation = isConversationId(id) ? await conversationStore.getConversation(id) : null;
+            return conversation && conversation.participantIds.includes(userId) ? conversation : null;
+        };
+
+        const canReadHistory = (key) => canUserReadHistory(key, userId);
+
+        // Event for paging backwards through a room's (or conversation's) history.
+        // `before` is the id of the oldest message the client already has.
+        on('load_older_messages', async ({ room, before } = {}) => {
+            if (!getSession()) {
+                emitError(socket, fail(ERROR_CODES.NOT_IN_CHAT, 'Please set your username first.'));
+                return;
+            }
+            if (!(await canReadHistory(room))) {
+                emitError(socket, fail(ERROR_CODES.NOT_FOUND, `Room ${room} does not exist.`));
+                return;
+            }
+
+            socket.emit('older_messages', await toClientPage(await messageStore.getMessages(room, { before, limit: HISTORY_PAGE_SIZE })));
+        });
+
+        // Event for (re)loading the most recent page of a room or conversation, e.g. when opening
+        // a conversation or jumping back to the latest messages after a search
+        on('load_history', async ({ room } = {}) => {
+            if (!getSession()) return;
+            if (!(await canReadHistory(room))) {
+                emitError(socket, fail(ERROR_CODES.NOT_FOUND, `Room ${room} does not exist.`));
+                return;
+            }
+            socket.emit('room_history', await toClientPage(await messageStore.getMessages(room, { limit: HISTORY_PAGE_SIZE })));
+        });
+
+        // --- Search ---
+
+        // Event for full-text search across every room and conversation the user can read.
+        // See utils/searchQuery.js for the filters (from:, in:, after:, before:, on:).
+        on('search_messages', async ({ query, limit = 20 } = {}, callback) => {
+            if (!getSession()) {
+                respond(socket, callback, fail(ERROR_CODES.NOT_IN_CHAT, 'Please set your username first.'));
+                return;
+            }
+            if (typeof query !== 'string' || !query.trim()) {
+                respond(socket, callback, fail(ERROR_CODES.INVALID_REQUEST, 'Enter something to search for.'));
+                return;
+            }
+
+            const parsed = parseSearchQuery(query);
+            if (parsed.error) {
+                respond(socket, callback, fail(ERROR_CODES.INVALID_REQUEST, parsed.error));
+                return;
+            }
+            if (parsed.terms.length === 0 && parsed.from.length === 0 && parsed.in.length === 0) {
+                respond(socket, callback, fail(ERROR_CODES.INVALID_REQUEST, 'Add some words to search for, or a from: or in: filter.'));
+                return;
+            }
+
+            // Unknown users and rooms simply match nothing
+            const senderIds = parsed.from.length > 0
+                ? (await Promise.all(parsed.from.map(userStore.findByUsername))).filter(Boolean).map(account => account.id)
+                : undefined;
+            const rooms = parsed.in.length > 0
+                ? (await Promise.all(parsed.in.map(async target => {
+                    if (target.startsWith('@')) {
+                        const other = await userStore.findByUsername(target.slice(1));
+                        return other ? conversationId([userId, other.id]) : null;
+                    }
+                    return target.replace(/^#/, '').toLowerCase();
+                }))).filter(Boolean)
+                : undefined;
+
+            const { results, total } = await messageStore.searchMessages({
+                terms: parsed.terms,
+                canRead: canReadHistory,
+                rooms,
+                senderIds,
+                after: parsed.after,
+                before: parsed.before,
+                limit: Math.min(Math.max(Number(limit) || 20, 1), MAX_SEARCH_RESULTS)
             });
-        }
+            respond(socket, callback, { ok: true, results: await toClientMessages(results), total, terms: parsed.terms });
+        });
 
-        // Create room if it doesn't exist
-        if (!rooms.has(roomName)) {
-            rooms.set(roomName, { name: roomName, users: new Set() });
-            io.emit('available_rooms', Array.from(rooms.keys())); // Notify all about new room
-        }
+        // Event for jumping to a message (e.g. a search result): a page of its room around it
+        on('load_message_context', async ({ id } = {}, callback) => {
+            if (!getSession()) {
+                respond(socket, callback, fail(ERROR_CODES.NOT_IN_CHAT, 'Please set your username first.'));
+                return;
+            }
+            const msg = typeof id === 'string' ? await messageStore.findMessage(id) : null;
+            if (!msg || !(await canReadHistory(msg.room))) {
+                respond(socket, callback, fail(ERROR_CODES.NOT_FOUND, 'Message not found.'));
+                return;
+            }
+            respond(socket, callback, { ok: true, ...await toClientPage(await messageStore.getMessagesAround(msg.id, HISTORY_PAGE_SIZE)) });
+        });
 
-        socket.join(roomName); // Join the new room
-        user.currentRoom = roomName; // Update user's current room
-        rooms.get(roomName).users.add(socket.id); // Add user to new room's user set
+        // --- Direct Messages ---
 
-        // Notify new room about user joining
-        io.to(roomName).emit('room_users_update', {
-            room: roomName,
-            users: Array.from(rooms.get(roomName).users).map(id => users.get(id)?.username).filter(Boolean)
+        // Event for starting (or reopening) a conversation with one or more other users.
+        // The same group of people always gets the same conversation.
+        on('start_conversation', async ({ userIds } = {}, callback) => {
+            if (!getSession()) {
+                respond(socket, callback, fail(ERROR_CODES.NOT_IN_CHAT, 'Please set your username first.'));
+                return;
+            }
+            if (!Array.isArray(userIds) || userIds.length === 0) {
+                respond(socket, callback, fail(ERROR_CODES.INVALID_REQUEST, 'Choose at least one person to message.'));
+                return;
+            }
+            const participantIds = Array.from(new Set([userId, ...userIds]));
+            if (participantIds.length < 2 || participantIds.length > MAX_CONVERSATION_SIZE) {
+                respond(socket, callback, fail(ERROR_CODES.INVALID_REQUEST, `Conversations have 2 to ${MAX_CONVERSATION_SIZE} people.`));
+                return;
+            }
+            const participants = await Promise.all(participantIds.map(id => (typeof id === 'string' ? userStore.findById(id) : null)));
+            if (participants.some(account => !account)) {
+                respond(socket, callback, fail(ERROR_CODES.NOT_FOUND, 'User not found.'));
+                return;
+            }
+
+            const isNew = !(await conversationStore.getConversation(conversationId(participantIds)));
+            const conversation = await conversationStore.findOrCreate(participantIds, userId);
+            if (isNew) await broadcastConversation(conversation);
+            respond(socket, callback, { ok: true, conversation: await toClientConversation(conversation) });
         });
-        io.to(roomName).emit('receive_message', {
-            sender: 'System',
-            message: `${user.username} has joined the room.`,
-            timestamp: new Date().toISOString(),
-            room: roomName
+
+        // Send a direct message to `data.conversationId`, or to the one-to-one conversation with
+        // `data.receiverId`. It reaches every tab of every participant; those who are offline get it
+        // when they come back. With `data.encrypted` it is end-to-end encrypted and only relayed.
+        const sendPrivateMessage = async (data = {}) => {
+            if (!getSession()) return fail(ERROR_CODES.NOT_IN_CHAT, 'Please set your username first.');
+
+            let conversation = await findConversation(data.conversationId);
+            if (!conversation && data.conversationId === undefined) {
+                const receiver = typeof data.receiverId === 'string' && data.receiverId !== userId
+                    ? await userStore.findById(data.receiverId)
+                    : null;
+                if (receiver) conversation = await conversationStore.findOrCreate([userId, receiver.id], userId);
+            }
+            if (!conversation) return fail(ERROR_CODES.NOT_FOUND, 'Conversation not found.');
+
+            const { error, duplicate } = await checkMessageId(data.id);
+            if (error) return error;
+            if (duplicate) return { ok: true, message: await toClientMessage(duplicate) };
+
+            const key = conversation.id;
+            const thread = await resolveThreadParent(data.replyTo, key);
+            if (thread.error) return thread.error;
+            const { content, error: contentError } = await (data.encrypted ? resolveEncrypted(data) : resolveContent(data));
+            if (contentError) return contentError;
+
+            // Store the message so delivery and read receipts can be tracked per recipient
+            const messageData = await toClientMessage(await messageStore.addMessage(key, {
+                id: data.id,
+                senderId: userId,
+                sender: username,
+                ...content,
+                timestamp: new Date().toISOString(),
+                isPrivate: true,
+                ...(thread.parentId && { replyTo: thread.parentId })
+            }));
+
+            io.to(conversation.participantIds.map(userChannel)).emit('receive_message', messageData);
+            if (thread.parentId) await recordReply(thread.parentId);
+            await countUnread(key, messageData, conversation.participantIds);
+            await notifyMentions(messageData);
+            await broadcastConversation(conversation);
+            messagesSent.inc({ room: 'dm' });
+            logger.info('Private message sent', { userId, room: key, id: messageData.id });
+            return { ok: true, message: messageData };
+        };
+
+        on('send_private_message', (data, callback) => respond(socket, callback, sendPrivateMessage(data)));
+
+        // --- Encryption Keys ---
+
+        // Event for publishing this device's public key, so others can encrypt direct messages for it
+        on('publish_key', async ({ publicKey: key } = {}, callback) => {
+            if (!getSession()) {
+                respond(socket, callback, fail(ERROR_CODES.NOT_IN_CHAT, 'Please set your username first.'));
+                return;
+            }
+            const published = await keyStore.publishKey(userId, key);
+            logger.info('Encryption key published', { userId, keyId: published.id });
+            respond(socket, callback, { ok: true, key: published });
         });
 
-        socket.emit('room_changed', roomName); // Confirm room change to the user
-        console.log(`${user.username} (${socket.id}) joined room: ${roomName}`);
-    });
+        // Event for looking up the published keys of some users, e.g. everyone in a conversation
+        on('get_keys', async ({ userIds } = {}, callback) => {
+            if (!getSession()) {
+                respond(socket, callback, fail(ERROR_CODES.NOT_IN_CHAT, 'Please set your username first.'));
+                return;
+            }
+            const keys = Object.fromEntries(await Promise.all(Array.from(new Set(userIds), async id => [id, await keyStore.getKeys(id)])));
+            respond(socket, callback, { ok: true, keys });
+        });
 
-    // --- Messaging ---
+        // --- Commands ---
 
-    // Event for sending a public message to the current room
-    socket.on('send_message', (data) => {
-        const user = users.get(socket.id);
-        if (!user) {
-            socket.emit('error_message', 'Please set your username first.');
-            return;
-        }
+        // Rename the account. Messages already sent keep the name they were sent under.
+        const changeUsername = async (name) => {
+            if (!getSession()) return fail(ERROR_CODES.NOT_IN_CHAT, 'Please set your username first.');
+            if (!USERNAME_PATTERN.test(name)) {
+                return fail(ERROR_CODES.INVALID_REQUEST, 'Username must be 3-20 letters, numbers, dots, dashes or underscores.');
+            }
+            if (name === username) return fail(ERROR_CODES.CONFLICT, `You are already called ${name}.`);
 
-        const messageData = {
-            sender: user.username,
-            message: data.message,
-            timestamp: new Date().toISOString(),
-            room: user.currentRoom // Ensure message is associated with the current room
+            const previous = username;
+            const account = await userStore.renameAccount(userId, name);
+            if (!account) return fail(ERROR_CODES.CONFLICT, `${name} is already taken.`);
+            username = account.username;
+            const joinedRooms = (await roomStore.listRooms()).filter(room => isJoined(room, userId)).map(room => room.id);
+            joinedRooms.forEach(roomId => announceInRoom(roomId, `${previous} is now known as ${username}.`));
+            inBackground(presence.setUsername(userId, username).then(() => Promise.all([
+                refreshPresence(userId),
+                ...joinedRooms.map(sendRoomUsers)
+            ])));
+            io.to(userChannel(userId)).emit('account_updated', toPublicAccount(account));
+            logger.info('User renamed', { userId, previous, username });
+            return { ok: true };
         };
-        // Emit message to all clients in the same room
-        io.to(user.currentRoom).emit('receive_message', messageData);
-        console.log(`Message from ${user.username} in room ${user.currentRoom}: ${data.message}`);
-    });
 
-    // Event for sending a private message
-    socket.on('send_private_message', (data) => {
-        const senderUser = users.get(socket.id);
-        if (!senderUser) {
-            socket.emit('error_message', 'Please set your username first.');
-            return;
-        }
+        // Pick a status and/or a custom status message. They are saved with the account, so they apply to
+        // every tab and to the next time the user signs in.
+        const setStatus = async ({ status, statusText }) => {
+            if (!getSession()) return fail(ERROR_CODES.NOT_IN_CHAT, 'Please set your username first.');
+            const current = savedStatus(await userStore.findById(userId));
+            const next = {
+                status: status || current.status,
+                statusText: statusText === undefined ? current.statusText : statusText.trim()
+            };
+            await userStore.updatePresence(userId, next);
+            io.to(userChannel(userId)).emit('status_settings', next);
+            // Invisible users don't count as present in their rooms either
+            inBackground(presence.setStatus(userId, next).then(() => Promise.all([
+                refreshPresence(userId),
+                syncUserRooms(userId)
+            ])));
+            return { ok: true, ...next };
+        };
 
-        const receiverSocketId = data.receiverSocketId;
-        const receiverUser = users.get(receiverSocketId);
+        on('set_status', (data, callback) => respond(socket, callback, setStatus(data)));
 
-        if (!receiverUser) {
-            socket.emit('error_message', `User with ID ${receiverSocketId} is not online.`);
-            return;
-        }
+        // Event for a tab reporting that its user stopped using it, or is back. A user whose tabs are all idle
+        // shows as away.
+        on('set_idle', ({ idle }) => {
+            const sessionId = getSession();
+            if (sessionId) inBackground(presence.setIdle(sessionId, idle).then(() => refreshPresence(userId)));
+        });
 
-        const messageData = {
-            sender: senderUser.username,
-            message: data.message,
-            timestamp: new Date().toISOString(),
-            isPrivate: true,
-            receiver: receiverUser.username
+        // Event for running a slash command typed in `room` (a room or conversation id). The acknowledgement
+        // is the command's response, which may carry a `notice` to show the user or a room to `open`.
+        on('run_command', ({ text, room } = {}, callback) => {
+            if (!getSession()) {
+                respond(socket, callback, fail(ERROR_CODES.NOT_IN_CHAT, 'Please set your username first.'));
+                return;
+            }
+            const actions = { joinRoom, sendRoomMessage, sendPrivateMessage, updateRoomSettings, changeUsername, setStatus };
+            respond(socket, callback, commands.dispatch(text, { userId, room, actions }));
+        });
+
+        // Look up a message the current user wrote, for editing or deleting it
+        const findOwnMessage = async (id) => {
+            const msg = typeof id === 'string' ? await messageStore.findMessage(id) : null;
+            if (!msg || !(await canSeeMessage(msg, userId))) return { error: fail(ERROR_CODES.NOT_FOUND, 'Message not found.') };
+            if (msg.senderId !== userId) return { error: fail(ERROR_CODES.FORBIDDEN, 'You can only change your own messages.') };
+            if (msg.deleted) return { error: fail(ERROR_CODES.INVALID_REQUEST, 'This message has been deleted.') };
+            return { msg };
         };
 
-        // Emit message to the sender
-        socket.emit('receive_message', messageData);
-        // Emit message to the receiver
-        io.to(receiverSocketId).emit('receive_message', messageData);
-        console.log(`Private message from ${senderUser.username} to ${receiverUser.username}: ${data.message}`);
-    });
+        // Event for editing one of your own messages
+        on('edit_message', async ({ id, message } = {}, callback) => {
+            if (!getSession()) {
+                respond(socket, callback, fail(ERROR_CODES.NOT_IN_CHAT, 'Please set your username first.'));
+                return;
+            }
+            const { msg, error } = await findOwnMessage(id);
+            if (error) {
+                respond(socket, callback, error);
+                return;
+            }
+            if (msg.encrypted) {
+                respond(socket, callback, fail(ERROR_CODES.INVALID_REQUEST, 'Encrypted messages cannot be edited.'));
+                return;
+            }
 
-    // --- Typing Indicators ---
+            // Mentions follow the new text, but nobody is notified again
+            const updated = await toClientMessage(await messageStore.updateMessage(msg.id, {
+                message,
+                mentions: await resolveMentions(message),
+                editedAt: new Date().toISOString()
+            }));
+            emitToAudience(msg, 'message_updated', updated);
+            respond(socket, callback, { ok: true, message: updated });
+        });
 
-    // Event when a user starts typing
-    socket.on('typing_start', (room) => {
-        const user = users.get(socket.id);
-        if (user) {
-            // Broadcast to others in the room (excluding the sender)
-            socket.to(room).emit('typing_status', { username: user.username, isTyping: true, room });
-        }
+        // Event for deleting one of your own messages. The message is replaced by a tombstone so
+        // replies and the surrounding conversation still make sense.
+        on('delete_message', async ({ id } = {}, callback) => {
+            if (!getSession()) {
+                respond(socket, callback, fail(ERROR_CODES.NOT_IN_CHAT, 'Please set your username first.'));
+                return;
+            }
+            const { msg, error } = await findOwnMessage(id);
+            if (error) {
+                respond(socket, callback, error);
+                return;
+            }
+
+            const updated = await toClientMessage(await messageStore.updateMessage(msg.id, {
+                message: '',
+                attachments: undefined,
+                encrypted: undefined,
+                deleted: true,
+                deletedAt: new Date().toISOString()
+            }));
+            emitToAudience(msg, 'message_updated', updated);
+            respond(socket, callback, { ok: true, message: updated });
+        });
+
+        // Event for opening a thread: the parent message and all of its replies
+        on('load_thread', async ({ id } = {}, callback) => {
+            if (!getSession()) {
+                respond(socket, callback, fail(ERROR_CODES.NOT_IN_CHAT, 'Please set your username first.'));
+                return;
+            }
+            const parent = typeof id === 'string' ? await messageStore.findMessage(id) : null;
+            if (!parent || !(await canSeeMessage(parent, userId))) {
+                respond(socket, callback, fail(ERROR_CODES.NOT_FOUND, 'Message not found.'));
+                return;
+            }
+
+            respond(socket, callback, {
+                ok: true,
+                parent: await toClientMessage(parent),
+                replies: await toClientMessages(await messageStore.getReplies(parent.id))
+            });
+        });
+
+        // --- Reactions ---
+
+        // Add (`reacted` true) or remove the current user's reaction and broadcast the new totals
+        const changeReaction = async ({ id, emoji } = {}, callback, reacted) => {
+            if (!getSession()) {
+                respond(socket, callback, fail(ERROR_CODES.NOT_IN_CHAT, 'Please set your username first.'));
+                return;
+            }
+            const msg = typeof id === 'string' ? await messageStore.findMessage(id) : null;
+            if (!msg || !(await canSeeMessage(msg, userId)) || msg.deleted) {
+                respond(socket, callback, fail(ERROR_CODES.NOT_FOUND, 'Message not found.'));
+                return;
+            }
+            if (typeof emoji !== 'string' || !REACTION_PATTERN.test(emoji)) {
+                respond(socket, callback, fail(ERROR_CODES.INVALID_PAYLOAD, 'Invalid reaction.'));
+                return;
+            }
+            const existing = msg.reactions || {};
+            if (reacted && !existing[emoji] && Object.keys(existing).length >= MAX_REACTIONS_PER_MESSAGE) {
+                respond(socket, callback, fail(ERROR_CODES.INVALID_REQUEST, 'This message has too many different reactions.'));
+                return;
+            }
+
+            // Reacting twice with the same emoji (or removing one you never added) changes nothing
+            const updated = await messageStore.setReaction(msg.id, emoji, userId, reacted);
+            const reactions = await toClientReactions((updated || msg).reactions);
+            if (updated) {
+                emitToAudience(msg, 'message_reactions', { id: msg.id, reactions });
+            }
+            respond(socket, callback, { ok: true, id: msg.id, reactions });
+        };
+
+        // Event for reacting to a room or private message with an emoji
+        on('add_reaction', (data, callback) => changeReaction(data, callback, true));
+
+        // Event for taking back a reaction
+        on('remove_reaction', (data, callback) => changeReaction(data, callback, false));
+
+        // --- Receipts ---
+
+        // Record receipts for a batch of messages and tell the people who should know:
+        // rooms get updated counts, the sender of a private message gets the per-recipient lists.
+        const recordReceipts = async (ids, kind) => {
+            if (!getSession() || !Array.isArray(ids)) return;
+
+            const roomUpdates = new Map(); // Map<roomId, Array<update>>
+            for (const id of ids.slice(0, HISTORY_PAGE_SIZE)) {
+                const msg = await messageStore.findMessage(id);
+                // Only recipients can acknowledge: not the sender, and only people who can see the message
+                if (!msg || msg.senderId === userId || !(await canSeeMessage(msg, userId))) continue;
+                const updated = await messageStore.addReceipt(id, kind, userId);
+                if (!updated) continue;
+
+                if (updated.isPrivate) {
+                    const { deliveredTo, readBy } = updated;
+                    io.to(userChannel(updated.senderId)).emit('message_status', { updates: [{ id, deliveredTo, readBy }] });
+                } else {
+                    if (!roomUpdates.has(updated.room)) roomUpdates.set(updated.room, []);
+                    roomUpdates.get(updated.room).push({ id, room: updated.room, deliveredCount: updated.deliveredTo.length, readCount: updated.readBy.length });
+                }
+            }
+            roomUpdates.forEach((updates, room) => io.to(room).emit('message_status', { updates }));
+        };
+
+        // Event: the client received these messages
+        on('messages_delivered', ({ ids } = {}) => recordReceipts(ids, 'delivered'));
+
+        // Event: the client displayed these messages to the user
+        on('messages_read', ({ ids } = {}) => recordReceipts(ids, 'read'));
+
+        // --- Typing Indicators ---
+
+        // Typing indicators are only shown in rooms the user joined and may post in
+        const canTypeIn = async (roomId) => {
+            const room = await roomStore.getRoom(roomId);
+            return Boolean(getSession() && room && isJoined(room, userId) && !getMutedUntil(room, userId));
+        };
+
+        // Event when a user starts typing
+        on('typing_start', async (room) => {
+            if (await canTypeIn(room)) {
+                // Broadcast to others in the room (excluding the sender)
+                socket.to(room).emit('typing_status', { username, isTyping: true, room });
+            }
+        });
+
+        // Event when a user stops typing
+        on('typing_stop', async (room) => {
+            if (await canTypeIn(room)) {
+                // Broadcast to others in the room (excluding the sender)
+                socket.to(room).emit('typing_status', { username, isTyping: false, room });
+            }
+        });
+
+        // --- Disconnection ---
+
+        // Keep the session for a grace period so a refresh or a brief network drop doesn't look like leaving
+        on('disconnect', (reason) => {
+            const sessionId = getSession();
+            if (sessionId) {
+                logger.info('User disconnected', { userId, username, socketId: socket.id, sessionId, reason, graceMs: sessionGraceMs });
+                graceTimers.set(sessionId, setTimeout(() => inBackground(expireSession(sessionId)), sessionGraceMs));
+                inBackground(presence.clearSocket(sessionId, socket.id).then(() => refreshPresence(userId)));
+            } else {
+                logger.info('Socket disconnected before joining', { userId, socketId: socket.id, reason });
+            }
+        });
     });
 
-    // Event when a user stops typing
-    socket.on('typing_stop', (room) => {
-        const user = users.get(socket.id);
-        if (user) {
-            // Broadcast to others in the room (excluding the sender)
-            socket.to(room).emit('typing_status', { username: user.username, isTyping: false, room });
+    // --- Admin API and metrics ---
+
+    // What the admin API (routes/admin.js) can do
+    const adminOperations = {
+        // Everyone online, including invisible users, with their sessions
+        listUsers: async () => ({
+            ok: true,
+            users: (await presence.listUsers()).map(user => ({
+                userId: user.userId,
+                username: user.username,
+                status: toOnlineUser(user)?.status || 'invisible',
+                statusText: user.statusText,
+                sessions: user.sessions
+            }))
+        }),
+
+        listRooms: async () => ({
+            ok: true,
+            rooms: await Promise.all((await roomStore.listRooms()).map(async room => ({
+                id: room.id,
+                name: room.name,
+                topic: room.topic,
+                visibility: room.visibility,
+                ownerId: room.ownerId,
+                members: room.joined.length,
+                present: (await presence.getRoomUserIds(room.id)).length,
+                messages: await messageStore.countMessages(room.id)
+            })))
+        }),
+
+        // The socket may be connected to any instance. Its session ends right away rather than after the grace
+        // period, since the client doesn't reconnect after being disconnected by the server.
+        disconnectSocket: async (socketId) => {
+            const target = (await io.in(socketId).fetchSockets()).find(remote => remote.id === socketId);
+            if (!target) return fail(ERROR_CODES.NOT_FOUND, 'No socket with that id is connected.');
+            target.disconnect(true);
+            if (target.data.sessionId) await endSession(target.data.sessionId);
+            return { ok: true };
+        },
+
+        // Shown to everyone online, or posted in one room
+        announce: async (message, roomId) => {
+            if (roomId === undefined) {
+                io.emit('announcement', { message, timestamp: new Date().toISOString() });
+                return { ok: true };
+            }
+            if (!(await roomStore.getRoom(roomId))) return fail(ERROR_CODES.NOT_FOUND, 'Room not found.');
+            announceInRoom(roomId, message);
+            return { ok: true };
+        },
+
+        closeRoom: async (roomId) => {
+            const room = await roomStore.getRoom(roomId);
+            if (!room) return fail(ERROR_CODES.NOT_FOUND, 'Room not found.');
+            if (room.id === DEFAULT_ROOM) return fail(ERROR_CODES.FORBIDDEN, `#${DEFAULT_ROOM} can't be closed.`);
+            await closeRoom(room);
+            return { ok: true };
         }
-    });
+    };
+
+    // Admin routes under /api/admin (see routes/admin.js)
+    app.use('/api/admin', createAdminRouter({
+        requireAdmin: createRequireAdmin({ requireAuth, adminIds: adminUserIds }),
+        operations: adminOperations,
+        logger
+    }));
 
-    // --- Disconnection ---
+    // --- Transcripts ---
 
-    socket.on('disconnect', () => {
-        const user = users.get(socket.id);
-        if (user) {
-            console.log(`User disconnected: ${user.username} (${socket.id})`);
-            // Remove user from their current room's set
-            if (user.currentRoom && rooms.has(user.currentRoom)) {
-                rooms.get(user.currentRoom).users.delete(socket.id);
-                io.to(user.currentRoom).emit('room_users_update', {
-                    room: user.currentRoom,
-                    users: Array.from(rooms.get(user.currentRoom).users).map(id => users.get(id)?.username).filter(Boolean)
+    // Exporting and importing history (routes/transcripts.js). `account` is the signed-in { id, username }.
+    const transcriptOperations = {
+        // The messages of a room or conversation the user can read, from `range.from` to `range.to` (YYYY-MM-DD)
+        exportTranscript: async (account, key, range) => {
+            if (!(await canUserReadHistory(key, account.id))) return fail(ERROR_CODES.NOT_FOUND, 'Room not found.');
+            const { after, before, error } = parseDateRange(range);
+            if (error) return fail(ERROR_CODES.INVALID_PAYLOAD, error);
+
+            const conversation = isConversationId(key) ? await conversationStore.getConversation(key) : null;
+            const room = conversation ? null : await roomStore.getRoom(key);
+            const title = conversation
+                ? `Direct messages: ${(await toClientConversation(conversation)).participants.map(person => person.username).join(', ')}`
+                : `#${room.id}${room.name !== room.id ? ` (${room.name})` : ''}`;
+            const messages = await toClientMessages(await messageStore.getMessagesBetween(key, { after, before }));
+            return {
+                ok: true,
+                transcript: createTranscript({
+                    room: { id: key, title, isPrivate: Boolean(conversation) },
+                    after,
+                    before,
+                    exportedBy: account.username,
+                    messages
+                })
+            };
+        },
+
+        // Add a JSON transcript's messages to a room, as its moderators or an admin. Messages keep their sender,
+        // time and text, and their id unless it's taken. Clients show them as imported, since anyone could have
+        // written the file. Reactions and receipts aren't carried over. Attachments are only carried over if the
+        // importer can read the room the transcript came from and they are still in its messages on this server.
+        // Importing the same transcript again skips what's already there.
+        importTranscript: async (account, roomId, data) => {
+            const room = typeof roomId === 'string' ? await roomStore.getRoom(roomId) : null;
+            if (!room || !canSeeRoom(room, account.id)) return fail(ERROR_CODES.NOT_FOUND, 'Room not found.');
+            if (!hasRole(room, account.id, 'moderator') && !adminUserIds.includes(account.id)) {
+                return fail(ERROR_CODES.FORBIDDEN, 'Only moderators can import transcripts into this room.');
+            }
+            const problem = validateTranscript(data);
+            if (problem) return fail(ERROR_CODES.INVALID_PAYLOAD, `Invalid transcript: ${problem}.`);
+            if (data.messages.some(msg => msg.sender.toLowerCase() === 'system')) {
+                return fail(ERROR_CODES.INVALID_PAYLOAD, 'Invalid transcript: only the server sends messages as System.');
+            }
+
+            // Ids of the attachments that may be carried over: those of the source room's messages
+            const source = data.room?.id;
+            const sourceMessages = source && await canUserReadHistory(source, account.id)
+                ? await messageStore.getMessagesBetween(source)
+                : [];
+            const sourceAttachmentIds = new Set(sourceMessages.flatMap(msg => (msg.attachments || []).map(attachment => attachment.id)));
+
+            // Map<id in a transcript, id stored here>, for the room's messages (some imported before) and these
+            const newIds = new Map((await messageStore.getMessagesBetween(room.id)).flatMap(msg => [
+                [msg.id, msg.id],
+                ...(msg.importedFrom ? [[msg.importedFrom, msg.id]] : [])
+            ]));
+            const imported = [];
+            for (const msg of data.messages) {
+                if (msg.deleted || newIds.has(msg.id)) continue;
+                const attachments = (await Promise.all((msg.attachments || [])
+                    .filter(attachment => sourceAttachmentIds.has(attachment.id))
+                    .map(attachment => attachmentStore.findAttachment(attachment.id))))
+                    .filter(Boolean);
+                if (!msg.message.trim() && attachments.length === 0) continue; // E.g. encrypted direct messages
+
+                const existing = msg.id ? await messageStore.findMessage(msg.id) : null;
+                const id = msg.id && MESSAGE_ID_PATTERN.test(msg.id) && !existing ? msg.id : crypto.randomUUID();
+                if (msg.id) newIds.set(msg.id, id);
+                const parentId = msg.replyTo && newIds.get(msg.replyTo);
+                const mentions = await resolveMentions(msg.message);
+                const sender = msg.senderId ? await userStore.findById(msg.senderId) : null;
+                imported.push({
+                    id,
+                    ...(sender && { senderId: msg.senderId }),
+                    sender: msg.sender,
+                    message: msg.message,
+                    timestamp: msg.timestamp,
+                    ...(attachments.length > 0 && { attachments: attachments.map(toClientAttachment) }),
+                    ...(mentions.length > 0 && { mentions }),
+                    ...(msg.action && { action: true }),
+                    ...(parentId && { replyTo: parentId }),
+                    ...(msg.editedAt && { editedAt: msg.editedAt }),
+                    ...(msg.id && id !== msg.id && { importedFrom: msg.id }),
+                    importedBy: account.id
                 });
-                io.to(user.currentRoom).emit('receive_message', {
-                    sender: 'System',
-                    message: `${user.username} has left the room.`,
-                    timestamp: new Date().toISOString(),
-                    room: user.currentRoom
+            }
+            if (imported.length === 0) return { ok: true, imported: 0, skipped: data.messages.length };
+
+            await messageStore.importMessages(room.id, imported);
+            // Threads that got replies count them again
+            for (const parentId of new Set(imported.map(msg => msg.replyTo).filter(Boolean))) {
+                const replies = await messageStore.getReplies(parentId);
+                await messageStore.updateMessage(parentId, {
+                    replyCount: replies.length,
+                    lastReplyAt: replies[replies.length - 1].timestamp
                 });
             }
-            users.delete(socket.id); // Remove user from the global users map
-            io.emit('user_disconnected', socket.id); // Notify all clients about disconnection
-        } else {
-            console.log(`Unknown user disconnected: ${socket.id}`);
+
+            // Whoever has the room open gets its history again, now with the imported messages
+            io.to(room.id).emit('room_history', await toClientPage(await messageStore.getMessages(room.id, { limit: HISTORY_PAGE_SIZE })));
+            announceInRoom(room.id, `${account.username} imported ${imported.length} messages from a transcript.`);
+            return { ok: true, imported: imported.length, skipped: data.messages.length - imported.length };
         }
+    };
+
+    // Transcript routes under /api/transcripts (see routes/transcripts.js)
+    app.use('/api/transcripts', createTranscriptRouter({ requireAuth, operations: transcriptOperations, logger }));
+
+    // Prometheus metrics, behind a bearer token if metricsToken is set
+    app.use('/metrics', createMetricsRouter({ metrics, token: metricsToken }));
+
+    // Errors from any route: log them, and answer with JSON rather than Express's HTML page
+    app.use((err, req, res, next) => {
+        const status = err.status || err.statusCode || 500;
+        if (status >= 500) logger.error('Request failed', { method: req.method, path: req.path, error: err });
+        if (res.headersSent) return next(err);
+        res.status(status).json({ error: status >= 500 ? 'Something went wrong. Please try again.' : err.message });
     });
-});
 
-const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
-    console.log(`Server running on port ${PORT}`);
-});
+    // --- Starting and stopping ---
+
+    // Start listening once the stores are set up; resolves with the port, which is the one picked by the
+    // system for port 0
+    const listen = async (port) => {
+        await ready;
+        await beat();
+        heartbeatTimer = setInterval(() => inBackground(beat()), HEARTBEAT_INTERVAL_MS);
+        return new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(port, () => {
+                server.off('error', reject);
+                logger.info('Server running', { port: server.address().port });
+                resolve(server.address().port);
+            });
+        });
+    };
+
+    // Disconnect everyone, stop listening, write pending changes to disk and close the Redis connections.
+    // Sessions end with the server rather than after their grace period, while the other instances can still
+    // be told.
+    const close = async () => {
+        clearInterval(heartbeatTimer);
+        io.local.disconnectSockets(true);
+        graceTimers.forEach(clearTimeout);
+        graceTimers.clear();
+        for (const sessionId of await presence.listOwnSessionIds()) await endSession(sessionId);
+        await presence.leave();
+        await new Promise(resolve => io.close(() => resolve()));
+        await messageStore.flush();
+        await unreadStore.flush();
+        await Promise.all(redisClients.map(client => client.quit()));
+    };
+
+    return { app, server, io, listen, close };
+}
+
+// Started directly (node server/server.js): listen on PORT, and shut down cleanly on SIGINT and SIGTERM
+if (require.main === module) {
+    const chatServer = createChatServer();
+    chatServer.listen(process.env.PORT || 3000).catch((err) => {
+        logger.error('Server failed to start', { error: err });
+        process.exit(1);
+    });
+    ['SIGINT', 'SIGTERM'].forEach((signal) => {
+        process.on(signal, () => {
+            chatServer.close().finally(() => process.exit(0));
+        });
+    });
+}
 
+module.exports = { createChatServer };
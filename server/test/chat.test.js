@@ -0,0 +1,453 @@
+// server/test/chat.test.js
+// Integration tests for the socket protocol: a real server on an ephemeral port and socket.io-client
+// connections, as a browser would make them.
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { io } = require('socket.io-client');
+const { startServer, createRedisStandIn, register, upload, waitFor, collect, delay, joinChat, signUp } = require('./helpers');
+
+// How long to wait before concluding that an event isn't coming
+const QUIET_MS = 150;
+// How long a disconnected session is kept; long enough to reconnect in, short enough to wait out
+const GRACE_MS = 400;
+
+describe('chat server', () => {
+    let server;
+    let url;
+
+    beforeEach(async () => {
+        server = await startServer({ sessionGraceMs: GRACE_MS });
+        url = server.url;
+    });
+
+    afterEach(() => server.close());
+
+    describe('join_chat', () => {
+        it('starts a session in #general and lists who is online', async () => {
+            const alice = await signUp(url, 'alice');
+
+            assert.ok(alice.socket.session.sessionId);
+            assert.deepEqual(alice.socket.session.rooms, ['general']);
+            assert.deepEqual(alice.socket.onlineUsers.map(user => user.username), ['alice']);
+        });
+
+        it('tells everyone else that a user came online', async () => {
+            const alice = await signUp(url, 'alice');
+            const joined = waitFor(alice.socket, 'user_joined', user => user.username === 'bob');
+
+            const bob = await signUp(url, 'bob');
+
+            assert.equal((await joined).userId, bob.user.id);
+            assert.deepEqual(bob.socket.onlineUsers.map(user => user.username).sort(), ['alice', 'bob']);
+        });
+
+        it('refuses connections without a valid token', async () => {
+            const socket = io(url, { auth: { token: 'forged' }, transports: ['websocket'], reconnection: false, forceNew: true });
+            const error = await waitFor(socket, 'connect_error');
+            assert.match(error.message, /Authentication failed/);
+            socket.close();
+        });
+
+        it('refuses chat events until the socket joined', async () => {
+            const { body } = await register(url, 'alice');
+            const socket = io(url, { auth: { token: body.token }, transports: ['websocket'], reconnection: false, forceNew: true });
+            await waitFor(socket, 'connect');
+
+            const response = await socket.emitWithAck('send_message', { room: 'general', message: 'hi' });
+
+            assert.equal(response.ok, false);
+            assert.equal(response.code, 'NOT_IN_CHAT');
+            socket.close();
+        });
+    });
+
+    describe('duplicate usernames', () => {
+        it('refuses to register a name that is taken, whatever its case', async () => {
+            assert.equal((await register(url, 'alice')).status, 201);
+
+            const duplicate = await register(url, 'Alice');
+
+            assert.equal(duplicate.status, 409);
+            assert.match(duplicate.body.error, /already taken/);
+        });
+
+        it('refuses to rename an account to a name that is taken', async () => {
+            await register(url, 'alice');
+            const bob = await signUp(url, 'bob');
+
+            const response = await bob.socket.emitWithAck('run_command', { room: 'general', text: '/nick ALICE' });
+
+            assert.equal(response.ok, false);
+            assert.equal(response.code, 'CONFLICT');
+        });
+
+        it('counts a user with several tabs open once', async () => {
+            const alice = await signUp(url, 'alice');
+            const secondTab = await joinChat(url, alice.token);
+
+            assert.notEqual(secondTab.session.sessionId, alice.socket.session.sessionId);
+            assert.deepEqual(secondTab.onlineUsers.map(user => user.username), ['alice']);
+        });
+    });
+
+    describe('room switching', () => {
+        it('sends the history of a room when joining it and its messages from then on', async () => {
+            const alice = await signUp(url, 'alice');
+            const bob = await signUp(url, 'bob');
+            await alice.socket.emitWithAck('create_room', { name: 'release' });
+            await alice.socket.emitWithAck('send_message', { room: 'release', message: 'Shipping on Friday' });
+
+            const history = waitFor(bob.socket, 'room_history', page => page.room === 'release');
+            const joined = await bob.socket.emitWithAck('join_room', 'release');
+            assert.equal(joined.ok, true);
+            assert.deepEqual((await history).messages.map(msg => msg.message), ['Shipping on Friday']);
+
+            const received = waitFor(bob.socket, 'receive_message', msg => msg.room === 'release' && msg.senderId === alice.user.id);
+            await alice.socket.emitWithAck('send_message', { room: 'release', message: 'Actually Thursday' });
+            assert.equal((await received).message, 'Actually Thursday');
+        });
+
+        it('stops sending a room\'s messages after leaving it', async () => {
+            const alice = await signUp(url, 'alice');
+            const bob = await signUp(url, 'bob');
+            await alice.socket.emitWithAck('create_room', { name: 'release' });
+            await bob.socket.emitWithAck('join_room', 'release');
+
+            const left = await bob.socket.emitWithAck('leave_room', { room: 'release' });
+            assert.equal(left.ok, true);
+            const received = collect(bob.socket, 'receive_message');
+            await alice.socket.emitWithAck('send_message', { room: 'release', message: 'Anyone still here?' });
+            await delay(QUIET_MS);
+
+            assert.deepEqual(received.filter(msg => msg.room === 'release'), []);
+            const response = await bob.socket.emitWithAck('send_message', { room: 'release', message: 'Me!' });
+            assert.equal(response.code, 'FORBIDDEN');
+        });
+
+        it('counts unread messages in rooms named like object properties', async () => {
+            const alice = await signUp(url, 'alice');
+            const bob = await signUp(url, 'bob');
+            const created = await alice.socket.emitWithAck('create_room', { name: 'constructor' });
+            assert.equal(created.ok, true);
+            await bob.socket.emitWithAck('join_room', 'constructor');
+
+            const counted = waitFor(bob.socket, 'unread_update', update => update.room === 'constructor');
+            await alice.socket.emitWithAck('send_message', { room: 'constructor', message: 'Hi' });
+
+            assert.deepEqual(await counted, { room: 'constructor', unread: 1, mentions: 0 });
+        });
+
+        it('keeps private rooms out of reach of people who were not invited', async () => {
+            const alice = await signUp(url, 'alice');
+            const bob = await signUp(url, 'bob');
+            await alice.socket.emitWithAck('create_room', { name: 'secret', visibility: 'private' });
+
+            const response = await bob.socket.emitWithAck('join_room', 'secret');
+
+            assert.equal(response.ok, false);
+            assert.equal(response.code, 'NOT_FOUND');
+        });
+    });
+
+    describe('broadcasts', () => {
+        it('delivers a room message to everyone in the room and acknowledges it to the sender', async () => {
+            const alice = await signUp(url, 'alice');
+            const bob = await signUp(url, 'bob');
+            const carol = await signUp(url, 'carol');
+            const isHello = msg => msg.message === 'Hello, everyone';
+            const received = [bob, carol].map(({ socket }) => waitFor(socket, 'receive_message', isHello));
+
+            const response = await alice.socket.emitWithAck('send_message', { room: 'general', message: 'Hello, everyone' });
+
+            assert.equal(response.ok, true);
+            assert.equal(response.message.sender, 'alice');
+            for (const msg of await Promise.all(received)) {
+                assert.equal(msg.id, response.message.id);
+                assert.equal(msg.room, 'general');
+            }
+        });
+
+        it('keeps a message sent again with the same id from being stored twice', async () => {
+            const alice = await signUp(url, 'alice');
+            const message = { room: 'general', message: 'Only once', id: '7f9b6a52-4a7e-4c5e-9d0f-1d2c3b4a5e6f' };
+
+            const first = await alice.socket.emitWithAck('send_message', message);
+            const second = await alice.socket.emitWithAck('send_message', message);
+
+            assert.equal(second.message.id, first.message.id);
+            const history = waitFor(alice.socket, 'room_history', page => page.room === 'general');
+            alice.socket.emit('load_history', { room: 'general' });
+            assert.equal((await history).messages.filter(msg => msg.message === 'Only once').length, 1);
+        });
+    });
+
+    describe('receipts', () => {
+        it('only counts receipts from people who can see the message', async () => {
+            const alice = await signUp(url, 'alice');
+            const bob = await signUp(url, 'bob');
+            const { message: visible } = await bob.socket.emitWithAck('send_message', { room: 'general', message: 'Lunch?' });
+            await bob.socket.emitWithAck('create_room', { name: 'secret', visibility: 'private' });
+            const { message: hidden } = await bob.socket.emitWithAck('send_message', { room: 'secret', message: 'Surprise party' });
+            const statuses = collect(bob.socket, 'message_status');
+
+            alice.socket.emit('messages_read', { ids: [visible.id, hidden.id] });
+            await delay(QUIET_MS);
+
+            assert.deepEqual(statuses.flatMap(status => status.updates).map(update => [update.id, update.readCount]), [[visible.id, 1]]);
+        });
+    });
+
+    describe('private messages', () => {
+        it('delivers a direct message to both people and nobody else', async () => {
+            const alice = await signUp(url, 'alice');
+            const bob = await signUp(url, 'bob');
+            const carol = await signUp(url, 'carol');
+            const toBob = waitFor(bob.socket, 'receive_message', msg => msg.message === 'Just between us');
+            const carolReceived = collect(carol.socket, 'receive_message');
+
+            const response = await alice.socket.emitWithAck('send_private_message', { receiverId: bob.user.id, message: 'Just between us' });
+
+            assert.equal(response.ok, true);
+            const msg = await toBob;
+            assert.equal(msg.senderId, alice.user.id);
+            assert.equal(msg.room, response.message.room);
+            assert.match(msg.room, /^dm:/);
+            await delay(QUIET_MS);
+            assert.deepEqual(carolReceived.filter(received => received.room === msg.room), []);
+        });
+
+        it('lists the conversation for the receiver', async () => {
+            const alice = await signUp(url, 'alice');
+            const bob = await signUp(url, 'bob');
+            const updated = waitFor(bob.socket, 'conversation_updated');
+
+            await alice.socket.emitWithAck('send_private_message', { receiverId: bob.user.id, message: 'Hi Bob' });
+
+            const conversation = await updated;
+            assert.deepEqual(conversation.participants.map(person => person.username).sort(), ['alice', 'bob']);
+        });
+
+        it('refuses direct messages to unknown users', async () => {
+            const alice = await signUp(url, 'alice');
+
+            const response = await alice.socket.emitWithAck('send_private_message', { receiverId: 'nobody', message: 'Hello?' });
+
+            assert.equal(response.ok, false);
+            assert.equal(response.code, 'NOT_FOUND');
+        });
+    });
+
+    describe('transcript import', () => {
+        const importTranscript = async (token, room, transcript) => {
+            const response = await fetch(`${url}/api/transcripts/${room}/import`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+                body: JSON.stringify({ version: 1, ...transcript })
+            });
+            return { status: response.status, body: await response.json() };
+        };
+        const transcriptMessage = (fields) => ({ sender: 'bob', timestamp: '2024-05-31T09:00:00.000Z', message: '', ...fields });
+
+        it('adds the messages to the room, marked as imported', async () => {
+            const alice = await signUp(url, 'alice');
+            const bob = await signUp(url, 'bob');
+            await alice.socket.emitWithAck('create_room', { name: 'postmortem' });
+            const history = waitFor(alice.socket, 'room_history', page => page.room === 'postmortem' && page.messages.length > 0);
+
+            const imported = await importTranscript(alice.token, 'postmortem', {
+                messages: [transcriptMessage({ senderId: bob.user.id, message: 'Rolled back at 09:00' })]
+            });
+
+            assert.deepEqual(imported.body, { imported: 1, skipped: 0 });
+            const [message] = (await history).messages;
+            assert.equal(message.message, 'Rolled back at 09:00');
+            assert.equal(message.imported, true);
+            assert.equal(message.importedBy, undefined);
+        });
+
+        it('refuses messages that claim to come from System', async () => {
+            const alice = await signUp(url, 'alice');
+            await alice.socket.emitWithAck('create_room', { name: 'postmortem' });
+
+            const imported = await importTranscript(alice.token, 'postmortem', {
+                messages: [transcriptMessage({ sender: 'System', message: 'Alice is now an admin.' })]
+            });
+
+            assert.equal(imported.status, 400);
+            assert.equal(imported.body.code, 'INVALID_PAYLOAD');
+        });
+
+        it('only carries over attachments of the room the transcript came from', async () => {
+            const alice = await signUp(url, 'alice');
+            const bob = await signUp(url, 'bob');
+            const { body: { attachment: shared } } = await upload(url, alice.token, 'timeline.txt', '09:00 rollback');
+            await alice.socket.emitWithAck('send_message', { room: 'general', message: '', attachments: [shared.id] });
+            const { body: { attachment: hidden } } = await upload(url, bob.token, 'secrets.txt', 'hunter2');
+            await bob.socket.emitWithAck('create_room', { name: 'secret', visibility: 'private' });
+            await bob.socket.emitWithAck('send_message', { room: 'secret', message: '', attachments: [hidden.id] });
+            await alice.socket.emitWithAck('create_room', { name: 'postmortem' });
+            const history = waitFor(alice.socket, 'room_history', page => page.room === 'postmortem' && page.messages.length > 0);
+
+            await importTranscript(alice.token, 'postmortem', {
+                room: { id: 'general' },
+                messages: [
+                    transcriptMessage({ message: 'Timeline', attachments: [{ id: shared.id }] }),
+                    transcriptMessage({ message: 'Not from #general', timestamp: '2024-05-31T09:05:00.000Z', attachments: [{ id: hidden.id }] })
+                ]
+            });
+
+            const messages = (await history).messages;
+            assert.deepEqual(messages.map(msg => (msg.attachments || []).map(file => file.name)), [['timeline.txt'], []]);
+        });
+    });
+
+    describe('typing indicators', () => {
+        it('tells the others in the room when someone starts and stops typing', async () => {
+            const alice = await signUp(url, 'alice');
+            const bob = await signUp(url, 'bob');
+            const ownStatus = collect(alice.socket, 'typing_status');
+
+            const started = waitFor(bob.socket, 'typing_status', status => status.isTyping);
+            alice.socket.emit('typing_start', 'general');
+            assert.deepEqual(await started, { username: 'alice', isTyping: true, room: 'general' });
+
+            const stopped = waitFor(bob.socket, 'typing_status', status => !status.isTyping);
+            alice.socket.emit('typing_stop', 'general');
+            assert.deepEqual(await stopped, { username: 'alice', isTyping: false, room: 'general' });
+            assert.deepEqual(ownStatus, []);
+        });
+
+        it('ignores typing in rooms the user is not in', async () => {
+            const alice = await signUp(url, 'alice');
+            const bob = await signUp(url, 'bob');
+            await bob.socket.emitWithAck('create_room', { name: 'bobs-room' });
+            const received = collect(bob.socket, 'typing_status');
+
+            alice.socket.emit('typing_start', 'bobs-room');
+            await delay(QUIET_MS);
+
+            assert.deepEqual(received, []);
+        });
+    });
+
+    describe('disconnect cleanup', () => {
+        it('shows a user as reconnecting, then gone once the grace period is over', async () => {
+            const alice = await signUp(url, 'alice');
+            const bob = await signUp(url, 'bob');
+            const reconnecting = waitFor(alice.socket, 'presence_update', update => update.status === 'reconnecting');
+            const gone = waitFor(alice.socket, 'user_disconnected', update => update.userId === bob.user.id, GRACE_MS * 3);
+            const leftRoom = waitFor(alice.socket, 'room_users_update', update => !update.users.includes('bob'), GRACE_MS * 3);
+
+            bob.socket.disconnect();
+
+            assert.equal((await reconnecting).userId, bob.user.id);
+            assert.ok((await gone).lastSeen);
+            assert.deepEqual((await leftRoom).users, ['alice']);
+            const secondTab = await joinChat(url, alice.token);
+            assert.deepEqual(secondTab.onlineUsers.map(user => user.username), ['alice']);
+        });
+
+        it('keeps the user online when they come back within the grace period', async () => {
+            const alice = await signUp(url, 'alice');
+            const bob = await signUp(url, 'bob');
+            const gone = collect(alice.socket, 'user_disconnected');
+            const { sessionId } = bob.socket.session;
+
+            bob.socket.disconnect();
+            const resumed = await joinChat(url, bob.token, { sessionId });
+            await delay(GRACE_MS + QUIET_MS);
+
+            assert.equal(resumed.session.sessionId, sessionId);
+            assert.deepEqual(gone, []);
+        });
+
+        it('ends the session right away when the user signs out', async () => {
+            const alice = await signUp(url, 'alice');
+            const bob = await signUp(url, 'bob');
+            const gone = waitFor(alice.socket, 'user_disconnected', update => update.userId === bob.user.id, QUIET_MS);
+
+            await bob.socket.timeout(1000).emitWithAck('leave_chat');
+
+            await gone; // Well before the grace period is over
+        });
+    });
+});
+
+describe('store failures', () => {
+    // Redis HGETALL (reading e.g. unread counts) fails while `broken` is set
+    let broken = false;
+    const createFlakyRedis = () => {
+        const redis = createRedisStandIn();
+        const hgetall = redis.hgetall.bind(redis);
+        redis.hgetall = (...args) => (broken ? Promise.reject(new Error('Connection lost')) : hgetall(...args));
+        return redis;
+    };
+
+    let server;
+
+    beforeEach(async () => {
+        broken = false;
+        server = await startServer({ createRedisClient: createFlakyRedis, redisPrefix: 'failure-test:' });
+    });
+
+    afterEach(() => server.close());
+
+    it('tells the client when joining the chat fails, and lets it try again', async () => {
+        const { body } = await register(server.url, 'alice');
+        const socket = io(server.url, { auth: { token: body.token }, transports: ['websocket'], reconnection: false, forceNew: true });
+        await waitFor(socket, 'connect');
+        broken = true;
+
+        const failed = waitFor(socket, 'error_message');
+        socket.emit('join_chat', {});
+        assert.deepEqual(await failed, { code: 'UNAVAILABLE', message: 'Could not join the chat. Please try again.', event: 'join_chat' });
+
+        broken = false;
+        const session = waitFor(socket, 'session');
+        socket.emit('join_chat', {});
+        assert.ok((await session).sessionId);
+        socket.close();
+    });
+});
+
+describe('metrics', () => {
+    // Redis transactions take this long once `slow` is set, so handlers that wait for the stores take at least as long
+    const SLOW_MS = 100;
+    let slow = false;
+    const createSlowRedis = () => {
+        const redis = createRedisStandIn();
+        const multi = redis.multi.bind(redis);
+        redis.multi = (...args) => {
+            const transaction = multi(...args);
+            const exec = transaction.exec.bind(transaction);
+            transaction.exec = async () => {
+                if (slow) await delay(SLOW_MS);
+                return exec();
+            };
+            return transaction;
+        };
+        return redis;
+    };
+
+    let server;
+
+    beforeEach(async () => {
+        slow = false;
+        server = await startServer({ createRedisClient: createSlowRedis, redisPrefix: 'metrics-test:' });
+    });
+
+    afterEach(() => server.close());
+
+    it('times asynchronous handlers until they finish', async () => {
+        const alice = await signUp(server.url, 'alice');
+        slow = true;
+
+        alice.socket.emit('typing_start', 'general'); // No acknowledgement; the handler looks the room up first
+        await delay(SLOW_MS + QUIET_MS);
+
+        const metrics = await (await fetch(`${server.url}/metrics`)).text();
+        const sum = metrics.match(/^chat_event_handler_duration_seconds_sum\{event="typing_start"\} (\S+)$/m);
+        assert.ok(Number(sum[1]) >= SLOW_MS / 1000, `typing_start took ${sum[1]} s`);
+    });
+});
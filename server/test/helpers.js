@@ -0,0 +1,109 @@
+// server/test/helpers.js
+// Shared setup for the integration tests: a chat server on an ephemeral port with its stores in a temporary
+// directory (or a stand-in for Redis), accounts, and socket.io-client connections. Nothing here needs the
+// network beyond localhost.
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error'; // Before the logger is loaded
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { io } = require('socket.io-client');
+const RedisMock = require('ioredis-mock');
+const { createChatServer } = require('../server');
+
+const EVENT_TIMEOUT_MS = 2000;
+
+// Start a server with its own data directory. Resolves with { url, chat, close }, where `chat` is what
+// createChatServer returned. `options` go to createChatServer.
+const startServer = async (options = {}) => {
+    const dataDir = options.dataDir || fs.mkdtempSync(path.join(os.tmpdir(), 'chat-test-'));
+    const chat = createChatServer({ tokenSecret: 'test-secret', ...options, dataDir });
+    const port = await chat.listen(0);
+    return {
+        url: `http://localhost:${port}`,
+        chat,
+        close: async () => {
+            await chat.close();
+            if (!options.dataDir) fs.rmSync(dataDir, { recursive: true, force: true });
+        }
+    };
+};
+
+// An ioredis-mock connection, for createRedisClient. Its connections in one process share their data and
+// pub/sub, like clients of one server. It has what the Redis adapter needs from ioredis: ioredis emits
+// 'messageBuffer' for every message, which ioredis-mock only does for messages published as buffers, and the
+// adapter counts subscribers with send_command, which ioredis-mock lacks
+const createRedisStandIn = () => {
+    const redis = new RedisMock();
+    const publish = redis.publish.bind(redis);
+    redis.publish = (channel, message) => publish(channel, Buffer.from(message));
+    redis.send_command = (name, args, callback) => {
+        redis[name.toLowerCase()](...args).then(result => callback(null, result), callback);
+    };
+    return redis;
+};
+
+// Register an account. Resolves with { status, body }; a new account's body is { token, user }.
+const register = async (url, username, password = 'secret1') => {
+    const response = await fetch(`${url}/api/auth/register`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password })
+    });
+    return { status: response.status, body: await response.json() };
+};
+
+// Upload a small text file. Resolves with { status, body }; an uploaded file's body is { attachment }.
+const upload = async (url, token, name, content) => {
+    const form = new FormData();
+    form.append('file', new Blob([content]), name);
+    const response = await fetch(`${url}/api/uploads`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}` },
+        body: form
+    });
+    return { status: response.status, body: await response.json() };
+};
+
+// Resolve with the next `event` whose payload passes `matches`, or reject after a while
+const waitFor = (socket, event, matches = () => true, timeoutMs = EVENT_TIMEOUT_MS) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+        socket.off(event, listener);
+        reject(new Error(`Timed out waiting for '${event}'`));
+    }, timeoutMs);
+    const listener = (payload) => {
+        if (!matches(payload)) return;
+        clearTimeout(timer);
+        socket.off(event, listener);
+        resolve(payload);
+    };
+    socket.on(event, listener);
+});
+
+// Every payload of `event` from now on, for checking what a socket did (or didn't) get
+const collect = (socket, event) => {
+    const received = [];
+    socket.on(event, (payload) => received.push(payload));
+    return received;
+};
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Connect with an account's token and join the chat. Resolves with the socket once it got its session and
+// the list of online users, which are kept as `socket.session` and `socket.onlineUsers`.
+const joinChat = async (url, token, { sessionId } = {}) => {
+    const socket = io(url, { auth: { token }, transports: ['websocket'], reconnection: false, forceNew: true });
+    const joined = Promise.all([waitFor(socket, 'session'), waitFor(socket, 'online_users')]);
+    socket.on('connect', () => socket.emit('join_chat', { sessionId }));
+    [socket.session, socket.onlineUsers] = await joined;
+    return socket;
+};
+
+// Register an account and join the chat with it. Resolves with { user, token, socket }.
+const signUp = async (url, username) => {
+    const { body } = await register(url, username);
+    return { ...body, socket: await joinChat(url, body.token) };
+};
+
+module.exports = { startServer, createRedisStandIn, register, upload, waitFor, collect, delay, joinChat, signUp };
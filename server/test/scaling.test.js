@@ -0,0 +1,180 @@
+// server/test/scaling.test.js
+// Two instances behind a (pretend) load balancer, sharing Redis: accounts, presence, rooms, messages and
+// broadcasts must look the same whichever instance a client is connected to. ioredis-mock stands in for
+// Redis (see helpers.js).
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRedisPresenceStore } = require('../models/presenceStore');
+const { startServer, register, upload, waitFor, delay, signUp, joinChat, createRedisStandIn } = require('./helpers');
+
+// A public key as clients publish it. The server only checks its shape, so it needn't be a point on the curve.
+const publicKeyOf = (fill) => ({ kty: 'EC', crv: 'P-256', x: fill.repeat(43), y: fill.repeat(43) });
+
+describe('two instances sharing Redis', () => {
+    let options;
+    let serverA;
+    let serverB;
+    let uploadDir;
+
+    beforeEach(async (t) => {
+        // Keys of earlier tests linger in the shared mock, so each test gets a prefix of its own.
+        // Uploaded files go to a directory both instances use, like a shared volume.
+        uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-uploads-'));
+        options = {
+            createRedisClient: createRedisStandIn,
+            redisPrefix: `test-${t.name.replace(/\W+/g, '-')}:`,
+            uploadDir
+        };
+        serverA = await startServer(options);
+        serverB = await startServer(options);
+    });
+
+    afterEach(async () => {
+        await serverA.close();
+        await serverB.close();
+        fs.rmSync(uploadDir, { recursive: true, force: true });
+    });
+
+    it('signs in on one instance with an account registered on the other', async () => {
+        await register(serverA.url, 'alice');
+
+        const response = await fetch(`${serverB.url}/api/auth/login`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username: 'alice', password: 'secret1' })
+        });
+
+        assert.equal(response.status, 200);
+        assert.equal((await response.json()).user.username, 'alice');
+        assert.equal((await register(serverB.url, 'ALICE')).status, 409);
+    });
+
+    it('shares who is online', async () => {
+        const alice = await signUp(serverA.url, 'alice');
+        const joined = waitFor(alice.socket, 'user_joined', user => user.username === 'bob');
+
+        const bob = await signUp(serverB.url, 'bob');
+
+        assert.equal((await joined).userId, bob.user.id);
+        assert.deepEqual(bob.socket.onlineUsers.map(user => user.username).sort(), ['alice', 'bob']);
+    });
+
+    it('shares rooms and their messages', async () => {
+        const alice = await signUp(serverA.url, 'alice');
+        const bob = await signUp(serverB.url, 'bob');
+        const listed = waitFor(bob.socket, 'available_rooms', rooms => rooms.some(room => room.id === 'release'));
+
+        await alice.socket.emitWithAck('create_room', { name: 'release', topic: 'Friday' });
+        await alice.socket.emitWithAck('send_message', { room: 'release', message: 'Shipping on Friday' });
+
+        await listed;
+        const history = waitFor(bob.socket, 'room_history', page => page.room === 'release');
+        const joinedRoom = await bob.socket.emitWithAck('join_room', 'release');
+        assert.equal(joinedRoom.ok, true);
+        assert.deepEqual((await history).messages.map(msg => msg.message), ['Shipping on Friday']);
+
+        // Bob's socket is on the other instance, so the message goes through the adapter
+        const received = waitFor(alice.socket, 'receive_message', msg => msg.sender === 'bob');
+        await bob.socket.emitWithAck('send_message', { room: 'release', message: 'Ready when you are' });
+        assert.equal((await received).message, 'Ready when you are');
+    });
+
+    it('delivers direct messages and keeps them for later', async () => {
+        const alice = await signUp(serverA.url, 'alice');
+        const bob = await signUp(serverB.url, 'bob');
+        const received = waitFor(bob.socket, 'receive_message', msg => msg.isPrivate);
+
+        const sent = await alice.socket.emitWithAck('send_private_message', { receiverId: bob.user.id, message: 'Just between us' });
+
+        assert.equal(sent.ok, true);
+        assert.equal((await received).message, 'Just between us');
+
+        // Connected to the other instance, Bob still finds the conversation
+        bob.socket.close();
+        const socket = await joinChat(serverA.url, bob.token);
+        const history = waitFor(socket, 'room_history', page => page.room === sent.message.room);
+        socket.emit('load_history', { room: sent.message.room });
+        assert.deepEqual((await history).messages.map(msg => msg.message), ['Just between us']);
+    });
+
+    it('ends the sessions of an instance when it closes', async () => {
+        const alice = await signUp(serverA.url, 'alice');
+        const bob = await signUp(serverB.url, 'bob');
+        const gone = waitFor(bob.socket, 'user_disconnected', user => user.userId === alice.user.id);
+
+        await serverA.close();
+        serverA = await startServer(options);
+
+        await gone;
+        const socket = await joinChat(serverA.url, bob.token);
+        assert.deepEqual(socket.onlineUsers.map(user => user.username), ['bob']);
+    });
+
+    it('ends the sessions of an instance that stopped without closing', async () => {
+        const { body: carol } = await register(serverA.url, 'carol');
+        const crashed = createRedisPresenceStore(createRedisStandIn(), { prefix: options.redisPrefix, instanceId: 'crashed' });
+        await crashed.addSession('left-behind', { userId: carol.user.id, username: 'carol', status: 'online', statusText: '', socketId: 'gone' });
+        await crashed.heartbeat(1);
+        await delay(20);
+
+        // A starting instance notices that the crashed one's heartbeat ran out
+        const serverC = await startServer(options);
+        try {
+            const bob = await signUp(serverC.url, 'bob');
+            assert.deepEqual(bob.socket.onlineUsers.map(user => user.username), ['bob']);
+        } finally {
+            await serverC.close();
+        }
+    });
+
+    it('attaches a file uploaded through the other instance', async () => {
+        const alice = await signUp(serverA.url, 'alice');
+        const bob = await signUp(serverB.url, 'bob');
+        const uploaded = await upload(serverA.url, alice.token, 'checklist.txt', 'Release checklist');
+        const { attachment } = uploaded.body;
+        assert.equal(uploaded.status, 201);
+
+        // Alice's socket is on the other instance from the one she uploaded to
+        alice.socket.close();
+        const socket = await joinChat(serverB.url, alice.token);
+        const received = waitFor(bob.socket, 'receive_message', msg => msg.sender === 'alice');
+        const sent = await socket.emitWithAck('send_message', { room: 'general', message: '', attachments: [attachment.id] });
+
+        assert.equal(sent.ok, true);
+        assert.deepEqual((await received).attachments.map(file => file.name), ['checklist.txt']);
+        const download = await fetch(`${serverB.url}${attachment.url}`);
+        assert.equal(download.status, 200);
+        assert.equal(await download.text(), 'Release checklist');
+    });
+
+    it('relays encrypted direct messages sealed with a key published on the other instance', async () => {
+        const alice = await signUp(serverA.url, 'alice');
+        const bob = await signUp(serverB.url, 'bob');
+        const alicesKey = (await alice.socket.emitWithAck('publish_key', { publicKey: publicKeyOf('A') })).key;
+        const bobsKey = (await bob.socket.emitWithAck('publish_key', { publicKey: publicKeyOf('B') })).key;
+
+        // Each sees the other's key, whichever instance it was published on
+        const found = await alice.socket.emitWithAck('get_keys', { userIds: [bob.user.id] });
+        assert.deepEqual(found.keys[bob.user.id].map(key => key.id), [bobsKey.id]);
+
+        const received = waitFor(bob.socket, 'receive_message', msg => msg.isPrivate);
+        const encrypted = {
+            v: 1,
+            senderKey: publicKeyOf('A'),
+            iv: 'AAAAAAAAAAAAAAAA',
+            ciphertext: 'c2VhbGVk',
+            keys: { [alicesKey.id]: { iv: 'AAAAAAAAAAAAAAAA', wrappedKey: 'AAAA' }, [bobsKey.id]: { iv: 'AAAAAAAAAAAAAAAA', wrappedKey: 'BBBB' } }
+        };
+        const sent = await alice.socket.emitWithAck('send_private_message', { receiverId: bob.user.id, encrypted });
+
+        assert.equal(sent.ok, true);
+        const message = await received;
+        assert.equal(message.message, '');
+        assert.equal(message.encrypted.ciphertext, 'c2VhbGVk');
+        assert.deepEqual(Object.keys(message.encrypted.keys).sort(), [alicesKey.id, bobsKey.id].sort());
+    });
+});
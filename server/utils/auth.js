@@ -0,0 +1,59 @@
+// server/utils/auth.js
+// Password hashing and signed access tokens (JWT, HS256) built on Node's crypto module.
+
+const crypto = require('crypto');
+
+const KEY_LENGTH = 64;
+
+// Hash a password with a random salt. The result is stored as "salt:hash" (both hex).
+const hashPassword = (password) => new Promise((resolve, reject) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    crypto.scrypt(password, salt, KEY_LENGTH, (err, derivedKey) => {
+        if (err) return reject(err);
+        resolve(`${salt}:${derivedKey.toString('hex')}`);
+    });
+});
+
+// Check a password against a stored "salt:hash" string in constant time
+const verifyPassword = (password, storedHash) => new Promise((resolve, reject) => {
+    const [salt, hash] = (storedHash || '').split(':');
+    if (!salt || !hash) return resolve(false);
+    crypto.scrypt(password, salt, KEY_LENGTH, (err, derivedKey) => {
+        if (err) return reject(err);
+        const expected = Buffer.from(hash, 'hex');
+        resolve(expected.length === derivedKey.length && crypto.timingSafeEqual(expected, derivedKey));
+    });
+});
+
+const base64url = (input) => Buffer.from(input).toString('base64url');
+
+const sign = (data, secret) => crypto.createHmac('sha256', secret).update(data).digest('base64url');
+
+// Create a signed token for the given payload, valid for `expiresInSeconds`
+const signToken = (payload, secret, expiresInSeconds) => {
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const body = base64url(JSON.stringify({ ...payload, iat: now, exp: now + expiresInSeconds }));
+    return `${header}.${body}.${sign(`${header}.${body}`, secret)}`;
+};
+
+// Verify a token's signature and expiry. Returns the payload, or null if the token is invalid.
+const verifyToken = (token, secret) => {
+    if (typeof token !== 'string') return null;
+    const [header, body, signature] = token.split('.');
+    if (!header || !body || !signature) return null;
+
+    const expected = Buffer.from(sign(`${header}.${body}`, secret));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+    try {
+        const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+        if (typeof payload.exp !== 'number' || payload.exp < Math.floor(Date.now() / 1000)) return null;
+        return payload;
+    } catch (err) {
+        return null;
+    }
+};
+
+module.exports = { hashPassword, verifyPassword, signToken, verifyToken };
@@ -0,0 +1,40 @@
+// server/utils/commands.js
+// Slash commands typed into the composer ("/join random"). Commands are registered by name with a
+// handler; server.js registers the built-in ones and dispatches what clients send with 'run_command'.
+
+const { ERROR_CODES, fail } = require('./errors');
+
+const COMMAND_PATTERN = /^\/([a-z][a-z0-9_-]*)(?:\s+([\s\S]*))?$/i;
+
+// Split "/name rest of the line" into its name (lowercased) and argument text, or null if it isn't a command
+const parseCommand = (text) => {
+    const match = typeof text === 'string' ? text.trim().match(COMMAND_PATTERN) : null;
+    return match ? { name: match[1].toLowerCase(), args: (match[2] || '').trim() } : null;
+};
+
+function createCommandRegistry() {
+    const commands = new Map(); // Map<name, { name, usage, description, run }>
+
+    // `run(context, args)` returns (or resolves with) the response sent back to the client: { ok: true, ... } or a
+    // failure (see errors.js).
+    // Returning nothing means the arguments didn't make sense, and the command's usage is shown.
+    const register = (name, { usage = `/${name}`, description = '', run }) => {
+        commands.set(name, { name, usage, description, run });
+    };
+
+    const list = () => Array.from(commands.values());
+
+    // Run a command line for `context` (whatever the handlers need: the user, where they typed it, ...).
+    // Resolves with the response.
+    const dispatch = async (text, context) => {
+        const parsed = parseCommand(text);
+        if (!parsed) return fail(ERROR_CODES.INVALID_REQUEST, 'Commands start with a slash, like /help.');
+        const command = commands.get(parsed.name);
+        if (!command) return fail(ERROR_CODES.INVALID_REQUEST, `Unknown command /${parsed.name}. Type /help to see them all.`);
+        return (await command.run(context, parsed.args)) || fail(ERROR_CODES.INVALID_REQUEST, `Usage: ${command.usage}`);
+    };
+
+    return { register, list, dispatch };
+}
+
+module.exports = { createCommandRegistry, parseCommand };
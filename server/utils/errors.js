@@ -0,0 +1,21 @@
+// server/utils/errors.js
+// Failed socket events. The error codes are part of the protocol (see shared/protocol.js). The HTTP
+// routes that share operations with socket events answer failures with a matching status.
+
+const { ERROR_CODES } = require('../../shared/protocol');
+
+// A failed acknowledgement
+const fail = (code, error, details = {}) => ({ ok: false, code, error, ...details });
+
+// The HTTP status for a failure's code
+const HTTP_STATUSES = {
+    [ERROR_CODES.INVALID_PAYLOAD]: 400,
+    [ERROR_CODES.INVALID_REQUEST]: 400,
+    [ERROR_CODES.FORBIDDEN]: 403,
+    [ERROR_CODES.NOT_FOUND]: 404,
+    [ERROR_CODES.CONFLICT]: 409,
+    [ERROR_CODES.UNAVAILABLE]: 503
+};
+const httpStatusOf = (code) => HTTP_STATUSES[code] || 400;
+
+module.exports = { ERROR_CODES, fail, httpStatusOf };
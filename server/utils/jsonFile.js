@@ -0,0 +1,27 @@
+// server/utils/jsonFile.js
+// Helpers for the file-backed stores: read a JSON file if it exists and write one atomically.
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// Read and parse a JSON file, falling back to `defaultValue` if it is missing or unreadable
+const readJsonFile = (filePath, defaultValue) => {
+    if (!fs.existsSync(filePath)) return defaultValue;
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+        logger.error('Could not read a JSON file', { file: filePath, error: err.message });
+        return defaultValue;
+    }
+};
+
+// Write to a temporary file first, then rename, so a crash mid-write never corrupts the file
+const writeJsonFile = (filePath, data) => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data));
+    fs.renameSync(tmpPath, filePath);
+};
+
+module.exports = { readJsonFile, writeJsonFile };
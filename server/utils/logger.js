@@ -0,0 +1,38 @@
+// server/utils/logger.js
+// Structured logging: one JSON object per line on stdout (errors and warnings on stderr), e.g.
+// {"time":"2024-05-01T12:00:00.000Z","level":"info","msg":"User connected","userId":"...","socketId":"..."}
+// so log collectors can filter and aggregate by field. LOG_LEVEL (debug, info, warn or error) sets the
+// least severe level that is written; the default is info.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Errors don't serialize to JSON by themselves
+const toLoggable = (value) => (value instanceof Error ? { message: value.message, stack: value.stack } : value);
+
+function createLogger({ level = 'info', fields = {}, write } = {}) {
+    const threshold = LEVELS[level] || LEVELS.info;
+    const output = write || ((severity, line) => (LEVELS[severity] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`));
+
+    const log = (severity, msg, extra = {}) => {
+        if (LEVELS[severity] < threshold) return;
+        const entry = { time: new Date().toISOString(), level: severity, msg, ...fields };
+        Object.entries(extra).forEach(([key, value]) => {
+            entry[key] = toLoggable(value);
+        });
+        output(severity, JSON.stringify(entry));
+    };
+
+    return {
+        debug: (msg, extra) => log('debug', msg, extra),
+        info: (msg, extra) => log('info', msg, extra),
+        warn: (msg, extra) => log('warn', msg, extra),
+        error: (msg, extra) => log('error', msg, extra),
+        // A logger that adds `extra` fields to everything it writes, e.g. the module it's for
+        child: (extra) => createLogger({ level, fields: { ...fields, ...extra }, write: output })
+    };
+}
+
+// The process-wide logger
+const logger = createLogger({ level: process.env.LOG_LEVEL });
+
+module.exports = { createLogger, logger };
@@ -0,0 +1,102 @@
+// server/utils/messageFormat.js
+// Parses message text into a small, safe document tree that clients render without ever touching HTML:
+// fenced code blocks, quotes, **bold**, *italic* / _italic_, ~~strikethrough~~, `code`, autolinked
+// http(s) URLs, @mentions and #room links. Anything else stays plain text.
+
+// Inline rules, tried from the current position; the earliest match wins and ties go to the rule listed first.
+// Everything except code spans and links is parsed again inside, so **bold `code`** works.
+const INLINE_RULES = [
+    { pattern: /`([^`\n]+)`/g, toNode: (match) => ({ type: 'code', text: match[1] }) },
+    {
+        // Trailing punctuation belongs to the sentence, not the URL; parentheses only count when balanced
+        pattern: /\bhttps?:\/\/(?:\([^\s()<>]*\)|[^\s()<>])*(?:\([^\s()<>]*\)|[^\s()<>.,!?:;'"])/g,
+        toNode: (match) => ({ type: 'link', url: match[0] })
+    },
+    { pattern: /\*\*(\S(?:[^\n]*?\S)?)\*\*/g, toNode: (match) => ({ type: 'strong', children: parseInline(match[1]) }) },
+    { pattern: /~~(\S(?:[^\n]*?\S)?)~~/g, toNode: (match) => ({ type: 'strike', children: parseInline(match[1]) }) },
+    { pattern: /(?<![\w*])\*(\S(?:[^\n*]*?\S)?)\*(?![\w*])/g, toNode: (match) => ({ type: 'em', children: parseInline(match[1]) }) },
+    { pattern: /(?<![\w_])_(\S(?:[^\n_]*?\S)?)_(?![\w_])/g, toNode: (match) => ({ type: 'em', children: parseInline(match[1]) }) },
+    // A dot ends the name unless more of the name follows it, so "thanks @bob." mentions bob
+    { pattern: /(?<![\w@])@([A-Za-z0-9_-]+(?:\.[A-Za-z0-9_-]+)*)/g, toNode: (match) => ({ type: 'mention', username: match[1] }) },
+    { pattern: /(?<![\w&#])#([a-z0-9][a-z0-9_-]{1,31})(?![\w-])/g, toNode: (match) => ({ type: 'room', room: match[1] }) }
+];
+
+const FENCE_PATTERN = /^```([\w+-]*)\s*$/;
+const QUOTE_PATTERN = /^> ?/;
+
+// Append text to a node list, merging with a text node right before it
+const pushText = (nodes, text) => {
+    if (!text) return;
+    const last = nodes[nodes.length - 1];
+    if (last && last.type === 'text') {
+        last.text += text;
+    } else {
+        nodes.push({ type: 'text', text });
+    }
+};
+
+// Parse a single line of text into inline nodes
+function parseInline(text) {
+    const nodes = [];
+    let position = 0;
+    while (position < text.length) {
+        let best = null;
+        INLINE_RULES.forEach(rule => {
+            rule.pattern.lastIndex = position;
+            const match = rule.pattern.exec(text);
+            if (match && (!best || match.index < best.match.index)) best = { rule, match };
+        });
+        if (!best) break;
+
+        pushText(nodes, text.slice(position, best.match.index));
+        nodes.push(best.rule.toNode(best.match));
+        position = best.match.index + best.match[0].length;
+    }
+    pushText(nodes, text.slice(position));
+    return nodes;
+}
+
+// Parse several lines into inline nodes separated by line breaks
+const parseLines = (lines) => lines.flatMap((line, index) =>
+    (index === 0 ? parseInline(line) : [{ type: 'break' }, ...parseInline(line)]));
+
+// Parse message text into blocks: paragraphs, quotes and code blocks. A code block that is never
+// closed runs to the end of the message.
+const parseMessage = (text) => {
+    if (typeof text !== 'string' || !text) return [];
+    const lines = text.split(/\r?\n/);
+    const blocks = [];
+
+    for (let i = 0; i < lines.length;) {
+        const fence = lines[i].match(FENCE_PATTERN);
+        if (fence) {
+            const end = lines.findIndex((line, index) => index > i && line.trim() === '```');
+            const codeLines = lines.slice(i + 1, end === -1 ? lines.length : end);
+            blocks.push({ type: 'code_block', language: fence[1], text: codeLines.join('\n') });
+            i = end === -1 ? lines.length : end + 1;
+            continue;
+        }
+
+        const isQuote = QUOTE_PATTERN.test(lines[i]);
+        const group = [];
+        while (i < lines.length && !FENCE_PATTERN.test(lines[i]) && QUOTE_PATTERN.test(lines[i]) === isQuote) {
+            group.push(isQuote ? lines[i].replace(QUOTE_PATTERN, '') : lines[i]);
+            i++;
+        }
+        blocks.push({ type: isQuote ? 'quote' : 'paragraph', children: parseLines(group) });
+    }
+    return blocks;
+};
+
+// The distinct usernames @mentioned in parsed blocks (lowercased). Mentions inside code don't count.
+const findMentions = (blocks) => {
+    const names = new Set();
+    const visit = (nodes) => nodes.forEach(node => {
+        if (node.type === 'mention') names.add(node.username.toLowerCase());
+        if (node.children) visit(node.children);
+    });
+    visit(blocks);
+    return Array.from(names);
+};
+
+module.exports = { parseMessage, findMentions };
@@ -0,0 +1,115 @@
+// server/utils/metrics.js
+// A small metrics registry that renders the Prometheus text exposition format (version 0.0.4):
+// counters, gauges and histograms, each with optional labels. Gauges can be read when the metrics are
+// scraped instead of being kept up to date (`collect`).
+
+const DEFAULT_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5]; // Seconds
+
+const escapeLabelValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+const escapeHelp = (text) => text.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+
+// `{a="1",b="2"}` for the given label names and values, or nothing without labels
+const formatLabels = (labelNames, labels, extra = []) => {
+    const pairs = [...labelNames.map(name => [name, labels[name] ?? '']), ...extra];
+    return pairs.length > 0 ? `{${pairs.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}` : '';
+};
+
+const formatValue = (value) => {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+};
+
+function createMetricsRegistry() {
+    const metrics = []; // [{ name, help, type, render: async () => lines }]
+
+    // Values of one metric, one entry per combination of label values
+    const createSeries = (labelNames) => {
+        const series = new Map(); // Map<key, { labels, value }>
+        const keyOf = (labels) => labelNames.map(name => labels[name] ?? '').join('\u0000');
+        const get = (labels, initial) => {
+            const key = keyOf(labels);
+            if (!series.has(key)) series.set(key, { labels, value: initial() });
+            return series.get(key);
+        };
+        return { get, values: () => Array.from(series.values()) };
+    };
+
+    const register = (name, help, type, render) => {
+        if (metrics.some(metric => metric.name === name)) throw new Error(`Metric ${name} is already registered`);
+        metrics.push({ name, help, type, render });
+    };
+
+    // A value that only goes up, e.g. the number of messages sent
+    const counter = ({ name, help, labelNames = [] }) => {
+        const series = createSeries(labelNames);
+        register(name, help, 'counter', async () =>
+            series.values().map(({ labels, value }) => `${name}${formatLabels(labelNames, labels)} ${formatValue(value)}`));
+        return {
+            inc: (labels = {}, amount = 1) => {
+                series.get(labels, () => 0).value += amount;
+            }
+        };
+    };
+
+    // A value that goes up and down. With `collect`, it is read at scrape time: `collect()` returns a number,
+    // or [{ labels, value }] for labelled gauges, or a promise of either.
+    const gauge = ({ name, help, labelNames = [], collect }) => {
+        const series = createSeries(labelNames);
+        register(name, help, 'gauge', async () => {
+            const collected = collect ? await collect() : null;
+            const values = collected === null
+                ? series.values()
+                : (Array.isArray(collected) ? collected : [{ labels: {}, value: collected }]);
+            return values.map(({ labels, value }) => `${name}${formatLabels(labelNames, labels)} ${formatValue(value)}`);
+        });
+        return {
+            set: (labels, value) => {
+                series.get(labels, () => 0).value = value;
+            }
+        };
+    };
+
+    // The distribution of observed values (e.g. durations in seconds) over cumulative `buckets`
+    const histogram = ({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) => {
+        const series = createSeries(labelNames);
+        const bounds = [...buckets].sort((a, b) => a - b);
+        register(name, help, 'histogram', async () => series.values().flatMap(({ labels, value }) => [
+            ...bounds.map((bound, i) =>
+                `${name}_bucket${formatLabels(labelNames, labels, [['le', formatValue(bound)]])} ${value.counts[i]}`),
+            `${name}_bucket${formatLabels(labelNames, labels, [['le', '+Inf']])} ${value.count}`,
+            `${name}_sum${formatLabels(labelNames, labels)} ${value.sum}`,
+            `${name}_count${formatLabels(labelNames, labels)} ${value.count}`
+        ]));
+
+        const observe = (labels, observed) => {
+            const value = series.get(labels, () => ({ counts: bounds.map(() => 0), sum: 0, count: 0 })).value;
+            bounds.forEach((bound, i) => {
+                if (observed <= bound) value.counts[i] += 1;
+            });
+            value.sum += observed;
+            value.count += 1;
+        };
+
+        // Start timing; the returned function records the seconds elapsed since
+        const startTimer = (labels = {}) => {
+            const start = process.hrtime.bigint();
+            return () => observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+        };
+
+        return { observe, startTimer };
+    };
+
+    // Everything in the text format, for a GET /metrics response
+    const render = async () => {
+        const blocks = await Promise.all(metrics.map(async ({ name, help, type, render: renderLines }) =>
+            [`# HELP ${name} ${escapeHelp(help)}`, `# TYPE ${name} ${type}`, ...(await renderLines())].join('\n')));
+        return `${blocks.join('\n')}\n`;
+    };
+
+    return { counter, gauge, histogram, render };
+}
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+module.exports = { createMetricsRegistry, CONTENT_TYPE };
@@ -0,0 +1,62 @@
+// server/utils/rateLimit.js
+// Rate limiting for socket events: token buckets per socket and event, and a flood guard that mutes
+// users who keep running into the limits.
+
+// A set of token buckets, one per event. Each bucket holds up to `burst` tokens and refills continuously
+// at `perSecond`; every event takes a token. Events without their own limit use `defaultLimit`.
+function createTokenBuckets(limits, defaultLimit) {
+    const buckets = new Map(); // Map<event, { tokens, updatedAt }>
+
+    // Take a token for `event`. Returns 0 if the event is allowed, otherwise how many ms until it would be.
+    const take = (event, now = Date.now()) => {
+        const { burst, perSecond } = limits[event] || defaultLimit;
+        const bucket = buckets.get(event) || { tokens: burst, updatedAt: now };
+        bucket.tokens = Math.min(burst, bucket.tokens + ((now - bucket.updatedAt) / 1000) * perSecond);
+        bucket.updatedAt = now;
+        buckets.set(event, bucket);
+
+        if (bucket.tokens >= 1) {
+            bucket.tokens -= 1;
+            return 0;
+        }
+        return Math.ceil(((1 - bucket.tokens) / perSecond) * 1000);
+    };
+
+    return { take };
+}
+
+// Mutes whoever gets `strikes` events rejected by the rate limits within `windowMs`, for `muteMs`.
+// Keyed by user rather than socket, so reconnecting doesn't lift a mute.
+function createFloodGuard({ strikes, windowMs, muteMs }) {
+    const offenders = new Map(); // Map<key, { hits: [timestamp], mutedUntil }>
+
+    // Forget offenders whose strikes and mute have all expired
+    const prune = (now) => offenders.forEach((offender, key) => {
+        if (offender.mutedUntil <= now && offender.hits.every(time => now - time >= windowMs)) {
+            offenders.delete(key);
+        }
+    });
+
+    // How much longer `key` is muted, in ms (0 if they aren't)
+    const mutedFor = (key, now = Date.now()) => {
+        const offender = offenders.get(key);
+        return offender && offender.mutedUntil > now ? offender.mutedUntil - now : 0;
+    };
+
+    // Record a rate-limited event. Returns the length of the mute in ms if this strike earned one, otherwise 0.
+    const strike = (key, now = Date.now()) => {
+        prune(now);
+        const offender = offenders.get(key) || { hits: [], mutedUntil: 0 };
+        offender.hits = [...offender.hits.filter(time => now - time < windowMs), now];
+        offenders.set(key, offender);
+        if (offender.hits.length < strikes) return 0;
+
+        offender.hits = [];
+        offender.mutedUntil = now + muteMs;
+        return muteMs;
+    };
+
+    return { mutedFor, strike };
+}
+
+module.exports = { createTokenBuckets, createFloodGuard };
@@ -0,0 +1,41 @@
+// server/utils/redisHash.js
+// Helpers for the Redis-backed stores, which keep a record (a room's settings, a message) as a hash with
+// one field per property. Values are JSON, so arrays and objects survive, and changing one property
+// doesn't overwrite changes to the others made at the same time on another instance.
+
+// The fields to set for `record`. Properties set to undefined are left out (see fieldsToDelete).
+const toHashFields = (record) => Object.fromEntries(Object.entries(record)
+    .filter(([, value]) => value !== undefined)
+    .map(([field, value]) => [field, JSON.stringify(value)]));
+
+// Properties set to undefined in `changes`, which are removed from the record
+const fieldsToDelete = (changes) => Object.keys(changes).filter(field => changes[field] === undefined);
+
+// The record from HGETALL, or null if there is no such hash
+const fromHash = (hash) => {
+    const entries = Object.entries(hash || {});
+    if (entries.length === 0) return null;
+    return Object.fromEntries(entries.map(([field, value]) => [field, JSON.parse(value)]));
+};
+
+// Set and remove fields of a record that exists, so a late update can't bring back a deleted one.
+// KEYS[1] is the hash; ARGV is the number of fields to set, those fields and values, then the fields to remove.
+const UPDATE_HASH_SCRIPT = `
+if redis.call('exists', KEYS[1]) == 0 then return 0 end
+local count = tonumber(ARGV[1])
+for i = 2, count * 2, 2 do
+    redis.call('hset', KEYS[1], ARGV[i], ARGV[i + 1])
+end
+for i = count * 2 + 2, #ARGV do
+    redis.call('hdel', KEYS[1], ARGV[i])
+end
+return 1`;
+
+// Apply `changes` to the record in `key`. Resolves with whether it exists.
+const updateHash = async (redis, key, changes) => {
+    const fields = Object.entries(toHashFields(changes));
+    const updated = await redis.eval(UPDATE_HASH_SCRIPT, 1, key, fields.length, ...fields.flat(), ...fieldsToDelete(changes));
+    return updated === 1;
+};
+
+module.exports = { toHashFields, fromHash, updateHash };
@@ -0,0 +1,62 @@
+// server/utils/searchQuery.js
+// Parses search queries like `deploy failed from:alice in:#ops after:2024-05-01`.
+//
+//   from:<username>        messages sent by that user (repeat for any of several users)
+//   in:#<room>             messages in a room
+//   in:@<username>         messages in your direct conversation with that user
+//   after:<YYYY-MM-DD>     sent on or after that day (UTC)
+//   before:<YYYY-MM-DD>    sent before that day (UTC)
+//   on:<YYYY-MM-DD>        sent on that day (UTC)
+//
+// Everything else is search text; every word must appear in the message.
+
+const { tokenize } = require('../models/searchIndex');
+
+const FILTER_PATTERN = /^(from|in|after|before|on):(\S+)$/i;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseDay = (value) => {
+    if (!DATE_PATTERN.test(value)) return null;
+    const date = new Date(`${value}T00:00:00Z`);
+    return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Returns { terms, from, in, after, before } or { error }
+const parseSearchQuery = (query) => {
+    const parsed = { terms: [], from: [], in: [], after: null, before: null };
+    const words = [];
+
+    for (const word of query.trim().split(/\s+/)) {
+        const filter = word.match(FILTER_PATTERN);
+        if (!filter) {
+            words.push(word);
+            continue;
+        }
+
+        const [, name, value] = filter;
+        const key = name.toLowerCase();
+        if (key === 'from') {
+            parsed.from.push(value.replace(/^@/, ''));
+        } else if (key === 'in') {
+            parsed.in.push(value);
+        } else {
+            const day = parseDay(value);
+            if (!day) return { error: `Dates look like 2024-05-31 (${key}:${value}).` };
+            if (key === 'after' || key === 'on') {
+                parsed.after = day;
+            }
+            if (key === 'before') {
+                parsed.before = day;
+            }
+            if (key === 'on') {
+                parsed.before = new Date(day.getTime() + DAY_MS);
+            }
+        }
+    }
+
+    parsed.terms = tokenize(words.join(' '));
+    return parsed;
+};
+
+module.exports = { parseSearchQuery, parseDay, DAY_MS };
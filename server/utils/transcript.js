@@ -0,0 +1,205 @@
+// server/utils/transcript.js
+// Transcripts of a room's or conversation's history, for archiving (e.g. incident postmortems). JSON
+// transcripts keep everything needed to import them into a room again; Markdown and standalone HTML are
+// for reading. Dates are UTC days, as in search (see searchQuery.js).
+
+const { MAX_MESSAGE_LENGTH, MAX_ATTACHMENTS_PER_MESSAGE } = require('../../shared/protocol');
+const { string, boolean, oneOf, arrayOf, optional, object } = require('./validate');
+const { parseDay, DAY_MS } = require('./searchQuery');
+
+const TRANSCRIPT_VERSION = 1;
+const MAX_IMPORT_MESSAGES = 10000;
+
+const TRANSCRIPT_FORMATS = {
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+    markdown: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+    html: { contentType: 'text/html; charset=utf-8', extension: 'html' }
+};
+
+// `from` and `to` as YYYY-MM-DD, both optional and both included. Returns { after, before } (Dates or null,
+// `before` being the day after `to`) or { error }.
+const parseDateRange = ({ from, to }) => {
+    const after = from ? parseDay(from) : null;
+    const lastDay = to ? parseDay(to) : null;
+    if ((from && !after) || (to && !lastDay)) return { error: 'Dates look like 2024-05-31.' };
+    const before = lastDay && new Date(lastDay.getTime() + DAY_MS);
+    if (after && before && after >= before) return { error: 'The start date must not be after the end date.' };
+    return { after, before };
+};
+
+// A message as clients see it (toClientMessage in server.js), without receipts and parsed blocks
+const toTranscriptMessage = (msg) => ({
+    id: msg.id,
+    senderId: msg.senderId,
+    sender: msg.sender,
+    timestamp: msg.timestamp,
+    message: msg.message,
+    ...(msg.action && { action: true }),
+    ...(msg.replyTo && { replyTo: msg.replyTo }),
+    ...(msg.editedAt && { editedAt: msg.editedAt }),
+    ...(msg.deleted && { deleted: true }),
+    ...(msg.encrypted && { encrypted: msg.encrypted }),
+    ...(msg.attachments?.length > 0 && {
+        attachments: msg.attachments.map(({ id, name, size, mimeType }) => ({ id, name, size, mimeType }))
+    }),
+    ...(msg.reactions?.length > 0 && { reactions: msg.reactions.map(({ emoji, users }) => ({ emoji, users })) })
+});
+
+// The JSON transcript. `room` is { id, title, isPrivate }; `after`/`before` are the range it covers.
+const createTranscript = ({ room, after, before, exportedBy, messages }) => ({
+    version: TRANSCRIPT_VERSION,
+    room,
+    exportedAt: new Date().toISOString(),
+    exportedBy,
+    from: after ? after.toISOString().slice(0, 10) : null,
+    to: before ? new Date(before.getTime() - DAY_MS).toISOString().slice(0, 10) : null,
+    messages: messages.map(toTranscriptMessage)
+});
+
+// --- Rendering ---
+
+const dayOf = (timestamp) => timestamp.slice(0, 10);
+const timeOf = (timestamp) => timestamp.slice(11, 16);
+
+// Messages grouped by UTC day: [[day, messages]]
+const byDay = (messages) => messages.reduce((days, msg) => {
+    const last = days[days.length - 1];
+    if (last && last[0] === dayOf(msg.timestamp)) {
+        last[1].push(msg);
+    } else {
+        days.push([dayOf(msg.timestamp), [msg]]);
+    }
+    return days;
+}, []);
+
+// "Exported by alice on 2024-05-31 · 2024-05-01 to 2024-05-31 (UTC)"
+const describeExport = (transcript) => {
+    const range = transcript.from || transcript.to
+        ? ` · ${transcript.from || 'the beginning'} to ${transcript.to || 'now'} (UTC)`
+        : '';
+    return `Exported by ${transcript.exportedBy} on ${dayOf(transcript.exportedAt)}${range}`;
+};
+
+// What a message says, without its sender, as plain text
+const describeBody = (msg) => {
+    if (msg.deleted) return { note: 'This message was deleted.' };
+    if (msg.encrypted) return { note: '🔒 Encrypted message' };
+    return { text: msg.message };
+};
+
+const describeExtras = (msg) => [
+    ...(msg.attachments || []).map(attachment => `📎 ${attachment.name}`),
+    ...(msg.reactions || []).map(reaction => `${reaction.emoji} ${reaction.users.join(', ')}`),
+    ...(msg.editedAt && !msg.deleted ? ['(edited)'] : [])
+];
+
+const renderMarkdown = (transcript) => {
+    const lines = [`# ${transcript.room.title}`, '', `_${describeExport(transcript)}_`];
+    if (transcript.messages.length === 0) lines.push('', '_No messages._');
+
+    byDay(transcript.messages).forEach(([day, messages]) => {
+        lines.push('', `## ${day}`, '');
+        messages.forEach(msg => {
+            const { text, note } = describeBody(msg);
+            const reply = msg.replyTo ? ' ↳' : '';
+            const body = note ? `_${note}_` : (msg.action ? `_* ${msg.sender} ${text}_` : text);
+            // Continuation lines are indented so they stay part of the list item
+            lines.push(`- **${timeOf(msg.timestamp)}**${reply} **${msg.sender}**: ${body.split('\n').join('\n  ')}`);
+            describeExtras(msg).forEach(extra => lines.push(`  - ${extra}`));
+        });
+    });
+    return `${lines.join('\n')}\n`;
+};
+
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const HTML_STYLE = `
+body { font-family: system-ui, sans-serif; max-width: 48rem; margin: 2rem auto; padding: 0 1rem; color: #1f2937; }
+header p, .meta, .extras { color: #6b7280; font-size: 0.875rem; }
+h2 { font-size: 1rem; border-bottom: 1px solid #e5e7eb; padding-bottom: 0.25rem; margin-top: 2rem; }
+.message { margin: 0.75rem 0; }
+.message.reply { margin-left: 1.5rem; }
+.sender { font-weight: 600; }
+.text { white-space: pre-wrap; word-wrap: break-word; margin: 0.25rem 0 0; }
+.note { font-style: italic; color: #6b7280; }`;
+
+// A standalone page: no scripts, no outside resources, and everything from users escaped
+const renderHtml = (transcript) => {
+    const days = byDay(transcript.messages).map(([day, messages]) => [
+        `<h2>${escapeHtml(day)}</h2>`,
+        ...messages.map(msg => {
+            const { text, note } = describeBody(msg);
+            const extras = describeExtras(msg);
+            const body = note
+                ? `<p class="text note">${escapeHtml(note)}</p>`
+                : `<p class="text${msg.action ? ' note' : ''}">${escapeHtml(msg.action ? `* ${msg.sender} ${text}` : text)}</p>`;
+            return [
+                `<div class="message${msg.replyTo ? ' reply' : ''}">`,
+                `<span class="sender">${escapeHtml(msg.sender)}</span> <time class="meta" datetime="${escapeHtml(msg.timestamp)}">${escapeHtml(timeOf(msg.timestamp))}</time>`,
+                body,
+                ...(extras.length > 0 ? [`<p class="extras">${extras.map(escapeHtml).join(' · ')}</p>`] : []),
+                '</div>'
+            ].join('\n');
+        })
+    ].join('\n'));
+
+    return [
+        '<!DOCTYPE html>',
+        '<html lang="en">',
+        '<head>',
+        '<meta charset="utf-8">',
+        `<title>${escapeHtml(transcript.room.title)}</title>`,
+        `<style>${HTML_STYLE}\n</style>`,
+        '</head>',
+        '<body>',
+        `<header><h1>${escapeHtml(transcript.room.title)}</h1><p>${escapeHtml(describeExport(transcript))}</p></header>`,
+        days.length > 0 ? days.join('\n') : '<p class="note">No messages.</p>',
+        '</body>',
+        '</html>',
+        ''
+    ].join('\n');
+};
+
+const renderTranscript = (transcript, format) => {
+    if (format === 'markdown') return renderMarkdown(transcript);
+    if (format === 'html') return renderHtml(transcript);
+    return JSON.stringify(transcript, null, 2);
+};
+
+// --- Importing ---
+
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+const timestamp = string({ pattern: TIMESTAMP_PATTERN });
+const messageId = string({ min: 1, max: 64 });
+
+// What a JSON transcript must look like to be imported. Fields it doesn't list are ignored.
+const validateTranscript = object({
+    version: oneOf([TRANSCRIPT_VERSION]),
+    room: optional(object({ id: string({ min: 1, max: 400 }) })),
+    messages: arrayOf(object({
+        id: optional(messageId),
+        senderId: optional(messageId),
+        sender: string({ min: 1, max: 64 }),
+        timestamp,
+        message: string({ max: MAX_MESSAGE_LENGTH }),
+        action: optional(boolean()),
+        replyTo: optional(messageId),
+        editedAt: optional(timestamp),
+        deleted: optional(boolean()),
+        attachments: optional(arrayOf(object({ id: messageId }), { max: MAX_ATTACHMENTS_PER_MESSAGE }))
+    }), { max: MAX_IMPORT_MESSAGES })
+});
+
+module.exports = {
+    TRANSCRIPT_FORMATS,
+    MAX_IMPORT_MESSAGES,
+    parseDateRange,
+    createTranscript,
+    renderTranscript,
+    validateTranscript
+};
@@ -0,0 +1,66 @@
+// server/utils/validate.js
+// Small schema helpers for checking what clients send. A validator takes a value and returns null if it's
+// fine, or a description of the problem ("must be a string"). object() prefixes problems with the field name.
+
+const describe = (field, problem) => (field ? `${field} ${problem}` : problem);
+
+const string = ({ min = 0, max = Infinity, pattern } = {}) => (value) => {
+    if (typeof value !== 'string') return 'must be a string';
+    if (value.length < min) return min === 1 ? 'must not be empty' : `must be at least ${min} characters`;
+    if (value.length > max) return `must be at most ${max} characters`;
+    if (pattern && !pattern.test(value)) return 'is not valid';
+    return null;
+};
+
+const number = ({ min = -Infinity, max = Infinity, integer = false } = {}) => (value) => {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return 'must be a number';
+    if (integer && !Number.isInteger(value)) return 'must be a whole number';
+    if (value < min || value > max) return `must be between ${min} and ${max}`;
+    return null;
+};
+
+const boolean = () => (value) => (typeof value === 'boolean' ? null : 'must be true or false');
+
+const oneOf = (values) => (value) => (values.includes(value) ? null : `must be one of: ${values.join(', ')}`);
+
+const arrayOf = (item, { max = Infinity } = {}) => (value) => {
+    if (!Array.isArray(value)) return 'must be a list';
+    if (value.length > max) return `must have at most ${max} items`;
+    for (let i = 0; i < value.length; i++) {
+        const problem = item(value[i]);
+        if (problem) return describe(`item ${i + 1}`, problem);
+    }
+    return null;
+};
+
+const isPlainObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+// An object whose keys are free-form (e.g. room ids) and whose values all match `item`
+const recordOf = (item, { max = Infinity } = {}) => (value) => {
+    if (!isPlainObject(value)) return 'must be an object';
+    const entries = Object.entries(value);
+    if (entries.length > max) return `must have at most ${max} entries`;
+    for (const [key, entry] of entries) {
+        const problem = item(entry);
+        if (problem) return describe(key, problem);
+    }
+    return null;
+};
+
+// A field that may be left out
+const optional = (validator) => (value) => (value === undefined ? null : validator(value));
+
+// A field that may be left out or null, e.g. a value the client read from storage that wasn't there
+const nullable = (validator) => (value) => (value === undefined || value === null ? null : validator(value));
+
+// An object with known fields. Fields that aren't in the shape are ignored.
+const object = (shape) => (value) => {
+    if (!isPlainObject(value)) return 'must be an object';
+    for (const [field, validator] of Object.entries(shape)) {
+        const problem = validator(value[field]);
+        if (problem) return describe(field, problem);
+    }
+    return null;
+};
+
+module.exports = { string, number, boolean, oneOf, arrayOf, recordOf, optional, nullable, object };
@@ -0,0 +1,290 @@
+// shared/protocol.js
+// The contract between the chat server and its clients: the names of the socket events each side sends,
+// what their payloads and acknowledgements look like, error codes and the limits the server enforces.
+// The server checks that it handles exactly the client events listed here, and the client SDK
+// (client/src/socket/chatClient.js) is typed against them, so the two can't drift apart silently.
+// Written as CommonJS so the server can require it and bundlers can import it.
+
+// --- Shared types ---
+
+/**
+ * @typedef {'NOT_IN_CHAT' | 'INVALID_PAYLOAD' | 'INVALID_REQUEST' | 'NOT_FOUND' | 'FORBIDDEN' | 'CONFLICT' | 'RATE_LIMITED' | 'FLOODING'} ErrorCode
+ *
+ * @typedef {{ ok: false, code: ErrorCode, error: string, retryAfterMs?: number }} Failure
+ *
+ * @typedef {{ id: string, name: string, size: number, mimeType: string, url: string, thumbnailUrl?: string, width?: number, height?: number }} Attachment
+ *
+ * @typedef {{ kty: 'EC', crv: 'P-256', x: string, y: string }} PublicKey An ECDH public key as a JWK
+ *
+ * @typedef {{ id: string, publicKey: PublicKey, createdAt: string }} PublishedKey `id` is the key's JWK thumbprint
+ *
+ * A direct message encrypted by its sender (see client/src/socket/encryption.js). The text is encrypted with
+ * a one-off AES-GCM key, which is wrapped for every published key of every participant, by key id.
+ * Binary values are base64.
+ * @typedef {Object} EncryptedPayload
+ * @property {1} v Format version
+ * @property {PublicKey} senderKey The sender's key, which the wrapping keys were agreed with
+ * @property {string} iv
+ * @property {string} ciphertext
+ * @property {Object<string, { iv: string, wrappedKey: string }>} keys
+ *
+ * @typedef {Object} Message
+ * @property {string} [id] System notices have no id
+ * @property {string} [senderId]
+ * @property {string} sender
+ * @property {string} message Empty for encrypted messages
+ * @property {EncryptedPayload} [encrypted] End-to-end encrypted direct messages only
+ * @property {string} room A room id, or a conversation id for direct messages
+ * @property {string} timestamp ISO timestamp
+ * @property {boolean} [isPrivate]
+ * @property {boolean} [action] Sent with /me
+ * @property {string} [replyTo] Id of the thread's first message
+ * @property {Attachment[]} [attachments]
+ * @property {Array<{ emoji: string, count: number, userIds: string[], users: string[] }>} [reactions]
+ * @property {string[]} [mentions] Ids of the users it @mentions
+ * @property {Array<Object>} [blocks] The formatted text, see server/utils/messageFormat.js
+ * @property {string[]} [deliveredTo] Direct messages only; rooms get `deliveredCount` and `readCount`
+ * @property {string[]} [readBy]
+ * @property {string} [editedAt]
+ * @property {boolean} [deleted]
+ * @property {boolean} [imported] Added from a transcript, so its sender and time are what the file said
+ *
+ * @typedef {{ room: string, messages: Message[], hasMore: boolean }} HistoryPage
+ *
+ * @typedef {'online' | 'away' | 'busy' | 'invisible'} UserStatus What a user chose to appear as
+ *
+ * How others see an online user: the status they chose, or away when all their tabs are idle, or reconnecting
+ * while all their tabs are disconnected. Invisible users aren't listed at all.
+ * @typedef {{ userId: string, username: string, status: 'online' | 'away' | 'busy' | 'reconnecting', statusText: string }} OnlineUser
+ *
+ * @typedef {Object} Room
+ * @property {string} id
+ * @property {string} name
+ * @property {string} topic
+ * @property {'public' | 'invite-only' | 'private'} visibility
+ * @property {string | null} ownerId
+ * @property {'member' | 'moderator' | 'owner'} role Our role in it
+ * @property {boolean} canJoin
+ * @property {boolean} joined
+ *
+ * @typedef {{ id: string, participants: Array<{ userId: string, username: string, lastSeen: string | null }>, lastMessage: Message | null, createdAt: string }} Conversation
+ *
+ * @typedef {'all' | 'mentions' | 'muted'} NotificationLevel
+ */
+
+// --- Client to server ---
+
+/**
+ * Events a client sends, as [payload, successful acknowledgement]. Every acknowledgement can also be a
+ * Failure. Events whose acknowledgement is `void` take no callback; if they fail the server sends
+ * 'error_message' instead.
+ *
+ * @typedef {Object} ClientEvents
+ * @property {[{ sessionId?: string, lastMessageIds?: Object<string, string> }, void]} join_chat
+ * @property {[undefined, void]} leave_chat Acknowledged with no arguments once the session has ended
+ * @property {[string, { ok: true, room: Room }]} join_room
+ * @property {[{ room: string }, { ok: true }]} leave_room
+ * @property {[{ room: string }, void]} mark_room_read
+ * @property {[{ room: string, level: NotificationLevel }, { ok: true, room: string, level: NotificationLevel }]} set_notification_level
+ * @property {[{ name: string, topic?: string, visibility?: Room['visibility'] }, { ok: true, room: Room }]} create_room
+ * @property {[{ room: string }, { ok: true, room: Room, members: Object[], bans: Object[] }]} get_room_details
+ * @property {[{ room: string, topic?: string, visibility?: Room['visibility'] }, { ok: true, room: Room }]} update_room
+ * @property {[{ room: string }, { ok: true }]} delete_room
+ * @property {[{ room: string, userId: string }, { ok: true }]} invite_to_room
+ * @property {[{ room: string, userId: string, role: 'member' | 'moderator' }, { ok: true }]} set_room_role
+ * @property {[{ room: string, userId: string }, { ok: true }]} kick_user
+ * @property {[{ room: string, userId: string }, { ok: true }]} ban_user
+ * @property {[{ room: string, userId: string }, { ok: true }]} unban_user
+ * @property {[{ room: string, userId: string, minutes?: number }, { ok: true, mutedUntil: string }]} mute_user
+ * @property {[{ room: string, userId: string }, { ok: true }]} unmute_user
+ * @property {[{ room: string, id?: string, message?: string, replyTo?: string, attachments?: string[], action?: boolean }, { ok: true, message: Message }]} send_message
+ * @property {[{ conversationId?: string, receiverId?: string, id?: string, message?: string, encrypted?: EncryptedPayload, replyTo?: string, attachments?: string[], action?: boolean }, { ok: true, message: Message }]} send_private_message
+ * @property {[{ room: string, before?: string }, void]} load_older_messages Answered with 'older_messages'
+ * @property {[{ room: string }, void]} load_history Answered with 'room_history'
+ * @property {[{ query: string, limit?: number }, { ok: true, results: Message[], total: number, terms: string[] }]} search_messages
+ * @property {[{ id: string }, { ok: true } & HistoryPage]} load_message_context
+ * @property {[{ userIds: string[] }, { ok: true, conversation: Conversation }]} start_conversation
+ * @property {[{ text: string, room?: string }, { ok: true, notice?: string, open?: string, message?: Message, room?: Room }]} run_command
+ * @property {[{ id: string, message: string }, { ok: true, message: Message }]} edit_message
+ * @property {[{ id: string }, { ok: true, message: Message }]} delete_message
+ * @property {[{ id: string }, { ok: true, parent: Message, replies: Message[] }]} load_thread
+ * @property {[{ id: string, emoji: string }, { ok: true, id: string, reactions: Message['reactions'] }]} add_reaction
+ * @property {[{ id: string, emoji: string }, { ok: true, id: string, reactions: Message['reactions'] }]} remove_reaction
+ * @property {[{ ids: string[] }, void]} messages_delivered
+ * @property {[{ ids: string[] }, void]} messages_read
+ * @property {[string, void]} typing_start
+ * @property {[string, void]} typing_stop
+ * @property {[{ status?: UserStatus, statusText?: string }, { ok: true, status: UserStatus, statusText: string }]} set_status
+ * @property {[{ idle: boolean }, void]} set_idle Whether the user stopped using this tab; all idle makes them away
+ * @property {[{ publicKey: PublicKey }, { ok: true, key: PublishedKey }]} publish_key
+ * @property {[{ userIds: string[] }, { ok: true, keys: Object<string, PublishedKey[]> }]} get_keys
+ */
+
+// Names of the events a client may send; the server refuses any other
+const CLIENT_EVENTS = Object.freeze([
+    'join_chat',
+    'leave_chat',
+    'join_room',
+    'leave_room',
+    'mark_room_read',
+    'set_notification_level',
+    'create_room',
+    'get_room_details',
+    'update_room',
+    'delete_room',
+    'invite_to_room',
+    'set_room_role',
+    'kick_user',
+    'ban_user',
+    'unban_user',
+    'mute_user',
+    'unmute_user',
+    'send_message',
+    'send_private_message',
+    'load_older_messages',
+    'load_history',
+    'search_messages',
+    'load_message_context',
+    'start_conversation',
+    'run_command',
+    'edit_message',
+    'delete_message',
+    'load_thread',
+    'add_reaction',
+    'remove_reaction',
+    'messages_delivered',
+    'messages_read',
+    'typing_start',
+    'typing_stop',
+    'set_status',
+    'set_idle',
+    'publish_key',
+    'get_keys'
+]);
+
+// --- Server to client ---
+
+/**
+ * Events the server sends, with their payload.
+ *
+ * @typedef {Object} ServerEvents
+ * @property {{ sessionId: string, rooms: string[] }} session Our chat session started or was resumed
+ * @property {OnlineUser[]} online_users
+ * @property {OnlineUser} user_joined A user came online (or stopped being invisible)
+ * @property {{ userId: string } & Partial<OnlineUser>} presence_update Only the fields that changed
+ * @property {{ userId: string, lastSeen: string }} user_disconnected A user went offline (or invisible)
+ * @property {{ status: UserStatus, statusText: string }} status_settings Our own status, as we set it in any tab
+ * @property {Room[]} available_rooms
+ * @property {{ room: string, users: string[] }} room_users_update Usernames of the members present in a room
+ * @property {{ room: string }} room_left
+ * @property {{ room: string, reason: 'kicked' | 'banned' | 'deleted' }} removed_from_room
+ * @property {{ room: string, invitedBy: string }} room_invitation
+ * @property {Message} receive_message
+ * @property {HistoryPage} missed_messages
+ * @property {HistoryPage} room_history
+ * @property {HistoryPage} older_messages
+ * @property {Message} message_updated
+ * @property {{ id: string, reactions: Message['reactions'] }} message_reactions
+ * @property {{ updates: Array<{ id: string, deliveredTo: string[], readBy: string[] }> }} message_status
+ * @property {{ message: Message }} mentioned
+ * @property {{ username: string, isTyping: boolean, room: string }} typing_status
+ * @property {Object<string, { unread: number, mentions: number }>} unread_counts
+ * @property {{ room: string, unread: number, mentions: number }} unread_update
+ * @property {Conversation[]} conversations
+ * @property {Conversation} conversation_updated
+ * @property {Object<string, NotificationLevel>} notification_levels
+ * @property {{ room: string, level: NotificationLevel }} notification_level
+ * @property {{ id: string, username: string }} account_updated
+ * @property {{ code: ErrorCode, message: string, event?: string }} error_message
+ * @property {{ message: string, timestamp: string }} announcement From an admin, to everyone online
+ */
+
+const SERVER_EVENTS = Object.freeze([
+    'session',
+    'online_users',
+    'user_joined',
+    'presence_update',
+    'user_disconnected',
+    'status_settings',
+    'available_rooms',
+    'room_users_update',
+    'room_left',
+    'removed_from_room',
+    'room_invitation',
+    'receive_message',
+    'missed_messages',
+    'room_history',
+    'older_messages',
+    'message_updated',
+    'message_reactions',
+    'message_status',
+    'mentioned',
+    'typing_status',
+    'unread_counts',
+    'unread_update',
+    'conversations',
+    'conversation_updated',
+    'notification_levels',
+    'notification_level',
+    'account_updated',
+    'error_message',
+    'announcement'
+]);
+
+// --- Errors and limits ---
+
+// Error codes of failed events. Acknowledgements fail with { ok: false, code, error } and events
+// sent without one get an 'error_message' of { code, message, event }, so clients can tell kinds of failure
+// apart without parsing the human-readable text.
+const ERROR_CODES = Object.freeze({
+    NOT_IN_CHAT: 'NOT_IN_CHAT', // The socket hasn't joined the chat ('join_chat') yet
+    INVALID_PAYLOAD: 'INVALID_PAYLOAD', // The event's data doesn't have the expected shape
+    INVALID_REQUEST: 'INVALID_REQUEST', // Well-formed, but not something the server can do (e.g. an empty message)
+    NOT_FOUND: 'NOT_FOUND', // The room, message, user or conversation doesn't exist (or isn't visible to the user)
+    FORBIDDEN: 'FORBIDDEN', // The user isn't allowed to do this (not a member, banned, muted, wrong role)
+    CONFLICT: 'CONFLICT', // Clashes with something that already exists (a name that is taken, a reused id)
+    RATE_LIMITED: 'RATE_LIMITED', // Too many events of this kind; `retryAfterMs` says when to try again
+    FLOODING: 'FLOODING', // Muted for a while after hitting the rate limits too often; see `retryAfterMs`
+    UNAVAILABLE: 'UNAVAILABLE' // The server couldn't do it just now (e.g. it lost its database); try again later
+});
+
+const MAX_MESSAGE_LENGTH = 4000; // Characters in a message
+const MAX_ATTACHMENTS_PER_MESSAGE = 10;
+const MAX_STATUS_TEXT_LENGTH = 100;
+
+// --- Presence ---
+
+const USER_STATUSES = Object.freeze(['online', 'away', 'busy', 'invisible']);
+
+// --- End-to-end encryption ---
+
+const MAX_KEYS_PER_USER = 10; // Devices; publishing another key drops the oldest
+
+// Longest ciphertext of an encrypted message: base64 of MAX_MESSAGE_LENGTH characters of UTF-8 plus the AES-GCM tag
+const MAX_ENCRYPTED_MESSAGE_LENGTH = Math.ceil((MAX_MESSAGE_LENGTH * 4 + 16) / 3) * 4;
+
+// A key's id is the base64url SHA-256 hash of this string (its JWK thumbprint, RFC 7638)
+const keyThumbprintInput = ({ crv, kty, x, y }) => JSON.stringify({ crv, kty, x, y });
+
+// --- Attachments ---
+
+// A file size for people, e.g. "512 bytes" or "1.5 MB", the same in the app and in the server's errors
+const formatFileSize = (bytes) => {
+    if (bytes < 1024) return `${bytes} bytes`;
+    if (bytes < 1024 * 1024) return `${Number((bytes / 1024).toFixed(1))} KB`;
+    return `${Number((bytes / (1024 * 1024)).toFixed(1))} MB`;
+};
+
+module.exports = {
+    CLIENT_EVENTS,
+    SERVER_EVENTS,
+    ERROR_CODES,
+    MAX_MESSAGE_LENGTH,
+    MAX_ATTACHMENTS_PER_MESSAGE,
+    MAX_STATUS_TEXT_LENGTH,
+    USER_STATUSES,
+    MAX_KEYS_PER_USER,
+    MAX_ENCRYPTED_MESSAGE_LENGTH,
+    keyThumbprintInput,
+    formatFileSize
+};